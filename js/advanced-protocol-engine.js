@@ -7,16 +7,23 @@
  * - Sophisticated threshold-based step-down protocol
  * - Performance evaluation metrics (Target Accuracy, Stability Index, Convergence Time)
  * - Multiple optimization strategies with clinical validation
+ * - Rate optimization with the shared bounded optimizer (Brent) and convergence diagnostics
  * - Real-time adjustment recommendations
+ * - Simulation through the shared event-driven simulation kernel
  */
 
 // Import required modules for Node.js environment
 if (typeof require !== 'undefined') {
-    const { MasuiKe0Calculator } = require('../utils/masui-ke0-calculator.js');
+    const { PKModels } = require('./pk-model-registry.js');
     const { ProtocolResult } = require('./models.js');
+    const { BoundedOptimizer } = require('./bounded-optimizer.js');
+    const { SimulationEvent, SimulationKernel } = require('./simulation-kernel.js');
     
-    global.MasuiKe0Calculator = MasuiKe0Calculator;
+    global.PKModels = PKModels;
     global.ProtocolResult = ProtocolResult;
+    global.BoundedOptimizer = BoundedOptimizer;
+    global.SimulationEvent = SimulationEvent;
+    global.SimulationKernel = SimulationKernel;
 }
 
 class AdvancedProtocolEngine {
@@ -36,6 +43,7 @@ class AdvancedProtocolEngine {
         };
         this.lastResult = null;
         this.optimizationHistory = [];
+        this.kernel = null; // SimulationKernel for the current PK parameters
     }
 
     setPatient(patient) {
@@ -50,24 +58,10 @@ class AdvancedProtocolEngine {
     }
 
     calculatePKParameters(patient) {
-        console.log('Calculating PK parameters with advanced Masui Ke0 model');
+        console.log('Calculating PK parameters with advanced PK model registry');
         
-        // Use the exact Masui Ke0 calculator
-        const result = MasuiKe0Calculator.calculateKe0Complete(
-            patient.age,
-            patient.weight,
-            patient.height,
-            patient.sex,
-            patient.asaPS
-        );
-        
-        if (!result.success) {
-            throw new Error('Failed to calculate PK parameters: ' + result.error);
-        }
-        
-        const pkParams = result.pkParameters;
-        const rateConstants = result.rateConstants;
-        const ke0 = result.ke0_numerical || result.ke0_regression;
+        // Use the model selected for this patient (Masui 2022 by default)
+        const pkParams = PKModels.calculatePKParameters(patient);
         
         return {
             v1: pkParams.V1,
@@ -76,12 +70,12 @@ class AdvancedProtocolEngine {
             cl: pkParams.CL,
             q2: pkParams.Q2,
             q3: pkParams.Q3,
-            ke0: ke0,
-            k10: rateConstants.k10,
-            k12: rateConstants.k12,
-            k21: rateConstants.k21,
-            k13: rateConstants.k13,
-            k31: rateConstants.k31
+            ke0: pkParams.ke0,
+            k10: pkParams.k10,
+            k12: pkParams.k12,
+            k21: pkParams.k21,
+            k13: pkParams.k13,
+            k31: pkParams.k31
         };
     }
 
@@ -145,67 +139,35 @@ class AdvancedProtocolEngine {
     }
 
     /**
-     * Advanced continuous infusion rate optimization with grid search
+     * Advanced continuous infusion rate optimization with the shared bounded optimizer (Brent)
      */
     optimizeContinuousInfusionRate(bolusDoseMg, targetCe, targetTime) {
         console.log('Optimizing continuous infusion rate with enhanced algorithm...');
         
-        // Enhanced grid search with variable precision
-        const coarseSearch = this.gridSearchOptimization(bolusDoseMg, targetCe, targetTime, 0.1, 0.1, 6.0);
-        const fineSearch = this.gridSearchOptimization(
-            bolusDoseMg, 
-            targetCe, 
-            targetTime, 
-            0.02, 
-            Math.max(0.1, coarseSearch.bestRate - 0.3),
-            Math.min(6.0, coarseSearch.bestRate + 0.3)
+        // Squared Ce error at the target time is smooth in the rate, so Brent converges in a few evaluations
+        const optimizer = BoundedOptimizer.minimizeScalar(
+            rate => (this.simulateBolusAndContinuous(bolusDoseMg, rate, targetTime) - targetCe) ** 2,
+            this.settings.minimumRate,
+            6.0,
+            { tolerance: 1e-4 }
         );
 
-        const predictedCe = this.simulateBolusAndContinuous(bolusDoseMg, fineSearch.bestRate, targetTime);
+        const predictedCe = this.simulateBolusAndContinuous(bolusDoseMg, optimizer.x, targetTime);
         
-        console.log(`Optimal rate: ${fineSearch.bestRate.toFixed(3)} mg/kg/hr`);
+        console.log(`Optimal rate: ${optimizer.x.toFixed(3)} mg/kg/hr`);
         console.log(`Predicted Ce: ${predictedCe.toFixed(3)} μg/mL`);
         console.log(`Error: ${(Math.abs(predictedCe - targetCe) / targetCe * 100).toFixed(2)}%`);
+        console.log(`Optimizer: ${optimizer.method}, ${optimizer.iterations} iterations, ${optimizer.evaluations} evaluations, converged=${optimizer.converged}`);
 
-        return new ProtocolResult(
-            fineSearch.bestRate,
+        const result = new ProtocolResult(
+            optimizer.x,
             predictedCe,
             null, // Schedule will be generated later
             targetCe,
             targetTime
         );
-    }
-
-    /**
-     * Grid search optimization with configurable precision
-     */
-    gridSearchOptimization(bolusDoseMg, targetCe, targetTime, step, minRate, maxRate) {
-        let bestRate = 1.0;
-        let bestError = Infinity;
-        const results = [];
-
-        for (let rate = minRate; rate <= maxRate; rate += step) {
-            const ceAtTarget = this.simulateBolusAndContinuous(bolusDoseMg, rate, targetTime);
-            const error = Math.abs(ceAtTarget - targetCe);
-
-            results.push({
-                rate: rate,
-                ceAtTarget: ceAtTarget,
-                error: error,
-                relativeError: (error / targetCe) * 100
-            });
-
-            if (error < bestError) {
-                bestError = error;
-                bestRate = rate;
-            }
-        }
-
-        return {
-            bestRate: bestRate,
-            bestError: bestError,
-            results: results
-        };
+        result.optimizer = optimizer;
+        return result;
     }
 
     /**
@@ -216,9 +178,9 @@ class AdvancedProtocolEngine {
         
         const upperThreshold = targetCe * this.settings.upperThresholdRatio;
         
+        const kernel = this.getKernel();
         const bolusState = this.calculateBolusInitialConcentration(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
+        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3, ce: bolusState.effectSiteConc };
         let currentRate = initialContinuousRate;
         
         const timeSeriesData = [];
@@ -232,18 +194,9 @@ class AdvancedProtocolEngine {
             const currentTime = i * this.settings.timeStep;
             const infusionRateMgMin = (currentRate * this.patient.weight) / 60.0;
             
-            // Calculate plasma concentration
-            const plasmaConc = state.a1 / this.pkParams.v1;
-            
-            // Update effect site concentration using RK4
-            if (i > 0) {
-                currentCe = this.updateEffectSiteConcentrationRK4(
-                    plasmaConc, 
-                    currentCe, 
-                    this.pkParams.ke0, 
-                    this.settings.timeStep
-                );
-            }
+            // Concentrations of the current state
+            const plasmaConc = kernel.plasmaConcentration(state);
+            const currentCe = state.ce;
             
             // Advanced threshold checking and dose adjustment
             if (currentCe >= upperThreshold && 
@@ -287,7 +240,7 @@ class AdvancedProtocolEngine {
             
             // Update system state using RK4
             if (i < numSteps - 1) {
-                state = this.updateSystemStateRK4(state, infusionRateMgMin, this.settings.timeStep);
+                state = kernel.step(state, infusionRateMgMin, this.settings.timeStep);
             }
         }
         
@@ -421,52 +374,20 @@ class AdvancedProtocolEngine {
     }
 
     /**
-     * RK4 calculation for effect-site concentration
+     * Simulate bolus + continuous infusion for specific time
      */
-    updateEffectSiteConcentrationRK4(plasmaConc, currentCe, ke0, dt) {
-        // Differential equation: dCe/dt = ke0 * (Cp - Ce)
-        const f = (ce, cp) => ke0 * (cp - ce);
-        
-        // Calculate RK4 coefficients
-        const k1 = f(currentCe, plasmaConc);
-        const k2 = f(currentCe + 0.5 * dt * k1, plasmaConc);
-        const k3 = f(currentCe + 0.5 * dt * k2, plasmaConc);
-        const k4 = f(currentCe + dt * k3, plasmaConc);
-        
-        // Calculate new effect-site concentration
-        const newCe = currentCe + (dt / 6.0) * (k1 + 2*k2 + 2*k3 + k4);
-        
-        // Non-negative constraint
-        return Math.max(0, newCe);
+    simulateBolusAndContinuous(bolusDoseMg, continuousRate, targetTime) {
+        const events = [SimulationEvent.bolus(0, bolusDoseMg), SimulationEvent.rate(0, continuousRate)];
+        const result = this.getKernel().simulate(events, targetTime, { timeStep: this.settings.timeStep, denseOutput: false });
+        return result.finalState.ce;
     }
 
     /**
-     * Simulate bolus + continuous infusion for specific time
+     * Simulation kernel for the current patient and PK parameters
      */
-    simulateBolusAndContinuous(bolusDoseMg, continuousRate, targetTime) {
-        const bolusState = this.calculateBolusInitialConcentration(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
-        
-        const infusionRateMgMin = (continuousRate * this.patient.weight) / 60.0;
-        const numSteps = Math.floor(targetTime / this.settings.timeStep);
-        
-        for (let i = 0; i < numSteps; i++) {
-            const plasmaConc = state.a1 / this.pkParams.v1;
-            
-            // Update effect site concentration using RK4
-            currentCe = this.updateEffectSiteConcentrationRK4(
-                plasmaConc, 
-                currentCe, 
-                this.pkParams.ke0, 
-                this.settings.timeStep
-            );
-            
-            // Update system state
-            state = this.updateSystemStateRK4(state, infusionRateMgMin, this.settings.timeStep);
-        }
-        
-        return currentCe;
+    getKernel() {
+        this.kernel = SimulationKernel.reuse(this.kernel, this.pkParams, this.patient.weight);
+        return this.kernel;
     }
 
     /**
@@ -486,56 +407,6 @@ class AdvancedProtocolEngine {
         };
     }
 
-    /**
-     * 4th order Runge-Kutta integration (Context7 Math.NET style)
-     */
-    updateSystemStateRK4(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31 } = this.pkParams;
-        
-        // DEBUG: Log key parameters for 2-minute timepoint investigation (need currentTime param)
-        // Note: This method is called from multiple places, adding debug when state suggests ~2min
-        if (state.a1 > 0 && state.a1 < 10) { // Rough estimation for debugging
-            const plasmaConc = state.a1 / this.pkParams.v1;
-            if (plasmaConc >= 0.5 && plasmaConc <= 0.6) { // Around expected 2min concentration
-                console.log('=== AdvancedProtocolEngine DEBUG (estimated t~2min) ===');
-                console.log('v1:', this.pkParams.v1);
-                console.log('k10:', k10, 'k12:', k12, 'k21:', k21, 'k13:', k13, 'k31:', k31);
-                console.log('Current state a1:', state.a1, 'a2:', state.a2, 'a3:', state.a3);
-                console.log('Infusion rate (mg/min):', infusionRateMgMin);
-                console.log('Plasma concentration:', plasmaConc);
-            }
-        }
-        
-        const derivatives = (s) => ({
-            da1dt: infusionRateMgMin - (k10 + k12 + k13) * s.a1 + k21 * s.a2 + k31 * s.a3,
-            da2dt: k12 * s.a1 - k21 * s.a2,
-            da3dt: k13 * s.a1 - k31 * s.a3
-        });
-        
-        const k1 = derivatives(state);
-        const k2 = derivatives({
-            a1: state.a1 + 0.5 * dt * k1.da1dt,
-            a2: state.a2 + 0.5 * dt * k1.da2dt,
-            a3: state.a3 + 0.5 * dt * k1.da3dt
-        });
-        const k3 = derivatives({
-            a1: state.a1 + 0.5 * dt * k2.da1dt,
-            a2: state.a2 + 0.5 * dt * k2.da2dt,
-            a3: state.a3 + 0.5 * dt * k2.da3dt
-        });
-        const k4 = derivatives({
-            a1: state.a1 + dt * k3.da1dt,
-            a2: state.a2 + dt * k3.da2dt,
-            a3: state.a3 + dt * k3.da3dt
-        });
-        
-        return {
-            a1: state.a1 + (dt / 6.0) * (k1.da1dt + 2*k2.da1dt + 2*k3.da1dt + k4.da1dt),
-            a2: state.a2 + (dt / 6.0) * (k1.da2dt + 2*k2.da2dt + 2*k3.da2dt + k4.da2dt),
-            a3: state.a3 + (dt / 6.0) * (k1.da3dt + 2*k2.da3dt + 2*k3.da3dt + k4.da3dt)
-        };
-    }
-
     /**
      * Generate detailed clinical schedule
      */
@@ -0,0 +1,172 @@
+/**
+ * Bayesian (MAP) Estimator Tests
+ * Validates individualization from measured plasma concentrations
+ */
+
+class BayesianEstimatorTests {
+    constructor() {
+        this.testResults = [];
+        this.doseEvents = [new DoseEvent(0, 7, 1.0), new DoseEvent(30, 0, 0.5)];
+        this.sampleTimes = [5, 15, 30, 60, 90];
+    }
+
+    createPatient(pkModelId = null) {
+        return new Patient('test-map', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2, null, pkModelId);
+    }
+
+    createObservations(estimator, patient, pkParams) {
+        const concentrations = estimator.predictPlasma(pkParams, patient, this.doseEvents, this.sampleTimes);
+        return this.sampleTimes.map((time, i) => new MeasuredConcentration(time, concentrations[i]));
+    }
+
+    /**
+     * The MAP search runs on the shared bounded Nelder-Mead and stays within ±etaLimit SD
+     */
+    testNelderMead() {
+        console.log('=== Testing MAP optimizer ===');
+
+        const patient = this.createPatient();
+        const estimator = new MAPEstimator();
+        const typical = estimator.populationSimulator.getTypicalParameters(patient);
+        // Observations from an implausibly high clearance: CL moves up but stays within its search bound
+        const extreme = estimator.parametersFromEtas(typical, [0, Math.log(20), 0, 0]);
+        const result = estimator.estimate(patient, this.doseEvents, this.createObservations(estimator, patient, extreme));
+        const limit = MAPEstimatorDefaults.etaLimit * Math.sqrt(estimator.populationSimulator.omega2.CL);
+
+        const checks = [
+            result.optimizer.method === 'nelder-mead' && result.converged,
+            result.iterations === result.optimizer.iterations && result.objectiveValue === result.optimizer.fx,
+            result.etas.CL > 0 && result.etas.CL <= limit + 1e-12
+        ];
+
+        const testResult = {
+            testName: 'MAP Optimizer',
+            passed: checks.every(Boolean),
+            details: { etas: result.etas, iterations: result.iterations, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`CL η ${result.etas.CL.toFixed(3)} (bound ${limit.toFixed(3)}), ${result.iterations} iterations`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Observations equal to the prior predictions leave the parameters near the prior
+     * (the ln σ² term of the proportional error model allows a small shift);
+     * observations from a high-clearance patient move CL toward the truth
+     */
+    testIndividualization() {
+        console.log('=== Testing MAP individualization ===');
+
+        const patient = this.createPatient();
+        const estimator = new MAPEstimator();
+        const typical = estimator.populationSimulator.getTypicalParameters(patient);
+        const prior = estimator.parametersFromEtas(typical, [0, 0, 0, 0]);
+        const truth = estimator.parametersFromEtas(typical, [0, Math.log(1.3), 0, 0]);
+
+        const atPrior = estimator.estimate(patient, this.doseEvents, this.createObservations(estimator, patient, prior));
+        const highClearance = estimator.estimate(patient, this.doseEvents, this.createObservations(estimator, patient, truth));
+
+        const maxPriorEta = Math.max(...Object.values(atPrior.etas).map(Math.abs));
+        const clRatio = highClearance.posterior.CL / highClearance.prior.CL;
+        const fitImproved = highClearance.predictions.every(p =>
+            Math.abs(p.posterior - p.observed) <= Math.abs(p.prior - p.observed));
+
+        const checks = [
+            maxPriorEta < 0.05,
+            clRatio > 1.15 && clRatio < 1.35,
+            Math.abs(highClearance.etas.ke0) < 0.01,
+            fitImproved
+        ];
+
+        const testResult = {
+            testName: 'MAP Individualization',
+            passed: checks.every(Boolean),
+            details: { maxPriorEta: maxPriorEta, clRatio: clRatio, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Posterior/prior CL ratio: ${clRatio.toFixed(3)} (truth 1.300)`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * MonitoringEngine keeps the prior result and adds the posterior simulation
+     */
+    testMonitoringEngineIntegration() {
+        console.log('=== Testing MonitoringEngine individualized simulation ===');
+
+        const patient = this.createPatient();
+        const engine = new MonitoringEngine();
+        engine.setPatient(patient);
+        this.doseEvents.forEach(event => engine.addDoseEvent(event));
+
+        let rejectsWithoutSamples = false;
+        try {
+            engine.runIndividualizedSimulation();
+        } catch (error) {
+            rejectsWithoutSamples = true;
+        }
+
+        const priorParams = patient.pkParams;
+        const estimator = new MAPEstimator();
+        const truth = { ...priorParams, V1: priorParams.V1 * 0.8 };
+        this.createObservations(estimator, patient, truth).forEach(m => engine.addMeasuredConcentration(m));
+
+        const result = engine.runIndividualizedSimulation();
+        const chartData = engine.getChartData();
+
+        const checks = [
+            rejectsWithoutSamples,
+            engine.getLastResult() === result.prior,
+            patient.pkParams === priorParams,
+            chartData.posteriorPlasmaData.length === chartData.plasmaData.length,
+            chartData.measuredData.filter(value => value !== null).length === this.sampleTimes.length,
+            result.map.posterior.V1 < result.map.prior.V1
+        ];
+
+        const testResult = {
+            testName: 'MonitoringEngine Integration',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Bayesian Estimator Tests');
+        console.log('===============================================');
+
+        this.testNelderMead();
+        this.testIndividualization();
+        this.testMonitoringEngineIntegration();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.BayesianEstimatorTests = BayesianEstimatorTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BayesianEstimatorTests };
+}
@@ -0,0 +1,180 @@
+/**
+ * Bayesian (MAP) Individualization for Remimazolam TCI TIVA
+ * Refits the patient's PK parameters from measured plasma concentrations
+ *
+ * Features:
+ * - Maximum-a-posteriori estimation of V1, CL, Q2 and ke0 around the Masui 2022 priors
+ * - Bounded Nelder-Mead search over η (BoundedOptimizer)
+ * - Log-normal priors (ω² shared with the population variability simulator)
+ * - Combined proportional + additive residual error model
+ * - Exact analytical predictions at the sampling times
+ *
+ * Note: plasma samples carry no information on ke0, so its posterior
+ * stays at the prior; it is estimated for use with effect measurements.
+ * The default ω² are the simulator's assumed values, not the published
+ * Masui 2022 IIV (result.omega2Source is 'assumed' until they are replaced).
+ */
+
+// Import required modules for Node.js environment
+if (typeof require !== 'undefined') {
+    const { PKModels } = require('./pk-model-registry.js');
+    const { AnalyticalSolver } = require('./numerical-solvers.js');
+    const { PopulationVariabilitySimulator } = require('./population-variability.js');
+    const { BoundedOptimizer } = require('./bounded-optimizer.js');
+
+    global.PKModels = PKModels;
+    global.AnalyticalSolver = AnalyticalSolver;
+    global.PopulationVariabilitySimulator = PopulationVariabilitySimulator;
+    global.BoundedOptimizer = BoundedOptimizer;
+}
+
+// Estimated parameters and residual error (σ) defaults
+const MAPEstimatorDefaults = {
+    estimatedParameters: ['V1', 'CL', 'Q2', 'ke0'],
+    residualError: {
+        proportional: 0.20,  // 20% CV
+        additive: 0.01       // μg/mL
+    },
+    maxIterations: 400,
+    tolerance: 1e-8,
+    etaLimit: 5          // Search bound on |η| in standard deviations (√ω²)
+};
+
+class MAPEstimator {
+    constructor(options = {}) {
+        this.populationSimulator = new PopulationVariabilitySimulator({ omega2: options.omega2 || {} });
+        this.estimatedParameters = options.estimatedParameters || MAPEstimatorDefaults.estimatedParameters;
+        this.residualError = { ...MAPEstimatorDefaults.residualError, ...(options.residualError || {}) };
+        this.maxIterations = options.maxIterations || MAPEstimatorDefaults.maxIterations;
+        this.tolerance = options.tolerance || MAPEstimatorDefaults.tolerance;
+        this.etaLimit = options.etaLimit || MAPEstimatorDefaults.etaLimit;
+        this.solver = new AnalyticalSolver();
+    }
+
+    /**
+     * Engine-format parameters for a vector of η values
+     */
+    parametersFromEtas(typical, etas) {
+        const individual = { ...typical };
+        this.estimatedParameters.forEach((name, i) => {
+            individual[name] = typical[name] * Math.exp(etas[i]);
+        });
+        const { ke0, ...compartments } = individual;
+        return PKModels.get('masui2022').assembleParameters(compartments, ke0);
+    }
+
+    /**
+     * Predicted plasma concentrations at arbitrary times
+     * @param {Object} pkParams - Engine-format PK parameters
+     * @param {Object} patient - Patient object
+     * @param {Array} doseEvents - DoseEvent list
+     * @param {number[]} times - Sampling times (minutes)
+     * @returns {number[]} - Cp (μg/mL)
+     */
+    predictPlasma(pkParams, patient, doseEvents, times) {
+        return times.map(time => {
+            const result = this.solver.solve(null, [0, 0, 0, 0], 0, time, {
+                timeStep: time > 0 ? time : 1.0,
+                pkParams: pkParams,
+                doseEvents: doseEvents,
+                patient: patient
+            });
+            const finalState = result.states[result.states.length - 1];
+            return Math.max(0, finalState[0] / pkParams.V1);
+        });
+    }
+
+    /**
+     * -2 log posterior (up to a constant)
+     */
+    objective(etas, typical, patient, doseEvents, observations) {
+        const pkParams = this.parametersFromEtas(typical, etas);
+        const predictions = this.predictPlasma(pkParams, patient, doseEvents, observations.map(o => o.timeInMinutes));
+        const { proportional, additive } = this.residualError;
+
+        let value = 0;
+        observations.forEach((observation, i) => {
+            const variance = Math.pow(proportional * predictions[i], 2) + additive * additive;
+            value += Math.pow(observation.concentration - predictions[i], 2) / variance + Math.log(variance);
+        });
+
+        const omega2 = this.populationSimulator.omega2;
+        this.estimatedParameters.forEach((name, i) => {
+            value += omega2[name] > 0 ? etas[i] * etas[i] / omega2[name] : 0;
+        });
+        return value;
+    }
+
+    /**
+     * MAP estimate of the patient's PK parameters
+     * @param {Object} patient - Patient object (Masui 2022 covariates)
+     * @param {Array} doseEvents - DoseEvent list
+     * @param {Array} observations - MeasuredConcentration list
+     * @returns {Object} - {prior, posterior, etas, objectiveValue, iterations, converged, optimizer, predictions}
+     */
+    estimate(patient, doseEvents, observations) {
+        if (!doseEvents || doseEvents.length === 0) {
+            throw new Error('At least one dose event is required for MAP estimation');
+        }
+        if (!observations || observations.length === 0) {
+            throw new Error('At least one measured concentration is required for MAP estimation');
+        }
+
+        const typical = this.populationSimulator.getTypicalParameters(patient);
+        const omega2 = this.populationSimulator.omega2;
+        // Parameters with ω² = 0 stay at the prior; the others are searched within ±etaLimit SD
+        const free = this.estimatedParameters.filter(name => omega2[name] > 0);
+        const toEtas = (freeEtas) => this.estimatedParameters.map(name =>
+            free.includes(name) ? freeEtas[free.indexOf(name)] : 0);
+        const limits = free.map(name => this.etaLimit * Math.sqrt(omega2[name]));
+
+        const search = free.length > 0 ?
+            BoundedOptimizer.nelderMead(
+                (freeEtas) => this.objective(toEtas(freeEtas), typical, patient, doseEvents, observations),
+                free.map(() => 0), limits.map(limit => -limit), limits,
+                { maxIterations: this.maxIterations, tolerance: this.tolerance }
+            ) :
+            { method: 'none', x: [], fx: this.objective(toEtas([]), typical, patient, doseEvents, observations),
+                iterations: 0, evaluations: 1, converged: true, elapsedMs: 0 };
+        const etas = toEtas(search.x);
+
+        const prior = this.parametersFromEtas(typical, etas.map(() => 0));
+        const posterior = this.parametersFromEtas(typical, etas);
+        const times = observations.map(o => o.timeInMinutes);
+        const priorPredictions = this.predictPlasma(prior, patient, doseEvents, times);
+        const posteriorPredictions = this.predictPlasma(posterior, patient, doseEvents, times);
+
+        const estimatedEtas = {};
+        this.estimatedParameters.forEach((name, i) => { estimatedEtas[name] = etas[i]; });
+
+        return {
+            prior: prior,
+            posterior: posterior,
+            etas: estimatedEtas,
+            omega2Source: this.populationSimulator.omega2Source,
+            objectiveValue: search.fx,
+            iterations: search.iterations,
+            converged: search.converged,
+            optimizer: search,
+            predictions: observations.map((observation, i) => ({
+                timeInMinutes: observation.timeInMinutes,
+                observed: observation.concentration,
+                prior: priorPredictions[i],
+                posterior: posteriorPredictions[i]
+            }))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MAPEstimatorDefaults = MAPEstimatorDefaults;
+    window.MAPEstimator = MAPEstimator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAPEstimatorDefaults,
+        MAPEstimator
+    };
+}
@@ -0,0 +1,199 @@
+/**
+ * Bounded Optimizer Tests
+ * Validates Brent, golden-section and Nelder-Mead minimization and their use by the protocol engines
+ */
+
+class BoundedOptimizerTests {
+    constructor() {
+        this.testResults = [];
+        this.tolerance = 1e-4;
+    }
+
+    createPatient() {
+        return new Patient('test-optimizer', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2);
+    }
+
+    /**
+     * 1-D minima inside the interval, on a bound, and from an initial guess
+     */
+    testScalarMinimization() {
+        console.log('=== Testing Brent and golden-section search ===');
+
+        const quadratic = BoundedOptimizer.minimizeScalar(x => (x - 1.234) ** 2, 0.1, 6.0);
+        const onBound = BoundedOptimizer.minimizeScalar(x => x, 1.0, 6.0);
+        const fromGuess = BoundedOptimizer.minimizeScalar(x => (x - 2.0) ** 2, 0.0, 10.0, { initialGuess: 2.1 });
+        const golden = BoundedOptimizer.goldenSection(x => Math.abs(x - 2.5), 0.0, 6.0);
+
+        const checks = [
+            Math.abs(quadratic.x - 1.234) < this.tolerance && quadratic.converged && quadratic.method === 'brent',
+            quadratic.evaluations < 20,
+            onBound.x === 1.0,
+            Math.abs(fromGuess.x - 2.0) < this.tolerance && fromGuess.evaluations <= quadratic.evaluations,
+            Math.abs(golden.x - 2.5) < this.tolerance && golden.converged && golden.method === 'golden-section',
+            ['iterations', 'evaluations', 'elapsedMs'].every(key => Number.isFinite(quadratic[key]))
+        ];
+
+        const testResult = {
+            testName: 'Scalar Minimization',
+            passed: checks.every(Boolean),
+            details: { quadratic: quadratic, golden: golden, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Brent: x=${quadratic.x.toFixed(6)} in ${quadratic.evaluations} evaluations`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Rosenbrock inside the bounds and a minimum cut off by an upper bound
+     */
+    testNelderMead() {
+        console.log('=== Testing Nelder-Mead ===');
+
+        const rosenbrock = BoundedOptimizer.nelderMead(
+            ([x, y]) => 100 * (y - x * x) ** 2 + (1 - x) ** 2,
+            [-1, 2], [-2, -2], [2, 3], { tolerance: 1e-8, maxIterations: 2000 }
+        );
+        const bounded = BoundedOptimizer.nelderMead(
+            ([x, y]) => (x - 5) ** 2 + (y - 1) ** 2,
+            [1, 1], [0, 0], [3, 3]
+        );
+
+        const checks = [
+            Math.abs(rosenbrock.x[0] - 1) < 1e-3 && Math.abs(rosenbrock.x[1] - 1) < 1e-3,
+            rosenbrock.converged && rosenbrock.method === 'nelder-mead',
+            Math.abs(bounded.x[0] - 3) < this.tolerance && Math.abs(bounded.x[1] - 1) < 1e-3,
+            bounded.x.every((value, i) => value >= [0, 0][i] && value <= [3, 3][i])
+        ];
+
+        const testResult = {
+            testName: 'Nelder-Mead',
+            passed: checks.every(Boolean),
+            details: { rosenbrock: rosenbrock, bounded: bounded, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Rosenbrock: (${rosenbrock.x.map(v => v.toFixed(4)).join(', ')}) in ${rosenbrock.evaluations} evaluations`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Every protocol engine reaches the target with few evaluations and reports diagnostics
+     */
+    testEngineIntegration() {
+        console.log('=== Testing protocol engine optimizers ===');
+
+        const patient = this.createPatient();
+
+        const protocolEngine = new ProtocolEngine();
+        protocolEngine.setPatient(patient);
+        const basic = protocolEngine.optimizeContinuousInfusionRate(7, 1.0, 20);
+
+        const advancedEngine = new AdvancedProtocolEngine();
+        advancedEngine.setPatient(patient);
+        const advanced = advancedEngine.optimizeContinuousInfusionRate(7, 1.0, 20);
+
+        const enhancedEngine = new EnhancedProtocolEngine();
+        enhancedEngine.setPatient(patient);
+        const enhanced = enhancedEngine.optimizeInfusionRateEnhanced(7, 1.0, 20);
+
+        enhancedEngine.updateSettings({ bolusOptimization: 'joint' });
+        const joint = enhancedEngine.runEnhancedOptimization(1.0, 7, 20);
+        const jointResult = joint.optimizationResult;
+
+        const checks = [
+            Math.abs(basic.predictedConcentration - 1.0) < 1e-3 && basic.optimizer.converged,
+            Math.abs(advanced.predictedConcentration - 1.0) < 1e-3 && advanced.optimizer.converged,
+            Math.abs(enhanced.predictedCe - 1.0) < 1e-3 && enhanced.converged && enhanced.optimizer.method === 'brent',
+            [basic, advanced].every(result => result.optimizer.evaluations < 30) && enhanced.optimizer.evaluations < 30,
+            jointResult.optimizer.method === 'nelder-mead' && jointResult.jointOptimization,
+            jointResult.bolusDose >= 0 && jointResult.bolusDose <= enhancedEngine.v140Settings.safetyLimits.maxBolusTotal,
+            joint.protocol.bolusDose === jointResult.bolusDose
+        ];
+
+        const testResult = {
+            testName: 'Engine Integration',
+            passed: checks.every(Boolean),
+            details: { basic: basic.optimizer, advanced: advanced.optimizer, enhanced: enhanced.optimizer, joint: jointResult.optimizer, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Rates: basic ${basic.optimalRate.toFixed(3)}, advanced ${advanced.optimalRate.toFixed(3)}, enhanced ${enhanced.continuousRate.toFixed(3)} mg/kg/hr`);
+        console.log(`Joint: bolus ${jointResult.bolusDose.toFixed(2)} mg, rate ${jointResult.continuousRate.toFixed(3)} mg/kg/hr`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Invalid bounds and starting points are rejected
+     */
+    testErrors() {
+        console.log('=== Testing optimizer errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const engine = new EnhancedProtocolEngine();
+        engine.setPatient(this.createPatient());
+
+        const checks = [
+            expectError(() => BoundedOptimizer.minimizeScalar(x => x, 2, 1)),
+            expectError(() => BoundedOptimizer.goldenSection(x => x, 0, Infinity)),
+            expectError(() => BoundedOptimizer.nelderMead(x => x[0], [1, 1], [0], [2])),
+            expectError(() => BoundedOptimizer.nelderMead(x => x[0], [], [], [])),
+            expectError(() => engine.optimizeBolusAndRate(0, 20)),
+            expectError(() => new EnhancedProtocolEngine().optimizeBolusAndRate(1.0, 20))
+        ];
+
+        const testResult = {
+            testName: 'Optimizer Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Bounded Optimizer Tests');
+        console.log('===============================================');
+
+        this.testScalarMinimization();
+        this.testNelderMead();
+        this.testEngineIntegration();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.BoundedOptimizerTests = BoundedOptimizerTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BoundedOptimizerTests };
+}
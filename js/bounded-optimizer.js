@@ -0,0 +1,271 @@
+/**
+ * Bounded Optimizer for Remimazolam TCI TIVA
+ * Shared minimizers for protocol optimization (replaces rate-by-rate scans and bisection)
+ *
+ * Features:
+ * - Brent's method for 1-D bounded minimization (parabolic steps with golden-section fallback)
+ * - Golden-section search for non-smooth 1-D objectives
+ * - Nelder-Mead simplex for several bounded parameters (points are projected onto the bounds)
+ * - Convergence diagnostics: method, iterations, function evaluations, converged flag, elapsed time
+ */
+
+const BoundedOptimizerDefaults = {
+    tolerance: 1e-5,          // Relative parameter tolerance (1-D) / tolerance as a fraction of each bound range (simplex)
+    functionTolerance: 1e-10, // Simplex convergence: spread of objective values
+    maxIterations: 200,       // Iteration limit
+    initialStep: 0.1,         // Simplex edge as a fraction of each bound range
+    initialGuess: null        // 1-D starting point inside the bounds (golden-section point when null)
+};
+
+const GOLDEN_SECTION = 0.3819660112501051; // (3 - √5) / 2
+
+class BoundedOptimizer {
+    /**
+     * Validate a [lower, upper] interval
+     */
+    static checkBounds(lower, upper) {
+        if (!Number.isFinite(lower) || !Number.isFinite(upper) || !(upper > lower)) {
+            throw new Error('Optimizer bounds must be finite with lower < upper');
+        }
+    }
+
+    /**
+     * Diagnostics record shared by all methods
+     */
+    static diagnostics(method, x, fx, iterations, evaluations, converged, startTime) {
+        return {
+            method: method,
+            x: x,
+            fx: fx,
+            iterations: iterations,
+            evaluations: evaluations,
+            converged: converged,
+            elapsedMs: Date.now() - startTime
+        };
+    }
+
+    /**
+     * Brent's method: minimum of fn on [lower, upper]
+     * The bounds are evaluated last so a minimum on a bound is found as well.
+     * @param {function} fn - Objective (x) => number
+     * @param {Object} options - {tolerance, maxIterations, initialGuess}
+     * @returns {Object} - {method, x, fx, iterations, evaluations, converged, elapsedMs}
+     */
+    static minimizeScalar(fn, lower, upper, options = {}) {
+        BoundedOptimizer.checkBounds(lower, upper);
+        const { tolerance, maxIterations, initialGuess } = { ...BoundedOptimizerDefaults, ...options };
+        const startTime = Date.now();
+
+        let a = lower;
+        let b = upper;
+        let x = initialGuess > a && initialGuess < b ? initialGuess : a + GOLDEN_SECTION * (b - a);
+        let w = x;
+        let v = x;
+        let fx = fn(x);
+        let fw = fx;
+        let fv = fx;
+        let d = 0;
+        let e = 0;
+        let evaluations = 1;
+        let iterations = 0;
+        let converged = false;
+
+        while (iterations < maxIterations) {
+            const midpoint = 0.5 * (a + b);
+            const tol1 = tolerance * Math.abs(x) + 1e-10;
+            const tol2 = 2 * tol1;
+            if (Math.abs(x - midpoint) <= tol2 - 0.5 * (b - a)) {
+                converged = true;
+                break;
+            }
+            iterations++;
+
+            let parabolic = false;
+            if (Math.abs(e) > tol1) {
+                // Parabola through x, w and v
+                const r = (x - w) * (fx - fv);
+                let q = (x - v) * (fx - fw);
+                let p = (x - v) * q - (x - w) * r;
+                q = 2 * (q - r);
+                if (q > 0) p = -p;
+                q = Math.abs(q);
+                const previousStep = e;
+                e = d;
+                if (Math.abs(p) < Math.abs(0.5 * q * previousStep) && p > q * (a - x) && p < q * (b - x)) {
+                    d = p / q;
+                    const u = x + d;
+                    if (u - a < tol2 || b - u < tol2) {
+                        d = midpoint >= x ? tol1 : -tol1;
+                    }
+                    parabolic = true;
+                }
+            }
+            if (!parabolic) {
+                e = (x >= midpoint ? a : b) - x;
+                d = GOLDEN_SECTION * e;
+            }
+
+            const u = Math.abs(d) >= tol1 ? x + d : x + (d > 0 ? tol1 : -tol1);
+            const fu = fn(u);
+            evaluations++;
+
+            if (fu <= fx) {
+                if (u >= x) a = x; else b = x;
+                v = w; fv = fw;
+                w = x; fw = fx;
+                x = u; fx = fu;
+            } else {
+                if (u < x) a = u; else b = u;
+                if (fu <= fw || w === x) {
+                    v = w; fv = fw;
+                    w = u; fw = fu;
+                } else if (fu <= fv || v === x || v === w) {
+                    v = u; fv = fu;
+                }
+            }
+        }
+
+        [lower, upper].forEach(bound => {
+            const fb = fn(bound);
+            evaluations++;
+            if (fb < fx) {
+                x = bound;
+                fx = fb;
+            }
+        });
+
+        return BoundedOptimizer.diagnostics('brent', x, fx, iterations, evaluations, converged, startTime);
+    }
+
+    /**
+     * Golden-section search: minimum of a unimodal fn on [lower, upper] without parabolic steps
+     * @returns {Object} - {method, x, fx, iterations, evaluations, converged, elapsedMs}
+     */
+    static goldenSection(fn, lower, upper, options = {}) {
+        BoundedOptimizer.checkBounds(lower, upper);
+        const { tolerance, maxIterations } = { ...BoundedOptimizerDefaults, ...options };
+        const startTime = Date.now();
+
+        let a = lower;
+        let b = upper;
+        let c = a + GOLDEN_SECTION * (b - a);
+        let d = b - GOLDEN_SECTION * (b - a);
+        let fc = fn(c);
+        let fd = fn(d);
+        let evaluations = 2;
+        let iterations = 0;
+        let converged = false;
+
+        while (iterations < maxIterations) {
+            if (b - a <= tolerance * (Math.abs(a) + Math.abs(b)) + 1e-10) {
+                converged = true;
+                break;
+            }
+            iterations++;
+
+            if (fc <= fd) {
+                b = d; d = c; fd = fc;
+                c = a + GOLDEN_SECTION * (b - a);
+                fc = fn(c);
+            } else {
+                a = c; c = d; fc = fd;
+                d = b - GOLDEN_SECTION * (b - a);
+                fd = fn(d);
+            }
+            evaluations++;
+        }
+
+        const x = fc <= fd ? c : d;
+        return BoundedOptimizer.diagnostics('golden-section', x, Math.min(fc, fd), iterations, evaluations, converged, startTime);
+    }
+
+    /**
+     * Nelder-Mead simplex within box bounds
+     * @param {function} fn - Objective ([x1, ..., xn]) => number
+     * @param {Array} x0 - Starting point
+     * @param {Array} lower - Lower bound of each parameter
+     * @param {Array} upper - Upper bound of each parameter
+     * @param {Object} options - {tolerance, functionTolerance, maxIterations, initialStep}
+     * @returns {Object} - {method, x, fx, iterations, evaluations, converged, elapsedMs}
+     */
+    static nelderMead(fn, x0, lower, upper, options = {}) {
+        const n = x0.length;
+        if (n === 0 || lower.length !== n || upper.length !== n) {
+            throw new Error('Starting point and bounds must have the same, non-zero length');
+        }
+        for (let i = 0; i < n; i++) {
+            BoundedOptimizer.checkBounds(lower[i], upper[i]);
+        }
+        const { tolerance, functionTolerance, maxIterations, initialStep } = { ...BoundedOptimizerDefaults, ...options };
+        const startTime = Date.now();
+
+        const project = (point) => point.map((value, i) => Math.min(upper[i], Math.max(lower[i], value)));
+        const range = lower.map((low, i) => upper[i] - low);
+        let evaluations = 0;
+        const evaluate = (point) => {
+            evaluations++;
+            return { x: point, f: fn(point) };
+        };
+
+        // Initial simplex: the start plus one step along each axis (stepping inward at an upper bound)
+        const start = project(x0);
+        let simplex = [evaluate(start)];
+        for (let i = 0; i < n; i++) {
+            const vertex = [...start];
+            const step = initialStep * range[i];
+            vertex[i] = vertex[i] + step <= upper[i] ? vertex[i] + step : vertex[i] - step;
+            simplex.push(evaluate(project(vertex)));
+        }
+
+        let iterations = 0;
+        let converged = false;
+
+        while (iterations < maxIterations) {
+            simplex.sort((p, q) => p.f - q.f);
+            const best = simplex[0];
+            const worst = simplex[n];
+
+            const size = Math.max(...simplex.slice(1).map(vertex =>
+                Math.max(...vertex.x.map((value, i) => Math.abs(value - best.x[i]) / range[i]))));
+            if (size <= tolerance && worst.f - best.f <= functionTolerance + tolerance * Math.abs(best.f)) {
+                converged = true;
+                break;
+            }
+            iterations++;
+
+            const centroid = new Array(n).fill(0);
+            simplex.slice(0, n).forEach(vertex => vertex.x.forEach((value, i) => { centroid[i] += value / n; }));
+            const toward = (from, to, factor) => project(from.map((value, i) => value + factor * (to[i] - value)));
+
+            const reflected = evaluate(toward(centroid, worst.x, -1));
+            if (reflected.f < best.f) {
+                const expanded = evaluate(toward(centroid, worst.x, -2));
+                simplex[n] = expanded.f < reflected.f ? expanded : reflected;
+            } else if (reflected.f < simplex[n - 1].f) {
+                simplex[n] = reflected;
+            } else {
+                const contracted = reflected.f < worst.f ?
+                    evaluate(toward(centroid, reflected.x, 0.5)) :
+                    evaluate(toward(centroid, worst.x, 0.5));
+                if (contracted.f < Math.min(reflected.f, worst.f)) {
+                    simplex[n] = contracted;
+                } else {
+                    simplex = [best, ...simplex.slice(1).map(vertex => evaluate(toward(best.x, vertex.x, 0.5)))];
+                }
+            }
+        }
+
+        simplex.sort((p, q) => p.f - q.f);
+        return BoundedOptimizer.diagnostics('nelder-mead', simplex[0].x, simplex[0].f, iterations, evaluations, converged, startTime);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.BoundedOptimizer = BoundedOptimizer;
+    window.BoundedOptimizerDefaults = BoundedOptimizerDefaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BoundedOptimizer, BoundedOptimizerDefaults };
+}
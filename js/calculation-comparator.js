@@ -248,12 +248,16 @@ class CalculationComparator {
             // Phase1-006: Add unified numerical solver methods
             'euler': new UnifiedEulerMethod(),
             'rk4': new UnifiedRK4Method(),
-            'rk45': new UnifiedRK45Method()
+            'rk45': new UnifiedRK45Method(),
+            'lsoda': new UnifiedLSODAMethod(),
+            // Exact zero-order-hold solution (no truncation error)
+            'analytical': new UnifiedAnalyticalMethod()
         };
         
         this.results = new Map();
         this.comparisonMetrics = [];
-        this.referenceMethod = 'rk4_fine'; // Use fine RK4 as reference
+        this.referenceMethod = 'analytical'; // Exact solution as reference
+        this.fallbackReferenceMethod = 'rk4_fine'; // Used when the analytical run is unavailable
     }
 
     /**
@@ -342,7 +346,7 @@ class CalculationComparator {
         }
         
         // Find reference result
-        const referenceResult = this.results.get(this.referenceMethod);
+        const referenceResult = this.results.get(this.getReferenceMethodKey());
         
         this.comparisonMetrics = successfulResults.map(methodResult => {
             const result = methodResult.result;
@@ -356,6 +360,18 @@ class CalculationComparator {
         });
     }
 
+    /**
+     * Resolve the reference method: the exact analytical run when it succeeded,
+     * otherwise the fine-step RK4 run
+     */
+    getReferenceMethodKey() {
+        const reference = this.results.get(this.referenceMethod);
+        if (reference && reference.result && !reference.error) {
+            return this.referenceMethod;
+        }
+        return this.fallbackReferenceMethod;
+    }
+
     /**
      * Calculate metrics for a single method
      */
@@ -450,7 +466,7 @@ class CalculationComparator {
             const referencePoint = this.interpolateAtTime(referenceData, dataPoint.time);
             
             if (referencePoint) {
-                const error = Math.abs(dataPoint.ce - referencePoint.ce);
+                const error = Math.abs(this.getEffectSiteValue(dataPoint) - referencePoint.ce);
                 sumSquaredError += error * error;
                 maxError = Math.max(maxError, error);
                 comparisonCount++;
@@ -458,7 +474,7 @@ class CalculationComparator {
         }
         
         const rmse = comparisonCount > 0 ? Math.sqrt(sumSquaredError / comparisonCount) : 0;
-        const relativeError = rmse / Math.max(...timeSeriesData.map(d => d.ce));
+        const relativeError = rmse / Math.max(...timeSeriesData.map(d => this.getEffectSiteValue(d)));
         
         return {
             rmse,
@@ -478,7 +494,11 @@ class CalculationComparator {
         // Find exact match
         const exactMatch = timeSeriesData.find(d => Math.abs(d.time - targetTime) < 1e-10);
         if (exactMatch) {
-            return exactMatch;
+            return {
+                time: exactMatch.time,
+                ce: this.getEffectSiteValue(exactMatch),
+                plasma: this.getPlasmaValue(exactMatch)
+            };
         }
         
         // Find surrounding points
@@ -497,13 +517,27 @@ class CalculationComparator {
         // Linear interpolation
         const ratio = (targetTime - before.time) / (after.time - before.time);
         
+        const beforeCe = this.getEffectSiteValue(before);
+        const beforePlasma = this.getPlasmaValue(before);
+        
         return {
             time: targetTime,
-            ce: before.ce + ratio * (after.ce - before.ce),
-            plasma: before.plasma + ratio * (after.plasma - before.plasma)
+            ce: beforeCe + ratio * (this.getEffectSiteValue(after) - beforeCe),
+            plasma: beforePlasma + ratio * (this.getPlasmaValue(after) - beforePlasma)
         };
     }
 
+    /**
+     * Read concentrations from either protocol-engine or unified-solver data points
+     */
+    getEffectSiteValue(dataPoint) {
+        return dataPoint.ce ?? dataPoint.effectSiteConcentration ?? 0;
+    }
+
+    getPlasmaValue(dataPoint) {
+        return dataPoint.plasma ?? dataPoint.plasmaConcentration ?? 0;
+    }
+
     /**
      * Generate comparison CSV
      */
@@ -525,7 +559,7 @@ class CalculationComparator {
         const metadata = [
             `# Comparison generated on ${new Date().toISOString()}`,
             `# Number of methods: ${this.results.size}`,
-            `# Reference method: ${this.referenceMethod}`,
+            `# Reference method: ${this.getReferenceMethodKey()}`,
             ''
         ];
         
@@ -826,6 +860,121 @@ class UnifiedRK45Method extends CalculationMethod {
     }
 }
 
+/**
+ * LSODA method (Adams/BDF switching with the analytic Jacobian) using unified numerical solvers
+ */
+class UnifiedLSODAMethod extends CalculationMethod {
+    constructor() {
+        super('LSODA Method', 'Adams/BDF with automatic stiffness switching and error control using unified numerical solvers');
+    }
+
+    getDefaultSettings() {
+        return {
+            timeStep: 0.01,
+            method: 'lsoda'
+        };
+    }
+
+    calculate(patient, protocol, settings) {
+        try {
+            // Check if required classes are available
+            if (typeof PKPDIntegrationAdapter === 'undefined' || typeof DoseEvent === 'undefined') {
+                throw new Error('Required classes not available. PKPDIntegrationAdapter or DoseEvent not found.');
+            }
+
+            // Check if patient has pkParams
+            if (!patient.pkParams) {
+                throw new Error('Patient PK parameters not available. Please ensure patient data is properly initialized.');
+            }
+
+            const adapter = new PKPDIntegrationAdapter(patient.pkParams);
+            adapter.setMethod('lsoda');
+            
+            const doseEvents = [new DoseEvent(0, protocol.bolusDose, protocol.continuousRate)];
+            
+            const startTime = performance.now();
+            const result = adapter.simulate(doseEvents, patient, protocol.duration, {
+                timeStep: settings.timeStep
+            });
+            const endTime = performance.now();
+            
+            return {
+                timeSeriesData: result.timeSeriesData,
+                finalPlasmaConcentration: result.finalPlasmaConcentration,
+                finalEffectSiteConcentration: result.finalEffectSiteConcentration,
+                maxPlasmaConcentration: result.maxPlasmaConcentration,
+                maxEffectSiteConcentration: result.maxEffectSiteConcentration,
+                executionTime: endTime - startTime,
+                computationTime: endTime - startTime,
+                memoryUsage: result.timeSeriesData ? result.timeSeriesData.length * 8 * 10 : 0,
+                stats: result.stats
+            };
+        } catch (error) {
+            console.error('Unified LSODA calculation failed:', error);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Exact analytical (zero-order hold) method using the matrix-exponential solver
+ * Accepts protocol.doseEvents (the MonitoringEngine DoseEvent list) or a single bolus + continuous rate
+ */
+class UnifiedAnalyticalMethod extends CalculationMethod {
+    constructor() {
+        super('Exact Analytical', 'Matrix-exponential exact solution under piecewise-constant infusion (reference)');
+    }
+
+    getDefaultSettings() {
+        return {
+            timeStep: 0.1,
+            method: 'analytical'
+        };
+    }
+
+    calculate(patient, protocol, settings) {
+        try {
+            // Check if required classes are available
+            if (typeof PKPDIntegrationAdapter === 'undefined' || typeof DoseEvent === 'undefined') {
+                throw new Error('Required classes not available. PKPDIntegrationAdapter or DoseEvent not found.');
+            }
+
+            // Check if patient has pkParams
+            if (!patient.pkParams) {
+                throw new Error('Patient PK parameters not available. Please ensure patient data is properly initialized.');
+            }
+
+            const adapter = new PKPDIntegrationAdapter(patient.pkParams);
+            adapter.setMethod('analytical');
+            
+            const doseEvents = Array.isArray(protocol.doseEvents) && protocol.doseEvents.length > 0 ?
+                protocol.doseEvents :
+                [new DoseEvent(0, protocol.bolusDose, protocol.continuousRate)];
+            
+            const startTime = performance.now();
+            const result = adapter.simulate(doseEvents, patient, protocol.duration, {
+                timeStep: settings.timeStep
+            });
+            const endTime = performance.now();
+            
+            return {
+                timeSeriesData: result.timeSeriesData,
+                finalPlasmaConcentration: result.finalPlasmaConcentration,
+                finalEffectSiteConcentration: result.finalEffectSiteConcentration,
+                maxPlasmaConcentration: result.maxPlasmaConcentration,
+                maxEffectSiteConcentration: result.maxEffectSiteConcentration,
+                executionTime: endTime - startTime,
+                computationTime: endTime - startTime,
+                memoryUsage: result.timeSeriesData ? result.timeSeriesData.length * 8 * 10 : 0,
+                stats: result.stats
+            };
+        } catch (error) {
+            console.error('Exact analytical calculation failed:', error);
+            throw error;
+        }
+    }
+}
+
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.CalculationComparator = CalculationComparator;
@@ -837,6 +986,8 @@ if (typeof window !== 'undefined') {
     window.UnifiedEulerMethod = UnifiedEulerMethod;
     window.UnifiedRK4Method = UnifiedRK4Method;
     window.UnifiedRK45Method = UnifiedRK45Method;
+    window.UnifiedLSODAMethod = UnifiedLSODAMethod;
+    window.UnifiedAnalyticalMethod = UnifiedAnalyticalMethod;
 }
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -846,6 +997,7 @@ if (typeof module !== 'undefined' && module.exports) {
         RK4StandardMethod,
         RK4FineMethod,
         AdaptiveRK4Method,
-        EnhancedProtocolMethod
+        EnhancedProtocolMethod,
+        UnifiedAnalyticalMethod
     };
 }
\ No newline at end of file
@@ -0,0 +1,427 @@
+/**
+ * Closed-loop Simulator for Remimazolam TCI TIVA
+ * Offline BIS-guided automatic infusion for research and teaching (not for clinical control)
+ *
+ * Features:
+ * - Virtual BIS monitor: sigmoid-Emax BIS from Ce with seeded Gaussian noise and monitor smoothing
+ * - Stimulation events (intubation, incision, ...) that raise BIS while they last
+ * - PID controller on the BIS error with anti-windup (conditional integration)
+ * - Model-based controller: target BIS -> Ce target through the inverse PD model,
+ *   corrected for the observed BIS offset and delivered by effect-site TCI
+ * - Virtual patient advanced interval by interval with PKPDIntegrationAdapter.simulate
+ * - Performance (Varvel): MDPE, MDAPE, wobble and time with BIS in the target range
+ *
+ * Every control interval the monitor reads BIS from the current Ce, the controller sets
+ * the rate (mg/kg/hr, within [0, maxRateMgKgHr] and on the pump resolution) and the
+ * adapter advances the patient with that rate held until the next interval.
+ * The virtual patient may have its own PD parameters (patientPD) while the model-based
+ * controller keeps the typical ones (modelPD); both use the patient's PK parameters.
+ */
+
+// Import required modules for Node.js environment
+if (typeof require !== 'undefined') {
+    const { DoseEvent } = require('./models.js');
+    const { PKModels } = require('./pk-model-registry.js');
+    const { NumericalSolvers } = require('./numerical-solvers.js');
+    const { PKPDIntegrationAdapter } = require('./pk-pd-system.js');
+    const { SigmoidEmaxPDModel } = require('./pd-model.js');
+    const { EffectSiteTCIController } = require('./tci-controller.js');
+    const { createSeededRandom } = require('./population-variability.js');
+
+    global.DoseEvent = DoseEvent;
+    global.PKModels = PKModels;
+    global.NumericalSolvers = NumericalSolvers;
+    global.PKPDIntegrationAdapter = PKPDIntegrationAdapter;
+    global.SigmoidEmaxPDModel = SigmoidEmaxPDModel;
+    global.EffectSiteTCIController = EffectSiteTCIController;
+    global.createSeededRandom = createSeededRandom;
+}
+
+const ClosedLoopDefaults = {
+    controller: 'pid',         // 'pid' or 'model'
+    targetBIS: 50,             // BIS set point
+    bisRange: [40, 60],        // Adequate hypnosis (time in range)
+    duration: 120,             // Simulated time (minutes)
+    controlInterval: 5 / 60,   // Controller period (minutes)
+    timeStep: 1 / 60,          // Integration step inside each interval (minutes)
+    method: 'analytical',      // PKPDIntegrationAdapter solver method
+    inductionBolusMg: 0,       // Bolus at time 0 before the loop takes over (mg)
+    maxRateMgKgHr: 12.0,       // Rate ceiling (mg/kg/hr)
+    evaluationStart: 10,       // Performance from this time (minutes, skips induction)
+    monitor: {
+        noiseSD: 3.0,          // Gaussian measurement noise (BIS units)
+        smoothingTime: 0.25,   // First-order smoothing of the displayed BIS (minutes)
+        seed: 20220101
+    },
+    pid: {
+        kp: 0.05,              // mg/kg/hr per BIS unit
+        ki: 0.01,              // mg/kg/hr per BIS unit · min
+        kd: 0.0,               // mg/kg/hr per BIS unit / min (on the measurement)
+        baseRateMgKgHr: 1.0    // Rate at zero error and zero integral
+    },
+    model: {
+        biasGain: 0.05,        // Fraction of the BIS prediction error absorbed per interval
+        targetResolution: 0.01 // Ce target step (μg/mL)
+    },
+    stimulation: []            // [{time, duration, bisIncrease}] added to the patient's BIS
+};
+
+/**
+ * Median of an array (NaN when empty)
+ */
+function medianOf(values) {
+    if (values.length === 0) return NaN;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Virtual BIS monitor on top of a PD model
+ */
+class VirtualBISMonitor {
+    /**
+     * @param {SigmoidEmaxPDModel} pdModel - PD model of the virtual patient
+     * @param {Object} options - {noiseSD, smoothingTime, seed, stimulation}
+     */
+    constructor(pdModel, options = {}) {
+        const settings = { ...ClosedLoopDefaults.monitor, ...options };
+        if (!(settings.noiseSD >= 0) || !(settings.smoothingTime >= 0)) {
+            throw new Error('BIS noise SD and smoothing time must not be negative');
+        }
+        const stimulation = options.stimulation || [];
+        stimulation.forEach(event => {
+            if (!Number.isFinite(event.time) || !(event.duration > 0) || !Number.isFinite(event.bisIncrease)) {
+                throw new Error('Stimulation events need a time, a positive duration and a BIS increase');
+            }
+        });
+
+        this.pdModel = pdModel;
+        this.noiseSD = settings.noiseSD;
+        this.smoothingTime = settings.smoothingTime;
+        this.seed = settings.seed;
+        this.stimulation = stimulation.map(event => ({ ...event }));
+        this.reset();
+    }
+
+    reset() {
+        this.random = createSeededRandom(this.seed);
+        this.filtered = null;
+    }
+
+    /**
+     * BIS increase from the stimulation events active at a time
+     */
+    stimulationAt(time) {
+        return this.stimulation
+            .filter(event => time >= event.time && time < event.time + event.duration)
+            .reduce((sum, event) => sum + event.bisIncrease, 0);
+    }
+
+    /**
+     * Standard normal sample (Box-Muller)
+     */
+    nextNoise() {
+        const u1 = Math.max(this.random(), Number.MIN_VALUE);
+        const u2 = this.random();
+        return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    }
+
+    /**
+     * One monitor reading
+     * @param {number} time - Minutes
+     * @param {number} ce - Effect-site concentration of the patient (μg/mL)
+     * @param {number} dt - Minutes since the previous reading
+     * @returns {Object} - {patientBIS (noise-free), rawBIS, bis (smoothed display value), stimulation}
+     */
+    measure(time, ce, dt) {
+        const clamp = (value) => Math.min(100, Math.max(0, value));
+        const stimulation = this.stimulationAt(time);
+        const patientBIS = clamp(this.pdModel.predictBIS(ce) + stimulation);
+        const rawBIS = clamp(patientBIS + this.noiseSD * this.nextNoise());
+
+        if (this.filtered === null || this.smoothingTime === 0) {
+            this.filtered = rawBIS;
+        } else {
+            this.filtered += (rawBIS - this.filtered) * dt / (this.smoothingTime + dt);
+        }
+        return { patientBIS: patientBIS, rawBIS: rawBIS, bis: this.filtered, stimulation: stimulation };
+    }
+}
+
+/**
+ * PID controller: rate from the BIS error (BIS above the target -> more drug)
+ */
+class BISPIDController {
+    /**
+     * @param {Object} gains - {kp, ki, kd, baseRateMgKgHr}
+     */
+    constructor(gains = {}) {
+        this.gains = { ...ClosedLoopDefaults.pid, ...gains };
+        const { kp, ki, kd, baseRateMgKgHr } = this.gains;
+        if (![kp, ki, kd, baseRateMgKgHr].every(value => value >= 0)) {
+            throw new Error('PID gains and base rate must not be negative');
+        }
+        this.reset();
+    }
+
+    reset() {
+        this.integral = 0;
+        this.previousBIS = null;
+    }
+
+    /**
+     * Rate for the next interval
+     * The integral is only updated while the output is not saturated in the direction
+     * of the error (conditional integration), so it cannot wind up at the rate limits.
+     * @param {number} bis - Measured BIS
+     * @param {number} targetBIS - BIS set point
+     * @param {number} dt - Control interval (minutes)
+     * @param {number} maxRateMgKgHr - Rate ceiling
+     * @returns {Object} - {rateMgKgHr, error, integral}
+     */
+    update(bis, targetBIS, dt, maxRateMgKgHr) {
+        const { kp, ki, kd, baseRateMgKgHr } = this.gains;
+        const error = bis - targetBIS;
+        const derivative = this.previousBIS === null ? 0 : (bis - this.previousBIS) / dt;
+        this.previousBIS = bis;
+
+        const withoutIntegral = baseRateMgKgHr + kp * error + kd * derivative;
+        const current = withoutIntegral + ki * this.integral;
+        if ((current < maxRateMgKgHr || error < 0) && (current > 0 || error > 0)) {
+            this.integral += error * dt;
+        }
+
+        const rate = withoutIntegral + ki * this.integral;
+        return {
+            rateMgKgHr: Math.min(maxRateMgKgHr, Math.max(0, rate)),
+            error: error,
+            integral: this.integral
+        };
+    }
+}
+
+/**
+ * Model-based controller: Ce target from the inverse PD model, delivered by effect-site TCI
+ */
+class BISModelBasedController {
+    /**
+     * @param {Object} pkParams - {V1, k10, k12, k21, k13, k31, ke0}
+     * @param {number} weight - Patient weight (kg)
+     * @param {SigmoidEmaxPDModel} pdModel - PD model assumed by the controller
+     * @param {number} controlInterval - Minutes between updates
+     * @param {Object} options - {biasGain, targetResolution}
+     */
+    constructor(pkParams, weight, pdModel, controlInterval, options = {}) {
+        this.settings = { ...ClosedLoopDefaults.model, ...options };
+        if (!(this.settings.biasGain > 0 && this.settings.biasGain <= 1) || !(this.settings.targetResolution > 0)) {
+            throw new Error('Model-based bias gain must be in (0, 1] and the target resolution positive');
+        }
+        this.weight = weight;
+        this.pdModel = pdModel;
+        this.tci = new EffectSiteTCIController(pkParams, weight, { updateInterval: controlInterval });
+        this.reset();
+    }
+
+    reset() {
+        this.bias = 0;
+    }
+
+    /**
+     * Rate for the next interval
+     * bias tracks measured - predicted BIS (PD mismatch, stimulation); the Ce target is the
+     * model Ce for targetBIS - bias, kept inside the invertible range of the PD model.
+     * @param {number} bis - Measured BIS
+     * @param {number} targetBIS - BIS set point
+     * @param {Array} state - Model state [a1, a2, a3, ce]
+     * @param {number} time - Minutes (kept in the TCI target history)
+     * @param {number} maxRateMgKgHr - Rate ceiling
+     * @returns {Object} - {rateMgKgHr, ceTarget, bias}
+     */
+    update(bis, targetBIS, state, time, maxRateMgKgHr) {
+        const { e0, emax } = this.pdModel.getParameters().bis;
+        this.bias += this.settings.biasGain * (bis - this.pdModel.predictBIS(state[3]) - this.bias);
+
+        const margin = 0.01 * emax;
+        const correctedBIS = Math.min(e0 - margin, Math.max(e0 - emax + margin, targetBIS - this.bias));
+        const resolution = this.settings.targetResolution;
+        const ceTarget = Math.round(this.pdModel.ceForBIS(correctedBIS) / resolution) * resolution;
+        if (Math.abs(ceTarget - this.tci.getTarget()) > resolution / 2) {
+            this.tci.setTarget(ceTarget, time);
+        }
+
+        const rateMgKgHr = this.tci.calculateRate(state) * 60.0 / this.weight;
+        return {
+            rateMgKgHr: Math.min(maxRateMgKgHr, rateMgKgHr),
+            ceTarget: this.tci.getTarget(),
+            bias: this.bias
+        };
+    }
+}
+
+/**
+ * Closed-loop simulation of BIS-guided remimazolam infusion
+ */
+class ClosedLoopSimulator {
+    /**
+     * @param {Object} patient - Patient object
+     * @param {Object} options - ClosedLoopDefaults overrides and
+     *   {patientPD, modelPD} (SigmoidEmaxPDModel parameters), {pkParams}, {pump} (InfusionPump)
+     */
+    constructor(patient, options = {}) {
+        if (!patient || !(patient.weight > 0)) {
+            throw new Error('Closed-loop simulation requires a patient with a positive weight');
+        }
+
+        const { patientPD, modelPD, pkParams, pump, ...settings } = options;
+        this.settings = {
+            ...ClosedLoopDefaults,
+            ...settings,
+            monitor: { ...ClosedLoopDefaults.monitor, ...(settings.monitor || {}) },
+            pid: { ...ClosedLoopDefaults.pid, ...(settings.pid || {}) },
+            model: { ...ClosedLoopDefaults.model, ...(settings.model || {}) }
+        };
+        this.validateSettings();
+
+        this.patient = patient;
+        this.pkParams = pkParams || PKModels.calculatePKParameters(patient);
+        this.patientPD = new SigmoidEmaxPDModel(patientPD || {});
+        this.modelPD = new SigmoidEmaxPDModel(modelPD || {});
+        this.pump = pump || null;
+
+        this.adapter = new PKPDIntegrationAdapter(this.pkParams);
+        if (!this.adapter.setMethod(this.settings.method)) {
+            throw new Error(`Unknown solver method: ${this.settings.method}`);
+        }
+    }
+
+    validateSettings() {
+        const { controller, targetBIS, bisRange, duration, controlInterval, timeStep, inductionBolusMg, maxRateMgKgHr } = this.settings;
+        if (controller !== 'pid' && controller !== 'model') {
+            throw new Error(`Unknown closed-loop controller: ${controller}`);
+        }
+        if (!(targetBIS > 0 && targetBIS < 100)) {
+            throw new Error('Target BIS must be between 0 and 100');
+        }
+        if (!Array.isArray(bisRange) || !(bisRange[0] < bisRange[1])) {
+            throw new Error('BIS range must be [lower, upper] with lower < upper');
+        }
+        if (!(controlInterval > 0) || !(timeStep > 0) || !(duration >= controlInterval)) {
+            throw new Error('Control interval and time step must be positive and the duration at least one interval');
+        }
+        if (!(inductionBolusMg >= 0) || !(maxRateMgKgHr > 0)) {
+            throw new Error('Induction bolus must not be negative and the rate ceiling must be positive');
+        }
+    }
+
+    createController() {
+        const { controller, pid, model, controlInterval } = this.settings;
+        if (controller === 'model') {
+            return new BISModelBasedController(this.pkParams, this.patient.weight, this.modelPD, controlInterval, model);
+        }
+        return new BISPIDController(pid);
+    }
+
+    /**
+     * Run the closed loop
+     * @returns {Object} - {records: [{time, bis, rawBIS, patientBIS, stimulation, plasma, ce,
+     *   rateMgKgHr, ceTarget, error}], performance, totalDrugMg, controller, method}
+     */
+    simulate() {
+        const { targetBIS, duration, controlInterval, timeStep, inductionBolusMg, maxRateMgKgHr, monitor, stimulation } = this.settings;
+        const weight = this.patient.weight;
+        const monitorDevice = new VirtualBISMonitor(this.patientPD, { ...monitor, stimulation: stimulation });
+        const controller = this.createController();
+        const intervals = Math.round(duration / controlInterval);
+
+        let state = [inductionBolusMg, 0, 0, 0];
+        let totalDrugMg = inductionBolusMg;
+        let decision = { rateMgKgHr: 0, ceTarget: null };
+        const records = [];
+
+        for (let i = 0; i <= intervals; i++) {
+            const time = i * controlInterval;
+            const reading = monitorDevice.measure(time, state[3], controlInterval);
+
+            // The last reading closes the run; the rate applied before it is kept in its record
+            if (i < intervals) {
+                decision = controller instanceof BISModelBasedController ?
+                    controller.update(reading.bis, targetBIS, state, time, maxRateMgKgHr) :
+                    controller.update(reading.bis, targetBIS, controlInterval, maxRateMgKgHr);
+                if (this.pump) {
+                    decision.rateMgKgHr = this.pump.constrainMgKgHr(decision.rateMgKgHr, weight);
+                }
+            }
+
+            records.push({
+                time: time,
+                bis: reading.bis,
+                rawBIS: reading.rawBIS,
+                patientBIS: reading.patientBIS,
+                stimulation: reading.stimulation,
+                plasma: state[0] / this.pkParams.V1,
+                ce: state[3],
+                rateMgKgHr: decision.rateMgKgHr,
+                ceTarget: decision.ceTarget !== undefined ? decision.ceTarget : null,
+                error: reading.bis - targetBIS
+            });
+            if (i === intervals) break;
+
+            const segment = this.adapter.simulate(
+                [new DoseEvent(0, 0, decision.rateMgKgHr)], this.patient, controlInterval,
+                { timeStep: Math.min(timeStep, controlInterval), initialState: state }
+            );
+            const end = segment.timeSeriesData[segment.timeSeriesData.length - 1];
+            state = [end.compartmentAmounts.a1, end.compartmentAmounts.a2, end.compartmentAmounts.a3, end.effectSiteConcentration];
+            totalDrugMg += decision.rateMgKgHr * weight / 60.0 * controlInterval;
+        }
+
+        return {
+            records: records,
+            performance: ClosedLoopSimulator.evaluatePerformance(
+                records, targetBIS, this.settings.bisRange, this.settings.evaluationStart),
+            totalDrugMg: totalDrugMg,
+            controller: this.settings.controller,
+            method: this.adapter.solver.getCurrentMethod()
+        };
+    }
+
+    /**
+     * Varvel performance of the measured BIS from evaluationStart on
+     * PE = (BIS - target) / target · 100
+     * @returns {Object} - {mdpe, mdape, wobble, timeInRange (%), samples}
+     */
+    static evaluatePerformance(records, targetBIS, bisRange = ClosedLoopDefaults.bisRange, evaluationStart = 0) {
+        const evaluated = records.filter(record => record.time >= evaluationStart);
+        const pe = evaluated.map(record => (record.bis - targetBIS) / targetBIS * 100);
+        const mdpe = medianOf(pe);
+        const inRange = evaluated.filter(record => record.bis >= bisRange[0] && record.bis <= bisRange[1]).length;
+
+        return {
+            mdpe: mdpe,
+            mdape: medianOf(pe.map(Math.abs)),
+            wobble: medianOf(pe.map(value => Math.abs(value - mdpe))),
+            timeInRange: evaluated.length > 0 ? inRange / evaluated.length * 100 : 0,
+            samples: evaluated.length
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ClosedLoopDefaults = ClosedLoopDefaults;
+    window.VirtualBISMonitor = VirtualBISMonitor;
+    window.BISPIDController = BISPIDController;
+    window.BISModelBasedController = BISModelBasedController;
+    window.ClosedLoopSimulator = ClosedLoopSimulator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ClosedLoopDefaults,
+        VirtualBISMonitor,
+        BISPIDController,
+        BISModelBasedController,
+        ClosedLoopSimulator
+    };
+}
@@ -0,0 +1,285 @@
+/**
+ * Closed-loop Simulation Tests
+ * Validates the virtual BIS monitor, the PID and model-based controllers and the interval-by-interval simulation
+ */
+
+class ClosedLoopTests {
+    constructor() {
+        this.testResults = [];
+        this.tolerance = 1e-9;
+    }
+
+    createPatient() {
+        return new Patient('test-closed-loop', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2);
+    }
+
+    createStimulation() {
+        return [
+            { time: 30, duration: 3, bisIncrease: 15 },
+            { time: 60, duration: 10, bisIncrease: 10 }
+        ];
+    }
+
+    /**
+     * Mean rate over [from, to) minutes
+     */
+    meanRate(records, from, to) {
+        const window = records.filter(record => record.time >= from && record.time < to);
+        return window.reduce((sum, record) => sum + record.rateMgKgHr, 0) / window.length;
+    }
+
+    /**
+     * Noise, smoothing, stimulation and reproducibility of the virtual monitor
+     */
+    testVirtualMonitor() {
+        console.log('=== Testing virtual BIS monitor ===');
+
+        const pd = new SigmoidEmaxPDModel();
+        const exact = new VirtualBISMonitor(pd, { noiseSD: 0, smoothingTime: 0, stimulation: this.createStimulation() });
+
+        const readings = (options) => {
+            const monitor = new VirtualBISMonitor(pd, options);
+            return Array.from({ length: 2000 }, (_, i) => monitor.measure(i / 12, 1.0, 1 / 12));
+        };
+        const raw = readings({ smoothingTime: 0 }).map(reading => reading.rawBIS);
+        const mean = raw.reduce((sum, value) => sum + value, 0) / raw.length;
+        const sd = Math.sqrt(raw.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (raw.length - 1));
+        const smoothed = readings({}).map(reading => reading.bis);
+        const smoothedMean = smoothed.reduce((sum, value) => sum + value, 0) / smoothed.length;
+        const smoothedSD = Math.sqrt(smoothed.reduce((sum, value) => sum + (value - smoothedMean) ** 2, 0) / (smoothed.length - 1));
+
+        const checks = [
+            Math.abs(exact.measure(10, 1.5, 1 / 12).bis - pd.predictBIS(1.5)) < this.tolerance,
+            Math.abs(exact.measure(31, 1.5, 1 / 12).bis - (pd.predictBIS(1.5) + 15)) < this.tolerance,
+            exact.measure(33, 1.5, 1 / 12).stimulation === 0 && exact.stimulationAt(65) === 10,
+            exact.measure(30, 0, 1 / 12).bis === 100,
+            Math.abs(mean - pd.predictBIS(1.0)) < 0.3 && Math.abs(sd - 3.0) < 0.3,
+            smoothedSD < sd / 2,
+            JSON.stringify(readings({ seed: 7 })) === JSON.stringify(readings({ seed: 7 })),
+            readings({ seed: 7 })[0].rawBIS !== readings({ seed: 8 })[0].rawBIS,
+            Math.abs(pd.predictBIS(pd.ceForBIS(50)) - 50) < this.tolerance
+        ];
+
+        const testResult = {
+            testName: 'Virtual BIS Monitor',
+            passed: checks.every(Boolean),
+            details: { mean: mean, sd: sd, smoothedSD: smoothedSD, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Raw BIS ${mean.toFixed(2)} ± ${sd.toFixed(2)}, smoothed SD ${smoothedSD.toFixed(2)}`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * PID loop: BIS held in range, segments chain exactly, stimulation answered with more drug
+     */
+    testPIDControl() {
+        console.log('=== Testing PID closed loop ===');
+
+        const patient = this.createPatient();
+        const options = { controller: 'pid', inductionBolusMg: 12, stimulation: this.createStimulation() };
+        const simulator = new ClosedLoopSimulator(patient, options);
+        const result = simulator.simulate();
+        const records = result.records;
+        const settings = simulator.settings;
+
+        // Open-loop replay of the recorded rates in one analytical run
+        const events = records.slice(0, -1).map((record, i) =>
+            new DoseEvent(record.time, i === 0 ? 12 : 0, record.rateMgKgHr));
+        const replayAdapter = new PKPDIntegrationAdapter(simulator.pkParams);
+        replayAdapter.setMethod('analytical');
+        const replay = replayAdapter.simulate(events, patient, settings.duration, { timeStep: settings.controlInterval });
+        const replayError = Math.max(...records.map((record, i) =>
+            Math.abs(record.ce - replay.timeSeriesData[i].effectSiteConcentration)));
+
+        const rk4 = new ClosedLoopSimulator(patient, { ...options, method: 'rk4' }).simulate();
+        const rk4Error = Math.max(...rk4.records.map((record, i) => Math.abs(record.ce - records[i].ce)));
+        const drugMg = 12 + records.slice(0, -1).reduce((sum, record) =>
+            sum + record.rateMgKgHr * patient.weight / 60.0 * settings.controlInterval, 0);
+
+        const checks = [
+            result.performance.timeInRange >= 90 && Math.abs(result.performance.mdpe) < 10 && result.performance.mdape < 10,
+            records.length === Math.round(settings.duration / settings.controlInterval) + 1,
+            records.every(record => record.rateMgKgHr >= 0 && record.rateMgKgHr <= settings.maxRateMgKgHr),
+            replay.timeSeriesData.length === records.length && replayError < 1e-9,
+            rk4.method === 'rk4' && rk4Error < 1e-3,
+            this.meanRate(records, 30, 33) > this.meanRate(records, 25, 29),
+            Math.abs(result.totalDrugMg - drugMg) < 1e-6,
+            JSON.stringify(simulator.simulate().records) === JSON.stringify(records)
+        ];
+
+        const testResult = {
+            testName: 'PID Control',
+            passed: checks.every(Boolean),
+            details: { performance: result.performance, replayError: replayError, rk4Error: rk4Error, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`PID: MDPE ${result.performance.mdpe.toFixed(1)}%, MDAPE ${result.performance.mdape.toFixed(1)}%, ` +
+            `${result.performance.timeInRange.toFixed(1)}% in range, ${result.totalDrugMg.toFixed(1)} mg`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * The integral stops at the rate limits, so the rate drops as soon as the error changes sign
+     */
+    testAntiWindup() {
+        console.log('=== Testing PID anti-windup ===');
+
+        // Low proportional gain so the integral has to bring the rate to the limit
+        const limited = new BISPIDController({ kp: 0.02 });
+        const unlimited = new BISPIDController({ kp: 0.02 });
+        let saturated = null;
+        for (let i = 0; i < 100; i++) {
+            saturated = limited.update(80, 50, 1.0, 2.0);
+            unlimited.update(80, 50, 1.0, Infinity);
+        }
+        const integralAtLimit = limited.integral;
+        const recovered = limited.update(45, 50, 1.0, 2.0);
+        const floor = new BISPIDController({ kp: 0.02 });
+        for (let i = 0; i < 100; i++) {
+            floor.update(20, 50, 1.0, 2.0);
+        }
+
+        const checks = [
+            saturated.rateMgKgHr === 2.0,
+            integralAtLimit > 0 && integralAtLimit < 100 && unlimited.integral === 3000,
+            recovered.rateMgKgHr < 2.0 && recovered.integral < integralAtLimit,
+            floor.update(20, 50, 1.0, 2.0).rateMgKgHr === 0 && floor.integral < 0 && floor.integral > -100,
+            floor.update(55, 50, 1.0, 2.0).rateMgKgHr > 0
+        ];
+
+        const testResult = {
+            testName: 'PID Anti-windup',
+            passed: checks.every(Boolean),
+            details: { integralAtLimit: integralAtLimit, recovered: recovered, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Integral held at ${integralAtLimit.toFixed(1)} (unlimited ${unlimited.integral.toFixed(0)})`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Model-based loop on a patient less sensitive than the model: the bias moves the Ce target
+     */
+    testModelBasedControl() {
+        console.log('=== Testing model-based closed loop ===');
+
+        const patient = this.createPatient();
+        const patientPD = { bis: { ce50: 1.2 } };
+        const simulator = new ClosedLoopSimulator(patient, {
+            controller: 'model', inductionBolusMg: 12, stimulation: this.createStimulation(), patientPD: patientPD
+        });
+        const result = simulator.simulate();
+        const records = result.records;
+        const patientCe = new SigmoidEmaxPDModel(patientPD).ceForBIS(50);
+        const late = records.filter(record => record.time >= 100);
+        const lateCe = late.reduce((sum, record) => sum + record.ce, 0) / late.length;
+        const pid = new ClosedLoopSimulator(patient, {
+            controller: 'pid', inductionBolusMg: 12, stimulation: this.createStimulation(), patientPD: patientPD
+        }).simulate();
+
+        const checks = [
+            result.controller === 'model' && result.performance.timeInRange >= 90,
+            Math.abs(result.performance.mdpe) < 5,
+            Math.abs(lateCe - patientCe) / patientCe < 0.1,
+            late.every(record => record.ceTarget > simulator.modelPD.ceForBIS(50)),
+            this.meanRate(records, 60, 70) > this.meanRate(records, 50, 60),
+            pid.performance.timeInRange >= 80
+        ];
+
+        const testResult = {
+            testName: 'Model-based Control',
+            passed: checks.every(Boolean),
+            details: { performance: result.performance, pid: pid.performance, lateCe: lateCe, patientCe: patientCe, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Model-based: MDPE ${result.performance.mdpe.toFixed(1)}%, ${result.performance.timeInRange.toFixed(1)}% in range; ` +
+            `late Ce ${lateCe.toFixed(2)} vs ${patientCe.toFixed(2)} μg/mL for BIS 50`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Invalid settings, PD targets and stimulation events are rejected
+     */
+    testErrors() {
+        console.log('=== Testing closed-loop errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const patient = this.createPatient();
+        const pd = new SigmoidEmaxPDModel();
+
+        const checks = [
+            expectError(() => new ClosedLoopSimulator(null)),
+            expectError(() => new ClosedLoopSimulator(patient, { controller: 'fuzzy' })),
+            expectError(() => new ClosedLoopSimulator(patient, { targetBIS: 0 })),
+            expectError(() => new ClosedLoopSimulator(patient, { bisRange: [60, 40] })),
+            expectError(() => new ClosedLoopSimulator(patient, { duration: 0.01 })),
+            expectError(() => new ClosedLoopSimulator(patient, { method: 'midpoint' })),
+            expectError(() => new ClosedLoopSimulator(patient, { stimulation: [{ time: 5, duration: 0, bisIncrease: 10 }] }).simulate()),
+            expectError(() => new VirtualBISMonitor(pd, { noiseSD: -1 })),
+            expectError(() => new BISPIDController({ kp: -0.1 })),
+            expectError(() => pd.ceForBIS(95)),
+            expectError(() => pd.ceForBIS(40))
+        ];
+
+        const testResult = {
+            testName: 'Closed-loop Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Closed-loop Simulation Tests');
+        console.log('===============================================');
+
+        this.testVirtualMonitor();
+        this.testPIDControl();
+        this.testAntiWindup();
+        this.testModelBasedControl();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ClosedLoopTests = ClosedLoopTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClosedLoopTests };
+}
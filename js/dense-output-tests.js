@@ -0,0 +1,295 @@
+/**
+ * Dense Output Tests
+ * Validates continuous solver output, SimulationResult queries at any time and threshold crossings
+ */
+
+class DenseOutputTests {
+    constructor() {
+        this.testResults = [];
+        this.offGridTimes = [0.37, 7.77, 20.123, 39.999, 40, 45.5, 59.99];
+    }
+
+    createPatient() {
+        return new Patient('test-dense', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2);
+    }
+
+    createKernel() {
+        const patient = this.createPatient();
+        return new SimulationKernel(PKModels.calculatePKParameters(patient), patient.weight);
+    }
+
+    /**
+     * Induction bolus, a rate change between grid points and a second bolus
+     */
+    createDoseEvents() {
+        return [new DoseEvent(0, 12, 1.0), new DoseEvent(20.05, 0, 0.5), new DoseEvent(40, 3, 0.5)];
+    }
+
+    /**
+     * RK45 and LSODA dense output against the exact solution between their output points
+     */
+    testSolverDenseOutput() {
+        console.log('=== Testing RK45 / LSODA dense output ===');
+
+        const patient = this.createPatient();
+        const pkParams = PKModels.calculatePKParameters(patient);
+        const odeSystem = createPKPDSystem(pkParams);
+        const doseEvents = this.createDoseEvents();
+        const exact = this.createKernel().simulate(SimulationEvent.fromDoseEvents(doseEvents), 60, { method: 'analytical' });
+
+        const solve = (solver, options = {}) => solver.solve(odeSystem, [0, 0, 0, 0], 0, 60, {
+            timeStep: 0.1, doseEvents: doseEvents, patient: patient, ...options
+        });
+        const maxError = (denseOutput, quantity) => Math.max(...this.offGridTimes.map(time =>
+            Math.abs(denseOutput.valueAt(time, quantity) - exact.concentrationsAt(time)[quantity === 'ce' ? 'effectSite' : 'plasma'])));
+
+        const rk45 = solve(new RK45Solver());
+        const lsoda = solve(new LSODASolver(), { rtol: 1e-8, atol: 1e-10 });
+        const adapter = new PKPDIntegrationAdapter(pkParams);
+        adapter.setMethod('rk45');
+        const clinical = adapter.simulate(doseEvents, patient, 60);
+
+        const checks = [
+            rk45.denseOutput instanceof DenseOutput && rk45.denseOutput.startTime === 0 && rk45.denseOutput.endTime === 60,
+            rk45.denseOutput.segments.length === rk45.times.length - 1,
+            maxError(rk45.denseOutput, 'ce') < 1e-3 && maxError(rk45.denseOutput, 'plasma') < 1e-3,
+            maxError(lsoda.denseOutput, 'ce') < 1e-6 && maxError(lsoda.denseOutput, 'plasma') < 1e-6,
+            // Output points are reproduced and the bolus at 40 min is already in the state at 40 min
+            rk45.times.every((time, i) => Math.abs(rk45.denseOutput.stateAt(time)[3] - rk45.states[i][3]) < 1e-12),
+            Math.abs(lsoda.denseOutput.valueAt(40, 'plasma') - exact.plasmaConcentrationAt(40)) < 1e-6,
+            clinical.denseOutput instanceof DenseOutput && clinical.denseOutput.stateAt(33.3).length === 5,
+            new EulerSolver().solve(odeSystem, [0, 0, 0, 0], 0, 10, { timeStep: 0.1 }).denseOutput === undefined
+        ];
+
+        const testResult = {
+            testName: 'Solver Dense Output',
+            passed: checks.every(Boolean),
+            details: {
+                rk45CeError: maxError(rk45.denseOutput, 'ce'),
+                lsodaCeError: maxError(lsoda.denseOutput, 'ce'),
+                checks: checks
+            }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Max Ce error between output points: RK45 ${testResult.details.rk45CeError.toExponential(2)}, LSODA ${testResult.details.lsodaCeError.toExponential(2)} μg/mL`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * SimulationResult concentrations at any minute or clock time without resimulating
+     */
+    testSimulationResultQueries() {
+        console.log('=== Testing SimulationResult queries ===');
+
+        const patient = this.createPatient();
+        const kernel = this.createKernel();
+        const events = SimulationEvent.fromDoseEvents(this.createDoseEvents());
+        const exact = kernel.simulate(events, 60, { method: 'analytical', patient: patient });
+        const rk4 = kernel.simulate(events, 60, { method: 'rk4' });
+        const stored = kernel.simulate(events, 60, { method: 'analytical', denseOutput: false });
+
+        // Reference: a fresh simulation ending at the query time
+        const resimulated = (time) => kernel.simulate(events, time, { method: 'analytical' }).finalState;
+        const clockTime = patient.minutesToClockTime(45.5);
+
+        const checks = [
+            this.offGridTimes.every(time => Math.abs(exact.effectSiteConcentrationAt(time) - resimulated(time).ce) < 1e-9),
+            this.offGridTimes.every(time => Math.abs(exact.plasmaConcentrationAt(time) - resimulated(time).a1 / kernel.pk.V1) < 1e-9),
+            this.offGridTimes.every(time => Math.abs(rk4.effectSiteConcentrationAt(time) - exact.effectSiteConcentrationAt(time)) < 1e-6),
+            exact.concentrationsAtClockTime(clockTime).effectSite === exact.effectSiteConcentrationAt(45.5),
+            // Without a dense output the stored points are interpolated linearly
+            stored.denseOutput === null && stored.effectSiteConcentrationAt(20.1) === stored.effectSiteConcentrations[201],
+            Math.abs(stored.effectSiteConcentrationAt(45.55) - 0.5 * (stored.effectSiteConcentrations[455] + stored.effectSiteConcentrations[456])) < 1e-12,
+            Math.abs(stored.effectSiteConcentrationAt(45.55) - exact.effectSiteConcentrationAt(45.55)) < 1e-4
+        ];
+
+        const testResult = {
+            testName: 'SimulationResult Queries',
+            passed: checks.every(Boolean),
+            details: { ceAt45_5: exact.effectSiteConcentrationAt(45.5), checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Ce at 45.5 min: ${testResult.details.ceAt45_5.toFixed(6)} μg/mL`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * First crossing times, checked by resimulating to the reported time
+     */
+    testCrossings() {
+        console.log('=== Testing threshold crossings ===');
+
+        const kernel = this.createKernel();
+        const bolusEvents = [SimulationEvent.bolus(0, 10)];
+        const exact = kernel.simulate(bolusEvents, 60, { method: 'analytical' });
+        const rk4 = kernel.simulate(bolusEvents, 60, { method: 'rk4' });
+        const ceAt = (time) => kernel.simulate(bolusEvents, time, { method: 'analytical' }).finalState.ce;
+
+        const rising = exact.findFirstCrossing(0.3, { direction: 'rising' });
+        const falling = exact.findFirstCrossing(0.3, { direction: 'falling' });
+        const peakTime = exact.timeVector[exact.effectSiteConcentrations.indexOf(exact.maxEffectSiteConcentration)];
+
+        // The second bolus lifts Cp across the threshold at the jump
+        const withBolus = kernel.simulate(SimulationEvent.fromDoseEvents(this.createDoseEvents()), 60, { method: 'analytical' });
+        const linear = kernel.simulate(bolusEvents, 60, { method: 'analytical', denseOutput: false });
+
+        // A short Ce peak inside one 30 min exact segment, with the threshold just below it
+        const shortPeak = new DenseOutput(kernel.pk);
+        shortPeak.addExactSegment(0, 30, [0.6 * kernel.pk.V1, 0, 0, 0.55], 0);
+        const [shortPeakTime] = shortPeak.exactExtrema(shortPeak.segments[0], 'ce', 0);
+        const peakState = shortPeak.stateAt(shortPeakTime);
+        const nearPeak = shortPeak.valueAt(shortPeakTime) - 1e-7;
+        const shortRising = shortPeak.findCrossing(nearPeak, { direction: 'rising' });
+        const shortFalling = shortPeak.findCrossing(nearPeak, { direction: 'falling' });
+
+        const checks = [
+            rising > 0 && rising < peakTime && Math.abs(ceAt(rising) - 0.3) < 1e-8,
+            falling > peakTime && Math.abs(ceAt(falling) - 0.3) < 1e-8,
+            exact.findFirstCrossing(0.3) === rising,
+            exact.findFirstCrossing(0.3, { startTime: rising + 1 }) === falling,
+            Math.abs(rk4.findFirstCrossing(0.3, { direction: 'falling' }) - falling) < 1e-5,
+            exact.findFirstCrossing(5.0) === null,
+            withBolus.findFirstCrossing(1.0, { quantity: 'plasma', direction: 'rising', startTime: 30 }) === 40,
+            Math.abs(linear.findFirstCrossing(0.3, { direction: 'falling' }) - falling) < 1e-3,
+            shortPeakTime < 0.2 && Math.abs(peakState[0] / kernel.pk.V1 - peakState[3]) < 1e-12,
+            shortRising < shortPeakTime && Math.abs(shortPeak.valueAt(shortRising) - nearPeak) < 1e-12,
+            shortFalling > shortPeakTime && shortFalling < 0.2 && Math.abs(shortPeak.valueAt(shortFalling) - nearPeak) < 1e-12
+        ];
+
+        const testResult = {
+            testName: 'Threshold Crossings',
+            passed: checks.every(Boolean),
+            details: { rising: rising, falling: falling, shortPeakTime: shortPeakTime, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Ce crosses 0.3 μg/mL at ${rising.toFixed(6)} min (rising) and ${falling.toFixed(6)} min (falling)`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Protocol evaluation time points between grid points and at grid points
+     */
+    testProtocolEvaluation() {
+        console.log('=== Testing protocol evaluation time points ===');
+
+        const engine = new EnhancedProtocolEngine();
+        engine.setPatient(this.createPatient());
+        engine.updateSettings({ simulationDuration: 60, evaluationTimePoints: [30, 45, 60] });
+
+        const matchesSeries = (protocol) => protocol.concentrationAtTimePoints.every(point => {
+            const data = protocol.timeSeriesData.find(d => Math.abs(d.time - point.time) < 1e-9);
+            return Math.abs(point.effectSiteConcentration - data.ce) < 1e-9 && Math.abs(point.plasmaConcentration - data.plasma) < 1e-9;
+        });
+        const predictive = engine.generatePredictiveProtocol(6, 1.0);
+        const tci = engine.buildTCIProtocol(1.0);
+
+        // Between grid points the values come from the replayed dosing, not the closest point
+        engine.updateSettings({ evaluationTimePoints: [30.005, 45.5] });
+        const offGrid = engine.generatePredictiveProtocol(6, 1.0);
+        const ceAt = (time) => offGrid.timeSeriesData.find(d => Math.abs(d.time - time) < 1e-9).ce;
+        const offGridCe = offGrid.concentrationAtTimePoints[0].effectSiteConcentration;
+        // The 30 min adjustment takes effect one step later: at 30.005 min the old rate still runs
+        const adjustmentAt = (time) => offGrid.dosageAdjustments.find(adj => Math.abs(adj.time - time) < 1e-9);
+
+        const checks = [
+            matchesSeries(predictive),
+            matchesSeries(tci),
+            offGridCe > Math.min(ceAt(30), ceAt(30.01)) && offGridCe < Math.max(ceAt(30), ceAt(30.01)),
+            Math.abs(offGrid.concentrationAtTimePoints[1].effectSiteConcentration - ceAt(45.5)) < 1e-9,
+            offGrid.concentrationAtTimePoints[0].infusionRate === adjustmentAt(30).oldRate,
+            offGrid.concentrationAtTimePoints[1].infusionRate === adjustmentAt(45).newRate
+        ];
+
+        const testResult = {
+            testName: 'Protocol Evaluation',
+            passed: checks.every(Boolean),
+            details: { evaluation: offGrid.concentrationAtTimePoints, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Queries outside the simulation and invalid options are rejected
+     */
+    testErrors() {
+        console.log('=== Testing dense output errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const kernel = this.createKernel();
+        const result = kernel.simulate([SimulationEvent.bolus(0, 10)], 30, { method: 'analytical' });
+        const stored = kernel.simulate([SimulationEvent.bolus(0, 10)], 30, { method: 'analytical', denseOutput: false });
+
+        const checks = [
+            expectError(() => result.concentrationsAt(30.5)),
+            expectError(() => result.concentrationsAt(-1)),
+            expectError(() => stored.concentrationsAt(31)),
+            expectError(() => result.concentrationsAtClockTime(new Date())),
+            expectError(() => result.findFirstCrossing(0.3, { quantity: 'bis' })),
+            expectError(() => stored.findFirstCrossing(0.3, { direction: 'up' })),
+            expectError(() => result.denseOutput.valueAt(10, 'a1')),
+            expectError(() => new DenseOutput().addExactSegment(0, 1, [1, 0, 0, 0], 0)),
+            expectError(() => new DenseOutput().stateAt(0))
+        ];
+
+        const testResult = {
+            testName: 'Dense Output Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Dense Output Tests');
+        console.log('===============================================');
+
+        this.testSolverDenseOutput();
+        this.testSimulationResultQueries();
+        this.testCrossings();
+        this.testProtocolEvaluation();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DenseOutputTests = DenseOutputTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DenseOutputTests };
+}
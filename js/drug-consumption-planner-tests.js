@@ -0,0 +1,192 @@
+/**
+ * Drug Consumption Planner Tests
+ * Validates cumulative drug use, vial count and syringe-empty prediction
+ */
+
+class DrugConsumptionPlannerTests {
+    constructor() {
+        this.testResults = [];
+        this.tolerance = 1e-6;
+    }
+
+    createPatient() {
+        return new Patient('test-consumption', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2);
+    }
+
+    /**
+     * Bolus 7 mg + 70 mg/h for one hour: 77 mg, first 50 mL syringe empty at 43 / (70/60) min
+     */
+    testConsumptionPlan() {
+        console.log('=== Testing consumption plan ===');
+
+        const doseEvents = [new DoseEvent(0, 7, 1.0), new DoseEvent(60, 0, 0)];
+        const planner = new DrugConsumptionPlanner(new InfusionPump());
+        const plan = planner.plan(doseEvents, 70, 60);
+        const concentrated = new DrugConsumptionPlanner(new InfusionPump({ drugConcentrationMgMl: 2.0 })).plan(doseEvents, 70, 60);
+        const expectedEmpty = 43 / (70 / 60);
+
+        const checks = [
+            Math.abs(plan.totalMg - 77) < this.tolerance && Math.abs(plan.totalMl - 77) < this.tolerance,
+            plan.cumulative.length === 61 && Math.abs(plan.cumulative[30].mg - 42) < this.tolerance,
+            plan.cumulative[plan.cumulative.length - 1].time === 60,
+            plan.syringeCount === 2 && plan.vials === 2,
+            plan.emptyTimes.length === 1 && Math.abs(plan.emptyTimes[0] - expectedEmpty) < this.tolerance,
+            concentrated.syringeCount === 1 && concentrated.vials === 2 && concentrated.emptyTimes.length === 0,
+            Math.abs(DrugConsumptionPlanner.deliveredMgAt(doseEvents, 70, 120) - 77) < this.tolerance
+        ];
+
+        const testResult = {
+            testName: 'Consumption Plan',
+            passed: checks.every(Boolean),
+            details: { totalMg: plan.totalMg, emptyTimes: plan.emptyTimes, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Total ${plan.totalMg.toFixed(1)} mg, ${plan.vials} vials, syringe 1 empty at ${plan.emptyTimes[0].toFixed(2)} min`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Countdown to the next syringe change and its warning window
+     */
+    testSyringeCountdown() {
+        console.log('=== Testing syringe countdown ===');
+
+        const planner = new DrugConsumptionPlanner(new InfusionPump(), { warningMinutes: 10 });
+        const plan = planner.plan([new DoseEvent(0, 7, 1.0)], 70, 120);
+        const atStart = planner.nextSyringeChange(plan, 0);
+        const soon = planner.nextSyringeChange(plan, 30);
+        const later = planner.nextSyringeChange(plan, 40);
+
+        const checks = [
+            atStart.syringeNumber === 1 && !atStart.warning,
+            Math.abs(atStart.minutesRemaining - plan.emptyTimes[0]) < this.tolerance,
+            soon.syringeNumber === 1 && soon.warning,
+            later.syringeNumber === 2 && Math.abs(later.emptyTime - plan.emptyTimes[1]) < this.tolerance,
+            planner.nextSyringeChange(plan, 200) === null
+        ];
+
+        const testResult = {
+            testName: 'Syringe Countdown',
+            passed: checks.every(Boolean),
+            details: { emptyTimes: plan.emptyTimes, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Syringe empty times: ${plan.emptyTimes.map(t => t.toFixed(1)).join(', ')} min`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * MonitoringEngine plans until the stop time, the last event, or 120 min past a running infusion
+     */
+    testMonitoringEngineIntegration() {
+        console.log('=== Testing MonitoringEngine consumption planning ===');
+
+        const engine = new MonitoringEngine();
+        engine.setPatient(this.createPatient());
+        engine.addDoseEvent(new DoseEvent(0, 7, 1.0));
+        const running = engine.planDrugConsumption();
+
+        engine.setEmergenceOptions({ stopTime: 90 });
+        const untilStop = engine.planDrugConsumption();
+
+        engine.setEmergenceOptions({ stopTime: null });
+        engine.addDoseEvent(new DoseEvent(60, 0, 0));
+        const stopped = engine.planDrugConsumption();
+
+        engine.setInfusionPump(new InfusionPump({ syringeVolumeMl: 20 }));
+        const smallSyringe = engine.planDrugConsumption();
+        const change = engine.getNextSyringeChange(smallSyringe, 0);
+
+        const checks = [
+            running.endTime === 120,
+            untilStop.endTime === 90 && Math.abs(untilStop.totalMg - (7 + 70 * 1.5)) < this.tolerance,
+            stopped.endTime === 60 && Math.abs(stopped.totalMg - 77) < this.tolerance,
+            smallSyringe.syringeCount === 4 && smallSyringe.emptyTimes.length === 3,
+            change.syringeNumber === 1 && Math.abs(change.emptyTime - 13 / (70 / 60)) < this.tolerance
+        ];
+
+        const testResult = {
+            testName: 'MonitoringEngine Integration',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Missing events, bad end times and vial sizes are rejected
+     */
+    testErrors() {
+        console.log('=== Testing consumption planner errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const planner = new DrugConsumptionPlanner();
+        const doseEvents = [new DoseEvent(0, 7, 1.0)];
+
+        const checks = [
+            expectError(() => planner.plan([], 70, 60)),
+            expectError(() => planner.plan(doseEvents, 0, 60)),
+            expectError(() => planner.plan(doseEvents, 70, NaN)),
+            expectError(() => new DrugConsumptionPlanner(new InfusionPump(), { vialMg: 0 })),
+            expectError(() => new MonitoringEngine().planDrugConsumption())
+        ];
+
+        const testResult = {
+            testName: 'Planner Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Drug Consumption Planner Tests');
+        console.log('===============================================');
+
+        this.testConsumptionPlan();
+        this.testSyringeCountdown();
+        this.testMonitoringEngineIntegration();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DrugConsumptionPlannerTests = DrugConsumptionPlannerTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DrugConsumptionPlannerTests };
+}
@@ -0,0 +1,134 @@
+/**
+ * Drug Consumption and Syringe-Change Planner for Remimazolam TCI TIVA
+ * Predicts drug use and when each syringe runs empty so the infusion is never interrupted
+ *
+ * Features:
+ * - Cumulative mg and mL delivered over time for a dose event timeline
+ * - Vials needed to fill the syringes used (50 mg vials by default)
+ * - Time each syringe runs empty for the pump's syringe size and dilution
+ * - Countdown to the next syringe change from the current time
+ */
+
+// Import required modules for Node.js environment
+if (typeof require !== 'undefined') {
+    const { InfusionPump } = require('./infusion-pump.js');
+
+    global.InfusionPump = InfusionPump;
+}
+
+const DrugConsumptionDefaults = {
+    vialMg: 50,          // Remimazolam besilate vial (mg)
+    sampleInterval: 1.0, // Cumulative record step (minutes)
+    warningMinutes: 10   // Countdown warns when a syringe empties within this time
+};
+
+class DrugConsumptionPlanner {
+    /**
+     * @param {InfusionPump} pump - Syringe size and dilution
+     * @param {Object} options - {vialMg, sampleInterval, warningMinutes}
+     */
+    constructor(pump = new InfusionPump(), options = {}) {
+        this.pump = pump;
+        this.options = { ...DrugConsumptionDefaults, ...options };
+
+        if (!(this.options.vialMg > 0) || !(this.options.sampleInterval > 0)) {
+            throw new Error('Vial size and sample interval must be positive');
+        }
+    }
+
+    setPump(pump) {
+        this.pump = pump;
+    }
+
+    /**
+     * Drug delivered (mg) from the start up to a time
+     * @param {Array} doseEvents - DoseEvent-like objects ({timeInMinutes, bolusMg, continuousMgKgHr})
+     */
+    static deliveredMgAt(doseEvents, weight, time) {
+        const events = [...doseEvents].sort((a, b) => a.timeInMinutes - b.timeInMinutes);
+        let mg = 0;
+
+        events.forEach((event, index) => {
+            if (event.timeInMinutes > time) return;
+            mg += event.bolusMg;
+
+            const until = index + 1 < events.length ? Math.min(events[index + 1].timeInMinutes, time) : time;
+            mg += event.continuousMgKgHr * weight / 60.0 * Math.max(0, until - event.timeInMinutes);
+        });
+
+        return mg;
+    }
+
+    /**
+     * Consumption plan for a dose event timeline
+     * @param {Array} doseEvents - DoseEvent-like objects
+     * @param {number} weight - Patient weight (kg)
+     * @param {number} endTime - End of the infusion (minutes)
+     * @returns {Object} - {endTime, totalMg, totalMl, syringeMg, syringeCount, vials, vialMg, emptyTimes, cumulative}
+     */
+    plan(doseEvents, weight, endTime) {
+        if (!doseEvents || doseEvents.length === 0) {
+            throw new Error('At least one dose event is required for consumption planning');
+        }
+        if (!(weight > 0)) {
+            throw new Error('Consumption planning requires a positive patient weight');
+        }
+        if (!Number.isFinite(endTime) || endTime < 0) {
+            throw new Error('Consumption planning end time must be a non-negative number');
+        }
+
+        const volume = this.pump.calculateVolumeUse(doseEvents, weight, endTime);
+        const syringeMg = this.pump.mlToMg(this.pump.syringeVolumeMl);
+
+        const cumulative = [];
+        const steps = Math.ceil(endTime / this.options.sampleInterval - 1e-9);
+        for (let i = 0; i <= steps; i++) {
+            const time = Math.min(i * this.options.sampleInterval, endTime);
+            const mg = DrugConsumptionPlanner.deliveredMgAt(doseEvents, weight, time);
+            cumulative.push({ time: time, mg: mg, ml: this.pump.mgToMl(mg) });
+        }
+
+        return {
+            endTime: endTime,
+            totalMg: this.pump.mlToMg(volume.totalMl),
+            totalMl: volume.totalMl,
+            syringeMg: syringeMg,
+            syringeCount: volume.syringes,
+            vials: Math.ceil(volume.syringes * syringeMg / this.options.vialMg - 1e-9),
+            vialMg: this.options.vialMg,
+            emptyTimes: volume.emptyTimes,
+            cumulative: cumulative
+        };
+    }
+
+    /**
+     * Next syringe change after the current time
+     * @param {Object} plan - Result of plan()
+     * @param {number} currentTime - Minutes from anesthesia start
+     * @returns {Object|null} - {syringeNumber, emptyTime, minutesRemaining, warning}, null when no syringe empties later
+     */
+    nextSyringeChange(plan, currentTime) {
+        const index = plan.emptyTimes.findIndex(time => time > currentTime);
+        if (index < 0) {
+            return null;
+        }
+
+        const minutesRemaining = plan.emptyTimes[index] - currentTime;
+        return {
+            syringeNumber: index + 1,
+            emptyTime: plan.emptyTimes[index],
+            minutesRemaining: minutesRemaining,
+            warning: minutesRemaining <= this.options.warningMinutes
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DrugConsumptionPlanner = DrugConsumptionPlanner;
+    window.DrugConsumptionDefaults = DrugConsumptionDefaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DrugConsumptionPlanner, DrugConsumptionDefaults };
+}
@@ -0,0 +1,246 @@
+/**
+ * Emergence Predictor Tests
+ * Validates decrement times, wake-up prediction and the emergence planner
+ */
+
+class EmergencePredictorTests {
+    constructor() {
+        this.testResults = [];
+        this.tolerance = 0.01; // minutes
+    }
+
+    createPatient() {
+        return new Patient('test-emergence', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2);
+    }
+
+    /**
+     * One-compartment parameters: every decrement time is ln(1/remaining)/k10 regardless of context
+     */
+    testOneCompartmentDecrement() {
+        console.log('=== Testing one-compartment decrement times ===');
+
+        const pkParams = { V1: 10, k10: 0.1, k12: 0, k21: 0, k13: 0, k31: 0, ke0: 0.5 };
+        const predictor = new EmergencePredictor();
+        const result = predictor.predict(pkParams, { weight: 70 }, [new DoseEvent(0, 10, 2.0)], 90, 0.1);
+
+        const errors = [
+            Math.abs(result.contextSensitiveHalfTime - Math.log(2) / 0.1),
+            Math.abs(result.decrementTimes.plasma[80] - Math.log(5) / 0.1)
+        ];
+        const maxError = Math.max(...errors);
+
+        const testResult = {
+            testName: 'One-Compartment Decrement Times',
+            passed: maxError < this.tolerance,
+            details: { result: result, maxError: maxError }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`CSHT: ${result.contextSensitiveHalfTime.toFixed(3)} min (exact ${(Math.log(2) / 0.1).toFixed(3)})`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Masui 2022: CSHT grows with infusion duration and Ce equals the threshold at wake-up
+     */
+    testContextSensitivityAndWakeUp() {
+        console.log('=== Testing context sensitivity and wake-up time ===');
+
+        const patient = this.createPatient();
+        const pkParams = PKModels.calculatePKParameters(patient);
+        const doseEvents = [new DoseEvent(0, 7, 1.0)];
+        const predictor = new EmergencePredictor();
+
+        const short = predictor.predict(pkParams, patient, doseEvents, 30, 0.3);
+        const long = predictor.predict(pkParams, patient, doseEvents, 240, 0.3);
+
+        const check = new AnalyticalSolver().solve(null, [0, 0, 0, 0], 0, long.wakeUpTime, {
+            timeStep: long.wakeUpTime,
+            pkParams: pkParams,
+            doseEvents: [...doseEvents, new DoseEvent(240, 0, 0)],
+            patient: patient
+        });
+        const ceAtWakeUp = check.states[check.states.length - 1][3];
+
+        const checks = [
+            long.contextSensitiveHalfTime > short.contextSensitiveHalfTime,
+            long.decrementTimes.effect[80] > long.decrementTimes.effect[50],
+            Math.abs(ceAtWakeUp - 0.3) < 1e-3,
+            predictor.predict(pkParams, patient, doseEvents, 240, 5.0).wakeUpMinutesAfterStop === 0
+        ];
+
+        const testResult = {
+            testName: 'Context Sensitivity and Wake-up',
+            passed: checks.every(Boolean),
+            details: { shortCSHT: short.contextSensitiveHalfTime, longCSHT: long.contextSensitiveHalfTime, ceAtWakeUp: ceAtWakeUp, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`CSHT after 30 min: ${short.contextSensitiveHalfTime.toFixed(1)} min, after 240 min: ${long.contextSensitiveHalfTime.toFixed(1)} min`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * MonitoringEngine computes the prediction after each simulation and exports it
+     */
+    testMonitoringEngineIntegration() {
+        console.log('=== Testing MonitoringEngine emergence prediction ===');
+
+        const engine = new MonitoringEngine();
+        engine.setPatient(this.createPatient());
+        engine.addDoseEvent(new DoseEvent(0, 7, 1.0));
+        engine.addDoseEvent(new DoseEvent(60, 0, 0.5));
+        engine.runSimulation();
+
+        const atLastEvent = engine.getLastEmergenceResult();
+        engine.setEmergenceOptions({ stopTime: 120 });
+        const atChosenTime = engine.calculateEmergence();
+        const csv = engine.exportToCSV();
+
+        const checks = [
+            atLastEvent !== null && atLastEvent.stopTime === 60,
+            atChosenTime.stopTime === 120,
+            atChosenTime.contextSensitiveHalfTime > atLastEvent.contextSensitiveHalfTime,
+            csv.includes('Context-Sensitive Half-Time(min)'),
+            csv.includes('Predicted Wake-up')
+        ];
+
+        engine.reset();
+        checks.push(engine.getLastEmergenceResult() === null);
+
+        const testResult = {
+            testName: 'MonitoringEngine Integration',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Planner returns the latest whole-minute change that reaches the wake-up Ce on time
+     */
+    testEmergencePlanner() {
+        console.log('=== Testing emergence planner ===');
+
+        const patient = this.createPatient();
+        const pkParams = PKModels.calculatePKParameters(patient);
+        const doseEvents = [new DoseEvent(0, 7, 1.0)];
+        const predictor = new EmergencePredictor();
+
+        const stop = predictor.planEmergence(pkParams, patient, doseEvents, 120, 0.3);
+        const taper = predictor.planEmergence(pkParams, patient, doseEvents, 120, 0.3, { strategy: 'taper' });
+        const oneMinuteLater = predictor.effectSiteAt(pkParams, patient,
+            [...doseEvents, new DoseEvent(stop.changeTime + 1, 0, 0)], 120);
+        const infeasible = predictor.planEmergence(pkParams, patient, doseEvents, 120, 0.001, { earliestTime: 60 });
+
+        const engine = new MonitoringEngine();
+        engine.setPatient(patient);
+        engine.addDoseEvent(new DoseEvent(0, 7, 1.0));
+        engine.addDoseEvent(new DoseEvent(100, 0, 2.0));
+        const enginePlan = engine.planEmergence(120, 0.3);
+        const accepted = engine.acceptEmergencePlan(enginePlan);
+        const lastEvent = accepted[accepted.length - 1];
+
+        const checks = [
+            stop.feasible && stop.predictedCeAtTarget <= 0.3 && oneMinuteLater > 0.3,
+            stop.candidateEvents.length === 1 && stop.candidateEvents[0].continuousMgKgHr === 0,
+            taper.feasible && taper.changeTime <= stop.changeTime && taper.candidateEvents.length === 2,
+            taper.candidateEvents[0].continuousMgKgHr === 0.5 && taper.candidateEvents[1].timeInMinutes === taper.changeTime + 15,
+            taper.predictedCeAtTarget <= 0.3,
+            !infeasible.feasible && infeasible.message !== null,
+            enginePlan.changeTime < 100 && lastEvent.timeInMinutes === enginePlan.changeTime && lastEvent.continuousMgKgHr === 0,
+            accepted.every(event => event.timeInMinutes <= enginePlan.changeTime)
+        ];
+
+        const testResult = {
+            testName: 'Emergence Planner',
+            passed: checks.every(Boolean),
+            details: { stopTime: stop.changeTime, taperStart: taper.changeTime, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Latest stop: ${stop.changeTime} min, taper start: ${taper.changeTime} min (target 120 min)`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Invalid stop times and thresholds are rejected
+     */
+    testErrors() {
+        console.log('=== Testing emergence predictor errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const patient = this.createPatient();
+        const pkParams = PKModels.calculatePKParameters(patient);
+        const doseEvents = [new DoseEvent(0, 7, 1.0)];
+        const predictor = new EmergencePredictor();
+
+        const checks = [
+            expectError(() => predictor.predict(pkParams, patient, doseEvents, -5, 0.3)),
+            expectError(() => predictor.predict(pkParams, patient, doseEvents, 30, 0)),
+            expectError(() => predictor.predict(pkParams, patient, doseEvents, 30, NaN)),
+            expectError(() => new MonitoringEngine().calculateEmergence()),
+            expectError(() => predictor.planEmergence(pkParams, patient, doseEvents, 120, 0.3, { strategy: 'unknown' })),
+            expectError(() => predictor.planEmergence(pkParams, patient, doseEvents, 120, 0.3, { strategy: 'taper', taperFraction: 1.5 })),
+            expectError(() => new MonitoringEngine().acceptEmergencePlan({ feasible: false }))
+        ];
+
+        const testResult = {
+            testName: 'Predictor Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Emergence Predictor Tests');
+        console.log('===============================================');
+
+        this.testOneCompartmentDecrement();
+        this.testContextSensitivityAndWakeUp();
+        this.testMonitoringEngineIntegration();
+        this.testEmergencePlanner();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.EmergencePredictorTests = EmergencePredictorTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EmergencePredictorTests };
+}
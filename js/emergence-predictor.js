@@ -0,0 +1,302 @@
+/**
+ * Emergence Prediction for Remimazolam TCI TIVA
+ * Decrement times and wake-up time after the infusion is stopped
+ *
+ * Features:
+ * - Context-sensitive half-time (50% plasma decrement time)
+ * - 50% / 80% plasma and effect-site decrement times
+ * - Time at which Ce falls below a wake-up threshold (infusion stopped now or at a chosen time)
+ * - Exact analytical decay from the state at the stop time
+ * - Emergence planning: latest stop time or taper start for a target wake-up time
+ *
+ * Decrement times are measured from the concentration at the stop time;
+ * Ce may keep rising briefly after the stop, so its crossing is taken after the Ce peak.
+ */
+
+// Import required modules for Node.js environment
+if (typeof require !== 'undefined') {
+    const { AnalyticalSolver } = require('./numerical-solvers.js');
+    const { DoseEvent } = require('./models.js');
+
+    global.AnalyticalSolver = AnalyticalSolver;
+    global.DoseEvent = DoseEvent;
+}
+
+const EmergenceDefaults = {
+    wakeUpCe: 0.3,              // Ce at which the patient is expected to wake (μg/mL)
+    decrementPercents: [50, 80],
+    searchHorizon: 600,         // Longest decay followed after the stop (minutes)
+    resolution: 0.1,            // Decay grid (minutes)
+    taperFraction: 0.5,         // Planner taper rate as a fraction of the running rate
+    taperDuration: 15           // Planner taper length before the stop (minutes)
+};
+
+class EmergencePredictor {
+    constructor(options = {}) {
+        this.decrementPercents = options.decrementPercents || EmergenceDefaults.decrementPercents;
+        this.searchHorizon = options.searchHorizon || EmergenceDefaults.searchHorizon;
+        this.resolution = options.resolution || EmergenceDefaults.resolution;
+        this.solver = new AnalyticalSolver();
+    }
+
+    /**
+     * State [a1, a2, a3, ce] when the infusion stops (dose events after the stop are ignored)
+     */
+    stateAtStop(pkParams, patient, doseEvents, stopTime) {
+        const given = doseEvents.filter(event => event.timeInMinutes <= stopTime);
+        if (given.length === 0) {
+            return [0, 0, 0, 0];
+        }
+
+        const result = this.solver.solve(null, [0, 0, 0, 0], 0, stopTime, {
+            timeStep: stopTime > 0 ? stopTime : 1.0,
+            pkParams: pkParams,
+            doseEvents: given,
+            patient: patient
+        });
+        return result.states[result.states.length - 1];
+    }
+
+    /**
+     * Drug-free decay from a state
+     * @returns {Object} - {times, plasma, effect} (times in minutes after the stop)
+     */
+    decay(pkParams, state) {
+        const result = this.solver.solve(null, state, 0, this.searchHorizon, {
+            timeStep: this.resolution,
+            pkParams: pkParams
+        });
+        return {
+            times: result.times,
+            plasma: result.states.map(s => Math.max(0, s[0] / pkParams.V1)),
+            effect: result.states.map(s => Math.max(0, s[3]))
+        };
+    }
+
+    /**
+     * First time after the peak at which the values fall to the level (linear interpolation)
+     * @returns {number|null} - Minutes after the stop, 0 if never above the level, null beyond the horizon
+     */
+    timeToFallBelow(times, values, level) {
+        let peakIndex = 0;
+        for (let i = 1; i < values.length; i++) {
+            if (values[i] > values[peakIndex]) peakIndex = i;
+        }
+        if (values[peakIndex] <= level) {
+            return 0;
+        }
+
+        for (let i = peakIndex + 1; i < values.length; i++) {
+            if (values[i] <= level) {
+                const fraction = (values[i - 1] - level) / (values[i - 1] - values[i]);
+                return times[i - 1] + fraction * (times[i] - times[i - 1]);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Emergence prediction for an infusion stopped at stopTime
+     * @param {Object} pkParams - Engine-format PK parameters
+     * @param {Object} patient - Patient object
+     * @param {Array} doseEvents - DoseEvent list
+     * @param {number} stopTime - Infusion stop (minutes from anesthesia start)
+     * @param {number} wakeUpCe - Wake-up Ce threshold (μg/mL)
+     * @returns {Object} - {stopTime, plasmaAtStop, effectAtStop, wakeUpCe, contextSensitiveHalfTime,
+     *                      decrementTimes: {plasma: {50, 80}, effect: {50, 80}}, wakeUpMinutesAfterStop, wakeUpTime}
+     */
+    predict(pkParams, patient, doseEvents, stopTime, wakeUpCe = EmergenceDefaults.wakeUpCe) {
+        if (!(stopTime >= 0)) {
+            throw new Error('Infusion stop time must be zero or positive');
+        }
+        if (!(wakeUpCe > 0)) {
+            throw new Error('Wake-up Ce threshold must be positive');
+        }
+
+        const state = this.stateAtStop(pkParams, patient, doseEvents, stopTime);
+        const decay = this.decay(pkParams, state);
+        const plasmaAtStop = decay.plasma[0];
+        const effectAtStop = decay.effect[0];
+
+        const decrementTimes = { plasma: {}, effect: {} };
+        this.decrementPercents.forEach(percent => {
+            const remaining = 1 - percent / 100;
+            decrementTimes.plasma[percent] = plasmaAtStop > 0 ?
+                this.timeToFallBelow(decay.times, decay.plasma, plasmaAtStop * remaining) : null;
+            decrementTimes.effect[percent] = effectAtStop > 0 ?
+                this.timeToFallBelow(decay.times, decay.effect, effectAtStop * remaining) : null;
+        });
+
+        const wakeUpMinutesAfterStop = this.timeToFallBelow(decay.times, decay.effect, wakeUpCe);
+
+        return {
+            stopTime: stopTime,
+            plasmaAtStop: plasmaAtStop,
+            effectAtStop: effectAtStop,
+            wakeUpCe: wakeUpCe,
+            contextSensitiveHalfTime: decrementTimes.plasma[50] !== undefined ? decrementTimes.plasma[50] : null,
+            decrementTimes: decrementTimes,
+            wakeUpMinutesAfterStop: wakeUpMinutesAfterStop,
+            wakeUpTime: wakeUpMinutesAfterStop !== null ? stopTime + wakeUpMinutesAfterStop : null
+        };
+    }
+
+    /**
+     * Ce at a time for a dose event list
+     */
+    effectSiteAt(pkParams, patient, doseEvents, time) {
+        const result = this.solver.solve(null, [0, 0, 0, 0], 0, time, {
+            timeStep: time > 0 ? time : 1.0,
+            pkParams: pkParams,
+            doseEvents: doseEvents.filter(event => event.timeInMinutes <= time),
+            patient: patient
+        });
+        return Math.max(0, result.states[result.states.length - 1][3]);
+    }
+
+    /**
+     * Dose events with the infusion changed at changeTime: later events are dropped,
+     * the running rate becomes taperRate and stops at stopTime
+     * (a bolus given exactly at changeTime is carried by the first candidate event)
+     */
+    buildPlanEvents(doseEvents, changeTime, taperRate, stopTime) {
+        const kept = doseEvents.filter(event => event.timeInMinutes < changeTime);
+        const bolusAtChange = doseEvents
+            .filter(event => event.timeInMinutes === changeTime)
+            .reduce((sum, event) => sum + (event.bolusMg || 0), 0);
+        const candidates = taperRate > 0 && stopTime > changeTime ?
+            [new DoseEvent(changeTime, bolusAtChange, taperRate), new DoseEvent(stopTime, 0, 0)] :
+            [new DoseEvent(changeTime, bolusAtChange, 0)];
+        return { events: [...kept, ...candidates], candidates: candidates };
+    }
+
+    /**
+     * Back-solve the latest infusion change for Ce to reach wakeUpCe at targetTime
+     * Strategy 'stop' stops the infusion; 'taper' reduces the running rate to
+     * taperFraction for taperDuration minutes, then stops. Ce at targetTime increases
+     * with the change time, so the latest whole minute is found by bisection.
+     * @param {Object} pkParams - Engine-format PK parameters
+     * @param {Object} patient - Patient object
+     * @param {Array} doseEvents - Current DoseEvent list
+     * @param {number} targetTime - Planned wake-up (minutes from anesthesia start)
+     * @param {number} wakeUpCe - Wake-up Ce threshold (μg/mL)
+     * @param {Object} options - {strategy: 'stop' | 'taper', taperFraction, taperDuration, earliestTime}
+     * @returns {Object} - {strategy, feasible, targetTime, wakeUpCe, changeTime, candidateEvents, predictedCeAtTarget, message}
+     */
+    planEmergence(pkParams, patient, doseEvents, targetTime, wakeUpCe, options = {}) {
+        const strategy = options.strategy || 'stop';
+        const taperFraction = options.taperFraction !== undefined ? options.taperFraction : EmergenceDefaults.taperFraction;
+        const taperDuration = options.taperDuration !== undefined ? options.taperDuration : EmergenceDefaults.taperDuration;
+        const earliestTime = Math.max(0, Math.ceil(options.earliestTime || 0));
+
+        if (!['stop', 'taper'].includes(strategy)) {
+            throw new Error(`Unknown emergence plan strategy: ${strategy}`);
+        }
+        if (!(targetTime > earliestTime)) {
+            throw new Error('Target wake-up time must be after the earliest change time');
+        }
+        if (!(wakeUpCe > 0)) {
+            throw new Error('Wake-up Ce threshold must be positive');
+        }
+        if (strategy === 'taper' && !(taperFraction > 0 && taperFraction < 1)) {
+            throw new Error('Taper fraction must be between 0 and 1');
+        }
+        if (strategy === 'taper' && !(taperDuration > 0)) {
+            throw new Error('Taper duration must be positive');
+        }
+
+        const runningRate = (time) => {
+            let rate = 0;
+            doseEvents.forEach(event => {
+                if (event.timeInMinutes <= time) rate = event.continuousMgKgHr;
+            });
+            return rate;
+        };
+        const plan = (changeTime) => this.buildPlanEvents(
+            doseEvents, changeTime,
+            strategy === 'taper' ? runningRate(changeTime) * taperFraction : 0,
+            Math.min(changeTime + Math.round(taperDuration), targetTime)
+        );
+        const ceAtTarget = (changeTime) => this.effectSiteAt(pkParams, patient, plan(changeTime).events, targetTime);
+
+        const result = (changeTime, feasible, message = null) => {
+            const planned = plan(changeTime);
+            return {
+                strategy: strategy,
+                feasible: feasible,
+                targetTime: targetTime,
+                wakeUpCe: wakeUpCe,
+                changeTime: changeTime,
+                candidateEvents: planned.candidates,
+                predictedCeAtTarget: this.effectSiteAt(pkParams, patient, planned.events, targetTime),
+                message: message
+            };
+        };
+
+        const latest = Math.floor(targetTime);
+        if (ceAtTarget(latest) <= wakeUpCe) {
+            return result(latest, true);
+        }
+        if (ceAtTarget(earliestTime) > wakeUpCe) {
+            return result(earliestTime, false,
+                `Ce stays above ${wakeUpCe.toFixed(2)} μg/mL at the target time even with the change at the earliest time`);
+        }
+
+        // Invariant: ceAtTarget(low) <= wakeUpCe < ceAtTarget(high)
+        let low = earliestTime;
+        let high = latest;
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            if (ceAtTarget(mid) <= wakeUpCe) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return result(low, true);
+    }
+
+    /**
+     * CSV rows describing an emergence prediction
+     * @param {Object} result - Result of predict
+     * @param {Object} patient - Patient object (clock times)
+     * @returns {string[]} - CSV lines
+     */
+    static toCSVLines(result, patient) {
+        const clock = (minutes) => minutes === null ? 'not reached' :
+            patient.minutesToClockTime(minutes).toLocaleTimeString('ja-JP', {
+                hour: '2-digit',
+                minute: '2-digit',
+                hour12: false
+            });
+        const duration = (minutes) => minutes === null ? 'not reached' : minutes.toFixed(1);
+
+        const lines = [
+            'Emergence Prediction',
+            `Infusion Stop,${clock(result.stopTime)}`,
+            `Cp at Stop(µg/mL),${result.plasmaAtStop.toFixed(3)}`,
+            `Ce at Stop(µg/mL),${result.effectAtStop.toFixed(3)}`,
+            `Context-Sensitive Half-Time(min),${duration(result.contextSensitiveHalfTime)}`
+        ];
+        Object.keys(result.decrementTimes.plasma).forEach(percent => {
+            lines.push(`${percent}% Plasma Decrement Time(min),${duration(result.decrementTimes.plasma[percent])}`);
+            lines.push(`${percent}% Effect-site Decrement Time(min),${duration(result.decrementTimes.effect[percent])}`);
+        });
+        lines.push(`Wake-up Ce(µg/mL),${result.wakeUpCe.toFixed(3)}`);
+        lines.push(`Predicted Wake-up,${clock(result.wakeUpTime)}`);
+        return lines;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.EmergenceDefaults = EmergenceDefaults;
+    window.EmergencePredictor = EmergencePredictor;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EmergenceDefaults,
+        EmergencePredictor
+    };
+}
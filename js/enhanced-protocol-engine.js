@@ -24,6 +24,17 @@
  * - Concentration-adaptive optimization
  * - Enhanced convergence detection
  * - Safety-bounded dosing algorithms
+ * - Effect-site / plasma targeted TCI strategies (settings.strategy = 'tci' / 'tci-plasma')
+ * - Time-varying target schedule (settings.targetSchedule) followed by every strategy
+ * - Pump limits (InfusionPump): bolus at pump speed, rates on the pump resolution and maximum
+ * - Drug consumption and syringe changes of each generated protocol
+ * - Model-predictive control strategy (settings.strategy = 'mpc') and side-by-side strategy comparison
+ * - Multi-objective Pareto set: total dose vs overshoot vs time to target vs pump adjustments
+ * - Shared bounded optimizer: Brent for the rate, Nelder-Mead for joint bolus + rate, with convergence diagnostics
+ * - Inverse bolus solver: bolus whose effect-site peak equals the target from any state, and the time of that peak
+ * - Re-planning from an intraoperative state: the selected strategy runs forward from the current amounts to a new target
+ * - Heuristic protocols and predictions integrated by the shared event-driven simulation kernel
+ * - Evaluation time points read from an exact replay of each protocol's dosing, not the nearest grid point
  */
 
 class EnhancedProtocolEngine {
@@ -39,11 +50,29 @@ class EnhancedProtocolEngine {
             targetReachTime: 20,
             adjustmentInterval: 5.0,
             predictionTime: 5.0, // Prediction time
-            evaluationTimePoints: [30, 60, 90, 120, 150, 180] // Evaluation time points
+            evaluationTimePoints: [30, 60, 90, 120, 150, 180], // Evaluation time points
+            strategy: 'heuristic', // 'heuristic' (predictive step-down), 'mpc' (model-predictive), 'tci' (Ce-target TCI) or 'tci-plasma' (Cp-target TCI)
+            targetSchedule: [], // Target steps [{time, targetCe}]; targetCe applies before the first step
+            bolusOptimization: 'dynamic' // 'dynamic' (concentration-scaled bolus + Brent rate) or 'joint' (Nelder-Mead on bolus and rate)
+        };
+        this.pump = new InfusionPump(); // Syringe pump profile every generated protocol respects
+        this.jointSettings = {
+            holdMinutes: 30,      // Window after the reach time in which Ce should stay at target
+            sampleInterval: 0.5,  // Objective sampling step (minutes)
+            overshootWeight: 20.0 // Weight of Ce above the target (bolus overshoot)
+        };
+        this.paretoSettings = {
+            bolusFactors: [0.5, 0.75, 1.0, 1.25, 1.5], // × dynamic loading bolus
+            changeWeights: [0.005, 0.02, 0.08]          // MPC rate-change penalties
+        };
+        this.peakBolusSettings = {
+            horizon: 30.0,   // Minutes after the bolus searched for the Ce peak
+            tolerance: 1e-4  // Accepted |peak Ce - target| (μg/mL)
         };
         this.lastResult = null;
         this.calculationMethod = 'rk4'; // Default to RK4
         this.pkpdAdapter = null; // PKPDIntegrationAdapter for unified calculation
+        this.kernel = null; // SimulationKernel for the current PK parameters
         
         // V1.4.0 Enhanced Parameters
         this.v140Settings = {
@@ -116,42 +145,114 @@ class EnhancedProtocolEngine {
         this.settings = { ...this.settings, ...newSettings };
     }
 
-    calculatePKParameters(patient) {
-        console.log('V1.5.0: Calculating PK parameters for enhanced protocol optimization with critical fixes');
-        
-        // Use existing Masui Ke0 Calculator
-        const result = MasuiKe0Calculator.calculateKe0Complete(
-            patient.age,
-            patient.weight,
-            patient.height,
-            patient.sex,
-            patient.asaPS
-        );
-        
-        if (!result.success) {
-            throw new Error('Failed to calculate PK parameters: ' + result.error);
+    /**
+     * Replace the syringe pump profile
+     * @param {InfusionPump} pump
+     */
+    setPump(pump) {
+        this.pump = pump;
+    }
+
+    /**
+     * Continuous rate the pump can deliver (mg/kg/hr on the pump resolution, within its maximum)
+     */
+    constrainRate(rateMgKgHr) {
+        return this.pump.constrainMgKgHr(rateMgKgHr, this.patient.weight);
+    }
+
+    /**
+     * Bolus delivered at the pump bolus speed
+     * @returns {Object} - {steps, rateMgMin}: number of time steps and delivery rate
+     */
+    getBolusDelivery(bolusDoseMg) {
+        if (!(bolusDoseMg > 0)) {
+            return { steps: 0, rateMgMin: 0 };
         }
-        
-        const pkParams = result.pkParameters;
-        const rateConstants = result.rateConstants;
-        const ke0 = result.ke0_numerical || result.ke0_regression;
-        
+        const steps = Math.max(1, Math.round(this.pump.bolusDurationMin(bolusDoseMg) / this.settings.timeStep));
+        return { steps: steps, rateMgMin: bolusDoseMg / (steps * this.settings.timeStep) };
+    }
+
+    /**
+     * Protocol expressed as pump settings (mL, mL/h) with the drug and syringes it uses
+     */
+    buildPumpProgram(bolusDoseMg, initialRate, dosageAdjustments) {
+        const weight = this.patient.weight;
+        const doseEvents = [
+            { timeInMinutes: 0, bolusMg: bolusDoseMg, continuousMgKgHr: initialRate },
+            ...dosageAdjustments.map(adj => ({ timeInMinutes: adj.time, bolusMg: 0, continuousMgKgHr: adj.newRate }))
+        ];
+
         return {
-            V1: pkParams.V1,
-            V2: pkParams.V2,
-            V3: pkParams.V3,
-            CL: pkParams.CL,
-            Q2: pkParams.Q2,
-            Q3: pkParams.Q3,
-            ke0: ke0,
-            k10: rateConstants.k10,
-            k12: rateConstants.k12,
-            k21: rateConstants.k21,
-            k13: rateConstants.k13,
-            k31: rateConstants.k31
+            profile: this.pump.getProfile(),
+            bolusMl: this.pump.mgToMl(bolusDoseMg),
+            bolusSeconds: this.pump.bolusDurationMin(bolusDoseMg) * 60.0,
+            initialRateMlHr: this.pump.mgKgHrToMlHr(initialRate, weight),
+            steps: dosageAdjustments.map(adj => ({
+                time: adj.time,
+                oldRateMlHr: this.pump.mgKgHrToMlHr(adj.oldRate, weight),
+                newRateMlHr: this.pump.mgKgHrToMlHr(adj.newRate, weight)
+            })),
+            consumption: new DrugConsumptionPlanner(this.pump).plan(doseEvents, weight, this.settings.simulationDuration)
         };
     }
 
+    /**
+     * Replace the target schedule
+     * @param {Array} schedule - [{time, targetCe}] steps (minutes, μg/mL); empty for a constant target
+     */
+    setTargetSchedule(schedule) {
+        schedule.forEach(step => {
+            if (!Number.isFinite(step.time) || step.time < 0 || step.time > this.settings.simulationDuration) {
+                throw new Error(`Target step time must be between 0 and ${this.settings.simulationDuration} minutes`);
+            }
+            if (!Number.isFinite(step.targetCe) || step.targetCe <= 0) {
+                throw new Error('Target step concentration must be a positive number');
+            }
+        });
+        this.settings.targetSchedule = [...schedule].sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Target Ce in effect at a time (last schedule step at or before it, else settings.targetCe)
+     */
+    getTargetAt(time) {
+        let target = this.settings.targetCe;
+        for (const step of this.settings.targetSchedule) {
+            if (step.time > time + 1e-9) break;
+            target = step.targetCe;
+        }
+        return target;
+    }
+
+    /**
+     * Rate programmed at a time (last change at or before it) in a [{time, rateMgKgHr}] schedule
+     */
+    getRateAt(rateChanges, time) {
+        let rate = 0;
+        for (const change of rateChanges) {
+            if (change.time > time + 1e-9) break;
+            rate = change.rateMgKgHr;
+        }
+        return rate;
+    }
+
+    /**
+     * Upper threshold at a time: settings.upperThreshold scaled with the scheduled target
+     */
+    getUpperThresholdAt(time) {
+        if (!(this.settings.targetCe > 0)) {
+            return this.settings.upperThreshold;
+        }
+        return this.getTargetAt(time) * this.settings.upperThreshold / this.settings.targetCe;
+    }
+
+    calculatePKParameters(patient) {
+        console.log('V1.5.0: Calculating PK parameters for enhanced protocol optimization with critical fixes');
+        
+        // Use the model selected for this patient (Masui 2022 by default)
+        return PKModels.calculatePKParameters(patient);
+    }
+
     /**
      * V1.4.0 CRITICAL FIX 1: Dynamic Bolus Calculation
      * Scales bolus dose based on target concentration to eliminate concentration floor
@@ -322,51 +423,17 @@ class EnhancedProtocolEngine {
         // Enhanced initial guess
         const initialGuess = this.calculateEnhancedInitialGuess(targetCe, optimalBolusDose, concentrationCategory);
         
-        let lowRate = bounds.min;
-        let highRate = bounds.max;
-        let bestRate = initialGuess;
-        let bestError = Infinity;
-        let converged = false;
+        // Bounded Brent minimization of the squared Ce error (replaces bisection), started from the initial guess
+        const optimizer = BoundedOptimizer.minimizeScalar(
+            rate => (this.simulateBolusAndContinuous(optimalBolusDose, rate, timeToTarget) - targetCe) ** 2,
+            bounds.min,
+            bounds.max,
+            { maxIterations: maxIterations, tolerance: 1e-5, initialGuess: initialGuess }
+        );
+        const bestRate = optimizer.x;
+        const converged = Math.sqrt(optimizer.fx) < tolerance;
         
-        // Enhanced optimization with adaptive convergence
-        for (let iteration = 0; iteration < maxIterations; iteration++) {
-            const midRate = (lowRate + highRate) / 2;
-            
-            // Safety check
-            if (midRate > this.v140Settings.safetyLimits.maxContinuousRate) {
-                console.warn(`V1.4.0: Rate ${midRate.toFixed(3)} exceeds safety limit, capping at ${this.v140Settings.safetyLimits.maxContinuousRate}`);
-                break;
-            }
-            
-            // Use optimized bolus dose instead of input bolus dose
-            const ceAtTarget = this.simulateBolusAndContinuous(optimalBolusDose, midRate, timeToTarget);
-            const error = Math.abs(ceAtTarget - targetCe);
-            const relativeError = (error / targetCe) * 100;
-
-            if (error < bestError) {
-                bestError = error;
-                bestRate = midRate;
-            }
-
-            // Enhanced convergence detection
-            if (error < tolerance) {
-                console.log(`V1.5.0: Converged after ${iteration + 1} iterations (error=${error.toFixed(6)}, ${relativeError.toFixed(2)}%)`);
-                converged = true;
-                break;
-            }
-            
-            // Adaptive binary search with safety checks
-            if (ceAtTarget < targetCe) {
-                lowRate = midRate;
-            } else {
-                highRate = midRate;
-            }
-            
-            // Log progress every 10 iterations
-            if ((iteration + 1) % 10 === 0) {
-                console.log(`V1.5.0: Iteration ${iteration + 1}: rate=${midRate.toFixed(3)}, Ce=${ceAtTarget.toFixed(4)}, error=${relativeError.toFixed(2)}%`);
-            }
-        }
+        console.log(`V1.5.0: ${optimizer.method} finished after ${optimizer.iterations} iterations / ${optimizer.evaluations} evaluations (optimizer converged: ${optimizer.converged})`);
 
         const finalPredictedCe = this.simulateBolusAndContinuous(optimalBolusDose, bestRate, timeToTarget);
         const finalError = Math.abs(finalPredictedCe - targetCe);
@@ -394,6 +461,7 @@ class EnhancedProtocolEngine {
             bolusDose: optimalBolusDose, // Return the optimized bolus dose
             concentrationCategory: concentrationCategory,
             withinTarget: finalRelativeError <= 10,
+            optimizer: optimizer, // Convergence diagnostics
             v150Enhanced: true, // Updated version flag
             v140Enhanced: true, // Backward compatibility
             criticalFixes: {
@@ -404,6 +472,144 @@ class EnhancedProtocolEngine {
         };
     }
 
+    /**
+     * Effect-site concentrations of bolus + continuous infusion sampled over a duration
+     * @returns {Array} - [{time, ce}] every sampleInterval minutes
+     */
+    simulateCeSamples(bolusDoseMg, continuousRate, duration, sampleInterval) {
+        const course = this.simulateProtocolCourse(bolusDoseMg, continuousRate, duration);
+        const stepsPerSample = Math.max(1, Math.round(sampleInterval / this.settings.timeStep));
+        const samples = [];
+
+        for (let i = stepsPerSample; i < course.timeVector.length; i += stepsPerSample) {
+            samples.push({ time: course.timeVector[i], ce: course.effectSiteConcentrations[i] });
+        }
+
+        return samples;
+    }
+
+    /**
+     * Loading bolus (at the pump bolus speed) with a continuous infusion, through the simulation kernel
+     * @param {Object} initialState - {a1, a2, a3, ce} at t=0 (null: drug-free patient)
+     * @returns {SimulationResult} - Every settings.timeStep, with states and finalState
+     */
+    simulateProtocolCourse(bolusDoseMg, continuousRate, duration, initialState = null) {
+        const bolus = this.getBolusDelivery(bolusDoseMg);
+        const events = [SimulationEvent.rate(0, continuousRate)];
+        if (bolus.steps > 0) {
+            events.push(SimulationEvent.bolus(0, bolusDoseMg, bolus.steps * this.settings.timeStep));
+        }
+        return this.getKernel().simulate(events, duration, {
+            timeStep: this.settings.timeStep, initialState: initialState, denseOutput: false
+        });
+    }
+
+    /**
+     * Simulation kernel for the current patient and PK parameters
+     */
+    getKernel() {
+        this.kernel = SimulationKernel.reuse(this.kernel, this.pkParams, this.patient.weight);
+        return this.kernel;
+    }
+
+    /**
+     * Exact (analytical) replay of a protocol's dosing over the simulation duration,
+     * queried at any time through its dense output
+     * @param {Array} rateChanges - [{time, rateMgKgHr}] in time order
+     * @param {number} bolusDoseMg - Bolus started at t=0
+     * @param {number} bolusDurationMin - Bolus delivery time (0: instantaneous)
+     * @param {Object} initialState - {a1, a2, a3, ce} at t=0 (null: drug-free patient)
+     * @returns {SimulationResult}
+     */
+    simulateProtocolDosing(rateChanges, bolusDoseMg, bolusDurationMin, initialState = null) {
+        const events = rateChanges
+            .filter((change, index) => index === 0 || change.rateMgKgHr !== rateChanges[index - 1].rateMgKgHr)
+            .map(change => SimulationEvent.rate(change.time, change.rateMgKgHr));
+        if (bolusDoseMg > 0) {
+            events.unshift(SimulationEvent.bolus(0, bolusDoseMg, bolusDurationMin));
+        }
+        return this.getKernel().simulate(events, this.settings.simulationDuration, {
+            method: 'analytical',
+            timeStep: 1.0,
+            initialState: initialState,
+            patient: this.patient
+        });
+    }
+
+    /**
+     * Joint bolus and rate optimization (Nelder-Mead within the bolus and rate bounds)
+     * Objective: squared relative Ce error while holding the target for jointSettings.holdMinutes
+     * after the reach time, plus a penalty on Ce above the target from the start.
+     * @returns {Object} - Same shape as optimizeInfusionRateEnhanced, with optimizer diagnostics
+     */
+    optimizeBolusAndRate(targetCe, timeToTarget = null) {
+        if (!this.patient || !this.pkParams) {
+            throw new Error('Patient and PK parameters must be set before optimization');
+        }
+        if (!(targetCe > 0)) {
+            throw new Error('Joint bolus and rate optimization requires a positive target concentration');
+        }
+
+        timeToTarget = timeToTarget || this.settings.targetReachTime;
+        const { holdMinutes, sampleInterval, overshootWeight } = this.jointSettings;
+        const duration = timeToTarget + holdMinutes;
+
+        const objective = ([bolusDoseMg, rate]) => {
+            let tracking = 0;
+            let overshoot = 0;
+            this.simulateCeSamples(bolusDoseMg, rate, duration, sampleInterval).forEach(sample => {
+                if (sample.time >= timeToTarget - 1e-9) {
+                    tracking += ((sample.ce - targetCe) / targetCe) ** 2;
+                }
+                overshoot += (Math.max(0, sample.ce - targetCe) / targetCe) ** 2;
+            });
+            return (tracking * sampleInterval) / holdMinutes + overshootWeight * (overshoot * sampleInterval) / duration;
+        };
+
+        const bolusResult = this.calculateOptimalBolusDose(targetCe);
+        const concentrationCategory = bolusResult.category;
+        const bounds = this.getAdaptiveOptimizationBounds(targetCe, concentrationCategory);
+        const initialGuess = this.calculateEnhancedInitialGuess(targetCe, bolusResult.bolusDose, concentrationCategory);
+
+        const optimizer = BoundedOptimizer.nelderMead(
+            objective,
+            [bolusResult.bolusDose, initialGuess],
+            [0, bounds.min],
+            [this.v140Settings.safetyLimits.maxBolusTotal, bounds.max],
+            { tolerance: 1e-4, maxIterations: 200 }
+        );
+        const [bolusDose, continuousRate] = optimizer.x;
+
+        const predictedCe = this.simulateBolusAndContinuous(bolusDose, continuousRate, timeToTarget);
+        const error = Math.abs(predictedCe - targetCe);
+        const relativeError = (error / targetCe) * 100;
+
+        console.log(`Joint optimization: bolus ${bolusDose.toFixed(2)} mg, rate ${continuousRate.toFixed(3)} mg/kg/hr, ` +
+            `${optimizer.method} ${optimizer.iterations} iterations / ${optimizer.evaluations} evaluations (converged: ${optimizer.converged})`);
+
+        this.validateSafetyLimits(bolusDose, continuousRate, predictedCe);
+
+        return {
+            continuousRate: continuousRate,
+            predictedCe: predictedCe,
+            error: error,
+            relativeError: relativeError,
+            converged: optimizer.converged,
+            bolusDose: bolusDose,
+            concentrationCategory: concentrationCategory,
+            withinTarget: relativeError <= 10,
+            optimizer: optimizer,
+            jointOptimization: true,
+            v150Enhanced: true,
+            v140Enhanced: true,
+            criticalFixes: {
+                unitsConversion: true,
+                zeroTargetLogic: false,
+                dynamicBoundsRecalculation: true
+            }
+        };
+    }
+
     /**
      * V1.5.0 Safety validation with enhanced logging
      */
@@ -450,18 +656,22 @@ class EnhancedProtocolEngine {
     /**
      * Complete protocol generation with V1.4.0 enhancements
      * This extends the original generatePredictiveProtocol method
+     * @param {Object} initialState - {a1, a2, a3, ce} at t=0 (null: drug-free patient)
      */
-    generatePredictiveProtocol(bolusDoseMg, initialContinuousRate) {
+    generatePredictiveProtocol(bolusDoseMg, initialContinuousRate, initialState = null) {
         if (!this.patient || !this.pkParams) {
             throw new Error('Patient and PK parameters must be set before protocol generation');
         }
 
         console.log(`=== V1.4.0 Predictive Protocol Generation ===`);
         
-        const bolusState = this.calculateBolusInitialConcentration(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
-        let currentRate = initialContinuousRate;
+        // Bolus runs at the pump bolus speed; every rate is one the pump can be set to
+        const bolus = this.getBolusDelivery(bolusDoseMg);
+        const kernel = this.getKernel();
+        let state = initialState ? { a1: initialState.a1, a2: initialState.a2, a3: initialState.a3, ce: initialState.ce } :
+            { a1: 0.0, a2: 0.0, a3: 0.0, ce: 0.0 };
+        let currentRate = this.constrainRate(initialContinuousRate);
+        const programmedInitialRate = currentRate;
         
         const timeSeriesData = [];
         const dosageAdjustments = [];
@@ -470,38 +680,38 @@ class EnhancedProtocolEngine {
         
         const numSteps = Math.floor(this.settings.simulationDuration / this.settings.timeStep) + 1;
         
+        let previousTarget = this.getTargetAt(0);
+        
         for (let i = 0; i < numSteps; i++) {
             const currentTime = i * this.settings.timeStep;
-            const infusionRateMgMin = (currentRate * this.patient.weight) / 60.0;
-            
-            // Plasma concentration calculation
-            const plasmaConc = Math.max(0.0, state.a1 / this.pkParams.V1);
+            const infusionRateMgMin = (currentRate * this.patient.weight) / 60.0 + (i < bolus.steps ? bolus.rateMgMin : 0);
+            const targetCe = this.getTargetAt(currentTime);
+            const upperThreshold = this.getUpperThresholdAt(currentTime);
+            const targetChanged = Math.abs(targetCe - previousTarget) > 1e-9;
+            previousTarget = targetCe;
             
-            // Effect-site concentration update using RK4
-            if (i > 0) {
-                currentCe = this.updateEffectSiteConcentrationRK4(
-                    plasmaConc, 
-                    currentCe, 
-                    this.pkParams.ke0, 
-                    this.settings.timeStep
-                );
-            }
+            // Plasma and effect-site concentrations of the current state
+            const plasmaConc = kernel.plasmaConcentration(state);
+            const currentCe = state.ce;
             
-            // V1.4.0 Enhanced predictive adjustments
-            if (currentTime > 0 && currentTime % 5 === 0 && 
-                currentTime - lastAdjustmentTime >= this.settings.adjustmentInterval) {
+            // V1.4.0 Enhanced predictive adjustments (also at each scheduled target step)
+            if (targetChanged || (currentTime > 0 && currentTime % 5 === 0 && 
+                currentTime - lastAdjustmentTime >= this.settings.adjustmentInterval)) {
                 
                 const predictedAdjustment = this.calculatePredictiveAdjustments(
-                    { a1: state.a1, a2: state.a2, a3: state.a3, ce: currentCe },
+                    state,
                     currentRate,
-                    this.settings.targetCe,
+                    targetCe,
                     this.settings.predictionTime
                 );
                 
-                if (Math.abs(predictedAdjustment - currentRate) > 0.05) {
+                // Apply V1.4.0 safety limits, then the pump resolution and maximum
+                const newRate = this.constrainRate(
+                    Math.max(0.1, Math.min(predictedAdjustment, this.v140Settings.safetyLimits.maxContinuousRate)));
+                
+                if (Math.abs(predictedAdjustment - currentRate) > 0.05 && newRate !== currentRate) {
                     const oldRate = currentRate;
-                    // Apply V1.4.0 safety limits
-                    currentRate = Math.max(0.1, Math.min(predictedAdjustment, this.v140Settings.safetyLimits.maxContinuousRate));
+                    currentRate = newRate;
                     
                     dosageAdjustments.push({
                         time: currentTime,
@@ -510,7 +720,7 @@ class EnhancedProtocolEngine {
                         newRate: currentRate,
                         ceAtEvent: currentCe,
                         adjustmentNumber: ++adjustmentCount,
-                        reason: 'V1.4.0 Enhanced Predictive control'
+                        reason: targetChanged ? `Target step to ${targetCe} μg/mL` : 'V1.4.0 Enhanced Predictive control'
                     });
                     
                     lastAdjustmentTime = currentTime;
@@ -519,12 +729,13 @@ class EnhancedProtocolEngine {
             }
             
             // Emergency threshold check with V1.4.0 safety bounds
-            if (currentCe >= this.settings.upperThreshold && 
+            if (currentCe >= upperThreshold && 
                 currentTime - lastAdjustmentTime >= 1.0 && 
-                currentRate > 0.1) {
+                currentRate > 0.1 &&
+                this.constrainRate(Math.max(0.1, currentRate * this.settings.reductionFactor)) < currentRate) {
                 
                 const oldRate = currentRate;
-                currentRate = Math.max(0.1, currentRate * this.settings.reductionFactor);
+                currentRate = this.constrainRate(Math.max(0.1, currentRate * this.settings.reductionFactor));
                 
                 dosageAdjustments.push({
                     time: currentTime,
@@ -546,24 +757,28 @@ class EnhancedProtocolEngine {
                 ce: currentCe,
                 plasma: plasmaConc,
                 infusionRate: currentRate,
-                targetCe: this.settings.targetCe,
-                upperThreshold: this.settings.upperThreshold,
+                targetCe: targetCe,
+                upperThreshold: upperThreshold,
                 adjustmentNumber: adjustmentCount,
-                isBolus: i === 0,
+                isBolus: i < bolus.steps,
                 v140Enhanced: true
             });
             
             // System state update
             if (i < numSteps - 1) {
-                state = this.updateSystemStateRK4(state, infusionRateMgMin, this.settings.timeStep);
+                state = kernel.step(state, infusionRateMgMin, this.settings.timeStep);
             }
         }
         
         // V1.4.0 Enhanced performance evaluation
         const performance = this.evaluateEnhancedProtocolPerformance(timeSeriesData, dosageAdjustments);
         
-        // Concentration evaluation at specified time points
-        const concentrationAtTimePoints = this.evaluateConcentrationAtTimePoints(timeSeriesData);
+        // Concentration evaluation at specified time points; as in the loop above,
+        // a new rate takes effect from the step after its adjustment
+        const rateChanges = [{ time: 0, rateMgKgHr: programmedInitialRate },
+            ...dosageAdjustments.map(adj => ({ time: adj.time + this.settings.timeStep, rateMgKgHr: adj.newRate }))];
+        const simulation = this.simulateProtocolDosing(rateChanges, bolusDoseMg, bolus.steps * this.settings.timeStep, initialState);
+        const concentrationAtTimePoints = this.evaluateConcentrationAtTimePoints(timeSeriesData, simulation, rateChanges);
         
         console.log("");
         console.log("=== V1.4.0 Enhanced Performance Evaluation ===");
@@ -580,7 +795,8 @@ class EnhancedProtocolEngine {
             performance: performance,
             concentrationAtTimePoints: concentrationAtTimePoints,
             bolusDose: bolusDoseMg,
-            initialContinuousRate: initialContinuousRate,
+            initialContinuousRate: programmedInitialRate,
+            pumpProgram: this.buildPumpProgram(bolusDoseMg, programmedInitialRate, dosageAdjustments),
             calculationMethod: `V1.4.0 Enhanced ${this.calculationMethod.toUpperCase()} + Dynamic Bolus + Adaptive Bounds`,
             v140Enhancements: {
                 dynamicBolus: true,
@@ -596,32 +812,14 @@ class EnhancedProtocolEngine {
      */
     calculatePredictiveAdjustments(currentState, currentRate, targetCe, predictionTime) {
         // Simulate state after prediction time from current state
+        const kernel = this.getKernel();
         let predictedState = { ...currentState };
         const infusionRateMgMin = (currentRate * this.patient.weight) / 60.0;
         
         const numPredictionSteps = Math.floor(predictionTime / this.settings.timeStep);
         
         for (let i = 0; i < numPredictionSteps; i++) {
-            // Plasma concentration
-            const plasmaConc = Math.max(0.0, predictedState.a1 / this.pkParams.V1);
-            
-            // Effect-site concentration update using RK4
-            predictedState.ce = this.updateEffectSiteConcentrationRK4(
-                plasmaConc, 
-                predictedState.ce, 
-                this.pkParams.ke0, 
-                this.settings.timeStep
-            );
-            
-            // System state update
-            const newState = this.updateSystemStateRK4(
-                { a1: predictedState.a1, a2: predictedState.a2, a3: predictedState.a3 },
-                infusionRateMgMin,
-                this.settings.timeStep
-            );
-            predictedState.a1 = newState.a1;
-            predictedState.a2 = newState.a2;
-            predictedState.a3 = newState.a3;
+            predictedState = kernel.step(predictedState, infusionRateMgMin, this.settings.timeStep);
         }
         
         const predictedCe = predictedState.ce;
@@ -649,8 +847,12 @@ class EnhancedProtocolEngine {
 
     /**
      * Concentration evaluation at specified time points
+     * @param {SimulationResult} simulation - Replay of the protocol's dosing (simulateProtocolDosing);
+     *   concentrations are read from it at the exact times, otherwise from the closest data point
+     * @param {Array} rateChanges - The replayed [{time, rateMgKgHr}] schedule; the infusion rate is the
+     *   one programmed at the exact time, otherwise the closest data point's
      */
-    evaluateConcentrationAtTimePoints(timeSeriesData) {
+    evaluateConcentrationAtTimePoints(timeSeriesData, simulation = null, rateChanges = null) {
         const results = [];
         
         for (const targetTime of this.settings.evaluationTimePoints) {
@@ -658,14 +860,20 @@ class EnhancedProtocolEngine {
             const closestDataPoint = timeSeriesData.reduce((prev, curr) => 
                 Math.abs(curr.time - targetTime) < Math.abs(prev.time - targetTime) ? curr : prev
             );
+            const concentrations = simulation && targetTime <= simulation.simulationDurationMinutes ?
+                simulation.concentrationsAt(targetTime) :
+                { plasma: closestDataPoint.plasma, effectSite: closestDataPoint.ce };
             
+            const scheduledTarget = this.getTargetAt(targetTime);
+            const deviation = Math.abs(concentrations.effectSite - scheduledTarget);
             results.push({
                 time: targetTime,
-                effectSiteConcentration: closestDataPoint.ce,
-                plasmaConcentration: closestDataPoint.plasma,
-                infusionRate: closestDataPoint.infusionRate,
-                deviationFromTarget: Math.abs(closestDataPoint.ce - this.settings.targetCe),
-                percentageDeviation: (Math.abs(closestDataPoint.ce - this.settings.targetCe) / this.settings.targetCe) * 100
+                targetCe: scheduledTarget,
+                effectSiteConcentration: concentrations.effectSite,
+                plasmaConcentration: concentrations.plasma,
+                infusionRate: rateChanges ? this.getRateAt(rateChanges, targetTime) : closestDataPoint.infusionRate,
+                deviationFromTarget: deviation,
+                percentageDeviation: (deviation / scheduledTarget) * 100
             });
         }
         
@@ -687,39 +895,50 @@ class EnhancedProtocolEngine {
         const finalCe = timeSeriesData[timeSeriesData.length - 1].ce;
         const maxCe = Math.max(...timeSeriesData.map(point => point.ce));
         
+        // Each point is judged against the target scheduled at its time
+        const targetOf = (point) => point.targetCe !== undefined ? point.targetCe : this.settings.targetCe;
+        
         // Target accuracy (percentage of time within ±10%)
-        const tolerance = this.settings.targetCe * 0.1;
         const withinTolerance = maintenanceData.filter(point => 
-            Math.abs(point.ce - this.settings.targetCe) <= tolerance
+            Math.abs(point.ce - targetOf(point)) <= targetOf(point) * 0.1
         ).length;
         const targetAccuracy = (withinTolerance / maintenanceData.length) * 100;
         
         // Time in therapeutic range (percentage of time within ±5%)
-        const therapeuticTolerance = this.settings.targetCe * 0.05;
         const withinTherapeuticRange = maintenanceData.filter(point => 
-            Math.abs(point.ce - this.settings.targetCe) <= therapeuticTolerance
+            Math.abs(point.ce - targetOf(point)) <= targetOf(point) * 0.05
         ).length;
         const timeInTarget = (withinTherapeuticRange / maintenanceData.length) * 100;
         
         // Stability index
-        const deviations = maintenanceData.map(point => Math.abs(point.ce - this.settings.targetCe));
+        const deviations = maintenanceData.map(point => Math.abs(point.ce - targetOf(point)));
         const avgVariation = deviations.reduce((sum, dev) => sum + dev, 0) / deviations.length;
         const stabilityIndex = Math.max(0, 100 - avgVariation * 1000);
         
         // Convergence time
         let convergenceTime = null;
-        const convergenceTolerance = this.settings.targetCe * 0.05;
         for (let i = 0; i < timeSeriesData.length; i++) {
             const point = timeSeriesData[i];
-            if (Math.abs(point.ce - this.settings.targetCe) <= convergenceTolerance && point.time > 10) {
+            if (Math.abs(point.ce - targetOf(point)) <= targetOf(point) * 0.05 && point.time > 10) {
                 convergenceTime = point.time;
                 break;
             }
         }
         
-        // Overshoot evaluation
-        const overshootPercent = maxCe > this.settings.targetCe ? 
-            ((maxCe - this.settings.targetCe) / this.settings.targetCe) * 100 : 0;
+        // Overshoot evaluation (largest excess over the target in effect)
+        // Segments after a lowered target are skipped: Ce can only fall at its own pace there
+        let overshootPercent = 0;
+        let segmentTarget = null;
+        let rising = true;
+        timeSeriesData.forEach(point => {
+            if (targetOf(point) !== segmentTarget) {
+                rising = segmentTarget === null || targetOf(point) > segmentTarget;
+                segmentTarget = targetOf(point);
+            }
+            if (rising) {
+                overshootPercent = Math.max(overshootPercent, ((point.ce - segmentTarget) / segmentTarget) * 100);
+            }
+        });
         
         // Overall score calculation
         const accuracyScore = Math.min(100, targetAccuracy);
@@ -761,61 +980,16 @@ class EnhancedProtocolEngine {
         };
     }
 
-    /**
-     * RK4 calculation for effect-site concentration
-     */
-    updateEffectSiteConcentrationRK4(plasmaConc, currentCe, ke0, dt) {
-        // Differential equation: dCe/dt = ke0 * (Cp - Ce)
-        const f = (ce, cp) => ke0 * (cp - ce);
-        
-        // Calculate RK4 coefficients
-        const k1 = f(currentCe, plasmaConc);
-        const k2 = f(currentCe + 0.5 * dt * k1, plasmaConc);
-        const k3 = f(currentCe + 0.5 * dt * k2, plasmaConc);
-        const k4 = f(currentCe + dt * k3, plasmaConc);
-        
-        // Calculate new effect-site concentration
-        const newCe = currentCe + (dt / 6.0) * (k1 + 2*k2 + 2*k3 + k4);
-        
-        // Non-negative constraint
-        return Math.max(0, newCe);
-    }
-
-    // Unified incremental simulation (consistent with Real-time and Monitoring)
+    // Unified simulation (consistent with Real-time and Monitoring through the simulation kernel)
     simulateBolusAndContinuous(bolusDoseMg, continuousRate, targetTime) {
-        console.log(`=== V1.5.0 UNIFIED INCREMENTAL simulation with corrected clearance ===`);
+        console.log(`=== V1.5.0 UNIFIED KERNEL simulation with corrected clearance ===`);
         console.log(`Bolus: ${bolusDoseMg}mg, Continuous: ${continuousRate}mg/kg/hr, Target time: ${targetTime}min`);
         
-        // Use incremental approach
-        const bolusState = this.calculateBolusInitialConcentration(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
-        
-        console.log(`V1.5.0: Initial state after bolus: a1=${state.a1}mg, Ce=${currentCe} μg/mL`);
+        // Bolus at the pump bolus speed as in the protocol
+        const finalState = this.simulateProtocolCourse(bolusDoseMg, continuousRate, targetTime).finalState;
         
-        const infusionRateMgMin = (continuousRate * this.patient.weight) / 60.0;
-        const timeStep = this.settings.timeStep; // Use 0.01 min for consistency
-        const numSteps = Math.floor(targetTime / timeStep);
-        
-        console.log(`V1.5.0: Simulation parameters: rate=${infusionRateMgMin}mg/min, steps=${numSteps}, dt=${timeStep}`);
-        
-        for (let i = 0; i < numSteps; i++) {
-            const plasmaConc = Math.max(0.0, state.a1 / this.pkParams.V1);
-            
-            // Update effect-site concentration
-            currentCe = this.updateEffectSiteConcentrationRK4(
-                plasmaConc, 
-                currentCe, 
-                this.pkParams.ke0, 
-                timeStep
-            );
-            
-            // Update system state
-            state = this.updateSystemStateRK4(state, infusionRateMgMin, timeStep);
-        }
-        
-        console.log(`V1.5.0 at t=${targetTime}min: a1=${state.a1.toFixed(6)}mg, Ce=${currentCe.toFixed(6)} μg/mL`);
-        return currentCe;
+        console.log(`V1.5.0 at t=${targetTime}min: a1=${finalState.a1.toFixed(6)}mg, Ce=${finalState.ce.toFixed(6)} μg/mL`);
+        return finalState.ce;
     }
 
     calculateBolusInitialConcentration(bolusDoseMg) {
@@ -829,36 +1003,88 @@ class EnhancedProtocolEngine {
         };
     }
 
-    updateSystemStateRK4(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31 } = this.pkParams;
-        
-        const derivatives = (s) => ({
-            da1dt: infusionRateMgMin - (k10 + k12 + k13) * s.a1 + k21 * s.a2 + k31 * s.a3,
-            da2dt: k12 * s.a1 - k21 * s.a2,
-            da3dt: k13 * s.a1 - k31 * s.a3
-        });
-        
-        const k1 = derivatives(state);
-        const k2 = derivatives({
-            a1: state.a1 + 0.5 * dt * k1.da1dt,
-            a2: state.a2 + 0.5 * dt * k1.da2dt,
-            a3: state.a3 + 0.5 * dt * k1.da3dt
-        });
-        const k3 = derivatives({
-            a1: state.a1 + 0.5 * dt * k2.da1dt,
-            a2: state.a2 + 0.5 * dt * k2.da2dt,
-            a3: state.a3 + 0.5 * dt * k2.da3dt
-        });
-        const k4 = derivatives({
-            a1: state.a1 + dt * k3.da1dt,
-            a2: state.a2 + dt * k3.da2dt,
-            a3: state.a3 + dt * k3.da3dt
-        });
-        
+    /**
+     * Effect-site concentration from a state under a constant infusion rate
+     * @param {Object} state - {a1, a2, a3, ce}
+     * @returns {Array} - Ce at every settings.timeStep over the duration, starting with state.ce
+     */
+    simulateCeFromState(state, infusionRateMgMin, duration) {
+        const kernel = this.getKernel();
+        const numSteps = Math.round(duration / this.settings.timeStep);
+        let current = { a1: state.a1, a2: state.a2, a3: state.a3, ce: state.ce };
+        const ceValues = [current.ce];
+
+        for (let i = 0; i < numSteps; i++) {
+            current = kernel.step(current, infusionRateMgMin, this.settings.timeStep);
+            ceValues.push(current.ce);
+        }
+
+        return ceValues;
+    }
+
+    /**
+     * Inverse bolus solver: bolus whose effect-site peak exactly equals the target, without overshoot
+     * The bolus is added to the central compartment of the current state (calculateBolusInitialConcentration)
+     * while the running infusion continues. The model is linear, so Ce after the bolus is the no-bolus
+     * course plus the bolus times the course of a 1 mg bolus; the peak grows with the bolus and Brent
+     * finds the bolus at which it meets the target.
+     * @param {number} targetCe - Effect-site peak to reach (μg/mL)
+     * @param {Object} options - {state: {a1, a2, a3, ce} (default drug-free), rateMgKgHr (running infusion, default 0),
+     *   horizon (minutes), maxBolusMg (default: dose event bolus limit)}
+     * @returns {Object} - {bolusMg, peakCe, peakTime (minutes after the bolus), currentCe, rateMgKgHr,
+     *   alreadyAtTarget (Ce reaches the target without a bolus), limited (maxBolusMg cannot reach it), optimizer}
+     */
+    solvePeakBolus(targetCe, options = {}) {
+        if (!this.patient || !this.pkParams) {
+            throw new Error('Patient and PK parameters must be set before solving the bolus');
+        }
+        if (!(targetCe > 0)) {
+            throw new Error('Peak bolus requires a positive target concentration');
+        }
+
+        const state = options.state || { a1: 0.0, a2: 0.0, a3: 0.0, ce: 0.0 };
+        const rateMgKgHr = options.rateMgKgHr || 0;
+        const horizon = options.horizon || this.peakBolusSettings.horizon;
+        const maxBolusMg = options.maxBolusMg || ValidationLimits.Dosing.maximumBolus;
+        if (['a1', 'a2', 'a3', 'ce'].some(key => !(state[key] >= 0))) {
+            throw new Error('Patient state must have non-negative a1, a2, a3 and ce');
+        }
+
+        const infusionRateMgMin = (rateMgKgHr * this.patient.weight) / 60.0;
+        const unitBolus = this.calculateBolusInitialConcentration(1.0);
+        const baseline = this.simulateCeFromState(state, infusionRateMgMin, horizon);
+        const perMg = this.simulateCeFromState(
+            { a1: unitBolus.a1, a2: unitBolus.a2, a3: unitBolus.a3, ce: unitBolus.effectSiteConc }, 0, horizon);
+        const peakCe = (bolusMg) => Math.max(...baseline.map((ce, i) => ce + bolusMg * perMg[i]));
+
+        const baselinePeak = Math.max(...baseline);
+        let bolusMg = 0;
+        let optimizer = null;
+        if (baselinePeak < targetCe) {
+            optimizer = BoundedOptimizer.minimizeScalar(
+                bolusMg => (peakCe(bolusMg) - targetCe) ** 2, 0, maxBolusMg, { tolerance: 1e-8 }
+            );
+            bolusMg = optimizer.x;
+        }
+
+        // Course of the chosen bolus: peak and its time
+        const bolusState = this.calculateBolusInitialConcentration(bolusMg);
+        const course = this.simulateCeFromState(
+            { a1: state.a1 + bolusState.a1, a2: state.a2 + bolusState.a2, a3: state.a3 + bolusState.a3, ce: state.ce },
+            infusionRateMgMin, horizon
+        );
+        const peakIndex = course.reduce((best, ce, i) => ce > course[best] ? i : best, 0);
+
         return {
-            a1: state.a1 + (dt / 6.0) * (k1.da1dt + 2*k2.da1dt + 2*k3.da1dt + k4.da1dt),
-            a2: state.a2 + (dt / 6.0) * (k1.da2dt + 2*k2.da2dt + 2*k3.da2dt + k4.da2dt),
-            a3: state.a3 + (dt / 6.0) * (k1.da3dt + 2*k2.da3dt + 2*k3.da3dt + k4.da3dt)
+            targetCe: targetCe,
+            bolusMg: bolusMg,
+            peakCe: course[peakIndex],
+            peakTime: peakIndex * this.settings.timeStep,
+            currentCe: state.ce,
+            rateMgKgHr: rateMgKgHr,
+            alreadyAtTarget: baselinePeak >= targetCe,
+            limited: course[peakIndex] < targetCe - this.peakBolusSettings.tolerance,
+            optimizer: optimizer
         };
     }
 
@@ -871,6 +1097,15 @@ class EnhancedProtocolEngine {
             throw new Error('Patient must be set before optimization');
         }
 
+        if (this.settings.strategy === 'tci' || this.settings.strategy === 'tci-plasma') {
+            return this.runTCIProtocol(targetConcentration, this.settings.targetSchedule,
+                this.settings.strategy === 'tci-plasma' ? 'plasma' : 'effect');
+        }
+
+        if (this.settings.strategy === 'mpc') {
+            return this.runMPCProtocol(targetConcentration);
+        }
+
         this.settings.targetCe = targetConcentration;
         targetTime = targetTime || this.settings.targetReachTime;
         
@@ -878,11 +1113,14 @@ class EnhancedProtocolEngine {
         console.log(`V1.5.0 Critical Fixes: Units Conversion (60x), Zero Target Logic, Dynamic Bounds`);
         
         // V1.5.0 Enhanced optimization (this will use dynamic bolus internally)
-        const optimizationResult = this.optimizeInfusionRateEnhanced(
-            bolusDose, // This gets optimized dynamically inside the method
-            targetConcentration, 
-            targetTime
-        );
+        // The initial rate aims at the target scheduled for the reach time
+        const optimizationResult = this.settings.bolusOptimization === 'joint' ?
+            this.optimizeBolusAndRate(this.getTargetAt(targetTime), targetTime) :
+            this.optimizeInfusionRateEnhanced(
+                bolusDose, // This gets optimized dynamically inside the method
+                this.getTargetAt(targetTime), 
+                targetTime
+            );
         
         // Use the optimized bolus dose for protocol generation
         const protocolResult = this.generatePredictiveProtocol(
@@ -896,11 +1134,11 @@ class EnhancedProtocolEngine {
         console.log(`=== V1.5.0 OPTIMIZATION COMPLETE ===`);
         console.log(`Target: ${targetConcentration} μg/mL → Predicted: ${optimizationResult.predictedCe.toFixed(4)} μg/mL`);
         console.log(`Error: ${optimizationResult.relativeError.toFixed(2)}% (±10% target: ${optimizationResult.withinTarget ? 'ACHIEVED' : 'FAILED'})`);
-        console.log(`Bolus: ${optimizationResult.bolusDose.toFixed(2)}mg (dynamic), Continuous: ${optimizationResult.continuousRate.toFixed(3)}mg/kg/hr`);
+        console.log(`Bolus: ${optimizationResult.bolusDose.toFixed(2)}mg (${optimizationResult.jointOptimization ? "joint" : "dynamic"}), Continuous: ${optimizationResult.continuousRate.toFixed(3)}mg/kg/hr`);
         console.log(`V1.5.0 Critical Fixes Applied: Units=${optimizationResult.criticalFixes.unitsConversion}, Zero=${optimizationResult.criticalFixes.zeroTargetLogic}, Bounds=${optimizationResult.criticalFixes.dynamicBoundsRecalculation}`);
         
         return {
-            optimizedRate: optimizationResult.continuousRate,
+            optimizedRate: protocolResult.initialContinuousRate, // Optimized rate on the pump resolution
             protocol: protocolResult,
             // V1.5.0 Enhanced results
             optimizationResult: optimizationResult,
@@ -909,13 +1147,475 @@ class EnhancedProtocolEngine {
         };
     }
 
+    /**
+     * Effect-site or plasma targeted TCI protocol
+     * The controller recomputes the pump rate every 10 s; its record is summarized as the
+     * loading bolus plus per-minute rate adjustments so the protocol transfers to monitoring.
+     * @param {number} targetConcentration - Target Ce or Cp (μg/mL)
+     * @param {Array} targetSchedule - Optional later target changes [{time, targetCe}]
+     * @param {string} targetSite - 'effect' or 'plasma'
+     */
+    runTCIProtocol(targetConcentration, targetSchedule = [], targetSite = 'effect') {
+        if (!this.patient) {
+            throw new Error('Patient must be set before optimization');
+        }
+
+        this.settings.targetCe = targetConcentration;
+        const protocolResult = this.buildTCIProtocol(targetConcentration, targetSchedule, targetSite);
+        this.lastResult = protocolResult;
+
+        console.log(`${protocolResult.calculationMethod}: target ${targetConcentration} μg/mL → loading ${protocolResult.bolusDose.toFixed(2)} mg, ${protocolResult.dosageAdjustments.length} rate updates`);
+
+        return {
+            optimizedRate: protocolResult.initialContinuousRate,
+            protocol: protocolResult,
+            strategy: targetSite === 'plasma' ? 'tci-plasma' : 'tci'
+        };
+    }
+
+    /**
+     * TCI protocol without storing it as the last result (used for strategy comparison)
+     * @param {Object} initialState - {a1, a2, a3, ce} at t=0 (null: drug-free patient)
+     */
+    buildTCIProtocol(targetConcentration, targetSchedule = [], targetSite = 'effect', initialState = null) {
+        if (!this.patient) {
+            throw new Error('Patient must be set before optimization');
+        }
+
+        const siteLabel = targetSite === 'plasma' ? 'Plasma TCI' : 'Effect-site TCI';
+        const controller = new EffectSiteTCIController(this.pkParams, this.patient.weight, {
+            maxPumpRateMlHr: this.pump.maxRateMlHr,
+            drugConcentrationMgMl: this.pump.drugConcentrationMgMl,
+            rateResolutionMlHr: this.pump.rateResolutionMlHr,
+            targetSite: targetSite
+        });
+        controller.setTarget(targetConcentration, 0);
+
+        const records = controller.simulate(this.settings.simulationDuration,
+            initialState ? [initialState.a1, initialState.a2, initialState.a3, initialState.ce] : [0, 0, 0, 0], targetSchedule);
+        const summary = controller.summarizeDoseEvents(records);
+        // Per-minute averages are set on the pump resolution; steps that round to the same rate are dropped
+        const events = summary.events
+            .map(event => ({ time: event.time, continuousMgKgHr: this.constrainRate(event.continuousMgKgHr) }))
+            .filter((event, index, all) => index === 0 || event.continuousMgKgHr !== all[index - 1].continuousMgKgHr);
+
+        const timeSeriesData = records.map(record => ({
+            time: parseFloat(record.time.toFixed(2)),
+            ce: record.ce,
+            plasma: record.plasma,
+            infusionRate: record.rateMgKgHr,
+            targetCe: record.targetCe,
+            upperThreshold: this.getUpperThresholdAt(record.time),
+            isBolus: record.saturated
+        }));
+
+        const ceAt = (time) => records[Math.min(records.length - 1, Math.round(time / controller.updateInterval))].ce;
+        const dosageAdjustments = events.slice(1).map((event, index) => ({
+            time: event.time,
+            type: 'tci_rate_update',
+            oldRate: events[index].continuousMgKgHr,
+            newRate: event.continuousMgKgHr,
+            ceAtEvent: ceAt(event.time),
+            adjustmentNumber: index + 1,
+            reason: siteLabel
+        }));
+
+        // The pump records hold each rate until the next record
+        const rateSegments = controller.rateSegments(records);
+        const rateChanges = rateSegments.map(segment => ({ time: segment.time, rateMgKgHr: segment.rateMgKgHr }));
+        const simulation = this.simulateProtocolDosing(rateChanges, 0, 0, initialState);
+
+        // The pump program (and the dose events sent to monitoring) is the per-minute summary:
+        // its replay is compared with the controller's run
+        const summaryReplay = this.simulateProtocolDosing(
+            events.map(event => ({ time: event.time, rateMgKgHr: event.continuousMgKgHr })),
+            summary.bolusMg, this.getBolusDelivery(summary.bolusMg).steps * this.settings.timeStep, initialState);
+        let maxCeDeviation = 0;
+        let maxPlasmaDeviation = 0;
+        for (let time = 0; time <= this.settings.simulationDuration; time++) {
+            const exact = simulation.concentrationsAt(time);
+            const replayed = summaryReplay.concentrationsAt(time);
+            maxCeDeviation = Math.max(maxCeDeviation, Math.abs(replayed.effectSite - exact.effectSite));
+            maxPlasmaDeviation = Math.max(maxPlasmaDeviation, Math.abs(replayed.plasma - exact.plasma));
+        }
+
+        const initialContinuousRate = events[0].continuousMgKgHr;
+        return {
+            timeSeriesData: timeSeriesData,
+            dosageAdjustments: dosageAdjustments,
+            performance: this.evaluateEnhancedProtocolPerformance(timeSeriesData, dosageAdjustments),
+            concentrationAtTimePoints: this.evaluateConcentrationAtTimePoints(timeSeriesData, simulation, rateChanges),
+            bolusDose: summary.bolusMg,
+            initialContinuousRate: initialContinuousRate,
+            pumpProgram: this.buildPumpProgram(summary.bolusMg, initialContinuousRate, dosageAdjustments),
+            calculationMethod: `${siteLabel} (exact analytical, 10 s updates)`,
+            tci: {
+                targetSite: targetSite,
+                maxRateMgMin: controller.maxRateMgMin,
+                updateInterval: controller.updateInterval,
+                targetHistory: controller.getTargetHistory(),
+                pumpRecords: records,
+                rateSegments: rateSegments,
+                summaryDeviation: { maxCe: maxCeDeviation, maxPlasma: maxPlasmaDeviation }
+            }
+        };
+    }
+
+    /**
+     * Model-predictive protocol: the loading bolus of the heuristic strategy, then the rate
+     * chosen every adjustment interval by ModelPredictiveController
+     * @param {number} targetConcentration - Target Ce (μg/mL); settings.targetSchedule applies
+     */
+    runMPCProtocol(targetConcentration) {
+        if (!this.patient) {
+            throw new Error('Patient must be set before optimization');
+        }
+
+        this.settings.targetCe = targetConcentration;
+        const protocolResult = this.buildMPCProtocol();
+        this.lastResult = protocolResult;
+
+        console.log(`${protocolResult.calculationMethod}: target ${targetConcentration} μg/mL → bolus ${protocolResult.bolusDose.toFixed(2)} mg, ${protocolResult.dosageAdjustments.length} rate changes`);
+
+        return {
+            optimizedRate: protocolResult.initialContinuousRate,
+            protocol: protocolResult,
+            strategy: 'mpc'
+        };
+    }
+
+    /**
+     * MPC protocol for the current settings without storing it as the last result
+     * @param {Object} options - MPCControllerDefaults overrides
+     * @param {number} bolusDoseMg - Loading bolus (mg); null for the dynamic bolus of the target
+     * @param {Object} initialState - {a1, a2, a3, ce} at t=0 (null: drug-free patient)
+     * @param {number} initialRate - Rate running at t=0 (mg/kg/hr)
+     */
+    buildMPCProtocol(options = {}, bolusDoseMg = null, initialState = null, initialRate = 0) {
+        if (!this.patient) {
+            throw new Error('Patient must be set before optimization');
+        }
+
+        if (bolusDoseMg === null) {
+            bolusDoseMg = this.calculateOptimalBolusDose(this.getTargetAt(this.settings.targetReachTime)).bolusDose;
+        }
+        const bolus = this.getBolusDelivery(bolusDoseMg);
+        const controller = new ModelPredictiveController(this.pkParams, this.patient.weight, {
+            decisionInterval: this.settings.adjustmentInterval,
+            maxRateMgKgHr: this.v140Settings.safetyLimits.maxContinuousRate,
+            ...options,
+            pump: this.pump
+        });
+
+        const { records, decisions } = controller.simulate(this.settings.simulationDuration, {
+            targetAt: (time) => this.getTargetAt(time),
+            upperAt: (time) => this.getUpperThresholdAt(time),
+            bolusMg: bolusDoseMg,
+            bolusDuration: bolus.steps * this.settings.timeStep,
+            initialState: initialState ? [initialState.a1, initialState.a2, initialState.a3, initialState.ce] : null,
+            initialRate: initialRate
+        });
+
+        const timeSeriesData = records.map(record => ({
+            time: parseFloat(record.time.toFixed(2)),
+            ce: record.ce,
+            plasma: record.plasma,
+            infusionRate: record.rateMgKgHr,
+            targetCe: record.targetCe,
+            upperThreshold: record.upperThreshold,
+            isBolus: record.time < bolus.steps * this.settings.timeStep - 1e-9
+        }));
+
+        // The first decision starts the infusion; later decisions that keep the rate are not adjustments
+        const initialContinuousRate = decisions[0].newRate;
+        const dosageAdjustments = decisions.slice(1)
+            .filter(decision => Math.abs(decision.newRate - decision.oldRate) > 1e-9)
+            .map((decision, index) => ({
+                time: parseFloat(decision.time.toFixed(2)),
+                type: 'mpc_adjustment',
+                oldRate: decision.oldRate,
+                newRate: decision.newRate,
+                ceAtEvent: decision.ce,
+                adjustmentNumber: index + 1,
+                reason: decision.targetChanged ? `Target step to ${decision.targetCe.toFixed(2)} μg/mL` : 'MPC'
+            }));
+
+        const rateChanges = records.map(record => ({ time: record.time, rateMgKgHr: record.rateMgKgHr }));
+        const simulation = this.simulateProtocolDosing(rateChanges, bolusDoseMg, bolus.steps * this.settings.timeStep, initialState);
+
+        return {
+            timeSeriesData: timeSeriesData,
+            dosageAdjustments: dosageAdjustments,
+            performance: this.evaluateEnhancedProtocolPerformance(timeSeriesData, dosageAdjustments),
+            concentrationAtTimePoints: this.evaluateConcentrationAtTimePoints(timeSeriesData, simulation, rateChanges),
+            bolusDose: bolusDoseMg,
+            initialContinuousRate: initialContinuousRate,
+            pumpProgram: this.buildPumpProgram(bolusDoseMg, initialContinuousRate, dosageAdjustments),
+            calculationMethod: `Model-predictive control (${controller.options.controlMoves} moves every ${controller.options.decisionInterval} min)`,
+            mpc: {
+                options: controller.options,
+                decisions: decisions
+            }
+        };
+    }
+
+    /**
+     * Loading bolus and one continuous rate with no adjustments (the plain bolus + infusion regimen)
+     * @param {number} bolusDoseMg - Loading bolus (mg), delivered at pump speed
+     * @param {number} rateMgKgHr - Continuous rate from t=0 (set on the pump resolution)
+     */
+    buildFixedRateProtocol(bolusDoseMg, rateMgKgHr) {
+        if (!this.patient) {
+            throw new Error('Patient must be set before optimization');
+        }
+
+        const bolus = this.getBolusDelivery(bolusDoseMg);
+        const bolusDuration = bolus.steps * this.settings.timeStep;
+        const rate = this.constrainRate(rateMgKgHr);
+        const rateChanges = [{ time: 0, rateMgKgHr: rate }];
+        const events = [SimulationEvent.rate(0, rate)];
+        if (bolusDoseMg > 0) {
+            events.unshift(SimulationEvent.bolus(0, bolusDoseMg, bolusDuration));
+        }
+        const run = this.getKernel().simulate(events, this.settings.simulationDuration, {
+            method: 'analytical',
+            timeStep: this.settings.timeStep,
+            patient: this.patient
+        });
+
+        const timeSeriesData = run.timeVector.map((time, i) => ({
+            time: parseFloat(time.toFixed(2)),
+            ce: run.effectSiteConcentrations[i],
+            plasma: run.plasmaConcentrations[i],
+            infusionRate: rate,
+            targetCe: this.getTargetAt(time),
+            upperThreshold: this.getUpperThresholdAt(time),
+            isBolus: time < bolusDuration - 1e-9
+        }));
+        const simulation = this.simulateProtocolDosing(rateChanges, bolusDoseMg, bolusDuration);
+
+        return {
+            timeSeriesData: timeSeriesData,
+            dosageAdjustments: [],
+            performance: this.evaluateEnhancedProtocolPerformance(timeSeriesData, []),
+            concentrationAtTimePoints: this.evaluateConcentrationAtTimePoints(timeSeriesData, simulation, rateChanges),
+            bolusDose: bolusDoseMg,
+            initialContinuousRate: rate,
+            pumpProgram: this.buildPumpProgram(bolusDoseMg, rate, []),
+            calculationMethod: 'Bolus + fixed-rate infusion (exact analytical)'
+        };
+    }
+
+    /**
+     * Continuous rate whose Ce meets the target at timeToTarget after an instantaneous bolus on top of a state
+     * @returns {Object} - {continuousRate, predictedCe, optimizer}
+     */
+    optimizeRateFromState(state, bolusDoseMg, targetCe, timeToTarget) {
+        const bolusState = this.calculateBolusInitialConcentration(bolusDoseMg);
+        const start = { a1: state.a1 + bolusState.a1, a2: state.a2 + bolusState.a2, a3: state.a3 + bolusState.a3, ce: state.ce };
+        const ceAtTarget = (rate) => {
+            const ceValues = this.simulateCeFromState(start, (rate * this.patient.weight) / 60.0, timeToTarget);
+            return ceValues[ceValues.length - 1];
+        };
+
+        const bounds = this.getAdaptiveOptimizationBounds(targetCe, this.getConcentrationCategory(targetCe));
+        const optimizer = BoundedOptimizer.minimizeScalar(rate => (ceAtTarget(rate) - targetCe) ** 2, 0, bounds.max);
+        return {
+            continuousRate: optimizer.x,
+            predictedCe: ceAtTarget(optimizer.x),
+            optimizer: optimizer
+        };
+    }
+
+    /**
+     * Re-plan from an intraoperative state: the selected strategy runs forward from the state to a new target
+     * Heuristic and MPC start with the top-up bolus whose Ce peak meets the target (none when Ce is
+     * already there); TCI starts its controller from the state. Times are minutes from the re-plan,
+     * the target schedule is not applied and the last result is left unchanged.
+     * @param {Object} state - {a1, a2, a3, ce} at the re-plan time
+     * @param {number} targetCe - New target (μg/mL)
+     * @param {Object} options - {rateMgKgHr: rate running at the re-plan time, topUpBolus: false to start without a bolus}
+     * @returns {Object} - {protocol (with replan: {state, rateMgKgHr, targetCe}), strategy, topUp (solvePeakBolus result or null)}
+     */
+    replanFromState(state, targetCe, options = {}) {
+        if (!this.patient || !this.pkParams) {
+            throw new Error('Patient and PK parameters must be set before re-planning');
+        }
+        if (!(targetCe > 0)) {
+            throw new Error('Re-planning requires a positive target concentration');
+        }
+        if (!state || ['a1', 'a2', 'a3', 'ce'].some(key => !(state[key] >= 0))) {
+            throw new Error('Patient state must have non-negative a1, a2, a3 and ce');
+        }
+
+        const rateMgKgHr = options.rateMgKgHr || 0;
+        const strategy = this.settings.strategy;
+        const { targetCe: selectedTarget, upperThreshold, targetSchedule } = this.settings;
+        this.settings.targetCe = targetCe;
+        // Keep the upper threshold in proportion to the target
+        this.settings.upperThreshold = selectedTarget > 0 ? targetCe * (upperThreshold / selectedTarget) : upperThreshold;
+        this.settings.targetSchedule = [];
+
+        try {
+            let protocol;
+            let topUp = null;
+            if (strategy === 'tci' || strategy === 'tci-plasma') {
+                protocol = this.buildTCIProtocol(targetCe, [], strategy === 'tci-plasma' ? 'plasma' : 'effect', state);
+            } else {
+                topUp = options.topUpBolus === false ? null : this.solvePeakBolus(targetCe, { state: state, rateMgKgHr: rateMgKgHr });
+                const bolusDoseMg = topUp ? topUp.bolusMg : 0;
+                if (strategy === 'mpc') {
+                    protocol = this.buildMPCProtocol({}, bolusDoseMg, state, rateMgKgHr);
+                } else {
+                    const rate = this.optimizeRateFromState(state, bolusDoseMg, targetCe, this.settings.targetReachTime);
+                    protocol = this.generatePredictiveProtocol(bolusDoseMg, rate.continuousRate, state);
+                }
+            }
+
+            protocol.replan = { state: { ...state }, rateMgKgHr: rateMgKgHr, targetCe: targetCe };
+            console.log(`Re-plan (${strategy}) from Ce ${state.ce.toFixed(3)} to ${targetCe} μg/mL: ` +
+                `bolus ${protocol.bolusDose.toFixed(2)} mg, ${protocol.initialContinuousRate.toFixed(2)} mg/kg/hr, ${protocol.dosageAdjustments.length} adjustments`);
+            return { protocol: protocol, strategy: strategy, topUp: topUp };
+        } finally {
+            this.settings.targetCe = selectedTarget;
+            this.settings.upperThreshold = upperThreshold;
+            this.settings.targetSchedule = targetSchedule;
+        }
+    }
+
+    /**
+     * Run several strategies on the same target and pump for comparison
+     * The last result and the selected strategy are left unchanged.
+     * @param {Array} strategies - Strategy names (settings.strategy values)
+     * @returns {Array} - [{strategy, timeInTarget, targetAccuracy, totalAdjustments, overshootPercent, stabilityIndex, finalCe}]
+     */
+    compareStrategies(targetConcentration, bolusDose, targetTime, strategies = ['heuristic', 'mpc']) {
+        const selectedStrategy = this.settings.strategy;
+        const lastResult = this.lastResult;
+
+        try {
+            return strategies.map(strategy => {
+                this.settings.strategy = strategy;
+                const performance = this.runEnhancedOptimization(targetConcentration, bolusDose, targetTime).protocol.performance;
+                return {
+                    strategy: strategy,
+                    timeInTarget: performance.timeInTarget,
+                    targetAccuracy: performance.targetAccuracy,
+                    totalAdjustments: performance.totalAdjustments,
+                    overshootPercent: performance.overshootPercent,
+                    stabilityIndex: performance.stabilityIndex,
+                    finalCe: performance.finalCe
+                };
+            });
+        } finally {
+            this.settings.strategy = selectedStrategy;
+            this.lastResult = lastResult;
+        }
+    }
+
+    /**
+     * Objectives a protocol is ranked on (all minimized)
+     * @returns {Object} - {totalDoseMg, overshootPercent, timeToTarget (minutes, Infinity if never reached), adjustments}
+     */
+    getProtocolObjectives(protocol) {
+        // First time Ce is within ±5% of the target in effect
+        const reached = protocol.timeSeriesData.find(point => Math.abs(point.ce - point.targetCe) <= point.targetCe * 0.05);
+        return {
+            totalDoseMg: protocol.pumpProgram.consumption.totalMg,
+            overshootPercent: Math.max(0, protocol.performance.overshootPercent),
+            timeToTarget: reached ? reached.time : Infinity,
+            adjustments: protocol.dosageAdjustments.length
+        };
+    }
+
+    /**
+     * Whether objectives a are no worse than b in every objective and better in at least one
+     */
+    dominates(a, b) {
+        const keys = Object.keys(a);
+        return keys.every(key => a[key] <= b[key]) && keys.some(key => a[key] < b[key]);
+    }
+
+    /**
+     * Candidate protocols of every strategy for the Pareto front: the given protocol, Ce- and
+     * Cp-target TCI, and for each loading bolus of paretoSettings.bolusFactors the bolus with a
+     * fixed rate, the predictive step-down and MPC over the rate-change penalties (the fixed and
+     * step-down rates meet the target at the reach time after that bolus)
+     * @param {Object} baseProtocol - Protocol of the selected strategy (defaults to the last result)
+     * @returns {Array} - [{id, label, strategy, protocol, objectives}]
+     */
+    generateParetoCandidates(baseProtocol = this.lastResult) {
+        if (!this.patient) {
+            throw new Error('Patient must be set before optimization');
+        }
+
+        const candidates = [];
+        if (baseProtocol) {
+            candidates.push({ label: `Selected (${this.settings.strategy})`, strategy: this.settings.strategy, protocol: baseProtocol });
+        }
+
+        const { targetCe, targetSchedule, targetReachTime } = this.settings;
+        candidates.push({ label: 'Effect-site TCI', strategy: 'tci', protocol: this.buildTCIProtocol(targetCe, targetSchedule, 'effect') });
+        candidates.push({ label: 'Plasma TCI', strategy: 'tci-plasma', protocol: this.buildTCIProtocol(targetCe, targetSchedule, 'plasma') });
+
+        const reachTarget = this.getTargetAt(targetReachTime);
+        const drugFree = { a1: 0, a2: 0, a3: 0, ce: 0 };
+        const baseBolusMg = this.calculateOptimalBolusDose(reachTarget).bolusDose;
+        this.paretoSettings.bolusFactors.forEach(factor => {
+            const bolusDoseMg = Math.min(baseBolusMg * factor, this.v140Settings.safetyLimits.maxBolusTotal);
+            const rate = this.optimizeRateFromState(drugFree, bolusDoseMg, reachTarget, targetReachTime).continuousRate;
+            candidates.push({
+                label: `Fixed rate ${this.constrainRate(rate).toFixed(2)} mg/kg/hr, bolus ${bolusDoseMg.toFixed(1)} mg`,
+                strategy: 'fixed',
+                protocol: this.buildFixedRateProtocol(bolusDoseMg, rate)
+            });
+            candidates.push({
+                label: `Step-down bolus ${bolusDoseMg.toFixed(1)} mg`,
+                strategy: 'heuristic',
+                protocol: this.generatePredictiveProtocol(bolusDoseMg, rate)
+            });
+            this.paretoSettings.changeWeights.forEach(changeWeight => {
+                candidates.push({
+                    label: `MPC bolus ${bolusDoseMg.toFixed(1)} mg, change cost ${changeWeight}`,
+                    strategy: 'mpc',
+                    protocol: this.buildMPCProtocol({ changeWeight: changeWeight }, bolusDoseMg)
+                });
+            });
+        });
+
+        return candidates.map((candidate, index) => ({
+            id: index,
+            label: candidate.label,
+            strategy: candidate.strategy,
+            protocol: candidate.protocol,
+            objectives: this.getProtocolObjectives(candidate.protocol)
+        }));
+    }
+
+    /**
+     * Pareto set of protocols for the current target and pump
+     * Of the candidates of every strategy (generateParetoCandidates), protocols dominated by
+     * another candidate, or duplicating one, are dropped.
+     * @param {Object} baseProtocol - Protocol of the selected strategy (defaults to the last result)
+     * @returns {Array} - [{id, label, strategy, protocol, objectives}] sorted by total dose
+     */
+    generateParetoFront(baseProtocol = this.lastResult) {
+        const scored = this.generateParetoCandidates(baseProtocol);
+        const sameObjectives = (a, b) => Object.keys(a).every(key => Math.abs(a[key] - b[key]) < 1e-9 || a[key] === b[key]);
+        return scored
+            .filter(candidate => !scored.some(other => this.dominates(other.objectives, candidate.objectives)))
+            .filter((candidate, index, front) => front.findIndex(other => sameObjectives(other.objectives, candidate.objectives)) === index)
+            .sort((a, b) => a.objectives.totalDoseMg - b.objectives.totalDoseMg);
+    }
+
     /**
      * Get chart data with V1.5.0 enhancements
+     * @param {Object} protocol - Protocol result (defaults to the last optimization)
      */
-    getEnhancedChartData() {
-        if (!this.lastResult) return null;
+    getEnhancedChartData(protocol = this.lastResult) {
+        if (!protocol) return null;
         
-        const data = this.lastResult.timeSeriesData;
+        const data = protocol.timeSeriesData;
         
         return {
             times: data.map(d => d.time),
@@ -923,7 +1623,9 @@ class EnhancedProtocolEngine {
             effectSiteConcentrations: data.map(d => d.ce),
             infusionRates: data.map(d => d.infusionRate),
             targetConcentrations: data.map(d => d.targetCe),
-            adjustmentTimes: this.lastResult.dosageAdjustments.map(a => a.time),
+            targetLine: data.map(d => d.targetCe),
+            upperThresholdLine: data.map(d => d.upperThreshold),
+            adjustmentTimes: protocol.dosageAdjustments.map(a => a.time),
             evaluationTimePoints: this.settings.evaluationTimePoints,
             v150Enhanced: true, // V1.5.0 flag
             v140Enhanced: true  // Backward compatibility
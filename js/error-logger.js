@@ -34,6 +34,7 @@ const ErrorSource = {
     INDUCTION_ENGINE: 'InductionEngine',
     MONITORING_ENGINE: 'MonitoringEngine',
     LSODA_SOLVER: 'LSODASolver',
+    NUMERICAL_SOLVERS: 'NumericalSolvers',
     VHAC_ALGORITHM: 'VHACAlgorithm',
     PATIENT_MODEL: 'PatientModel',
     MAIN_CONTROLLER: 'MainController'
@@ -425,9 +426,22 @@ class MedicalErrorLogger {
 const MedicalErrorLog = new MedicalErrorLogger();
 
 // Export for use in other modules
-window.MedicalErrorLogger = MedicalErrorLogger;
-window.MedicalErrorReport = MedicalErrorReport;
-window.MedicalErrorLog = MedicalErrorLog;
-window.ErrorSeverity = ErrorSeverity;
-window.ErrorCategory = ErrorCategory;
-window.ErrorSource = ErrorSource;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.MedicalErrorLogger = MedicalErrorLogger;
+    window.MedicalErrorReport = MedicalErrorReport;
+    window.MedicalErrorLog = MedicalErrorLog;
+    window.ErrorSeverity = ErrorSeverity;
+    window.ErrorCategory = ErrorCategory;
+    window.ErrorSource = ErrorSource;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MedicalErrorLogger,
+        MedicalErrorReport,
+        MedicalErrorLog,
+        ErrorSeverity,
+        ErrorCategory,
+        ErrorSource
+    };
+}
\ No newline at end of file
@@ -4,20 +4,29 @@
  * 
  * Features:
  * - Real-time plasma and effect-site concentration calculation
- * - LSODA and Euler integration methods
+ * - Euler and RK4 integration through the shared simulation kernel
  * - Snapshot recording functionality
+ * - Live probability of LOC and predicted time to P(LOC) 50% / 95%
  * - Continuous and bolus dosing support
+ * - Target-controlled mode: effect-site TCI controller sets the rate every 10 s
  */
 
 // Import required modules for Node.js environment
 if (typeof require !== 'undefined') {
-    const { MasuiKe0Calculator } = require('../utils/masui-ke0-calculator.js');
+    const { PKModels } = require('./pk-model-registry.js');
     const { PKPDIntegrationAdapter } = require('./pk-pd-system.js');
     const { InductionSnapshot } = require('./models.js');
+    const { SigmoidEmaxPDModel } = require('./pd-model.js');
+    const { EffectSiteTCIController, TCIControllerDefaults } = require('./tci-controller.js');
+    const { SimulationKernel } = require('./simulation-kernel.js');
     
-    global.MasuiKe0Calculator = MasuiKe0Calculator;
+    global.PKModels = PKModels;
     global.PKPDIntegrationAdapter = PKPDIntegrationAdapter;
     global.InductionSnapshot = InductionSnapshot;
+    global.SigmoidEmaxPDModel = SigmoidEmaxPDModel;
+    global.EffectSiteTCIController = EffectSiteTCIController;
+    global.TCIControllerDefaults = TCIControllerDefaults;
+    global.SimulationKernel = SimulationKernel;
 }
 
 class InductionEngine {
@@ -31,6 +40,7 @@ class InductionEngine {
         // Dual-method states
         this.eulerState = { a1: 0, a2: 0, a3: 0, ce: 0 };
         this.rk4State = { a1: 0, a2: 0, a3: 0, ce: 0 };
+        this.kernel = null;
         
         this.bolusDose = 0;
         this.continuousDose = 0;
@@ -48,6 +58,22 @@ class InductionEngine {
         
         // Time step for real-time updates (0.01 min = 0.6 sec, matches timer interval)
         this.timeStep = 0.01;
+        
+        // PD model for P(LOC) prediction
+        this.pdModel = new SigmoidEmaxPDModel();
+        this.locPredictionHorizon = 30; // minutes
+
+        // Target-controlled mode (null in manual mode)
+        this.tciController = null;
+        this.nextTCIUpdate = 0; // seconds
+        this.infusedMg = 0;
+    }
+
+    /**
+     * Set PD model used for P(LOC) prediction
+     */
+    setPDModel(pdModel) {
+        this.pdModel = pdModel;
     }
 
     /**
@@ -134,6 +160,8 @@ class InductionEngine {
         this.startTime = new Date();
         this.elapsedTime = 0; // Simulation time in seconds (incremented by 0.6s per tick)
         this.snapshots = [];
+        this.tciController = null;
+        this.infusedMg = bolusDose;
         this.isRunning = true;
 
         // Log the calculation method being used
@@ -152,6 +180,80 @@ class InductionEngine {
         return true;
     }
 
+    /**
+     * Start a target-controlled induction
+     * No manual bolus: the controller runs the pump at its maximum until the predicted
+     * Ce peak reaches the target, then recomputes the maintenance rate every update interval.
+     * @param {Object} patient - Patient
+     * @param {number} targetCe - Effect-site target (μg/mL)
+     * @param {Object} options - EffectSiteTCIController options (maxPumpRateMlHr, drugConcentrationMgMl, updateInterval)
+     */
+    startTargetControlled(patient, targetCe, options = {}) {
+        if (this.isRunning) {
+            console.warn('Induction already running');
+            return false;
+        }
+        if (!patient) {
+            throw new Error('Patient is required');
+        }
+
+        // Hold each rate for a whole number of 0.6 s ticks so the controller predicts what is delivered
+        const interval = Math.round((options.updateInterval || TCIControllerDefaults.updateInterval) / this.timeStep) * this.timeStep;
+        const controller = new EffectSiteTCIController(this.calculatePKParameters(patient), patient.weight,
+            { ...options, updateInterval: interval });
+        controller.setTarget(targetCe, 0);
+
+        if (!this.start(patient, 0, 0)) {
+            return false;
+        }
+        this.tciController = controller;
+        this.nextTCIUpdate = 0;
+        this.updateTCIRate();
+        this.notifyCallbacks();
+        return true;
+    }
+
+    /**
+     * Change the effect-site target of a target-controlled induction; takes effect on the next tick
+     */
+    setTargetCe(targetCe) {
+        if (!this.tciController) return false;
+
+        this.tciController.setTarget(targetCe, this.elapsedTime / 60);
+        this.nextTCIUpdate = this.elapsedTime;
+        this.notifyCallbacks();
+        return true;
+    }
+
+    /**
+     * Recompute the pump rate from the current state when the update interval has elapsed
+     */
+    updateTCIRate() {
+        if (!this.tciController || this.elapsedTime + 1e-9 < this.nextTCIUpdate) return;
+
+        const state = [this.rk4State.a1, this.rk4State.a2, this.rk4State.a3, this.rk4State.ce];
+        const rateMgMin = this.tciController.calculateRate(state);
+        this.continuousDose = rateMgMin * 60.0 / this.patient.weight;
+        this.nextTCIUpdate = this.elapsedTime + this.tciController.updateInterval * 60;
+    }
+
+    /**
+     * Target-controlled status for display
+     * @returns {Object|null} - {targetCe, rateMgKgHr, rateMlHr, infusedMg, saturated}
+     */
+    getTCIStatus() {
+        if (!this.tciController) return null;
+
+        const rateMgMin = this.continuousDose * this.patient.weight / 60.0;
+        return {
+            targetCe: this.tciController.getTarget(),
+            rateMgKgHr: this.continuousDose,
+            rateMlHr: rateMgMin * 60.0 / this.tciController.drugConcentrationMgMl,
+            infusedMg: this.infusedMg,
+            saturated: rateMgMin >= this.tciController.maxRateMgMin - 1e-9
+        };
+    }
+
     stop() {
         if (!this.isRunning) return false;
 
@@ -194,6 +296,7 @@ class InductionEngine {
         // FIXED: Use simulation time instead of real elapsed time
         // Increment by exactly 0.6 seconds (0.01 minutes) per timer tick
         this.elapsedTime += 0.6; // 600ms timer interval
+        this.infusedMg += this.continuousDose * this.patient.weight / 60.0 * this.timeStep;
         
         if (this.calculationMethod === 'dual') {
             // Update with dual-method calculation
@@ -202,6 +305,8 @@ class InductionEngine {
             // Update with single method using PKPDIntegrationAdapter
             this.updateSimulationSingleMethod();
         }
+
+        this.updateTCIRate();
     }
 
     /**
@@ -242,253 +347,77 @@ class InductionEngine {
     }
 
     updateStateEuler(dt, continuousRate) {
-        const { k10, k12, k21, k13, k31, ke0 } = this.pkParams;
-
-        // Differential equations for Euler method
-        const da1_dt = continuousRate - k10 * this.eulerState.a1 - k12 * this.eulerState.a1 + 
-                       k21 * this.eulerState.a2 - k13 * this.eulerState.a1 + k31 * this.eulerState.a3;
-        const da2_dt = k12 * this.eulerState.a1 - k21 * this.eulerState.a2;
-        const da3_dt = k13 * this.eulerState.a1 - k31 * this.eulerState.a3;
-
-        // Update compartments (Euler integration)
-        this.eulerState.a1 += dt * da1_dt;
-        this.eulerState.a2 += dt * da2_dt;
-        this.eulerState.a3 += dt * da3_dt;
-
-        // Effect site concentration using Euler for consistency
-        const plasmaConc = this.eulerState.a1 / this.pkParams.V1;
-        const dce_dt = ke0 * (plasmaConc - this.eulerState.ce);
-        this.eulerState.ce += dt * dce_dt;
-
-        // Non-negative constraints
-        this.eulerState.a1 = Math.max(0, this.eulerState.a1);
-        this.eulerState.a2 = Math.max(0, this.eulerState.a2);
-        this.eulerState.a3 = Math.max(0, this.eulerState.a3);
-        this.eulerState.ce = Math.max(0, this.eulerState.ce);
+        this.eulerState = this.getKernel().step(this.eulerState, continuousRate, dt, 'euler');
     }
 
     updateStateRK4(dt, continuousRate) {
-        const { k10, k12, k21, k13, k31, ke0, V1 } = this.pkParams;
-        
-        // DEBUG: Log key parameters for 2-minute timepoint investigation
-        if (this.elapsedTime >= 115 && this.elapsedTime <= 125) { // Around 2 minutes (120 seconds)
-            console.log('=== InductionEngine DEBUG at t~2min ===');
-            console.log('Elapsed time (seconds):', this.elapsedTime);
-            console.log('V1:', V1);
-            console.log('k10:', k10, 'k12:', k12, 'k21:', k21, 'k13:', k13, 'k31:', k31);
-            console.log('RK4 state a1:', this.rk4State.a1, 'a2:', this.rk4State.a2, 'a3:', this.rk4State.a3);
-            console.log('Continuous rate (mg/min):', continuousRate);
-            console.log('Plasma concentration:', this.rk4State.a1 / V1);
-        }
-
-        // RK4 method for all compartments including effect site
-        const derivatives = (state) => {
-            const plasmaConc = state.a1 / V1;
-            return {
-                da1dt: continuousRate - (k10 + k12 + k13) * state.a1 + k21 * state.a2 + k31 * state.a3,
-                da2dt: k12 * state.a1 - k21 * state.a2,
-                da3dt: k13 * state.a1 - k31 * state.a3,
-                dcedt: ke0 * (plasmaConc - state.ce)
-            };
-        };
-
-        // RK4 integration
-        const k1 = derivatives(this.rk4State);
-        
-        const state2 = {
-            a1: this.rk4State.a1 + 0.5 * dt * k1.da1dt,
-            a2: this.rk4State.a2 + 0.5 * dt * k1.da2dt,
-            a3: this.rk4State.a3 + 0.5 * dt * k1.da3dt,
-            ce: this.rk4State.ce + 0.5 * dt * k1.dcedt
-        };
-        const k2 = derivatives(state2);
-        
-        const state3 = {
-            a1: this.rk4State.a1 + 0.5 * dt * k2.da1dt,
-            a2: this.rk4State.a2 + 0.5 * dt * k2.da2dt,
-            a3: this.rk4State.a3 + 0.5 * dt * k2.da3dt,
-            ce: this.rk4State.ce + 0.5 * dt * k2.dcedt
-        };
-        const k3 = derivatives(state3);
-        
-        const state4 = {
-            a1: this.rk4State.a1 + dt * k3.da1dt,
-            a2: this.rk4State.a2 + dt * k3.da2dt,
-            a3: this.rk4State.a3 + dt * k3.da3dt,
-            ce: this.rk4State.ce + dt * k3.dcedt
-        };
-        const k4 = derivatives(state4);
-
-        // Update state with RK4 formula
-        this.rk4State.a1 += (dt / 6.0) * (k1.da1dt + 2*k2.da1dt + 2*k3.da1dt + k4.da1dt);
-        this.rk4State.a2 += (dt / 6.0) * (k1.da2dt + 2*k2.da2dt + 2*k3.da2dt + k4.da2dt);
-        this.rk4State.a3 += (dt / 6.0) * (k1.da3dt + 2*k2.da3dt + 2*k3.da3dt + k4.da3dt);
-        this.rk4State.ce += (dt / 6.0) * (k1.dcedt + 2*k2.dcedt + 2*k3.dcedt + k4.dcedt);
+        this.rk4State = this.rk4Step(this.rk4State, dt, continuousRate);
+    }
 
-        // Non-negative constraints
-        this.rk4State.a1 = Math.max(0, this.rk4State.a1);
-        this.rk4State.a2 = Math.max(0, this.rk4State.a2);
-        this.rk4State.a3 = Math.max(0, this.rk4State.a3);
-        this.rk4State.ce = Math.max(0, this.rk4State.ce);
+    /**
+     * Single RK4 step for all compartments including effect site
+     * @returns {Object} - New state {a1, a2, a3, ce}
+     */
+    rk4Step(current, dt, continuousRate) {
+        return this.getKernel().step(current, continuousRate, dt, 'rk4');
     }
 
     /**
-     * RK4 calculation for effect-site concentration
+     * Simulation kernel for the current PK parameters
      */
-    updateEffectSiteConcentrationRK4(plasmaConc, currentCe, ke0, dt) {
-        // Differential equation: dCe/dt = ke0 * (Cp - Ce)
-        const f = (ce, cp) => ke0 * (cp - ce);
-        
-        // Calculate RK4 coefficients
-        const k1 = f(currentCe, plasmaConc);
-        const k2 = f(currentCe + 0.5 * dt * k1, plasmaConc);
-        const k3 = f(currentCe + 0.5 * dt * k2, plasmaConc);
-        const k4 = f(currentCe + dt * k3, plasmaConc);
-        
-        // Calculate new effect-site concentration
-        const newCe = currentCe + (dt / 6.0) * (k1 + 2*k2 + 2*k3 + k4);
-        
-        // Non-negative constraint
-        return Math.max(0, newCe);
+    getKernel() {
+        this.kernel = SimulationKernel.reuse(this.kernel, this.pkParams, this.patient ? this.patient.weight : null);
+        return this.kernel;
     }
 
-    updateSimulationEuler() {
-        const dt = 1.0; // 1 second time step
+    /**
+     * Live probability of LOC and predicted time to P(LOC) 50% / 95%
+     * Projects the current RK4 state forward under the current continuous rate.
+     * @returns {Object} - {probability, timeTo50, timeTo95} (times in seconds from now, null if not reached within the horizon)
+     */
+    getLOCPrediction() {
+        if (!this.pkParams || !this.patient) {
+            return { probability: 0, timeTo50: null, timeTo95: null };
+        }
 
-        // Continuous infusion rate (mg/min)
+        const targets = [
+            { key: 'timeTo50', ce: this.pdModel.ceForLOCProbability(0.50), time: null },
+            { key: 'timeTo95', ce: this.pdModel.ceForLOCProbability(0.95), time: null }
+        ];
         const continuousRate = (this.continuousDose * this.patient.weight) / 60.0;
+        const steps = Math.round(this.locPredictionHorizon / this.timeStep);
+        let state = { ...this.rk4State };
 
-        // Rate constants
-        const { k10, k12, k21, k13, k31, ke0 } = this.pkParams;
-
-        // Differential equations
-        const da1_dt = continuousRate - k10 * this.state.a1 - k12 * this.state.a1 + 
-                       k21 * this.state.a2 - k13 * this.state.a1 + k31 * this.state.a3;
-        const da2_dt = k12 * this.state.a1 - k21 * this.state.a2;
-        const da3_dt = k13 * this.state.a1 - k31 * this.state.a3;
-
-        // Update compartments (Euler integration)
-        this.state.a1 += (dt / 60.0) * da1_dt; // Convert dt to minutes
-        this.state.a2 += (dt / 60.0) * da2_dt;
-        this.state.a3 += (dt / 60.0) * da3_dt;
-
-        // Effect site concentration using RK4
-        const plasmaConc = this.getPlasmaConcentration();
-        this.state.ce = this.updateEffectSiteConcentrationRK4(
-            plasmaConc, 
-            this.state.ce, 
-            ke0, 
-            dt / 60.0  // Convert dt to minutes
-        );
-
-        // Ensure non-negative values
-        this.state.a1 = Math.max(0, this.state.a1);
-        this.state.a2 = Math.max(0, this.state.a2);
-        this.state.a3 = Math.max(0, this.state.a3);
-        this.state.ce = Math.max(0, this.state.ce);
-    }
-
-    updateSimulationLSODA() {
-        const currentTimeMin = this.elapsedTime / 60.0;
-        const nextTimeMin = currentTimeMin + 1.0/60.0; // 1 second step in minutes
-        
-        // Define the ODE system for LSODA
-        const odeSystem = (t, y) => {
-            const [a1, a2, a3, ce] = y;
-            const { k10, k12, k21, k13, k31, ke0, v1 } = this.pkParams;
-            
-            // Continuous infusion rate (mg/min)
-            const continuousRate = (this.continuousDose * this.patient.weight) / 60.0;
-            
-            // PK compartment equations
-            const da1_dt = continuousRate - k10 * a1 - k12 * a1 + k21 * a2 - k13 * a1 + k31 * a3;
-            const da2_dt = k12 * a1 - k21 * a2;
-            const da3_dt = k13 * a1 - k31 * a3;
-            
-            // Effect site equation
-            const plasmaConc = a1 / v1;
-            const dce_dt = ke0 * (plasmaConc - ce);
-            
-            return [da1_dt, da2_dt, da3_dt, dce_dt];
-        };
-        
-        try {
-            // Solve ODE from current time to next time step
-            const y0 = [this.state.a1, this.state.a2, this.state.a3, this.state.ce];
-            const result = this.lsodaSolver.integrate(
-                odeSystem, 
-                y0, 
-                [currentTimeMin, nextTimeMin], 
-                {
-                    rtol: 1e-8,
-                    atol: 1e-12,
-                    mxstep: 100
+        for (let i = 0; i <= steps; i++) {
+            targets.forEach(target => {
+                if (target.time === null && state.ce >= target.ce) {
+                    target.time = i * this.timeStep * 60;
                 }
-            );
-            
-            if (result.y.length > 1) {
-                // Update state with the latest solution
-                const finalY = result.y[result.y.length - 1];
-                this.state.a1 = Math.max(0, finalY[0]);
-                this.state.a2 = Math.max(0, finalY[1]);
-                this.state.a3 = Math.max(0, finalY[2]);
-                this.state.ce = Math.max(0, finalY[3]);
-                
-                // Store integration statistics
-                this.integrationStats = result.stats;
-            }
-        } catch (error) {
-            console.warn('LSODA integration failed, falling back to Euler method:', error);
-            this.useLSODA = false;
-            this.updateSimulationEuler();
+            });
+            if (targets.every(target => target.time !== null)) break;
+            state = this.rk4Step(state, this.timeStep, continuousRate);
         }
+
+        return {
+            probability: this.pdModel.predictLOCProbability(this.rk4State.ce),
+            timeTo50: targets[0].time,
+            timeTo95: targets[1].time
+        };
     }
 
     calculatePKParameters(patient) {
-        console.log('Calculating PK parameters with Masui Ke0 model');
+        const model = PKModels.getModelForPatient(patient);
+        console.log(`Calculating PK parameters with ${model.name} model`);
         
-        // Use the exact Masui Ke0 calculator
-        const result = MasuiKe0Calculator.calculateKe0Complete(
-            patient.age,
-            patient.weight,
-            patient.height,
-            patient.sex,
-            patient.asaPS
-        );
+        const pkParams = PKModels.calculatePKParameters(patient);
         
-        if (!result.success) {
-            throw new Error('Failed to calculate PK parameters: ' + result.error);
-        }
-        
-        const pkParams = result.pkParameters;
-        const rateConstants = result.rateConstants;
-        let ke0 = result.ke0_numerical;
-        
-        // Fallback to regression if numerical is invalid
-        if (!ke0 || ke0 <= 0) {
-            ke0 = result.ke0_regression;
-        }
-        
-        // If still invalid, use a reasonable default
-        if (!ke0 || ke0 <= 0) {
+        // If ke0 is still invalid, use a reasonable default
+        if (!pkParams.ke0 || pkParams.ke0 <= 0) {
             console.warn('Invalid ke0 calculated, using default value 0.15');
-            ke0 = 0.15; // Reasonable default for remimazolam
+            pkParams.ke0 = 0.15; // Reasonable default for remimazolam
         }
         
-        return {
-            V1: pkParams.V1,
-            V2: pkParams.V2,
-            V3: pkParams.V3,
-            CL: pkParams.CL,
-            Q2: pkParams.Q2,
-            Q3: pkParams.Q3,
-            ke0: ke0,
-            k10: rateConstants.k10,
-            k12: rateConstants.k12,
-            k21: rateConstants.k21,
-            k13: rateConstants.k13,
-            k31: rateConstants.k31
-        };
+        return pkParams;
     }
 
     getPlasmaConcentration() {
@@ -591,11 +520,13 @@ class InductionEngine {
             integrationMethod: methodDisplayName,
             integrationStats: this.getIntegrationStats(),
             snapshots: [...this.snapshots],
+            loc: this.getLOCPrediction(),
             patient: this.patient,
             dose: {
                 bolus: this.bolusDose,
                 continuous: this.continuousDose
-            }
+            },
+            tci: this.getTCIStatus()
         };
     }
 
@@ -619,6 +550,10 @@ class InductionEngine {
 
     updateDose(bolusDose, continuousDose) {
         if (!this.isRunning) return false;
+        if (this.tciController) {
+            console.warn('Dose is set by the TCI controller; use setTargetCe');
+            return false;
+        }
         
         console.log('Updating dose:', { bolusDose, continuousDose });
         this.bolusDose = bolusDose;
@@ -631,11 +566,14 @@ class InductionEngine {
         this.stop();
         this.patient = null;
         this.pkParams = null;
-        this.state = { a1: 0, a2: 0, a3: 0, ce: 0 };
+        this.eulerState = { a1: 0, a2: 0, a3: 0, ce: 0 };
+        this.rk4State = { a1: 0, a2: 0, a3: 0, ce: 0 };
         this.bolusDose = 0;
         this.continuousDose = 0;
         this.snapshots = [];
         this.elapsedTime = 0;
+        this.tciController = null;
+        this.infusedMg = 0;
         this.integrationStats = null;
         this.notifyCallbacks();
     }
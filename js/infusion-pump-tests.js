@@ -0,0 +1,196 @@
+/**
+ * Infusion Pump Tests
+ * Validates unit conversion, pump rate limits and their use in generated protocols
+ */
+
+class InfusionPumpTests {
+    constructor() {
+        this.testResults = [];
+        this.tolerance = 1e-9;
+    }
+
+    createEngine(strategy, pump) {
+        const engine = new EnhancedProtocolEngine();
+        engine.setPatient(new Patient('test-pump', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2));
+        engine.updateSettings({ strategy: strategy, targetCe: 1.0, upperThreshold: 1.2 });
+        engine.setPump(pump);
+        return engine;
+    }
+
+    /**
+     * A rate is on the pump grid when its mL/h value is a whole number of resolution steps
+     */
+    onGrid(pump, rateMgKgHr, weight) {
+        const steps = pump.mgKgHrToMlHr(rateMgKgHr, weight) / pump.rateResolutionMlHr;
+        return Math.abs(steps - Math.round(steps)) < 1e-6;
+    }
+
+    /**
+     * mg ↔ mL and mg/kg/hr ↔ mL/h round trips, resolution rounding and the maximum rate
+     */
+    testConversions() {
+        console.log('=== Testing pump unit conversion ===');
+
+        const pump = new InfusionPump({ drugConcentrationMgMl: 2.0, maxRateMlHr: 600, rateResolutionMlHr: 0.5 });
+
+        const checks = [
+            Math.abs(pump.mgKgHrToMlHr(1.0, 70) - 35) < this.tolerance,
+            Math.abs(pump.mlHrToMgKgHr(pump.mgKgHrToMlHr(0.73, 70), 70) - 0.73) < this.tolerance,
+            pump.mgToMl(7) === 3.5 && pump.mlToMg(3.5) === 7,
+            pump.programRate(12.74) === 12.5 && pump.programRate(12.76) === 13,
+            pump.programRate(900) === 600 && pump.programRate(-3) === 0,
+            Math.abs(pump.maxRateMgMin - 20) < this.tolerance,
+            Math.abs(pump.bolusDurationMin(10) - 5 / 1200 * 60) < this.tolerance,
+            pump.describeDoseEvent(new DoseEvent(0, 0, 20), 70).exceedsMaximum
+        ];
+
+        const testResult = {
+            testName: 'Unit Conversion and Rate Limits',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Bolus 10 mL then 70 mL/h: 80 mL in one hour, first 50 mL syringe empty at 40 / (70/60) min
+     */
+    testVolumeUse() {
+        console.log('=== Testing syringe volume use ===');
+
+        const pump = new InfusionPump();
+        const use = pump.calculateVolumeUse([new DoseEvent(0, 10, 1.0)], 70, 60);
+        const stopped = pump.calculateVolumeUse([new DoseEvent(0, 10, 1.0), new DoseEvent(30, 0, 0)], 70, 60);
+        const expectedEmpty = 40 / (70 / 60);
+
+        const checks = [
+            Math.abs(use.totalMl - 80) < 1e-6,
+            use.syringes === 2,
+            use.emptyTimes.length === 1 && Math.abs(use.emptyTimes[0] - expectedEmpty) < 1e-6,
+            Math.abs(stopped.totalMl - 45) < 1e-6 && stopped.syringes === 1 && stopped.emptyTimes.length === 0
+        ];
+
+        const testResult = {
+            testName: 'Syringe Volume Use',
+            passed: checks.every(Boolean),
+            details: { use: use, stopped: stopped, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Volume ${use.totalMl.toFixed(1)} mL, syringe empty at ${use.emptyTimes.map(t => t.toFixed(2)).join(', ')} min`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Generated protocols only use rates the pump can be set to
+     */
+    testProtocolLimits() {
+        console.log('=== Testing pump limits in generated protocols ===');
+
+        const pump = new InfusionPump({ maxRateMlHr: 300, rateResolutionMlHr: 1, bolusRateMlHr: 300 });
+        const weight = 70;
+
+        const heuristic = this.createEngine('heuristic', pump).runEnhancedOptimization(1.0, 7, 20);
+        const heuristicRates = [heuristic.protocol.initialContinuousRate, ...heuristic.protocol.dosageAdjustments.map(adj => adj.newRate)];
+        const bolusPoints = heuristic.protocol.timeSeriesData.filter(point => point.isBolus).length;
+
+        const tci = this.createEngine('tci', pump).runEnhancedOptimization(1.0, 7, 20);
+        const tciRecords = tci.protocol.tci.pumpRecords;
+        const tciRates = [tci.protocol.initialContinuousRate, ...tci.protocol.dosageAdjustments.map(adj => adj.newRate)];
+
+        const checks = [
+            heuristicRates.every(rate => this.onGrid(pump, rate, weight)),
+            heuristic.optimizedRate === heuristic.protocol.initialContinuousRate,
+            bolusPoints === Math.round(pump.bolusDurationMin(heuristic.protocol.bolusDose) / 0.01),
+            heuristic.protocol.pumpProgram.consumption.totalMl > pump.mgToMl(heuristic.protocol.bolusDose),
+            tciRecords.every(record => record.rateMgMin <= pump.maxRateMgMin + 1e-9 && this.onGrid(pump, record.rateMgKgHr, weight)),
+            tciRecords.some(record => record.saturated),
+            tciRates.every(rate => this.onGrid(pump, rate, weight)),
+            tci.protocol.pumpProgram.steps.length === tci.protocol.dosageAdjustments.length
+        ];
+
+        const testResult = {
+            testName: 'Pump Limits in Protocols',
+            passed: checks.every(Boolean),
+            details: { bolusPoints: bolusPoints, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Heuristic bolus over ${bolusPoints} steps, ${heuristic.protocol.dosageAdjustments.length} adjustments; TCI ${tci.protocol.dosageAdjustments.length} rate updates`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Invalid pump settings are rejected
+     */
+    testErrors() {
+        console.log('=== Testing infusion pump errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const pkParams = { V1: 3.57, k10: 0.29, k12: 0.31, k21: 0.11, k13: 0.04, k31: 0.02, ke0: 0.22 };
+
+        const checks = [
+            expectError(() => new InfusionPump({ drugConcentrationMgMl: 0 })),
+            expectError(() => new InfusionPump({ maxRateMlHr: -100 })),
+            expectError(() => new InfusionPump({ syringeVolumeMl: NaN })),
+            expectError(() => new InfusionPump({ maxRateMlHr: 10, rateResolutionMlHr: 20 })),
+            expectError(() => new EffectSiteTCIController(pkParams, 70, { rateResolutionMlHr: -1 }))
+        ];
+
+        const testResult = {
+            testName: 'Pump Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Infusion Pump Tests');
+        console.log('===============================================');
+
+        this.testConversions();
+        this.testVolumeUse();
+        this.testProtocolLimits();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.InfusionPumpTests = InfusionPumpTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InfusionPumpTests };
+}
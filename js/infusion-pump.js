@@ -0,0 +1,168 @@
+/**
+ * Syringe Pump Profile for Remimazolam TCI TIVA
+ * Converts the mg and mg/kg/hr dosing used by the engines into the mL and mL/h a pump is programmed in
+ *
+ * Features:
+ * - Pump profile: drug dilution (mg/mL), maximum rate, rate resolution, bolus speed, syringe volume
+ * - mg ↔ mL and mg/kg/hr ↔ mL/h conversion for the patient weight
+ * - Programmable rate: rounded to the pump resolution and clamped to the maximum rate
+ * - Bolus delivery time at the pump bolus speed
+ * - Volume use and syringe changes for a dose event list
+ */
+
+const InfusionPumpDefaults = {
+    drugConcentrationMgMl: 1.0, // Remimazolam 50 mg / 50 mL
+    maxRateMlHr: 1200,          // Pump maximum speed (mL/h)
+    rateResolutionMlHr: 0.1,    // Smallest programmable rate step (mL/h)
+    bolusRateMlHr: 1200,        // Bolus delivery speed (mL/h)
+    syringeVolumeMl: 50         // Syringe size (mL)
+};
+
+class InfusionPump {
+    /**
+     * @param {Object} profile - {drugConcentrationMgMl, maxRateMlHr, rateResolutionMlHr, bolusRateMlHr, syringeVolumeMl}
+     */
+    constructor(profile = {}) {
+        const settings = { ...InfusionPumpDefaults, ...profile };
+
+        Object.keys(InfusionPumpDefaults).forEach(key => {
+            if (!Number.isFinite(settings[key]) || settings[key] <= 0) {
+                throw new Error(`Pump setting ${key} must be a positive number`);
+            }
+        });
+        if (settings.rateResolutionMlHr > settings.maxRateMlHr) {
+            throw new Error('Pump rate resolution cannot exceed the maximum rate');
+        }
+
+        this.drugConcentrationMgMl = settings.drugConcentrationMgMl;
+        this.maxRateMlHr = settings.maxRateMlHr;
+        this.rateResolutionMlHr = settings.rateResolutionMlHr;
+        this.bolusRateMlHr = settings.bolusRateMlHr;
+        this.syringeVolumeMl = settings.syringeVolumeMl;
+    }
+
+    getProfile() {
+        return {
+            drugConcentrationMgMl: this.drugConcentrationMgMl,
+            maxRateMlHr: this.maxRateMlHr,
+            rateResolutionMlHr: this.rateResolutionMlHr,
+            bolusRateMlHr: this.bolusRateMlHr,
+            syringeVolumeMl: this.syringeVolumeMl
+        };
+    }
+
+    mgToMl(mg) {
+        return mg / this.drugConcentrationMgMl;
+    }
+
+    mlToMg(ml) {
+        return ml * this.drugConcentrationMgMl;
+    }
+
+    mgKgHrToMlHr(rateMgKgHr, weight) {
+        return rateMgKgHr * weight / this.drugConcentrationMgMl;
+    }
+
+    mlHrToMgKgHr(rateMlHr, weight) {
+        return rateMlHr * this.drugConcentrationMgMl / weight;
+    }
+
+    /**
+     * Pump maximum delivery (mg/min)
+     */
+    get maxRateMgMin() {
+        return this.maxRateMlHr * this.drugConcentrationMgMl / 60.0;
+    }
+
+    maxRateMgKgHr(weight) {
+        return this.mlHrToMgKgHr(this.maxRateMlHr, weight);
+    }
+
+    /**
+     * Rate the pump can actually be set to: nearest resolution step within [0, maximum]
+     * @param {number} rateMlHr - Requested rate (mL/h)
+     * @returns {number} - Programmable rate (mL/h)
+     */
+    programRate(rateMlHr) {
+        const steps = Math.round(Math.max(0, rateMlHr) / this.rateResolutionMlHr);
+        const rounded = parseFloat((steps * this.rateResolutionMlHr).toPrecision(12));
+        return Math.min(rounded, this.maxRateMlHr);
+    }
+
+    /**
+     * mg/kg/hr rate after rounding to what the pump can deliver
+     */
+    constrainMgKgHr(rateMgKgHr, weight) {
+        return this.mlHrToMgKgHr(this.programRate(this.mgKgHrToMlHr(rateMgKgHr, weight)), weight);
+    }
+
+    /**
+     * Time to deliver a bolus at the pump bolus speed (minutes)
+     */
+    bolusDurationMin(bolusMg) {
+        return this.mgToMl(bolusMg) / this.bolusRateMlHr * 60.0;
+    }
+
+    /**
+     * Pump settings for a dose event
+     * @returns {Object} - {bolusMl, bolusSeconds, rateMlHr, exceedsMaximum}
+     */
+    describeDoseEvent(event, weight) {
+        const rateMlHr = this.mgKgHrToMlHr(event.continuousMgKgHr, weight);
+        return {
+            bolusMl: this.mgToMl(event.bolusMg),
+            bolusSeconds: this.bolusDurationMin(event.bolusMg) * 60.0,
+            rateMlHr: rateMlHr,
+            exceedsMaximum: rateMlHr > this.maxRateMlHr + 1e-9
+        };
+    }
+
+    /**
+     * Volume delivered by a dose event list and the times each syringe runs empty
+     * @param {Array} doseEvents - DoseEvent-like objects ({timeInMinutes, bolusMg, continuousMgKgHr})
+     * @param {number} weight - Patient weight (kg)
+     * @param {number} endTime - End of the infusion (minutes)
+     * @returns {Object} - {totalMl, syringes, emptyTimes}
+     */
+    calculateVolumeUse(doseEvents, weight, endTime) {
+        const events = [...doseEvents].sort((a, b) => a.timeInMinutes - b.timeInMinutes);
+        const emptyTimes = [];
+        let totalMl = 0;
+        let nextEmpty = this.syringeVolumeMl;
+
+        const deliver = (ml, time, mlPerMin) => {
+            while (totalMl + ml >= nextEmpty - 1e-9) {
+                emptyTimes.push(mlPerMin > 0 ? time + (nextEmpty - totalMl) / mlPerMin : time);
+                nextEmpty += this.syringeVolumeMl;
+            }
+            totalMl += ml;
+        };
+
+        events.forEach((event, index) => {
+            if (event.timeInMinutes > endTime) return;
+            deliver(this.mgToMl(event.bolusMg), event.timeInMinutes, 0);
+
+            const until = index + 1 < events.length ? Math.min(events[index + 1].timeInMinutes, endTime) : endTime;
+            const mlPerMin = this.mgKgHrToMlHr(event.continuousMgKgHr, weight) / 60.0;
+            if (until > event.timeInMinutes && mlPerMin > 0) {
+                deliver(mlPerMin * (until - event.timeInMinutes), event.timeInMinutes, mlPerMin);
+            }
+        });
+
+        return {
+            totalMl: totalMl,
+            syringes: Math.max(1, Math.ceil(totalMl / this.syringeVolumeMl - 1e-9)),
+            emptyTimes: emptyTimes
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.InfusionPump = InfusionPump;
+    window.InfusionPumpDefaults = InfusionPumpDefaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InfusionPump, InfusionPumpDefaults };
+}
@@ -0,0 +1,189 @@
+/**
+ * LOC-based ke0 / Ce50 Individualization for Remimazolam TCI TIVA
+ * Fits a patient-specific ke0 and/or LOC Ce50 from observed time-to-LOC
+ *
+ * Features:
+ * - LOC observations recorded during induction (one or several cases)
+ * - ke0 fitted as a multiplier of the model ke0 (calculateKe0Complete for Masui 2022)
+ * - Ce50 for LOC fitted as the geometric mean Ce at LOC
+ * - Exact analytical Ce at the observed LOC time
+ * - Bounded Brent search over ln(ke0 factor) (BoundedOptimizer)
+ *
+ * At the observed LOC time the predicted Ce is assumed to equal the LOC Ce50.
+ * A single observation identifies either ke0 (Ce50 fixed) or Ce50 (ke0 fixed);
+ * fitting both needs several observations with different dosing.
+ */
+
+// Import required modules for Node.js environment
+if (typeof require !== 'undefined') {
+    const { AnalyticalSolver } = require('./numerical-solvers.js');
+    const { DoseEvent } = require('./models.js');
+    const { BoundedOptimizer } = require('./bounded-optimizer.js');
+
+    global.AnalyticalSolver = AnalyticalSolver;
+    global.DoseEvent = DoseEvent;
+    global.BoundedOptimizer = BoundedOptimizer;
+}
+
+const LOCIndividualizationDefaults = {
+    ke0FactorRange: [0.2, 5.0],
+    tolerance: 1e-6
+};
+
+/**
+ * One observed loss of consciousness
+ */
+class LOCObservation {
+    /**
+     * @param {Object} pkParams - Model PK parameters of the case (without ke0 individualization)
+     * @param {number} weight - Patient weight (kg)
+     * @param {number} bolusMg - Induction bolus (mg)
+     * @param {number} continuousMgKgHr - Induction continuous rate (mg/kg/hr)
+     * @param {number} locTimeInMinutes - Time from bolus to LOC (minutes)
+     */
+    constructor(pkParams, weight, bolusMg, continuousMgKgHr, locTimeInMinutes) {
+        this.pkParams = { ...pkParams };
+        this.weight = weight;
+        this.bolusMg = bolusMg;
+        this.continuousMgKgHr = continuousMgKgHr;
+        this.locTimeInMinutes = locTimeInMinutes;
+        this.recordedAt = new Date();
+    }
+
+    validate() {
+        const errors = [];
+
+        if (!(this.locTimeInMinutes > 0)) {
+            errors.push('LOC time must be after the induction bolus');
+        }
+
+        if (!(this.bolusMg > 0) && !(this.continuousMgKgHr > 0)) {
+            errors.push('LOC observation requires an induction dose');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+}
+
+class LOCKe0Estimator {
+    constructor(options = {}) {
+        this.observations = [];
+        this.ke0FactorRange = options.ke0FactorRange || LOCIndividualizationDefaults.ke0FactorRange;
+        this.tolerance = options.tolerance || LOCIndividualizationDefaults.tolerance;
+        this.solver = new AnalyticalSolver();
+    }
+
+    addObservation(observation) {
+        const validation = observation.validate();
+        if (!validation.isValid) {
+            throw new Error('Invalid LOC observation: ' + validation.errors.join(', '));
+        }
+        this.observations.push(observation);
+        return observation;
+    }
+
+    removeObservation(index) {
+        if (index >= 0 && index < this.observations.length) {
+            return this.observations.splice(index, 1)[0];
+        }
+        return null;
+    }
+
+    getObservations() {
+        return [...this.observations];
+    }
+
+    clearObservations() {
+        this.observations = [];
+    }
+
+    /**
+     * Predicted Ce at the observed LOC time
+     * @param {LOCObservation} observation - LOC observation
+     * @param {number} ke0Factor - Multiplier applied to the model ke0
+     * @returns {number} - Ce (μg/mL)
+     */
+    predictCeAtLOC(observation, ke0Factor = 1.0) {
+        const pkParams = { ...observation.pkParams, ke0: observation.pkParams.ke0 * ke0Factor };
+        const result = this.solver.solve(null, [0, 0, 0, 0], 0, observation.locTimeInMinutes, {
+            timeStep: observation.locTimeInMinutes,
+            pkParams: pkParams,
+            doseEvents: [new DoseEvent(0, observation.bolusMg, observation.continuousMgKgHr)],
+            patient: { weight: observation.weight }
+        });
+        return Math.max(0, result.states[result.states.length - 1][3]);
+    }
+
+    /**
+     * Fit ke0 and/or Ce50 to the recorded observations
+     * @param {string} mode - 'ke0' (Ce50 fixed), 'ce50' (ke0 fixed) or 'both'
+     * @param {number} fixedCe50 - LOC Ce50 used in 'ke0' mode (μg/mL)
+     * @returns {Object} - {mode, ke0Factor, ce50, residualSD, observationCount, predictedCe}
+     */
+    fit(mode = 'ke0', fixedCe50 = null) {
+        if (this.observations.length === 0) {
+            throw new Error('At least one LOC observation is required');
+        }
+        if (mode === 'ke0' && !(fixedCe50 > 0)) {
+            throw new Error('A positive LOC Ce50 is required to fit ke0');
+        }
+        if (mode === 'both' && this.observations.length < 2) {
+            throw new Error('Fitting ke0 and Ce50 together requires at least two LOC observations');
+        }
+        if (!['ke0', 'ce50', 'both'].includes(mode)) {
+            throw new Error(`Unknown LOC fit mode: ${mode}`);
+        }
+
+        const logCe = (factor) => this.observations.map(obs => Math.log(Math.max(this.predictCeAtLOC(obs, factor), 1e-12)));
+        const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+        const sumOfSquares = (values, center) => values.reduce((sum, v) => sum + Math.pow(v - center, 2), 0);
+        // Search over ln(ke0Factor) within ke0FactorRange, starting at the model ke0
+        const minimizeLogFactor = (objective) => Math.exp(BoundedOptimizer.minimizeScalar(
+            logFactor => objective(Math.exp(logFactor)),
+            Math.log(this.ke0FactorRange[0]), Math.log(this.ke0FactorRange[1]),
+            { tolerance: this.tolerance, initialGuess: 0 }
+        ).x);
+
+        let ke0Factor = 1.0;
+        if (mode === 'ke0') {
+            const target = Math.log(fixedCe50);
+            ke0Factor = minimizeLogFactor(factor => sumOfSquares(logCe(factor), target));
+        } else if (mode === 'both') {
+            ke0Factor = minimizeLogFactor(factor => {
+                const values = logCe(factor);
+                return sumOfSquares(values, mean(values));
+            });
+        }
+
+        const values = logCe(ke0Factor);
+        const ce50 = mode === 'ke0' ? fixedCe50 : Math.exp(mean(values));
+        const residualSD = Math.sqrt(sumOfSquares(values, Math.log(ce50)) / this.observations.length);
+
+        return {
+            mode: mode,
+            ke0Factor: ke0Factor,
+            ce50: ce50,
+            residualSD: residualSD,
+            observationCount: this.observations.length,
+            predictedCe: values.map(Math.exp)
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.LOCIndividualizationDefaults = LOCIndividualizationDefaults;
+    window.LOCObservation = LOCObservation;
+    window.LOCKe0Estimator = LOCKe0Estimator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOCIndividualizationDefaults,
+        LOCObservation,
+        LOCKe0Estimator
+    };
+}
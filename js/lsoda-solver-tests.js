@@ -0,0 +1,330 @@
+/**
+ * LSODA Solver Tests
+ * Validates tolerance control, Adams/BDF switching and the analytic Jacobian against the exact solution
+ */
+
+class LSODASolverTests {
+    constructor() {
+        this.testResults = [];
+        this.duration = 60;
+    }
+
+    createPatient() {
+        return new Patient('test-lsoda', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2);
+    }
+
+    /**
+     * Induction bolus, infusion, a rate change between grid points and a top-up bolus
+     */
+    createDoseEvents() {
+        return [new DoseEvent(0, 12, 1.0), new DoseEvent(20.05, 0, 0.5), new DoseEvent(40, 3, 0.5)];
+    }
+
+    solve(pkParams, options = {}, odeSystem = createPKPDSystem(pkParams), initialState = [0, 0, 0, 0]) {
+        return new LSODASolver().solve(odeSystem, initialState, 0, this.duration, {
+            timeStep: 0.1, doseEvents: this.createDoseEvents(), patient: this.createPatient(), ...options
+        });
+    }
+
+    /**
+     * Largest Ce deviation from the exact (matrix exponential) solution at the common output times
+     */
+    maxCeError(result, pkParams) {
+        const exact = new AnalyticalSolver().solve(null, [0, 0, 0, 0], 0, this.duration, {
+            timeStep: 0.1, pkParams: pkParams, doseEvents: this.createDoseEvents(), patient: this.createPatient()
+        });
+
+        return Math.max(...exact.times.map((time, i) => {
+            const k = result.times.findIndex(t => Math.abs(t - time) < 1e-9);
+            return k < 0 ? 0 : Math.abs(result.states[k][3] - exact.states[i][3]);
+        }));
+    }
+
+    /**
+     * The error follows rtol/atol; the non-stiff Masui system stays on Adams
+     */
+    testToleranceControl() {
+        console.log('=== Testing LSODA tolerance control ===');
+
+        const pkParams = PKModels.calculatePKParameters(this.createPatient());
+        const runs = [1e-4, 1e-6, 1e-8].map(rtol => {
+            const result = this.solve(pkParams, { rtol: rtol, atol: rtol * 1e-3 });
+            return { rtol: rtol, error: this.maxCeError(result, pkParams), stats: result.stats };
+        });
+        const statFields = ['totalSteps', 'rejectedSteps', 'functionEvaluations', 'jacobianEvaluations', 'methodSwitches'];
+
+        const checks = [
+            runs.every(run => run.error < 10 * run.rtol),
+            runs[0].error > runs[1].error && runs[1].error > runs[2].error,
+            runs[0].stats.totalSteps < runs[1].stats.totalSteps && runs[1].stats.totalSteps < runs[2].stats.totalSteps,
+            runs.every(run => statFields.every(field => Number.isInteger(run.stats[field]))),
+            runs.every(run => run.stats.method === 'LSODA' && run.stats.segments === 3 && run.stats.bolusesApplied === 2),
+            runs.every(run => run.stats.methodSwitches === 0 && run.stats.finalMethod === 'Adams' && !run.stats.stiffnessDetected),
+            this.solve(pkParams).stats.rtol === LSODADefaults.rtol
+        ];
+
+        const testResult = {
+            testName: 'Tolerance Control',
+            passed: checks.every(Boolean),
+            details: { errors: runs.map(run => run.error), steps: runs.map(run => run.stats.totalSteps), checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Max Ce error at rtol 1e-4/1e-6/1e-8: ${runs.map(run => run.error.toExponential(2)).join(' / ')} μg/mL`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * A fast-equilibrating effect site (ke0 = 200 /min) is stiff: LSODA switches to BDF
+     * with Newton iteration instead of taking stability-limited Adams steps
+     */
+    testStiffSwitching() {
+        console.log('=== Testing LSODA stiffness switching ===');
+
+        const pkParams = { ...PKModels.calculatePKParameters(this.createPatient()), ke0: 200 };
+        const odeSystem = createPKPDSystem(pkParams);
+        const analytic = this.solve(pkParams);
+        // Same system without the jacobian property: finite-difference Jacobian
+        const finiteDifference = this.solve(pkParams, {}, (t, state, rateFunc) => odeSystem(t, state, rateFunc));
+        const maxDifference = Math.max(...analytic.states.map((state, i) =>
+            Math.abs(state[3] - finiteDifference.states[i][3])));
+
+        const checks = [
+            analytic.stats.methodSwitches >= 1 && analytic.stats.finalMethod === 'BDF' && analytic.stats.stiffnessDetected,
+            analytic.stats.bdfSteps > analytic.stats.adamsSteps,
+            analytic.stats.jacobianEvaluations > 0 && analytic.stats.analyticJacobian,
+            // Adams alone would need |h| ≤ 0.5/200 min: over 24,000 steps
+            analytic.stats.totalSteps < 1000,
+            this.maxCeError(analytic, pkParams) < 1e-5,
+            !finiteDifference.stats.analyticJacobian && finiteDifference.stats.jacobianEvaluations > 0,
+            finiteDifference.stats.functionEvaluations > analytic.stats.functionEvaluations,
+            maxDifference < 1e-5
+        ];
+
+        const testResult = {
+            testName: 'Stiff Switching',
+            passed: checks.every(Boolean),
+            details: { stats: analytic.stats, finiteDifferenceCeDifference: maxDifference, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`ke0 = 200 /min: ${analytic.stats.totalSteps} steps (${analytic.stats.bdfSteps} BDF), ` +
+                    `${analytic.stats.methodSwitches} switches, ${analytic.stats.jacobianEvaluations} Jacobian evaluations`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * The analytic Jacobian matches central differences of the ODE system (4 and 5 states)
+     */
+    testAnalyticJacobian() {
+        console.log('=== Testing analytic Jacobian ===');
+
+        const pkParams = PKModels.calculatePKParameters(this.createPatient());
+        const odeSystem = createPKPDSystem(pkParams);
+        const rateFunc = () => 1.2;
+
+        const maxDeviation = (state) => {
+            const jacobian = odeSystem.jacobian(0, state);
+            let deviation = 0;
+            state.forEach((value, j) => {
+                const delta = 1e-4 * Math.max(1, Math.abs(value));
+                const plus = [...state];
+                const minus = [...state];
+                plus[j] += delta;
+                minus[j] -= delta;
+                const fPlus = odeSystem(0, plus, rateFunc);
+                const fMinus = odeSystem(0, minus, rateFunc);
+                state.forEach((_, i) => {
+                    deviation = Math.max(deviation, Math.abs(jacobian[i][j] - (fPlus[i] - fMinus[i]) / (2 * delta)));
+                });
+            });
+            return deviation;
+        };
+
+        const fourState = [12, 3, 1, 0.8];
+        const fiveState = [12, 3, 1, 0.8, 4];
+
+        const checks = [
+            odeSystem.jacobian(0, fourState).length === 4 && odeSystem.jacobian(0, fourState).every(row => row.length === 4),
+            odeSystem.jacobian(0, fiveState).length === 5 && odeSystem.jacobian(0, fiveState).every(row => row.length === 5),
+            maxDeviation(fourState) < 1e-9,
+            maxDeviation(fiveState) < 1e-9,
+            odeSystem.jacobian(0, fourState)[3][0] === pkParams.ke0 / pkParams.V1
+        ];
+
+        const testResult = {
+            testName: 'Analytic Jacobian',
+            passed: checks.every(Boolean),
+            details: { deviation: maxDeviation(fiveState), checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Boluses as state jumps and mass balance with the eliminated-drug accumulator;
+     * statistics add up over the event segments
+     */
+    testDoseEventsAndMassBalance() {
+        console.log('=== Testing LSODA dose events and mass balance ===');
+
+        const patient = this.createPatient();
+        const pkParams = { ...PKModels.calculatePKParameters(patient), ke0: 200 };
+        const result = this.solve(pkParams, {}, createPKPDSystem(pkParams), [0, 0, 0, 0, 0]);
+        const cumulativeDose = 12 + 3 + patient.weight / 60 * (1.0 * 20.05 + 0.5 * (this.duration - 20.05));
+        const final = result.states[result.states.length - 1];
+        const accounted = final[0] + final[1] + final[2] + final[4];
+
+        const bolusIndex = result.times.findIndex(t => Math.abs(t - 40) < 1e-9);
+        const segments = [[0, 20.05, 1.0], [20.05, 40, 0.5], [40, this.duration, 0.5]];
+        const segmentSteps = segments.reduce((sum, [start, end, rateMgKgHr], i) => {
+            const startState = result.states[result.times.findIndex(t => Math.abs(t - start) < 1e-9)];
+            const segment = new LSODASolver().solve(createPKPDSystem(pkParams), startState, start, end, {
+                timeStep: 0.1, infusionRateFunc: () => rateMgKgHr * patient.weight / 60
+            });
+            return sum + segment.stats.totalSteps;
+        }, 0);
+
+        const checks = [
+            Math.abs(accounted - cumulativeDose) / cumulativeDose < 1e-9,
+            result.states[0][0] === 12 && result.states[bolusIndex][0] > result.states[bolusIndex - 1][0] + 2.5,
+            result.times[result.times.length - 1] === this.duration,
+            result.stats.segments === 3 && result.stats.bolusesApplied === 2,
+            result.stats.totalSteps === segmentSteps,
+            result.stats.methodSwitches >= 3 && result.stats.stiffnessDetected
+        ];
+
+        const testResult = {
+            testName: 'Dose Events and Mass Balance',
+            passed: checks.every(Boolean),
+            details: { cumulativeDose: cumulativeDose, accounted: accounted, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Dose ${cumulativeDose.toFixed(4)} mg, body + eliminated ${accounted.toFixed(4)} mg`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * LSODA is selectable through the integration adapter and the calculation comparator
+     */
+    testIntegrationAdapter() {
+        console.log('=== Testing LSODA through the integration adapter ===');
+
+        const patient = this.createPatient();
+        const pkParams = PKModels.calculatePKParameters(patient);
+        const adapter = new PKPDIntegrationAdapter(pkParams);
+        const selected = adapter.setMethod('lsoda');
+        const result = adapter.simulate(this.createDoseEvents(), patient, this.duration, { timeStep: 0.1 });
+
+        const exact = new AnalyticalSolver().solve(null, [0, 0, 0, 0], 0, this.duration, {
+            timeStep: 0.1, pkParams: pkParams, doseEvents: this.createDoseEvents(), patient: this.createPatient()
+        });
+        const exactFinal = exact.states[exact.states.length - 1];
+        const finalError = Math.abs(result.finalEffectSiteConcentration - exactFinal[3]);
+
+        const comparator = typeof CalculationComparator !== 'undefined' ? new CalculationComparator() : null;
+
+        const checks = [
+            selected === true,
+            result.stats.method === 'LSODA',
+            result.timeSeriesData[result.timeSeriesData.length - 1].time === this.duration,
+            finalError < 1e-4,
+            result.massBalance.conserved,
+            !comparator || comparator.availableMethods.lsoda.getDefaultSettings().method === 'lsoda'
+        ];
+
+        const testResult = {
+            testName: 'Integration Adapter',
+            passed: checks.every(Boolean),
+            details: { finalError: finalError, stats: result.stats, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Final Ce error vs exact: ${finalError.toExponential(2)}`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Invalid tolerances, output times, Jacobians and derivatives are rejected
+     */
+    testErrors() {
+        console.log('=== Testing LSODA errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const lsoda = new LSODA();
+        const decay = (t, y) => [-y[0]];
+        const pkParams = { ...PKModels.calculatePKParameters(this.createPatient()), ke0: 200 };
+
+        const checks = [
+            expectError(() => lsoda.integrate(decay, [1], [0, 1], { rtol: -1e-6 })),
+            expectError(() => lsoda.integrate(decay, [1], [0, 1], { rtol: 0, atol: 0 })),
+            expectError(() => lsoda.integrate(decay, [1], [0, 1, 1])),
+            expectError(() => lsoda.integrate(decay, [NaN], [0, 1])),
+            expectError(() => lsoda.integrate(decay, [1], [0, 10], { mxstep: 5 })),
+            expectError(() => lsoda.integrate((t, y) => [-1000 * y[0]], [1], [0, 10], { jacobian: () => [[-1000, 0]] })),
+            expectError(() => lsoda.integrate((t, y) => [t > 0.5 ? NaN : -y[0]], [1], [0, 1])),
+            expectError(() => this.solve(pkParams, { mxstep: 2 })),
+            !expectError(() => lsoda.integrate(decay, [1], [0, 1]))
+        ];
+
+        const testResult = {
+            testName: 'LSODA Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting LSODA Solver Tests');
+        console.log('===============================================');
+
+        this.testToleranceControl();
+        this.testStiffSwitching();
+        this.testAnalyticJacobian();
+        this.testDoseEventsAndMassBalance();
+        this.testIntegrationAdapter();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.LSODASolverTests = LSODASolverTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LSODASolverTests };
+}
@@ -10,12 +10,21 @@ class MainApplicationController {
         this.protocolEngine = new ProtocolEngine();
         this.advancedProtocolEngine = new AdvancedProtocolEngine();
         this.enhancedProtocolEngine = new EnhancedProtocolEngine();
+        this.infusionPump = new InfusionPump();
+        this.enhancedProtocolEngine.setPump(this.infusionPump);
         this.monitoringEngine = new MonitoringEngine();
+        this.monitoringEngine.setInfusionPump(this.infusionPump);
+        this.pdModel = new SigmoidEmaxPDModel();
+        this.inductionEngine.setPDModel(this.pdModel);
+        this.populationSimulator = new PopulationVariabilitySimulator();
+        this.locEstimator = new LOCKe0Estimator();
 
         // Chart instances
         this.inductionChart = null;
-        this.inductionChartData = { times: [], plasma: [], effect: [] };
+        this.inductionChartData = { times: [], plasma: [], effect: [], bis: [], unresponsive: [] };
         this.protocolChart = null;
+        this.paretoChart = null;
+        this.closedLoopChart = null;
         this.monitoringChart = null;
 
         // Wizard state
@@ -24,8 +33,18 @@ class MainApplicationController {
 
         // Workflow data (shared between steps)
         this.locCe = null;           // LOC Ce from induction (Step 1 -> Step 2)
+        this.locStartPrediction = null; // P(LOC) prediction at induction start
+        this.locComparison = null;   // Observed LOC vs predicted P(LOC)
+        this.locObservation = null;  // LOC observation of the current induction (kept in locEstimator across cases)
         this.safetyMargin = 0.15;    // Default safety margin
         this.protocolResult = null;  // Protocol result (Step 2 -> Step 3)
+        this.paretoFront = [];       // Non-dominated protocols of the last optimization
+        this.selectedParetoId = null; // Pareto candidate loaded as the protocol result
+        this.emergencePlan = null;   // Proposed stop / taper (Step 3 planner)
+        this.topUpAdvice = null;     // Peak-Ce bolus proposed by the Step 3 top-up advisor
+        this.replan = null;          // Step 3 re-plan from the current state (not yet merged)
+        this.consumptionPlan = null; // Drug use and syringe-empty times of the monitoring timeline
+        this.syringeCountdownTimer = null;
 
         // Touch tracking for swipe
         this.touchStartX = 0;
@@ -190,22 +209,71 @@ class MainApplicationController {
         document.getElementById('stopInductionBtn').addEventListener('click', () => this.stopInduction());
         document.getElementById('recordSnapshotBtn').addEventListener('click', () => this.recordSnapshot());
         document.getElementById('recordLOCBtn').addEventListener('click', () => this.recordLOC());
+        document.getElementById('individualizeLOCBtn').addEventListener('click', () => this.individualizeFromLOC());
+        document.getElementById('inductionMode').addEventListener('change', () => this.updateInductionModeControls());
+        document.getElementById('solvePeakBolusBtn').addEventListener('click', () => this.solveInductionPeakBolus());
 
         // Step 2: Protocol
         document.getElementById('optimizeProtocolBtn').addEventListener('click', () => this.optimizeProtocol());
+        document.getElementById('addTargetStepBtn').addEventListener('click', () => this.addTargetStep());
+        document.getElementById('compareStrategiesBtn').addEventListener('click', () => this.compareProtocolStrategies());
+        document.getElementById('paretoYAxis').addEventListener('change', () => this.updateParetoChart());
+        document.getElementById('runClosedLoopBtn').addEventListener('click', () => this.runClosedLoopSimulation());
+        document.querySelectorAll('.pump-setting').forEach(input => {
+            input.addEventListener('change', () => this.updatePumpProfile());
+        });
 
         // Safety margin change
         document.getElementById('safetyMargin').addEventListener('change', () => this.updateTargetCeFromMargin());
 
+        // Population variability bands
+        document.getElementById('protocolBandsToggle').addEventListener('change', () => {
+            if (this.protocolResult) this.updateProtocolChart(this.protocolResult);
+        });
+        document.getElementById('protocolCompareToggle').addEventListener('change', () => {
+            if (this.protocolResult) this.updateProtocolChart(this.protocolResult);
+        });
+        document.getElementById('monitoringBandsToggle').addEventListener('change', () => {
+            if (this.appState.simulationResult) this.updateMonitoringChart(this.appState.simulationResult);
+        });
+        document.getElementById('protocolBandsSubjects').addEventListener('change', () => {
+            if (this.protocolResult && document.getElementById('protocolBandsToggle').checked) this.updateProtocolChart(this.protocolResult);
+        });
+        document.getElementById('monitoringBandsSubjects').addEventListener('change', () => {
+            if (this.appState.simulationResult && document.getElementById('monitoringBandsToggle').checked) {
+                this.updateMonitoringChart(this.appState.simulationResult);
+            }
+        });
+
         // Step 3: Monitoring
         document.getElementById('addDoseBtn').addEventListener('click', () => this.showDoseModal());
         document.getElementById('runSimulationBtn').addEventListener('click', () => this.runMonitoringSimulation());
         document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportCsv());
+        document.getElementById('addSampleBtn').addEventListener('click', () => this.addMeasuredConcentration());
+        document.getElementById('stopNowBtn').addEventListener('click', () => {
+            const now = new Date();
+            document.getElementById('infusionStopTime').value =
+                `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+            this.updateEmergence();
+        });
+        document.getElementById('infusionStopTime').addEventListener('change', () => this.updateEmergence());
+        document.getElementById('wakeUpCe').addEventListener('change', () => this.updateEmergence());
+        document.getElementById('planEmergenceBtn').addEventListener('click', () => this.planEmergence());
+        document.getElementById('acceptEmergencePlanBtn').addEventListener('click', () => this.acceptEmergencePlan());
+        document.getElementById('adviseTopUpBtn').addEventListener('click', () => this.adviseTopUp());
+        document.getElementById('acceptTopUpBtn').addEventListener('click', () => this.acceptTopUpAdvice());
+        document.getElementById('replanBtn').addEventListener('click', () => this.replanFromNow());
+        document.getElementById('acceptReplanBtn').addEventListener('click', () => this.acceptReplan());
 
         // Dose modal
         document.getElementById('closeDoseModal').addEventListener('click', () => this.hideDoseModal());
         document.getElementById('cancelDoseAdd').addEventListener('click', () => this.hideDoseModal());
         document.getElementById('doseForm').addEventListener('submit', (e) => this.addDoseEvent(e));
+        document.getElementById('doseUnitSystem').addEventListener('change', () => this.switchDoseUnits());
+        ['doseBolusAmount', 'doseContinuousRate'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateDoseEquivalent());
+            document.getElementById(id).addEventListener('input', () => this.updateDoseEquivalent());
+        });
 
         // Modal backdrop clicks
         document.querySelectorAll('.modal').forEach(modal => {
@@ -275,6 +343,9 @@ class MainApplicationController {
                 this.inductionEngine.updateDose(bolus, continuous);
             }
         }
+        if (targetId === 'inductionTargetCe' && this.appState.isInductionRunning) {
+            this.inductionEngine.setTargetCe(value);
+        }
 
         // BMI update
         if (targetId === 'editWeight' || targetId === 'editHeight') {
@@ -360,11 +431,24 @@ class MainApplicationController {
         document.querySelector(`input[name="sex"][value="${patient.sex === SexType.MALE ? 'male' : 'female'}"]`).checked = true;
         document.querySelector(`input[name="asa"][value="${patient.asaPS === AsapsType.CLASS_1_2 ? '1-2' : '3-4'}"]`).checked = true;
         document.getElementById('editAnesthesiaStart').value = patient.formattedStartTime;
+        this.populatePKModelSelect(patient.pkModelId || PKModels.defaultModelId);
         this.updateBMICalculation();
 
         modal.classList.add('active');
     }
 
+    populatePKModelSelect(selectedId) {
+        const select = document.getElementById('editPkModel');
+        select.innerHTML = '';
+        PKModels.listSelectable().forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = `${model.drug.charAt(0).toUpperCase() + model.drug.slice(1)} - ${model.name}`;
+            option.selected = model.id === selectedId;
+            select.appendChild(option);
+        });
+    }
+
     hidePatientModal() {
         document.getElementById('patientModal').classList.remove('active');
     }
@@ -373,6 +457,8 @@ class MainApplicationController {
         document.getElementById('doseTime').value = this.appState.patient.formattedStartTime;
         document.getElementById('doseBolusAmount').value = 0;
         document.getElementById('doseContinuousRate').value = 0;
+        document.getElementById('doseUnitSystem').value = 'mg';
+        this.updateDoseUnitLabels();
         document.getElementById('anesthesiaStartReference').textContent = this.appState.patient.formattedStartTime;
         document.getElementById('doseModal').classList.add('active');
     }
@@ -400,17 +486,30 @@ class MainApplicationController {
         this.appState.patient.sex = formData.get('sex') === 'male' ? SexType.MALE : SexType.FEMALE;
         this.appState.patient.asaPS = formData.get('asa') === '1-2' ? AsapsType.CLASS_1_2 : AsapsType.CLASS_3_4;
         this.appState.patient.anesthesiaStartTime = anesthesiaStart;
+        this.appState.patient.pkModelId = document.getElementById('editPkModel').value;
 
         const validation = this.appState.patient.validate();
+        if (!PKModels.isSelectable(this.appState.patient.pkModelId)) {
+            validation.isValid = false;
+            validation.errors.push(`PK model must be a ${ApplicationDrug} model`);
+        }
         if (!validation.isValid) {
             alert('Input Error:\n' + validation.errors.join('\n'));
             return;
         }
 
-        this.protocolEngine.setPatient(this.appState.patient);
-        this.advancedProtocolEngine.setPatient(this.appState.patient);
-        this.enhancedProtocolEngine.setPatient(this.appState.patient);
-        this.monitoringEngine.setPatient(this.appState.patient);
+        // Force every engine to recalculate with the edited covariates / selected model
+        this.appState.patient.pkParams = null;
+
+        try {
+            this.protocolEngine.setPatient(this.appState.patient);
+            this.advancedProtocolEngine.setPatient(this.appState.patient);
+            this.enhancedProtocolEngine.setPatient(this.appState.patient);
+            this.monitoringEngine.setPatient(this.appState.patient);
+        } catch (error) {
+            alert('PK Model Error:\n' + error.message);
+            return;
+        }
 
         this.updatePatientDisplay();
         this.hidePatientModal();
@@ -418,7 +517,11 @@ class MainApplicationController {
 
     updatePatientDisplay() {
         const p = this.appState.patient;
-        const summary = `${p.age}y ${p.weight}kg`;
+        const model = PKModels.getModelForPatient(p);
+        let summary = model.id === PKModels.defaultModelId ?
+            `${p.age}y ${p.weight}kg` :
+            `${p.age}y ${p.weight}kg · ${model.name}`;
+        if (p.ke0Factor) summary += ' · ke0 (LOC)';
         document.getElementById('headerPatientSummary').textContent = summary;
     }
 
@@ -435,15 +538,23 @@ class MainApplicationController {
     startInduction() {
         const bolus = parseFloat(document.getElementById('inductionBolus').value);
         const continuous = parseFloat(document.getElementById('inductionContinuous').value);
+        const targetControlled = document.getElementById('inductionMode').value === 'tci';
 
         // Reset chart data
-        this.inductionChartData = { times: [], plasma: [], effect: [] };
+        this.inductionChartData = { times: [], plasma: [], effect: [], bis: [], unresponsive: [] };
         if (this.inductionChart) {
             this.inductionChart.destroy();
             this.inductionChart = null;
         }
 
-        if (this.inductionEngine.start(this.appState.patient, bolus, continuous)) {
+        const started = targetControlled ?
+            this.inductionEngine.startTargetControlled(this.appState.patient,
+                parseFloat(document.getElementById('inductionTargetCe').value), this.getTCIPumpOptions()) :
+            this.inductionEngine.start(this.appState.patient, bolus, continuous);
+
+        if (started) {
+            this.locStartPrediction = this.inductionEngine.getLOCPrediction();
+            this.locObservation = null;
             this.appState.isInductionRunning = true;
             this.updateInductionControls();
         }
@@ -472,6 +583,21 @@ class MainApplicationController {
         document.getElementById('locCeDisplay').classList.remove('hidden');
         document.getElementById('locCeValue').textContent = this.locCe.toFixed(3);
 
+        // Compare observed LOC against the P(LOC) prediction
+        this.locComparison = {
+            observedCe: this.locCe,
+            observedTime: state.elapsedTime,
+            predictedProbability: state.loc.probability,
+            predictedTimeTo50: this.locStartPrediction ? this.locStartPrediction.timeTo50 : null
+        };
+        const predictedText = this.locComparison.predictedTimeTo50 !== null
+            ? this.formatMinutesSeconds(this.locComparison.predictedTimeTo50) : 'n/a';
+        document.getElementById('locComparison').textContent =
+            `Predicted P(LOC) at this Ce: ${(this.locComparison.predictedProbability * 100).toFixed(0)}% \u00B7 ` +
+            `Observed ${this.formatMinutesSeconds(this.locComparison.observedTime)} vs predicted 50% at ${predictedText}`;
+
+        this.recordLOCObservation(state);
+
         // Also record as a snapshot
         this.recordSnapshot();
 
@@ -482,6 +608,75 @@ class MainApplicationController {
         this.updateTargetCeFromMargin();
     }
 
+    recordLOCObservation(state) {
+        // The fit assumes a fixed bolus + infusion; a TCI pump changes its rate every 10 s
+        if (state.tci) {
+            document.getElementById('locFitResult').textContent =
+                'LOC under TCI is not used for individualization (variable rate)';
+            return;
+        }
+
+        // One observation per induction; pressing LOC again replaces it
+        if (this.locObservation) {
+            this.locEstimator.removeObservation(this.locEstimator.getObservations().indexOf(this.locObservation));
+            this.locObservation = null;
+        }
+
+        const patient = this.appState.patient;
+        const modelParams = PKModels.getModelForPatient(patient).calculatePKParameters(patient);
+        try {
+            this.locObservation = this.locEstimator.addObservation(new LOCObservation(
+                modelParams, patient.weight,
+                this.inductionEngine.bolusDose, this.inductionEngine.continuousDose,
+                state.elapsedTime / 60
+            ));
+        } catch (error) {
+            console.warn('LOC observation not recorded:', error.message);
+        }
+
+        const count = this.locEstimator.getObservations().length;
+        document.getElementById('locFitResult').textContent =
+            `${count} LOC observation${count === 1 ? '' : 's'} this session`;
+    }
+
+    individualizeFromLOC() {
+        const patient = this.appState.patient;
+        const mode = document.getElementById('locFitMode').value;
+
+        let fit;
+        try {
+            fit = this.locEstimator.fit(mode, this.pdModel.getParameters().loc.ce50);
+        } catch (error) {
+            alert('LOC Individualization Error:\n' + error.message);
+            return;
+        }
+
+        // 'ce50' keeps the model ke0; the other modes store the fitted multiplier
+        patient.ke0Factor = mode === 'ce50' ? null : fit.ke0Factor;
+        this.pdModel.setParameters({ loc: { ce50: fit.ce50 } });
+
+        // Every engine picks up the individualized ke0 through PKModels.calculatePKParameters
+        patient.pkParams = null;
+        this.protocolEngine.setPatient(patient);
+        this.advancedProtocolEngine.setPatient(patient);
+        this.enhancedProtocolEngine.setPatient(patient);
+        this.monitoringEngine.setPatient(patient);
+
+        // Re-express the current LOC Ce with the individualized ke0
+        const index = this.locEstimator.getObservations().indexOf(this.locObservation);
+        if (index >= 0) {
+            this.locCe = fit.predictedCe[index];
+            document.getElementById('locCeValue').textContent = this.locCe.toFixed(3);
+            this.updateTargetCeFromMargin();
+        }
+
+        const ke0 = PKModels.calculatePKParameters(patient).ke0;
+        document.getElementById('locFitResult').textContent =
+            `ke0 ${ke0.toFixed(4)} /min (\u00D7${(patient.ke0Factor || 1).toFixed(2)}) \u00B7 ` +
+            `LOC Ce50 ${fit.ce50.toFixed(3)} \u03BCg/mL \u00B7 n=${fit.observationCount}`;
+        this.updatePatientDisplay();
+    }
+
     updateInductionDisplay(state) {
         document.getElementById('plasmaConcentration').textContent = state.plasmaConcentration.toFixed(3);
         document.getElementById('effectConcentration').textContent = state.effectSiteConcentration.toFixed(3);
@@ -492,25 +687,51 @@ class MainApplicationController {
         const ss = (totalSec % 60).toString().padStart(2, '0');
         document.getElementById('elapsedTime').textContent = `${mm}:${ss}`;
 
+        if (state.tci) {
+            document.getElementById('tciStatus').textContent =
+                `Target ${state.tci.targetCe.toFixed(2)} \u00B7 ${state.tci.rateMlHr.toFixed(0)} mL/h ` +
+                `(${state.tci.rateMgKgHr.toFixed(2)} mg/kg/hr${state.tci.saturated ? ', max' : ''}) \u00B7 ` +
+                `${state.tci.infusedMg.toFixed(1)} mg infused`;
+        }
+
+        if (state.loc) {
+            document.getElementById('locProbability').textContent = `${(state.loc.probability * 100).toFixed(0)}%`;
+            document.getElementById('locTimeTo50').textContent = this.formatLOCTime(state.loc.timeTo50);
+            document.getElementById('locTimeTo95').textContent = this.formatLOCTime(state.loc.timeTo95);
+        }
+
         // Update real-time chart (every ~2 seconds to avoid performance issues)
         if (totalSec % 2 === 0) {
             this.updateInductionChart(state);
         }
     }
 
+    formatMinutesSeconds(seconds) {
+        const totalSec = Math.floor(seconds);
+        return Math.floor(totalSec / 60) + ':' + (totalSec % 60).toString().padStart(2, '0');
+    }
+
+    formatLOCTime(seconds) {
+        if (seconds === null) return '--:--';
+        return seconds === 0 ? 'reached' : this.formatMinutesSeconds(seconds);
+    }
+
     updateInductionChart(state) {
-        const totalSec = Math.floor(state.elapsedTime);
-        const label = Math.floor(totalSec / 60) + ':' + (totalSec % 60).toString().padStart(2, '0');
+        const label = this.formatMinutesSeconds(state.elapsedTime);
 
         this.inductionChartData.times.push(label);
         this.inductionChartData.plasma.push(state.plasmaConcentration);
         this.inductionChartData.effect.push(state.effectSiteConcentration);
+        this.inductionChartData.bis.push(this.pdModel.predictBIS(state.effectSiteConcentration));
+        this.inductionChartData.unresponsive.push(this.pdModel.probabilityAtOrBelow(1, state.effectSiteConcentration) * 100);
 
         // Keep last 300 data points (~10 min at 2s interval)
         if (this.inductionChartData.times.length > 300) {
             this.inductionChartData.times.shift();
             this.inductionChartData.plasma.shift();
             this.inductionChartData.effect.shift();
+            this.inductionChartData.bis.shift();
+            this.inductionChartData.unresponsive.shift();
         }
 
         const ctx = document.getElementById('inductionRealtimeChart');
@@ -533,7 +754,8 @@ class MainApplicationController {
                             data: this.inductionChartData.effect,
                             borderColor: '#D4822D',
                             fill: false, tension: 0.3, pointRadius: 0, borderWidth: 2
-                        }
+                        },
+                        ...this.createPDDatasets(this.inductionChartData.bis, this.inductionChartData.unresponsive, 0.3)
                     ]
                 },
                 options: {
@@ -547,7 +769,8 @@ class MainApplicationController {
                     },
                     scales: {
                         x: { ticks: { maxTicksLimit: 6, font: { size: 10 }, color: '#8A9B90' }, grid: { color: 'rgba(255,255,255,0.06)' } },
-                        y: { beginAtZero: true, title: { display: true, text: '\u03BCg/mL', font: { size: 10 }, color: '#8A9B90' }, ticks: { color: '#8A9B90' }, grid: { color: 'rgba(255,255,255,0.06)' } }
+                        y: { beginAtZero: true, title: { display: true, text: '\u03BCg/mL', font: { size: 10 }, color: '#8A9B90' }, ticks: { color: '#8A9B90' }, grid: { color: 'rgba(255,255,255,0.06)' } },
+                        yPD: this.createPDScale()
                     }
                 }
             });
@@ -562,6 +785,105 @@ class MainApplicationController {
         document.getElementById('stopInductionBtn').classList.toggle('hidden', !isRunning);
         document.getElementById('recordSnapshotBtn').classList.toggle('hidden', !isRunning);
         document.getElementById('recordLOCBtn').classList.toggle('hidden', !isRunning);
+        document.getElementById('locPrediction').classList.toggle('hidden', !isRunning);
+        document.getElementById('inductionMode').disabled = isRunning;
+    }
+
+    updateInductionModeControls() {
+        const targetControlled = document.getElementById('inductionMode').value === 'tci';
+        document.getElementById('manualDoseControls').classList.toggle('hidden', targetControlled);
+        document.getElementById('tciDoseControls').classList.toggle('hidden', !targetControlled);
+        document.getElementById('tciStatus').classList.toggle('hidden', !targetControlled);
+        document.getElementById('peakBolusControls').classList.toggle('hidden', targetControlled);
+    }
+
+    /**
+     * Bolus whose Ce peak equals the entered target with the continuous rate running:
+     * sets the bolus before the start, advises a top-up from the current state while running
+     */
+    solveInductionPeakBolus() {
+        const targetCe = parseFloat(document.getElementById('peakBolusTargetCe').value);
+        const running = this.appState.isInductionRunning;
+        let advice;
+
+        try {
+            advice = this.enhancedProtocolEngine.solvePeakBolus(targetCe, {
+                state: running ? { ...this.inductionEngine.rk4State } : undefined,
+                rateMgKgHr: running ? this.inductionEngine.continuousDose :
+                    parseFloat(document.getElementById('inductionContinuous').value),
+                maxBolusMg: ValidationLimits.Induction.maximumBolusRange
+            });
+        } catch (error) {
+            alert('Input Error:\n' + error.message);
+            return;
+        }
+
+        if (!running && !advice.alreadyAtTarget) {
+            document.getElementById('inductionBolus').value = this.peakBolusDose(advice);
+        }
+        const result = document.getElementById('peakBolusResult');
+        result.textContent = this.describePeakBolus(advice, running ? 'Top-up now' : 'Bolus');
+        result.classList.remove('hidden');
+    }
+
+    /**
+     * Solved bolus rounded down to 0.1 mg so the peak stays at or below the target
+     */
+    peakBolusDose(advice) {
+        return Math.floor(advice.bolusMg * 10) / 10;
+    }
+
+    /**
+     * One-line summary of a solvePeakBolus result
+     */
+    describePeakBolus(advice, label) {
+        if (advice.alreadyAtTarget) {
+            return `Ce reaches ${advice.targetCe.toFixed(2)} \u03BCg/mL without a bolus`;
+        }
+        return `${label} ${this.peakBolusDose(advice).toFixed(1)} mg \u2192 peak Ce ${advice.peakCe.toFixed(3)} \u03BCg/mL ` +
+            `${this.formatMinutesSeconds(advice.peakTime * 60)} after the bolus` +
+            (advice.limited ? ' (bolus limit: target not reached)' : '');
+    }
+
+    /**
+     * Pump limits of the current pump profile for the TCI induction mode
+     */
+    getTCIPumpOptions() {
+        return {
+            maxPumpRateMlHr: this.infusionPump.maxRateMlHr,
+            drugConcentrationMgMl: this.infusionPump.drugConcentrationMgMl,
+            rateResolutionMlHr: this.infusionPump.rateResolutionMlHr
+        };
+    }
+
+    /**
+     * Rebuild the pump profile from the Infusion Pump settings
+     */
+    updatePumpProfile() {
+        const value = (id) => parseFloat(document.getElementById(id).value);
+
+        try {
+            this.infusionPump = new InfusionPump({
+                drugConcentrationMgMl: value('pumpDrugConcentration'),
+                maxRateMlHr: value('pumpMaxRate'),
+                rateResolutionMlHr: value('pumpRateResolution'),
+                bolusRateMlHr: value('pumpBolusRate'),
+                syringeVolumeMl: value('pumpSyringeVolume')
+            });
+        } catch (error) {
+            alert('Input Error:\n' + error.message);
+            const profile = this.infusionPump.getProfile();
+            document.getElementById('pumpDrugConcentration').value = profile.drugConcentrationMgMl;
+            document.getElementById('pumpMaxRate').value = profile.maxRateMlHr;
+            document.getElementById('pumpRateResolution').value = profile.rateResolutionMlHr;
+            document.getElementById('pumpBolusRate').value = profile.bolusRateMlHr;
+            document.getElementById('pumpSyringeVolume').value = profile.syringeVolumeMl;
+            return;
+        }
+
+        this.enhancedProtocolEngine.setPump(this.infusionPump);
+        this.monitoringEngine.setInfusionPump(this.infusionPump);
+        this.updateMonitoringDisplay();
     }
 
     updateSnapshotsDisplay() {
@@ -634,7 +956,9 @@ class MainApplicationController {
                 targetReachTime: targetTime,
                 upperThreshold: targetConcentration * upperThresholdRatio,
                 reductionFactor: reductionFactor,
-                adjustmentInterval: adjustmentInterval
+                adjustmentInterval: adjustmentInterval,
+                strategy: document.getElementById('protocolStrategy').value,
+                bolusOptimization: document.getElementById('bolusOptimization').value
             });
 
             const result = this.enhancedProtocolEngine.runEnhancedOptimization(
@@ -645,6 +969,11 @@ class MainApplicationController {
             this.appState.protocolResult = result;
             this.updateProtocolDisplay(result);
 
+            this.paretoFront = this.enhancedProtocolEngine.generateParetoFront(result.protocol);
+            const selected = this.paretoFront.find(candidate => candidate.protocol === result.protocol);
+            this.selectedParetoId = selected ? selected.id : null;
+            this.updateParetoChart();
+
             // Mark Step 2 as completed
             document.querySelector('.step-tab[data-step="1"]').classList.add('completed');
         } catch (error) {
@@ -653,6 +982,65 @@ class MainApplicationController {
         }
     }
 
+    addTargetStep() {
+        const step = {
+            time: parseFloat(document.getElementById('targetStepTime').value),
+            targetCe: parseFloat(document.getElementById('targetStepCe').value)
+        };
+        const schedule = this.enhancedProtocolEngine.settings.targetSchedule
+            .filter(existing => existing.time !== step.time);
+
+        try {
+            this.enhancedProtocolEngine.setTargetSchedule([...schedule, step]);
+        } catch (error) {
+            alert('Input Error:\n' + error.message);
+            return;
+        }
+
+        document.getElementById('targetStepTime').value = '';
+        document.getElementById('targetStepCe').value = '';
+        this.updateTargetScheduleDisplay();
+    }
+
+    updateTargetScheduleDisplay() {
+        const container = document.getElementById('targetScheduleList');
+        container.innerHTML = '';
+
+        const schedule = this.enhancedProtocolEngine.settings.targetSchedule;
+        schedule.forEach(step => {
+            const div = document.createElement('div');
+            div.className = 'dose-event sample-event';
+
+            const infoDiv = document.createElement('div');
+            infoDiv.className = 'dose-info';
+
+            const title = document.createElement('h4');
+            const clockTime = this.appState.patient.minutesToClockTime(step.time);
+            title.textContent = `${step.time} min (${clockTime.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit', hour12: false })})`;
+
+            const details = document.createElement('div');
+            details.className = 'dose-details';
+            const span = document.createElement('span');
+            span.textContent = `Target Ce ${step.targetCe.toFixed(2)} \u03BCg/mL`;
+            details.appendChild(span);
+
+            infoDiv.appendChild(title);
+            infoDiv.appendChild(details);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-dose';
+            deleteBtn.textContent = '\u00D7';
+            deleteBtn.addEventListener('click', () => {
+                this.enhancedProtocolEngine.setTargetSchedule(schedule.filter(other => other !== step));
+                this.updateTargetScheduleDisplay();
+            });
+
+            div.appendChild(infoDiv);
+            div.appendChild(deleteBtn);
+            container.appendChild(div);
+        });
+    }
+
     updateProtocolDisplay(result) {
         document.getElementById('protocolResults').classList.remove('hidden');
         document.getElementById('optimalRate').textContent = result.optimizedRate.toFixed(3);
@@ -663,9 +1051,280 @@ class MainApplicationController {
         document.getElementById('convergenceTime').textContent =
             result.protocol.performance.convergenceTime ? result.protocol.performance.convergenceTime.toFixed(1) : '---';
 
+        this.updateOptimizerDiagnostics(result.optimizationResult);
         this.updateConcentrationEvaluationDisplay(result.protocol.concentrationAtTimePoints);
+        document.getElementById('strategyComparison').classList.add('hidden');
         this.updateProtocolChart(result);
-        this.updateProtocolTable(result.protocol.dosageAdjustments);
+        this.updateProtocolTable(result.protocol);
+    }
+
+    /**
+     * Convergence of the rate (or joint bolus + rate) optimizer; hidden for strategies without one
+     */
+    updateOptimizerDiagnostics(optimizationResult) {
+        const hint = document.getElementById('optimizerDiagnostics');
+        const optimizer = optimizationResult && optimizationResult.optimizer;
+        if (!optimizer) {
+            hint.classList.add('hidden');
+            return;
+        }
+
+        const method = optimizer.method === 'nelder-mead' ? 'Nelder-Mead (bolus + rate)' : 'Brent (rate)';
+        hint.textContent = `Optimizer: ${method}, ${optimizer.iterations} iterations, ${optimizer.evaluations} evaluations, ` +
+            `${optimizer.converged ? 'converged' : 'not converged'} in ${optimizer.elapsedMs} ms`;
+        hint.classList.remove('hidden');
+    }
+
+    /**
+     * Load a Pareto candidate as the protocol result (chart, table and monitoring transfer)
+     */
+    selectParetoProtocol(candidate) {
+        const result = candidate.protocol === this.protocolResult.protocol ? this.protocolResult : {
+            optimizedRate: candidate.protocol.initialContinuousRate,
+            protocol: candidate.protocol,
+            strategy: candidate.strategy
+        };
+
+        this.enhancedProtocolEngine.lastResult = candidate.protocol;
+        this.protocolResult = result;
+        this.appState.protocolResult = result;
+        this.selectedParetoId = candidate.id;
+        this.updateProtocolDisplay(result);
+        this.updateParetoChart();
+    }
+
+    updateParetoChart() {
+        const section = document.getElementById('paretoSection');
+        if (this.paretoChart) this.paretoChart.destroy();
+        this.paretoChart = null;
+        if (this.paretoFront.length === 0) {
+            section.classList.add('hidden');
+            return;
+        }
+        section.classList.remove('hidden');
+
+        const axis = document.getElementById('paretoYAxis');
+        const yKey = axis.value;
+        const yLabel = axis.options[axis.selectedIndex].text;
+        const points = this.paretoFront.map(candidate => ({
+            x: candidate.objectives.totalDoseMg,
+            y: Number.isFinite(candidate.objectives[yKey]) ? candidate.objectives[yKey] : null
+        }));
+        const isSelected = this.paretoFront.map(candidate => candidate.id === this.selectedParetoId);
+
+        const selected = this.paretoFront.find(candidate => candidate.id === this.selectedParetoId);
+        document.getElementById('paretoSelection').textContent = selected ?
+            `Loaded: ${selected.label}` : 'Click a point to load that protocol';
+
+        const ctx = document.getElementById('paretoChart').getContext('2d');
+        this.paretoChart = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Pareto set',
+                    data: points,
+                    backgroundColor: isSelected.map(sel => sel ? '#D4822D' : 'rgba(50,102,173,0.8)'),
+                    pointRadius: isSelected.map(sel => sel ? 7 : 5),
+                    pointHoverRadius: 8
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                onClick: (event, elements) => {
+                    if (elements.length > 0) this.selectParetoProtocol(this.paretoFront[elements[0].index]);
+                },
+                plugins: {
+                    tooltip: {
+                        padding: 10, cornerRadius: 8,
+                        backgroundColor: '#121A16', titleColor: '#E4EDE8', bodyColor: '#C8D5CE',
+                        titleFont: { size: 12 }, bodyFont: { size: 11 },
+                        callbacks: {
+                            title: (items) => this.paretoFront[items[0].dataIndex].label,
+                            label: (item) => {
+                                const o = this.paretoFront[item.dataIndex].objectives;
+                                return [
+                                    `Total dose ${o.totalDoseMg.toFixed(1)} mg`,
+                                    `Overshoot ${o.overshootPercent.toFixed(1)}%`,
+                                    `Time to target ${Number.isFinite(o.timeToTarget) ? o.timeToTarget.toFixed(1) + ' min' : 'not reached'}`,
+                                    `Adjustments ${o.adjustments}`
+                                ];
+                            }
+                        }
+                    },
+                    legend: { display: false }
+                },
+                scales: {
+                    x: { title: { display: true, text: 'Total dose (mg)', font: { size: 10 }, color: '#8A9B90' }, ticks: { color: '#8A9B90' }, grid: { color: 'rgba(255,255,255,0.06)' } },
+                    y: { beginAtZero: true, title: { display: true, text: yLabel, font: { size: 10 }, color: '#8A9B90' }, ticks: { color: '#8A9B90' }, grid: { color: 'rgba(255,255,255,0.06)' } }
+                }
+            }
+        });
+    }
+
+    /**
+     * Predictive step-down, MPC and effect-site TCI on the last optimized target and pump
+     */
+    compareProtocolStrategies() {
+        const settings = this.enhancedProtocolEngine.settings;
+        const bolusDose = parseFloat(document.getElementById('protocolBolus').value);
+        const labels = { heuristic: 'Step-down', mpc: 'MPC', tci: 'Effect-site TCI' };
+
+        let rows;
+        try {
+            rows = this.enhancedProtocolEngine.compareStrategies(
+                settings.targetCe, bolusDose, settings.targetReachTime, Object.keys(labels));
+        } catch (error) {
+            console.error('Strategy comparison failed:', error);
+            alert('Comparison error:\n' + error.message);
+            return;
+        }
+
+        const container = document.getElementById('strategyComparison');
+        container.innerHTML = '<h4>Strategy Comparison (60&#8211;180 min)</h4>';
+
+        const table = document.createElement('table');
+        table.className = 'concentration-evaluation-table';
+        table.innerHTML = `
+            <tr>
+                <th>Strategy</th>
+                <th>&#177;5%</th>
+                <th>&#177;10%</th>
+                <th>Adj.</th>
+                <th>Overshoot</th>
+            </tr>
+        `;
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${labels[row.strategy]}</td>
+                <td>${row.timeInTarget.toFixed(1)}%</td>
+                <td>${row.targetAccuracy.toFixed(1)}%</td>
+                <td>${row.totalAdjustments}</td>
+                <td>${row.overshootPercent.toFixed(1)}%</td>
+            `;
+            table.appendChild(tr);
+        });
+
+        container.appendChild(table);
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Stimulation events from "min:+BIS:duration, ..." (blank = none)
+     */
+    parseStimulationEvents(text) {
+        return text.split(',').map(item => item.trim()).filter(item => item.length > 0).map(item => {
+            const [time, bisIncrease, duration] = item.split(':').map(Number);
+            if (![time, bisIncrease, duration].every(Number.isFinite)) {
+                throw new Error(`Stimulation "${item}" must be min:+BIS:duration`);
+            }
+            return { time: time, bisIncrease: bisIncrease, duration: duration };
+        });
+    }
+
+    /**
+     * Closed-loop BIS control of a virtual patient (research / teaching)
+     */
+    runClosedLoopSimulation() {
+        let result;
+        try {
+            const simulator = new ClosedLoopSimulator(this.appState.patient, {
+                controller: document.getElementById('closedLoopController').value,
+                targetBIS: parseFloat(document.getElementById('closedLoopTargetBIS').value),
+                inductionBolusMg: parseFloat(document.getElementById('protocolBolus').value) || 0,
+                monitor: { noiseSD: parseFloat(document.getElementById('closedLoopNoise').value) || 0 },
+                stimulation: this.parseStimulationEvents(document.getElementById('closedLoopStimulation').value),
+                pkParams: this.enhancedProtocolEngine.pkParams || undefined,
+                patientPD: this.pdModel.getParameters(),
+                pump: this.infusionPump
+            });
+            result = simulator.simulate();
+        } catch (error) {
+            console.error('Closed-loop simulation failed:', error);
+            alert('Closed-loop Error:\n' + error.message);
+            return;
+        }
+
+        const p = result.performance;
+        const [low, high] = ClosedLoopDefaults.bisRange;
+        document.getElementById('closedLoopSummary').innerHTML =
+            `MDPE ${p.mdpe.toFixed(1)}% &middot; MDAPE ${p.mdape.toFixed(1)}% &middot; Wobble ${p.wobble.toFixed(1)}%<br>` +
+            `BIS ${low}&#8211;${high} for ${p.timeInRange.toFixed(1)}% of the time from ${ClosedLoopDefaults.evaluationStart} min &middot; ` +
+            `${result.totalDrugMg.toFixed(1)} mg in ${ClosedLoopDefaults.duration} min`;
+        document.getElementById('closedLoopResult').classList.remove('hidden');
+        this.updateClosedLoopChart(result);
+    }
+
+    updateClosedLoopChart(result) {
+        if (this.closedLoopChart) this.closedLoopChart.destroy();
+
+        // One point every 30 s of the 5 s control record
+        const step = Math.max(1, Math.round(0.5 / ClosedLoopDefaults.controlInterval));
+        const records = result.records.filter((record, i) => i % step === 0);
+        const targetBIS = parseFloat(document.getElementById('closedLoopTargetBIS').value);
+
+        const ctx = document.getElementById('closedLoopChart').getContext('2d');
+        this.closedLoopChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: records.map(record => `${Math.round(record.time)} min`),
+                datasets: [
+                    {
+                        label: 'BIS',
+                        data: records.map(record => record.bis),
+                        borderColor: '#2E9E6B',
+                        fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1.5,
+                        yAxisID: 'yPD'
+                    },
+                    {
+                        label: 'Target BIS',
+                        data: records.map(() => targetBIS),
+                        borderColor: 'rgba(46,158,107,0.6)',
+                        borderDash: [5, 5], tension: 0, pointRadius: 0, borderWidth: 1, fill: false,
+                        yAxisID: 'yPD'
+                    },
+                    {
+                        label: 'Ce',
+                        data: records.map(record => record.ce),
+                        borderColor: '#D4822D',
+                        fill: false, tension: 0.1, pointRadius: 0, borderWidth: 2
+                    },
+                    {
+                        label: 'Rate',
+                        data: records.map(record => record.rateMgKgHr),
+                        borderColor: '#7B68AE',
+                        stepped: true, pointRadius: 0, borderWidth: 1.5, fill: false,
+                        yAxisID: 'y1'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false, axis: 'x' },
+                plugins: {
+                    tooltip: {
+                        events: ['click', 'touchstart'],
+                        padding: 10, cornerRadius: 8,
+                        backgroundColor: '#121A16', titleColor: '#E4EDE8', bodyColor: '#C8D5CE',
+                        titleFont: { size: 12 }, bodyFont: { size: 11 }
+                    },
+                    legend: { display: true, labels: { boxWidth: 12, font: { size: 11 }, color: '#8A9B90' } }
+                },
+                scales: {
+                    x: { ticks: { maxTicksLimit: 8, font: { size: 10 }, color: '#8A9B90' }, grid: { color: 'rgba(255,255,255,0.06)' } },
+                    y: { beginAtZero: true, title: { display: true, text: 'Ce (ug/mL)', font: { size: 10 }, color: '#8A9B90' }, ticks: { color: '#8A9B90' }, grid: { color: 'rgba(255,255,255,0.06)' } },
+                    y1: {
+                        type: 'linear', display: true, position: 'right', beginAtZero: true,
+                        title: { display: true, text: 'Rate', font: { size: 10 }, color: '#8A9B90' },
+                        ticks: { color: '#8A9B90' },
+                        grid: { drawOnChartArea: false }
+                    },
+                    yPD: this.createPDScale()
+                }
+            }
+        });
     }
 
     updateConcentrationEvaluationDisplay(concentrationAtTimePoints) {
@@ -680,6 +1339,7 @@ class MainApplicationController {
         const headerRow = document.createElement('tr');
         headerRow.innerHTML = `
             <th>Time</th>
+            <th>Target</th>
             <th>Ce</th>
             <th>Cp</th>
             <th>Rate</th>
@@ -694,6 +1354,7 @@ class MainApplicationController {
             row.className = cls;
             row.innerHTML = `
                 <td>${point.time}min</td>
+                <td>${point.targetCe.toFixed(2)}</td>
                 <td>${point.effectSiteConcentration.toFixed(3)}</td>
                 <td>${point.plasmaConcentration.toFixed(3)}</td>
                 <td>${point.infusionRate.toFixed(2)}</td>
@@ -712,6 +1373,11 @@ class MainApplicationController {
 
         const chartData = this.enhancedProtocolEngine.getEnhancedChartData();
         if (!chartData || !chartData.times) return;
+        const pdSeries = this.pdModel.predictSeries(chartData.effectSiteConcentrations);
+        const bands = document.getElementById('protocolBandsToggle').checked ?
+            this.computePopulationBands(this.buildProtocolDoseEvents(result.protocol), chartData.times, 'protocolBandsSubjects') : null;
+        const comparison = document.getElementById('protocolCompareToggle').checked ?
+            this.buildTCIComparison(result, chartData.times) : null;
 
         this.protocolChart = new Chart(ctx, {
             type: 'line',
@@ -753,7 +1419,10 @@ class MainApplicationController {
                         borderColor: '#7B68AE',
                         tension: 0.1, pointRadius: 0, borderWidth: 1.5, fill: false,
                         yAxisID: 'y1'
-                    }
+                    },
+                    ...this.createPDDatasets(pdSeries.bis, pdSeries.unresponsivePercent, 0.1),
+                    ...this.createPopulationBandDatasets(bands),
+                    ...this.createTCIComparisonDatasets(comparison)
                 ]
             },
             options: {
@@ -777,20 +1446,65 @@ class MainApplicationController {
                         title: { display: true, text: 'Rate', font: { size: 10 }, color: '#8A9B90' },
                         ticks: { color: '#8A9B90' },
                         grid: { drawOnChartArea: false }
-                    }
+                    },
+                    yPD: this.createPDScale()
                 }
             }
         });
     }
 
-    updateProtocolTable(dosageAdjustments) {
+    /**
+     * Ce-target vs Cp-target TCI for the same target, resampled onto the chart times
+     * Heuristic results are compared with Ce-target TCI; TCI results with the other target site.
+     */
+    buildTCIComparison(result, times) {
+        const targetSite = result.strategy === 'tci' ? 'plasma' : 'effect';
+        let protocol;
+        try {
+            protocol = this.enhancedProtocolEngine.buildTCIProtocol(
+                this.enhancedProtocolEngine.settings.targetCe, this.enhancedProtocolEngine.settings.targetSchedule, targetSite);
+        } catch (error) {
+            console.warn('TCI comparison unavailable:', error.message);
+            return null;
+        }
+
+        const data = protocol.timeSeriesData;
+        const at = (t) => data[Math.min(data.length - 1, Math.round(t / protocol.tci.updateInterval))];
+        return {
+            label: targetSite === 'plasma' ? 'Cp-target' : 'Ce-target',
+            plasma: times.map(t => at(t).plasma),
+            effect: times.map(t => at(t).ce)
+        };
+    }
+
+    createTCIComparisonDatasets(comparison) {
+        if (!comparison) return [];
+
+        return [
+            {
+                label: `Cp (${comparison.label})`,
+                data: comparison.plasma,
+                borderColor: 'rgba(50,102,173,0.7)',
+                borderDash: [6, 3], fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1.5
+            },
+            {
+                label: `Ce (${comparison.label})`,
+                data: comparison.effect,
+                borderColor: 'rgba(212,130,45,0.7)',
+                borderDash: [6, 3], fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1.5
+            }
+        ];
+    }
+
+    updateProtocolTable(protocol) {
         const container = document.getElementById('protocolTable');
         container.innerHTML = '';
 
+        const program = protocol.pumpProgram;
         const table = document.createElement('table');
         table.innerHTML = `
             <thead><tr>
-                <th>Time</th><th>Action</th><th>Rate Change</th><th>Ce</th><th>Reason</th>
+                <th>Time</th><th>Action</th><th>mg/kg/hr</th><th>mL/h</th><th>Ce</th><th>Reason</th>
             </tr></thead>
             <tbody></tbody>
         `;
@@ -798,20 +1512,22 @@ class MainApplicationController {
         const tbody = table.querySelector('tbody');
 
         const initialRow = document.createElement('tr');
-        initialRow.innerHTML = '<td>0 min</td><td>Bolus</td><td>-</td><td>-</td><td>Induction</td>';
+        initialRow.innerHTML = `<td>0 min</td><td>Bolus</td><td colspan="2">${protocol.bolusDose.toFixed(1)} mg = ${program.bolusMl.toFixed(1)} mL (${program.bolusSeconds.toFixed(0)} s)</td><td>-</td><td>Induction</td>`;
         tbody.appendChild(initialRow);
 
         const startRow = document.createElement('tr');
-        startRow.innerHTML = '<td>0 min</td><td>Start Infusion</td><td>-</td><td>-</td><td>Optimized</td>';
+        startRow.innerHTML = `<td>0 min</td><td>Start Infusion</td><td>${protocol.initialContinuousRate.toFixed(2)}</td><td>${program.initialRateMlHr.toFixed(1)}</td><td>-</td><td>Optimized</td>`;
         tbody.appendChild(startRow);
 
-        dosageAdjustments.forEach(adj => {
+        protocol.dosageAdjustments.forEach((adj, index) => {
+            const step = program.steps[index];
             const row = document.createElement('tr');
-            row.className = adj.type === 'predictive_adjustment' ? 'predictive' : 'reactive';
+            row.className = adj.type === 'predictive_adjustment' || adj.type === 'mpc_adjustment' ? 'predictive' : 'reactive';
             row.innerHTML = `
                 <td>${adj.time.toFixed(1)}</td>
                 <td>Adjust</td>
                 <td>${adj.oldRate.toFixed(2)} &#8594; ${adj.newRate.toFixed(2)}</td>
+                <td>${step.oldRateMlHr.toFixed(1)} &#8594; ${step.newRateMlHr.toFixed(1)}</td>
                 <td>${adj.ceAtEvent.toFixed(3)}</td>
                 <td>${adj.reason}</td>
             `;
@@ -819,6 +1535,26 @@ class MainApplicationController {
         });
 
         container.appendChild(table);
+
+        const consumption = program.consumption;
+        const volume = document.createElement('small');
+        volume.className = 'form-hint';
+        const emptyTimes = consumption.emptyTimes.map(time => `${time.toFixed(0)}`).join(', ');
+        volume.textContent = `${consumption.totalMg.toFixed(1)} mg = ${consumption.totalMl.toFixed(1)} mL at ${program.profile.drugConcentrationMgMl} mg/mL over ${consumption.endTime} min: ` +
+            `${consumption.syringeCount} \u00D7 ${program.profile.syringeVolumeMl} mL syringe` +
+            (emptyTimes ? ` (change at ${emptyTimes} min)` : '') +
+            `, ${consumption.vials} \u00D7 ${consumption.vialMg} mg vial`;
+        container.appendChild(volume);
+
+        if (protocol.tci) {
+            const deviation = protocol.tci.summaryDeviation;
+            const approximation = document.createElement('small');
+            approximation.className = 'form-hint';
+            approximation.textContent = `Approximation: this program averages the TCI pump's ${protocol.tci.rateSegments.length} rate changes ` +
+                `(every ${(protocol.tci.updateInterval * 60).toFixed(0)} s) per minute; replayed, it differs from the controller by up to ` +
+                `${deviation.maxCe.toFixed(3)} \u03BCg/mL Ce and ${deviation.maxPlasma.toFixed(3)} \u03BCg/mL Cp`;
+            container.appendChild(approximation);
+        }
     }
 
     // =============================================
@@ -838,10 +1574,12 @@ class MainApplicationController {
         const banner = document.getElementById('protocolTransferBanner');
         const info = document.getElementById('transferredProtocolInfo');
 
-        const bolus = parseFloat(document.getElementById('protocolBolus').value);
+        // Every strategy and Pareto candidate carries the loading dose its prediction used
+        const bolus = Math.round(result.protocol.bolusDose * 10) / 10;
         const rate = result.optimizedRate;
 
-        info.textContent = `Bolus ${bolus}mg + ${rate.toFixed(2)} mg/kg/hr`;
+        info.textContent = `Bolus ${bolus}mg + ${rate.toFixed(2)} mg/kg/hr ` +
+            `(${this.infusionPump.mgToMl(bolus).toFixed(1)} mL + ${this.infusionPump.mgKgHrToMlHr(rate, this.appState.patient.weight).toFixed(1)} mL/h)`;
         banner.classList.remove('hidden');
 
         // Only auto-load if monitoring has no events yet
@@ -867,20 +1605,16 @@ class MainApplicationController {
         e.preventDefault();
 
         const timeValue = document.getElementById('doseTime').value;
-        const bolusAmount = parseFloat(document.getElementById('doseBolusAmount').value);
-        const continuousRate = parseFloat(document.getElementById('doseContinuousRate').value);
-
-        const doseTime = new Date(this.appState.patient.anesthesiaStartTime);
-        const [hours, minutes] = timeValue.split(':').map(Number);
-        doseTime.setHours(hours, minutes, 0, 0);
+        const dose = this.readDoseInputs();
 
-        let minutesFromStart = this.appState.patient.clockTimeToMinutes(doseTime);
-        if (minutesFromStart < 0) minutesFromStart += 1440;
-        minutesFromStart = Math.max(0, Math.round(minutesFromStart));
+        const minutesFromStart = this.clockInputToMinutes(timeValue);
 
-        const doseEvent = new DoseEvent(minutesFromStart, bolusAmount, continuousRate);
+        const doseEvent = new DoseEvent(minutesFromStart, dose.bolusMg, dose.continuousMgKgHr);
         const validation = doseEvent.validate();
-        if (!validation.isValid) {
+        if (this.infusionPump.describeDoseEvent(doseEvent, this.appState.patient.weight).exceedsMaximum) {
+            validation.errors.push(`Continuous rate exceeds the pump maximum of ${this.infusionPump.maxRateMlHr} mL/h`);
+        }
+        if (validation.errors.length > 0) {
             alert('Input Error:\n' + validation.errors.join('\n'));
             return;
         }
@@ -890,6 +1624,136 @@ class MainApplicationController {
         this.hideDoseModal();
     }
 
+    /**
+     * Dose modal values in mg and mg/kg/hr, whichever unit system they were entered in
+     */
+    readDoseInputs() {
+        const bolus = parseFloat(document.getElementById('doseBolusAmount').value);
+        const continuous = parseFloat(document.getElementById('doseContinuousRate').value);
+
+        if (document.getElementById('doseUnitSystem').value === 'ml') {
+            return {
+                bolusMg: this.infusionPump.mlToMg(bolus),
+                continuousMgKgHr: this.infusionPump.mlHrToMgKgHr(continuous, this.appState.patient.weight)
+            };
+        }
+        return { bolusMg: bolus, continuousMgKgHr: continuous };
+    }
+
+    /**
+     * Convert the entered dose when the unit system is switched
+     */
+    switchDoseUnits() {
+        const toMl = document.getElementById('doseUnitSystem').value === 'ml';
+        const weight = this.appState.patient.weight;
+        const bolusInput = document.getElementById('doseBolusAmount');
+        const continuousInput = document.getElementById('doseContinuousRate');
+        const bolus = parseFloat(bolusInput.value) || 0;
+        const continuous = parseFloat(continuousInput.value) || 0;
+
+        if (toMl) {
+            bolusInput.value = this.infusionPump.mgToMl(bolus).toFixed(1);
+            continuousInput.value = this.infusionPump.mgKgHrToMlHr(continuous, weight).toFixed(1);
+        } else {
+            bolusInput.value = this.infusionPump.mlToMg(bolus).toFixed(1);
+            continuousInput.value = this.infusionPump.mlHrToMgKgHr(continuous, weight).toFixed(2);
+        }
+        this.updateDoseUnitLabels();
+    }
+
+    updateDoseUnitLabels() {
+        const ml = document.getElementById('doseUnitSystem').value === 'ml';
+        const bolusInput = document.getElementById('doseBolusAmount');
+        const continuousInput = document.getElementById('doseContinuousRate');
+
+        document.getElementById('doseBolusLabel').textContent = ml ? 'Bolus (mL)' : 'Bolus (mg)';
+        document.getElementById('doseContinuousLabel').textContent = ml ? 'Continuous (mL/h)' : 'Continuous (mg/kg/hr)';
+        bolusInput.max = ml ? this.infusionPump.mgToMl(ValidationLimits.Dosing.maximumBolus) : ValidationLimits.Dosing.maximumBolus;
+        continuousInput.max = ml ? this.infusionPump.maxRateMlHr : ValidationLimits.Dosing.maximumContinuous;
+        continuousInput.step = ml ? this.infusionPump.rateResolutionMlHr : 0.01;
+        this.updateDoseEquivalent();
+    }
+
+    /**
+     * Show the entered dose in the other unit system
+     */
+    updateDoseEquivalent() {
+        const dose = this.readDoseInputs();
+        const equivalent = document.getElementById('doseEquivalent');
+        if (!Number.isFinite(dose.bolusMg) || !Number.isFinite(dose.continuousMgKgHr)) {
+            equivalent.textContent = '---';
+            return;
+        }
+
+        const pump = this.infusionPump.describeDoseEvent(dose, this.appState.patient.weight);
+        equivalent.textContent = document.getElementById('doseUnitSystem').value === 'ml' ?
+            `= ${dose.bolusMg.toFixed(1)} mg + ${dose.continuousMgKgHr.toFixed(2)} mg/kg/hr` :
+            `= ${pump.bolusMl.toFixed(1)} mL + ${pump.rateMlHr.toFixed(1)} mL/h at ${this.infusionPump.drugConcentrationMgMl} mg/mL`;
+    }
+
+    clockInputToMinutes(timeValue) {
+        const clockTime = new Date(this.appState.patient.anesthesiaStartTime);
+        const [hours, minutes] = timeValue.split(':').map(Number);
+        clockTime.setHours(hours, minutes, 0, 0);
+
+        let minutesFromStart = this.appState.patient.clockTimeToMinutes(clockTime);
+        if (minutesFromStart < 0) minutesFromStart += 1440;
+        return Math.max(0, Math.round(minutesFromStart));
+    }
+
+    addMeasuredConcentration() {
+        const timeValue = document.getElementById('sampleTime').value;
+        const concentration = parseFloat(document.getElementById('sampleConcentration').value);
+
+        const measurement = new MeasuredConcentration(this.clockInputToMinutes(timeValue), concentration);
+        const validation = measurement.validate();
+        if (!validation.isValid) {
+            alert('Input Error:\n' + validation.errors.join('\n'));
+            return;
+        }
+
+        this.monitoringEngine.addMeasuredConcentration(measurement);
+        document.getElementById('sampleConcentration').value = '';
+        this.updateMeasuredSamplesDisplay();
+    }
+
+    updateMeasuredSamplesDisplay() {
+        const container = document.getElementById('measuredSamplesList');
+        container.innerHTML = '';
+
+        this.monitoringEngine.getMeasuredConcentrations().forEach((measurement, index) => {
+            const div = document.createElement('div');
+            div.className = 'dose-event sample-event';
+
+            const infoDiv = document.createElement('div');
+            infoDiv.className = 'dose-info';
+
+            const title = document.createElement('h4');
+            title.textContent = `${measurement.timeInMinutes} min (${measurement.formattedClockTime(this.appState.patient)})`;
+
+            const details = document.createElement('div');
+            details.className = 'dose-details';
+            const span = document.createElement('span');
+            span.textContent = `Cp ${measurement.concentration.toFixed(3)} \u03BCg/mL`;
+            details.appendChild(span);
+
+            infoDiv.appendChild(title);
+            infoDiv.appendChild(details);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-dose';
+            deleteBtn.textContent = '\u00D7';
+            deleteBtn.addEventListener('click', () => {
+                this.monitoringEngine.removeMeasuredConcentration(index);
+                this.updateMeasuredSamplesDisplay();
+            });
+
+            div.appendChild(infoDiv);
+            div.appendChild(deleteBtn);
+            container.appendChild(div);
+        });
+    }
+
     updateMonitoringDisplay() {
         const events = this.monitoringEngine.getDoseEvents();
         const container = document.getElementById('doseEventsList');
@@ -899,9 +1763,59 @@ class MainApplicationController {
             const item = this.createDoseEventElement(event, index);
             container.appendChild(item);
         });
+
+        this.updateDrugConsumption();
+    }
+
+    /**
+     * Recompute drug use for the monitoring timeline and keep the syringe countdown running
+     */
+    updateDrugConsumption() {
+        const summary = document.getElementById('drugConsumptionSummary');
+        this.consumptionPlan = this.monitoringEngine.getDoseEvents().length > 0 ?
+            this.monitoringEngine.planDrugConsumption() : null;
+
+        if (this.consumptionPlan) {
+            const plan = this.consumptionPlan;
+            const endClock = this.appState.patient.minutesToClockTime(plan.endTime)
+                .toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit', hour12: false });
+            summary.textContent = `${plan.totalMg.toFixed(1)} mg (${plan.totalMl.toFixed(1)} mL) by ${endClock} \u00B7 ` +
+                `${plan.syringeCount} \u00D7 ${this.infusionPump.syringeVolumeMl} mL syringe \u00B7 ${plan.vials} \u00D7 ${plan.vialMg} mg vial`;
+        } else {
+            summary.textContent = '---';
+        }
+
+        if (!this.syringeCountdownTimer) {
+            this.syringeCountdownTimer = setInterval(() => this.updateSyringeCountdown(), 1000);
+        }
+        this.updateSyringeCountdown();
+    }
+
+    updateSyringeCountdown() {
+        const element = document.getElementById('syringeCountdown');
+        const plan = this.consumptionPlan;
+        const change = plan ?
+            this.monitoringEngine.getNextSyringeChange(plan, this.appState.patient.clockTimeToMinutes(new Date())) : null;
+
+        element.classList.toggle('warning', !!(change && change.warning));
+        if (!plan) {
+            element.textContent = '---';
+            return;
+        }
+        if (!change) {
+            element.textContent = 'No syringe change ahead';
+            return;
+        }
+
+        const seconds = Math.floor(change.minutesRemaining * 60);
+        const hours = Math.floor(seconds / 3600);
+        const mmss = `${Math.floor(seconds % 3600 / 60).toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`;
+        const emptyClock = this.appState.patient.minutesToClockTime(change.emptyTime)
+            .toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit', hour12: false });
+        element.textContent = `Syringe ${change.syringeNumber} empty in ${hours > 0 ? `${hours}:` : ''}${mmss} (${emptyClock})`;
     }
 
-    createDoseEventElement(event, index) {
+    createDoseEventElement(event, index, removable = true) {
         const div = document.createElement('div');
         div.className = 'dose-event';
 
@@ -915,14 +1829,15 @@ class MainApplicationController {
         details.className = 'dose-details';
 
         if (event.bolusMg > 0 || event.continuousMgKgHr > 0) {
+            const pump = this.infusionPump.describeDoseEvent(event, this.appState.patient.weight);
             if (event.bolusMg > 0) {
                 const span = document.createElement('span');
-                span.textContent = `Bolus: ${event.bolusMg.toFixed(1)}mg`;
+                span.textContent = `Bolus: ${event.bolusMg.toFixed(1)}mg (${pump.bolusMl.toFixed(1)}mL)`;
                 details.appendChild(span);
             }
             if (event.continuousMgKgHr > 0) {
                 const span = document.createElement('span');
-                span.textContent = `${event.continuousMgKgHr.toFixed(2)}mg/kg/hr`;
+                span.textContent = `${event.continuousMgKgHr.toFixed(2)}mg/kg/hr (${pump.rateMlHr.toFixed(1)}mL/h)`;
                 details.appendChild(span);
             }
         } else {
@@ -944,15 +1859,196 @@ class MainApplicationController {
         });
 
         div.appendChild(infoDiv);
-        div.appendChild(deleteBtn);
+        if (removable) div.appendChild(deleteBtn);
         return div;
     }
 
+    planEmergence() {
+        const targetValue = document.getElementById('plannedWakeUpTime').value;
+        if (!targetValue) {
+            alert('Please enter the end-of-surgery time');
+            return;
+        }
+
+        try {
+            this.emergencePlan = this.monitoringEngine.planEmergence(
+                this.clockInputToMinutes(targetValue),
+                parseFloat(document.getElementById('wakeUpCe').value),
+                { strategy: document.getElementById('emergencePlanStrategy').value }
+            );
+        } catch (error) {
+            this.emergencePlan = null;
+            alert('Emergence planning error:\n' + error.message);
+        }
+        this.updateEmergencePlanDisplay();
+    }
+
+    updateEmergencePlanDisplay() {
+        const container = document.getElementById('emergencePlan');
+        const plan = this.emergencePlan;
+        if (!plan) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const summary = plan.feasible ?
+            `Predicted Ce at ${this.appState.patient.minutesToClockTime(plan.targetTime).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit', hour12: false })}: ` +
+            `${plan.predictedCeAtTarget.toFixed(3)} \u03BCg/mL (wake-up ${plan.wakeUpCe.toFixed(2)})` :
+            plan.message;
+        document.getElementById('emergencePlanSummary').textContent = summary;
+
+        const list = document.getElementById('emergencePlanEvents');
+        list.innerHTML = '';
+        if (plan.feasible) {
+            plan.candidateEvents.forEach((event, index) => {
+                const item = this.createDoseEventElement(event, index, false);
+                item.classList.add('plan-event');
+                list.appendChild(item);
+            });
+        }
+        document.getElementById('acceptEmergencePlanBtn').classList.toggle('hidden', !plan.feasible);
+        container.classList.remove('hidden');
+    }
+
+    acceptEmergencePlan() {
+        if (!this.emergencePlan) return;
+
+        try {
+            this.monitoringEngine.acceptEmergencePlan(this.emergencePlan);
+        } catch (error) {
+            alert('Emergence planning error:\n' + error.message);
+            return;
+        }
+
+        // Blank stop time = last dose event, i.e. the planned stop
+        document.getElementById('infusionStopTime').value = '';
+        this.emergencePlan = null;
+        this.updateEmergencePlanDisplay();
+        this.updateMonitoringDisplay();
+        if (this.appState.simulationResult) this.runMonitoringSimulation();
+    }
+
+    adviseTopUp() {
+        const timeValue = document.getElementById('topUpTime').value;
+        const time = timeValue ? this.clockInputToMinutes(timeValue) :
+            Math.max(0, Math.round(this.appState.patient.clockTimeToMinutes(new Date())));
+
+        try {
+            this.topUpAdvice = this.monitoringEngine.adviseTopUpBolus(
+                this.enhancedProtocolEngine, parseFloat(document.getElementById('topUpTargetCe').value), time
+            );
+        } catch (error) {
+            this.topUpAdvice = null;
+            alert('Top-up advisor error:\n' + error.message);
+        }
+        this.updateTopUpAdviceDisplay();
+    }
+
+    updateTopUpAdviceDisplay() {
+        const container = document.getElementById('topUpAdvice');
+        const advice = this.topUpAdvice;
+        if (!advice) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const clock = (minutes) => this.appState.patient.minutesToClockTime(minutes)
+            .toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit', hour12: false });
+        document.getElementById('topUpAdviceSummary').textContent =
+            `Ce ${advice.currentCe.toFixed(3)} \u03BCg/mL at ${clock(advice.time)} \u00B7 ` +
+            this.describePeakBolus(advice, 'Bolus') +
+            (advice.alreadyAtTarget ? '' : ` (${clock(advice.peakClockMinutes)})`);
+        document.getElementById('acceptTopUpBtn').classList.toggle('hidden', !(this.peakBolusDose(advice) > 0));
+        container.classList.remove('hidden');
+    }
+
+    acceptTopUpAdvice() {
+        const advice = this.topUpAdvice;
+        if (!advice || !(this.peakBolusDose(advice) > 0)) return;
+
+        this.monitoringEngine.addDoseEvent(new DoseEvent(advice.time, this.peakBolusDose(advice), advice.rateMgKgHr));
+        this.topUpAdvice = null;
+        this.updateTopUpAdviceDisplay();
+        this.updateMonitoringDisplay();
+        if (this.appState.simulationResult) this.runMonitoringSimulation();
+    }
+
+    /**
+     * Re-plan with the Step 2 strategy from the state of the doses given before the entered time
+     */
+    replanFromNow() {
+        const timeValue = document.getElementById('replanTime').value;
+        const time = timeValue ? this.clockInputToMinutes(timeValue) :
+            Math.max(0, Math.round(this.appState.patient.clockTimeToMinutes(new Date())));
+
+        try {
+            this.enhancedProtocolEngine.updateSettings({ strategy: document.getElementById('protocolStrategy').value });
+            this.replan = this.monitoringEngine.replanFromTime(
+                this.enhancedProtocolEngine, parseFloat(document.getElementById('replanTargetCe').value), time
+            );
+        } catch (error) {
+            this.replan = null;
+            alert('Re-planning error:\n' + error.message);
+        }
+        this.updateReplanDisplay();
+    }
+
+    updateReplanDisplay() {
+        const container = document.getElementById('replanResult');
+        const plan = this.replan;
+        if (!plan) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const strategySelect = document.getElementById('protocolStrategy');
+        const strategyLabel = strategySelect.options[strategySelect.selectedIndex].text;
+        const clock = this.appState.patient.minutesToClockTime(plan.time)
+            .toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit', hour12: false });
+        document.getElementById('replanSummary').textContent =
+            `${strategyLabel} from ${clock}: Ce ${plan.state.ce.toFixed(3)} \u2192 ${plan.targetCe.toFixed(2)} \u03BCg/mL \u00B7 ` +
+            `${plan.protocol.performance.timeInTarget.toFixed(0)}% of 180 min within \u00B15% \u00B7 ` +
+            `${plan.candidateEvents.length} dose events replace the timeline from ${clock}`;
+
+        const list = document.getElementById('replanEvents');
+        list.innerHTML = '';
+        plan.candidateEvents.forEach((event, index) => {
+            const item = this.createDoseEventElement(event, index, false);
+            item.classList.add('plan-event');
+            list.appendChild(item);
+        });
+        container.classList.remove('hidden');
+    }
+
+    acceptReplan() {
+        if (!this.replan) return;
+
+        try {
+            this.monitoringEngine.acceptReplan(this.replan);
+        } catch (error) {
+            alert('Re-planning error:\n' + error.message);
+            return;
+        }
+
+        this.replan = null;
+        this.updateReplanDisplay();
+        this.updateMonitoringDisplay();
+        if (this.appState.simulationResult) this.runMonitoringSimulation();
+    }
+
     runMonitoringSimulation() {
         try {
-            const result = this.monitoringEngine.runSimulation();
+            this.applyEmergenceOptions();
+            let result;
+            if (this.monitoringEngine.getMeasuredConcentrations().length > 0) {
+                result = this.monitoringEngine.runIndividualizedSimulation().prior;
+            } else {
+                result = this.monitoringEngine.runSimulation();
+            }
             this.appState.simulationResult = result;
             this.updateMonitoringResults(result);
+            this.updateIndividualizationDisplay(this.monitoringEngine.getLastMAPResult());
+            this.updateEmergenceDisplay(this.monitoringEngine.getLastEmergenceResult());
         } catch (error) {
             console.error('Simulation failed:', error);
             alert('Simulation error:\n' + error.message);
@@ -968,12 +2064,107 @@ class MainApplicationController {
         this.updateMonitoringChart(result);
     }
 
+    applyEmergenceOptions() {
+        const stopValue = document.getElementById('infusionStopTime').value;
+        this.monitoringEngine.setEmergenceOptions({
+            stopTime: stopValue ? this.clockInputToMinutes(stopValue) : null,
+            wakeUpCe: parseFloat(document.getElementById('wakeUpCe').value)
+        });
+    }
+
+    updateEmergence() {
+        this.applyEmergenceOptions();
+        this.updateDrugConsumption();
+        if (!this.appState.simulationResult) return;
+
+        try {
+            this.updateEmergenceDisplay(this.monitoringEngine.calculateEmergence());
+        } catch (error) {
+            alert('Emergence prediction error:\n' + error.message);
+        }
+    }
+
+    updateEmergenceDisplay(emergence) {
+        const container = document.getElementById('emergenceResults');
+        if (!emergence) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const minutes = (value) => value === null ? 'n/a' : value.toFixed(1);
+        document.getElementById('contextSensitiveHalfTime').textContent = minutes(emergence.contextSensitiveHalfTime);
+        document.getElementById('plasmaDecrement80').textContent = minutes(emergence.decrementTimes.plasma[80]);
+        document.getElementById('effectAtStop').textContent = emergence.effectAtStop.toFixed(3);
+        document.getElementById('effectDecrement50').textContent = minutes(emergence.decrementTimes.effect[50]);
+        document.getElementById('effectDecrement80').textContent = minutes(emergence.decrementTimes.effect[80]);
+
+        if (emergence.wakeUpTime !== null) {
+            document.getElementById('wakeUpClockTime').textContent =
+                this.appState.patient.minutesToClockTime(emergence.wakeUpTime).toLocaleTimeString('ja-JP', {
+                    hour: '2-digit', minute: '2-digit', hour12: false
+                });
+            document.getElementById('wakeUpAfterStop').textContent =
+                `Ce < ${emergence.wakeUpCe.toFixed(2)} +${Math.round(emergence.wakeUpMinutesAfterStop)} min`;
+        } else {
+            document.getElementById('wakeUpClockTime').textContent = 'n/a';
+            document.getElementById('wakeUpAfterStop').textContent = `Ce < ${emergence.wakeUpCe.toFixed(2)}`;
+        }
+
+        container.classList.remove('hidden');
+    }
+
+    updateIndividualizationDisplay(mapResult) {
+        const container = document.getElementById('individualizationResults');
+        container.innerHTML = '';
+
+        if (!mapResult) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.innerHTML = `
+            <thead><tr>
+                <th>Parameter</th><th>Prior</th><th>Posterior</th><th>Change</th>
+            </tr></thead>
+            <tbody></tbody>
+        `;
+        const tbody = table.querySelector('tbody');
+        const units = { V1: 'L', CL: 'L/min', Q2: 'L/min', ke0: '1/min' };
+
+        Object.keys(mapResult.etas).forEach(name => {
+            const row = document.createElement('tr');
+            const change = (mapResult.posterior[name] / mapResult.prior[name] - 1) * 100;
+            row.innerHTML = `
+                <td>${name} (${units[name] || ''})</td>
+                <td>${mapResult.prior[name].toFixed(3)}</td>
+                <td>${mapResult.posterior[name].toFixed(3)}</td>
+                <td>${change >= 0 ? '+' : ''}${change.toFixed(1)}%</td>
+            `;
+            tbody.appendChild(row);
+        });
+
+        container.appendChild(table);
+        if (mapResult.omega2Source === 'assumed') {
+            const note = document.createElement('small');
+            note.className = 'form-hint';
+            note.textContent = 'Priors use assumed ω², not the published Masui 2022 IIV estimates';
+            container.appendChild(note);
+        }
+        container.classList.remove('hidden');
+    }
+
     updateMonitoringChart(result) {
         const ctx = document.getElementById('monitoringChart').getContext('2d');
         if (this.monitoringChart) this.monitoringChart.destroy();
 
         const chartData = this.monitoringEngine.getChartData();
         if (!chartData) return;
+        const pdSeries = this.pdModel.predictSeries(chartData.effectData);
+        const hasPosterior = chartData.posteriorPlasmaData !== null;
+        const bands = document.getElementById('monitoringBandsToggle').checked ?
+            this.computePopulationBands(this.monitoringEngine.getDoseEvents(), result.timePoints.map(tp => tp.timeInMinutes), 'monitoringBandsSubjects') : null;
+        this.monitoringPointerTime = null;
 
         this.monitoringChart = new Chart(ctx, {
             type: 'line',
@@ -981,38 +2172,237 @@ class MainApplicationController {
                 labels: chartData.labels,
                 datasets: [
                     {
-                        label: 'Cp',
+                        label: hasPosterior ? 'Cp (prior)' : 'Cp',
                         data: chartData.plasmaData,
                         borderColor: '#3266AD',
                         fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1.5
                     },
                     {
-                        label: 'Ce',
+                        label: hasPosterior ? 'Ce (prior)' : 'Ce',
                         data: chartData.effectData,
                         borderColor: '#D4822D',
                         fill: false, tension: 0.1, pointRadius: 0, borderWidth: 2
-                    }
+                    },
+                    ...this.createPosteriorDatasets(chartData),
+                    ...this.createPDDatasets(pdSeries.bis, pdSeries.unresponsivePercent, 0.1),
+                    ...this.createPopulationBandDatasets(bands)
                 ]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 interaction: { mode: 'index', intersect: false, axis: 'x' },
+                // Runs before the tooltip handles the same event
+                onHover: (event, elements, chart) => {
+                    this.monitoringPointerTime = this.pointerTimeOnCategoryAxis(chart, event, result.timePoints);
+                },
                 plugins: {
                     tooltip: {
                         events: ['click', 'touchstart'],
                         padding: 10, cornerRadius: 8,
                         backgroundColor: '#121A16', titleColor: '#E4EDE8', bodyColor: '#C8D5CE',
-                        titleFont: { size: 12 }, bodyFont: { size: 11 }
+                        titleFont: { size: 12 }, bodyFont: { size: 11 },
+                        callbacks: this.createMonitoringTooltipCallbacks()
                     },
                     legend: { labels: { boxWidth: 12, font: { size: 11 }, color: '#8A9B90' } }
                 },
                 scales: {
                     x: { ticks: { maxTicksLimit: 8, font: { size: 10 }, color: '#8A9B90' }, grid: { color: 'rgba(255,255,255,0.06)' } },
-                    y: { beginAtZero: true, title: { display: true, text: 'Conc (ug/mL)', font: { size: 10 }, color: '#8A9B90' }, ticks: { color: '#8A9B90' }, grid: { color: 'rgba(255,255,255,0.06)' } }
+                    y: { beginAtZero: true, title: { display: true, text: 'Conc (ug/mL)', font: { size: 10 }, color: '#8A9B90' }, ticks: { color: '#8A9B90' }, grid: { color: 'rgba(255,255,255,0.06)' } },
+                    yPD: this.createPDScale()
+                }
+            }
+        });
+    }
+
+    // =============================================
+    // Exact tooltips (simulation dense output at the pointer time)
+    // =============================================
+    // Minutes under the pointer on the category x axis, between the 1-minute display points
+    pointerTimeOnCategoryAxis(chart, event, timePoints) {
+        if (!chart.scales.x || timePoints.length === 0) return null;
+        const scale = chart.scales.x;
+        const position = scale.min + scale.getDecimalForPixel(event.x) * (scale.max - scale.min);
+        const index = Math.max(0, Math.min(timePoints.length - 1, position));
+        const lower = Math.floor(index);
+        const upper = Math.min(timePoints.length - 1, lower + 1);
+        return timePoints[lower].timeInMinutes +
+            (index - lower) * (timePoints[upper].timeInMinutes - timePoints[lower].timeInMinutes);
+    }
+
+    createMonitoringTooltipCallbacks() {
+        const concentrationsAt = (result, time) => {
+            try {
+                return result ? result.concentrationsAt(time) : null;
+            } catch (error) {
+                return null;
+            }
+        };
+        // Exact value of a dataset at a time; null for datasets drawn from the display points only
+        const exactValue = (label, time) => {
+            const prior = concentrationsAt(this.monitoringEngine.lastSimulationResult, time);
+            const posterior = concentrationsAt(this.monitoringEngine.lastPosteriorResult, time);
+            switch (label) {
+                case 'Cp': case 'Cp (prior)': return prior && prior.plasma;
+                case 'Ce': case 'Ce (prior)': return prior && prior.effectSite;
+                case 'Cp (posterior)': return posterior && posterior.plasma;
+                case 'Ce (posterior)': return posterior && posterior.effectSite;
+                case 'BIS (pred)': return prior && this.pdModel.predictBIS(prior.effectSite);
+                case 'P(MOAA/S\u22641) %': return prior && this.pdModel.probabilityAtOrBelow(1, prior.effectSite) * 100;
+                default: return null;
+            }
+        };
+
+        return {
+            title: (items) => {
+                const time = this.monitoringPointerTime;
+                if (time === null || !this.monitoringEngine.patient) return items.length > 0 ? items[0].label : '';
+                return this.monitoringEngine.patient.minutesToClockTime(time).toLocaleTimeString('ja-JP', {
+                    hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false
+                });
+            },
+            label: (item) => {
+                const value = this.monitoringPointerTime === null ? null : exactValue(item.dataset.label, this.monitoringPointerTime);
+                if (value === null || value === undefined) return `${item.dataset.label}: ${item.formattedValue}`;
+                const digits = item.dataset.yAxisID === 'yPD' ? 1 : 3;
+                return `${item.dataset.label}: ${value.toFixed(digits)}`;
+            }
+        };
+    }
+
+    // =============================================
+    // MAP individualization overlays
+    // =============================================
+    createPosteriorDatasets(chartData) {
+        const datasets = [];
+
+        if (chartData.posteriorPlasmaData) {
+            datasets.push(
+                {
+                    label: 'Cp (posterior)',
+                    data: chartData.posteriorPlasmaData,
+                    borderColor: '#5B9BD5',
+                    borderDash: [6, 3], fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1.5
+                },
+                {
+                    label: 'Ce (posterior)',
+                    data: chartData.posteriorEffectData,
+                    borderColor: '#F0A85A',
+                    borderDash: [6, 3], fill: false, tension: 0.1, pointRadius: 0, borderWidth: 2
                 }
+            );
+        }
+
+        if (chartData.measuredData.some(value => value !== null)) {
+            datasets.push({
+                label: 'Measured Cp',
+                data: chartData.measuredData,
+                borderColor: '#E4EDE8',
+                backgroundColor: '#E4EDE8',
+                showLine: false, pointRadius: 4, pointStyle: 'crossRot', borderWidth: 2
+            });
+        }
+
+        return datasets;
+    }
+
+    // =============================================
+    // Predicted PD overlays (BIS, P(MOAA/S <= 1))
+    // =============================================
+    createPDDatasets(bisData, unresponsiveData, tension) {
+        return [
+            {
+                label: 'BIS (pred)',
+                data: bisData,
+                borderColor: '#2E9E6B',
+                borderDash: [4, 3], fill: false, tension: tension, pointRadius: 0, borderWidth: 1.5,
+                yAxisID: 'yPD'
+            },
+            {
+                label: 'P(MOAA/S\u22641) %',
+                data: unresponsiveData,
+                borderColor: '#B0455A',
+                borderDash: [1, 3], fill: false, tension: tension, pointRadius: 0, borderWidth: 1.5,
+                yAxisID: 'yPD',
+                hidden: true
             }
+        ];
+    }
+
+    createPDScale() {
+        return {
+            type: 'linear', display: true, position: 'right', min: 0, max: 100,
+            title: { display: true, text: 'BIS / %', font: { size: 10 }, color: '#8A9B90' },
+            ticks: { color: '#8A9B90' },
+            grid: { drawOnChartArea: false }
+        };
+    }
+
+    // =============================================
+    // Population variability bands (Monte Carlo IIV)
+    // =============================================
+    buildProtocolDoseEvents(protocol) {
+        const events = [new DoseEvent(0, protocol.bolusDose, protocol.initialContinuousRate)];
+        protocol.dosageAdjustments.forEach(adj => {
+            events.push(new DoseEvent(adj.time, 0, adj.newRate));
         });
+        return events;
+    }
+
+    // Virtual patient count from a band input; an invalid entry is reported and reset to the current N
+    applyBandSubjects(subjectsInputId) {
+        const input = document.getElementById(subjectsInputId);
+        try {
+            this.populationSimulator.setNumSubjects(Number(input.value));
+        } catch (error) {
+            alert('Input Error:\n' + error.message);
+            input.value = this.populationSimulator.numSubjects;
+        }
+    }
+
+    computePopulationBands(doseEvents, times, subjectsInputId) {
+        this.applyBandSubjects(subjectsInputId);
+        try {
+            const duration = times[times.length - 1];
+            const result = this.populationSimulator.simulate(this.appState.patient, doseEvents, duration, 0.1);
+            return this.populationSimulator.resample(result, times);
+        } catch (error) {
+            console.warn('Population variability simulation unavailable:', error.message);
+            return null;
+        }
+    }
+
+    createPopulationBandDatasets(bands) {
+        if (!bands) return [];
+
+        // Bands from the default ω² are illustrative, not the model's published variability
+        const suffix = bands.omega2Source === 'assumed' ? ' (assumed IIV)' : '';
+        const band = (label, series, color, fillColor) => [
+            {
+                label: `${label} 95%${suffix}`,
+                data: series[95],
+                borderColor: color, borderWidth: 0.5,
+                fill: false, tension: 0.1, pointRadius: 0
+            },
+            {
+                label: `${label} 5%${suffix}`,
+                data: series[5],
+                borderColor: color, borderWidth: 0.5,
+                backgroundColor: fillColor,
+                fill: '-1', tension: 0.1, pointRadius: 0
+            },
+            {
+                label: `${label} median${suffix}`,
+                data: series[50],
+                borderColor: color, borderDash: [3, 3], borderWidth: 1,
+                fill: false, tension: 0.1, pointRadius: 0
+            }
+        ];
+
+        return [
+            ...band('Cp', bands.plasma, 'rgba(50,102,173,0.6)', 'rgba(50,102,173,0.12)'),
+            ...band('Ce', bands.effect, 'rgba(212,130,45,0.6)', 'rgba(212,130,45,0.15)')
+        ];
     }
 
     // =============================================
@@ -72,12 +72,19 @@ const ValidationLimits = {
         maximumBolusRange: 15.0,
         minimumContinuousRange: 0.0,
         maximumContinuousRange: 6.0
+    },
+    
+    Sampling: {
+        minimumTime: 0,
+        maximumTime: 1440,
+        minimumConcentration: 0.0,
+        maximumConcentration: 20.0
     }
 };
 
 // Patient Class
 class Patient {
-    constructor(id, age, weight, height, sex, asaPS, anesthesiaStartTime = null) {
+    constructor(id, age, weight, height, sex, asaPS, anesthesiaStartTime = null, pkModelId = null) {
         this.id = id;
         this.age = age;
         this.weight = weight;
@@ -85,6 +92,8 @@ class Patient {
         this.sex = sex;
         this.asaPS = asaPS;
         this.anesthesiaStartTime = anesthesiaStartTime || new Date();
+        this.pkModelId = pkModelId; // PKModels registry id (null = default model)
+        this.ke0Factor = null; // ke0 multiplier individualized from observed LOC (null = model ke0)
     }
     
     get bmi() {
@@ -188,6 +197,40 @@ class DoseEvent {
     }
 }
 
+// Measured Blood Concentration Class
+class MeasuredConcentration {
+    constructor(timeInMinutes, concentration) {
+        this.timeInMinutes = timeInMinutes;
+        this.concentration = concentration; // μg/mL
+    }
+    
+    formattedClockTime(patient) {
+        const clockTime = patient.minutesToClockTime(this.timeInMinutes);
+        return clockTime.toLocaleTimeString('ja-JP', {
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false
+        });
+    }
+    
+    validate() {
+        const errors = [];
+        
+        if (!(this.timeInMinutes >= ValidationLimits.Sampling.minimumTime && this.timeInMinutes <= ValidationLimits.Sampling.maximumTime)) {
+            errors.push("Sampling time must be between 0 and 1440 minutes");
+        }
+        
+        if (!(this.concentration > ValidationLimits.Sampling.minimumConcentration && this.concentration <= ValidationLimits.Sampling.maximumConcentration)) {
+            errors.push("Measured concentration must be greater than 0µg/mL and at most 20µg/mL");
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+}
+
 // PK Parameters Class
 class PKParameters {
     constructor(v1, v2, v3, cl, q2, q3, ke0) {
@@ -278,6 +321,7 @@ class SimulationResult {
         this.plasmaConcentrations = plasmaConcentrations;
         this.effectSiteConcentrations = effectSiteConcentrations;
         this.timeVector = timeVector;
+        this.denseOutput = null; // DenseOutput of the run, when the simulation recorded one
     }
     
     get maxPlasmaConcentration() {
@@ -298,6 +342,96 @@ class SimulationResult {
         return this.timePoints.length > 0 ? this.timePoints[this.timePoints.length - 1].timeInMinutes : 0;
     }
     
+    // Concentrations at any time (minutes) without resimulating: exact from the dense output,
+    // otherwise linear between the stored points
+    concentrationsAt(timeInMinutes) {
+        if (this.denseOutput) {
+            const state = this.denseOutput.stateAt(timeInMinutes);
+            return {
+                plasma: this.denseOutput.quantityOf(state, 'plasma'),
+                effectSite: this.denseOutput.quantityOf(state, 'ce')
+            };
+        }
+        
+        const { times, plasma, effectSite } = this.storedSeries();
+        if (times.length === 0 || !(timeInMinutes >= times[0] - 1e-9 && timeInMinutes <= times[times.length - 1] + 1e-9)) {
+            throw new Error(`Time ${timeInMinutes} min is outside the simulated range`);
+        }
+        
+        let i = 0;
+        while (i < times.length - 2 && times[i + 1] <= timeInMinutes) {
+            i++;
+        }
+        const span = times.length > 1 ? times[i + 1] - times[i] : 0;
+        const fraction = span > 0 ? Math.min(1, Math.max(0, (timeInMinutes - times[i]) / span)) : 0;
+        const j = Math.min(i + 1, times.length - 1);
+        return {
+            plasma: plasma[i] + fraction * (plasma[j] - plasma[i]),
+            effectSite: effectSite[i] + fraction * (effectSite[j] - effectSite[i])
+        };
+    }
+    
+    plasmaConcentrationAt(timeInMinutes) {
+        return this.concentrationsAt(timeInMinutes).plasma;
+    }
+    
+    effectSiteConcentrationAt(timeInMinutes) {
+        return this.concentrationsAt(timeInMinutes).effectSite;
+    }
+    
+    // Concentrations at a clock time (Date) of the patient's anesthesia timeline
+    concentrationsAtClockTime(clockTime) {
+        if (!this.patient) {
+            throw new Error('Clock time queries require the patient');
+        }
+        return this.concentrationsAt(this.patient.clockTimeToMinutes(clockTime));
+    }
+    
+    // First time (minutes) a concentration crosses a threshold, or null
+    // options: {quantity: 'ce' | 'plasma', direction: 'rising' | 'falling' | 'either', startTime}
+    findFirstCrossing(threshold, options = {}) {
+        if (this.denseOutput) {
+            return this.denseOutput.findCrossing(threshold, options);
+        }
+        
+        const quantity = options.quantity || 'ce';
+        const direction = options.direction || 'either';
+        if (!['ce', 'plasma'].includes(quantity)) {
+            throw new Error(`Unknown quantity: ${quantity} (available: plasma, ce)`);
+        }
+        if (!['rising', 'falling', 'either'].includes(direction)) {
+            throw new Error(`Unknown crossing direction: ${direction} (available: rising, falling, either)`);
+        }
+        
+        const key = quantity === 'ce' ? 'effectSite' : 'plasma';
+        const series = this.storedSeries();
+        const startTime = options.startTime !== undefined ? options.startTime : series.times[0];
+        let previousTime = startTime;
+        let previous = this.concentrationsAt(startTime)[key] - threshold;
+        for (let i = 0; i < series.times.length; i++) {
+            if (series.times[i] <= startTime) continue;
+            const current = series[key][i] - threshold;
+            if ((direction !== 'falling' && previous < 0 && current >= 0) || (direction !== 'rising' && previous > 0 && current <= 0)) {
+                return previousTime + (series.times[i] - previousTime) * previous / (previous - current);
+            }
+            previousTime = series.times[i];
+            previous = current;
+        }
+        return null;
+    }
+    
+    // Stored time series: the full time vector when present, otherwise the display time points
+    storedSeries() {
+        if (this.timeVector.length > 0 && this.timeVector.length === this.plasmaConcentrations.length) {
+            return { times: this.timeVector, plasma: this.plasmaConcentrations, effectSite: this.effectSiteConcentrations };
+        }
+        return {
+            times: this.timePoints.map(tp => tp.timeInMinutes),
+            plasma: this.timePoints.map(tp => tp.plasmaConcentration),
+            effectSite: this.timePoints.map(tp => tp.effectSiteConcentration)
+        };
+    }
+    
     toCSV() {
         const csvLines = [];
         
@@ -387,6 +521,7 @@ if (typeof window !== 'undefined') {
     window.ValidationLimits = ValidationLimits;
     window.Patient = Patient;
     window.DoseEvent = DoseEvent;
+    window.MeasuredConcentration = MeasuredConcentration;
     window.PKParameters = PKParameters;
     window.SystemState = SystemState;
     window.TimePoint = TimePoint;
@@ -404,6 +539,7 @@ if (typeof module !== 'undefined' && module.exports) {
         ValidationLimits,
         Patient,
         DoseEvent,
+        MeasuredConcentration,
         PKParameters,
         SystemState,
         TimePoint,
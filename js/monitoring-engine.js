@@ -3,32 +3,41 @@
  * Actual Dosage Monitoring Engine
  * 
  * Features:
- * - VHAC (Variable-step Hybrid Algorithm for Ce) effect-site calculation
- * - LSODA integration with high precision
- * - Multiple calculation methods for effect-site concentrations
+ * - Event-driven simulation of the dose timeline through the shared simulation kernel
+ * - Euler, RK4 and exact analytical calculation methods (effect site integrated with the compartments)
  * - Real-time dose event management
  * - Advanced pharmacokinetic simulation
+ * - Bayesian (MAP) individualization from measured plasma concentrations
+ * - Decrement times and wake-up prediction after stopping the infusion
+ * - Emergence planner proposing stop / taper dose events for a target wake-up time
+ * - Drug consumption, vials and syringe-empty times for the dose timeline
+ * - Top-up advisor: bolus whose effect-site peak equals a new target, from the state at any time of the timeline
+ * - Re-plan from now: the protocol engine runs forward from the current state and its schedule replaces the rest of the timeline
  */
 
 // Import required modules for Node.js environment
 if (typeof require !== 'undefined') {
-    const { MasuiKe0Calculator } = require('../utils/masui-ke0-calculator.js');
-    const { calculateEffectSiteConcentrations } = require('../utils/vhac.js');
+    const { PKModels } = require('./pk-model-registry.js');
     const { NumericalSolvers } = require('./numerical-solvers.js');
     const { PKPDIntegrationAdapter } = require('./pk-pd-system.js');
-    const { SystemState, TimePoint, SimulationResult } = require('./models.js');
+    const { DoseEvent } = require('./models.js');
+    const { MAPEstimator } = require('./bayesian-estimator.js');
+    const { EmergencePredictor, EmergenceDefaults } = require('./emergence-predictor.js');
+    const { DrugConsumptionPlanner } = require('./drug-consumption-planner.js');
+    const { SimulationEvent, SimulationKernel } = require('./simulation-kernel.js');
     
-    global.MasuiKe0Calculator = MasuiKe0Calculator;
-    global.calculateEffectSiteConcentrations = calculateEffectSiteConcentrations;
+    global.PKModels = PKModels;
     global.NumericalSolvers = NumericalSolvers;
     global.PKPDIntegrationAdapter = PKPDIntegrationAdapter;
-    global.SystemState = SystemState;
-    global.TimePoint = TimePoint;
-    global.SimulationResult = SimulationResult;
+    global.DoseEvent = DoseEvent;
+    global.MAPEstimator = MAPEstimator;
+    global.EmergencePredictor = EmergencePredictor;
+    global.EmergenceDefaults = EmergenceDefaults;
+    global.DrugConsumptionPlanner = DrugConsumptionPlanner;
+    global.SimulationEvent = SimulationEvent;
+    global.SimulationKernel = SimulationKernel;
 }
 
-// VHAC functions are now imported from utils/vhac.js
-
 /**
  * Alternative effect-site concentration calculation using discrete time steps
  */
@@ -74,8 +83,18 @@ class MonitoringEngine {
         this.patient = null;
         this.doseEvents = [];
         this.lastSimulationResult = null;
+        this.measuredConcentrations = [];
+        this.mapEstimator = new MAPEstimator();
+        this.lastPosteriorResult = null;
+        this.lastMAPResult = null;
+        this.emergencePredictor = new EmergencePredictor();
+        this.emergenceOptions = { stopTime: null, wakeUpCe: EmergenceDefaults.wakeUpCe };
+        this.lastEmergenceResult = null;
+        this.consumptionPlanner = new DrugConsumptionPlanner();
         this.calculationMethod = 'RK4 Engine (High Precision)';
+        this.simulationMethod = 'rk4'; // SimulationKernel method
         this.precision = 0.1; // 0.1-minute time step
+        this.kernel = null;
     }
 
     setPatient(patient) {
@@ -90,38 +109,14 @@ class MonitoringEngine {
     }
 
     /**
-     * Calculate PK parameters for the patient using MasuiKe0Calculator
+     * Calculate PK parameters for the patient using the PK model registry
      */
     calculatePKParameters() {
         try {
-            const result = MasuiKe0Calculator.calculateKe0Complete(
-                this.patient.age,
-                this.patient.weight,
-                this.patient.height,
-                this.patient.sex,
-                this.patient.asaPS
-            );
-
-            if (result.success) {
-                this.patient.pkParams = {
-                    V1: result.pkParameters.V1,
-                    V2: result.pkParameters.V2,
-                    V3: result.pkParameters.V3,
-                    CL: result.pkParameters.CL,
-                    Q2: result.pkParameters.Q2,
-                    Q3: result.pkParameters.Q3,
-                    ke0: result.ke0_numerical || result.ke0_regression,
-                    k10: result.rateConstants.k10,
-                    k12: result.rateConstants.k12,
-                    k21: result.rateConstants.k21,
-                    k13: result.rateConstants.k13,
-                    k31: result.rateConstants.k31
-                };
-                
-                console.log('PK parameters calculated for patient:', this.patient.pkParams);
-            } else {
-                throw new Error('Failed to calculate PK parameters: ' + result.error);
-            }
+            // Use the model selected for this patient (Masui 2022 by default)
+            this.patient.pkParams = PKModels.calculatePKParameters(this.patient);
+            
+            console.log('PK parameters calculated for patient:', this.patient.pkParams);
         } catch (error) {
             console.error('Error calculating PK parameters:', error);
             throw error;
@@ -156,6 +151,27 @@ class MonitoringEngine {
         console.log('All dose events cleared');
     }
 
+    addMeasuredConcentration(measurement) {
+        if (!measurement.validate().isValid) {
+            throw new Error('Invalid measured concentration: ' + measurement.validate().errors.join(', '));
+        }
+        
+        this.measuredConcentrations.push(measurement);
+        this.measuredConcentrations.sort((a, b) => a.timeInMinutes - b.timeInMinutes);
+        console.log('Measured concentration added:', measurement);
+    }
+
+    removeMeasuredConcentration(index) {
+        if (index >= 0 && index < this.measuredConcentrations.length) {
+            return this.measuredConcentrations.splice(index, 1)[0];
+        }
+        return null;
+    }
+
+    getMeasuredConcentrations() {
+        return [...this.measuredConcentrations];
+    }
+
 
     /**
      * Perform high-precision pharmacokinetic simulation
@@ -169,498 +185,291 @@ class MonitoringEngine {
             throw new Error('At least one dose event is required for simulation');
         }
 
-        console.log('Running monitoring simulation with VHAC + RK4 engine');
+        console.log(`Running monitoring simulation with the ${this.simulationMethod.toUpperCase()} simulation kernel`);
+        this.lastPosteriorResult = null;
+        this.lastMAPResult = null;
 
         // Determine simulation duration
         const maxEventTime = Math.max(...this.doseEvents.map(event => event.timeInMinutes));
         const finalDuration = simulationDurationMin || (maxEventTime + 120.0);
 
-        // Create time sequence
-        const timeStep = this.precision;
-        const numSteps = Math.round(finalDuration / timeStep);
-        const times = [];
-        for (let i = 0; i <= numSteps; i++) {
-            times.push(i * timeStep);
-        }
-
-        // Calculate plasma concentrations using selected numerical method
-        const plasmaResult = this.calculatePlasmaConcentrationsWithMethod(times);
-
-        // Calculate effect-site concentrations using VHAC method
-        const effectSiteResult = calculateEffectSiteConcentrations(
-            plasmaResult.concentrations,
-            times,
-            this.patient.pkParams.ke0,
-            true  // Use VHAC method
-        );
-        
-        const effectSiteConcentrations = effectSiteResult.concentrations;
-
-        // Create time points (sample every 1 minute for display)
-        const timePoints = [];
-        const sampleInterval = Math.round(1.0 / timeStep);
-
-        for (let i = 0; i < times.length; i += sampleInterval) {
-            if (i >= times.length) break;
-
-            const currentTime = times[i];
-            const plasma = plasmaResult.concentrations[i];
-            const effectSite = effectSiteConcentrations[i];
-
-            // Find corresponding dose event
-            const doseEvent = this.doseEvents.find(event => 
-                Math.abs(event.timeInMinutes - currentTime) < 0.5);
-
-            const timePoint = new TimePoint(
-                Math.round(currentTime),
-                doseEvent || null,
-                plasma,
-                effectSite
-            );
-            timePoints.push(timePoint);
-        }
-
-        console.log('Creating SimulationResult with calculationMethod:', this.calculationMethod);
-        
-        this.lastSimulationResult = new SimulationResult(
-            timePoints,
-            this.patient,
-            this.doseEvents,
-            this.calculationMethod + " (V1.3.0)",
-            new Date(),
-            plasmaResult.concentrations,
-            effectSiteConcentrations,
-            times
-        );
+        // Boluses and rate changes restart the integration at their exact times; display points every 1 minute
+        this.lastSimulationResult = this.getKernel().simulate(SimulationEvent.fromDoseEvents(this.doseEvents), finalDuration, {
+            method: this.simulationMethod,
+            timeStep: this.precision,
+            recordInterval: 1.0,
+            patient: this.patient,
+            doseEvents: this.doseEvents,
+            calculationMethod: this.calculationMethod + " (V1.3.0)"
+        });
 
         console.log('Monitoring simulation completed');
         console.log(`Max plasma concentration: ${this.lastSimulationResult.maxPlasmaConcentration.toFixed(3)} μg/mL`);
         console.log(`Max effect site concentration: ${this.lastSimulationResult.maxEffectSiteConcentration.toFixed(3)} μg/mL`);
 
+        try {
+            this.lastEmergenceResult = this.calculateEmergence();
+        } catch (error) {
+            console.warn('Emergence prediction unavailable:', error.message);
+            this.lastEmergenceResult = null;
+        }
+
         return this.lastSimulationResult;
     }
 
     /**
-     * Calculate plasma concentrations using selected numerical method
-     * FIXED: Unified with propofol implementation to handle multiple dose events properly
+     * Calculate plasma concentrations of the dose timeline on a uniform time grid
+     * @param {Array} times - Uniform grid starting at 0 (minutes)
+     * @returns {Object} - {concentrations, method}
      */
     calculatePlasmaConcentrationsWithMethod(times) {
         const timeStep = times.length > 1 ? times[1] - times[0] : this.precision;
-        
-        // Initialize state with t=0 bolus as initial condition (unified bolus processing)
-        let initialBolus = 0;
-        const bolusEvents = [];
-        const infusionEvents = [];
-        
-        for (const event of this.doseEvents) {
-            const eventTime = event.timeInMinutes;
-            
-            if (event.bolusMg > 0) {
-                if (eventTime === 0) {
-                    // t=0 bolus becomes initial condition
-                    initialBolus += event.bolusMg;
-                } else {
-                    // Non-zero time bolus events
-                    bolusEvents.push({ time: eventTime, dose: event.bolusMg });
-                }
-            }
-            
-            // Add infusion rate changes (including rate = 0 for stopping infusion)
-            const newRate = event.continuousMgKgHr;
-            if (infusionEvents.length === 0 || 
-                newRate !== infusionEvents[infusionEvents.length - 1].rate) {
-                infusionEvents.push({ time: eventTime, rate: newRate });
-            }
-        }
-        
-        // Sort events
-        bolusEvents.sort((a, b) => a.time - b.time);
-        infusionEvents.sort((a, b) => a.time - b.time);
-        
-        // Add initial zero infusion if needed
-        if (infusionEvents.length === 0 || infusionEvents[0].time > 0) {
-            infusionEvents.unshift({ time: 0.0, rate: 0.0 });
-        }
-        
-        console.log(`=== MonitoringEngine FIXED UNIFIED Path ===`);
-        console.log(`Initial bolus dose: ${initialBolus}mg`);
-        console.log(`Bolus events to process:`, bolusEvents);
-        console.log(`Infusion events to process:`, infusionEvents);
-        console.log(`Patient weight: ${this.patient.weight}kg, V1: ${this.patient.pkParams.V1}`);
-        
-        // Initialize state with t=0 bolus as initial condition
-        let state = new SystemState(initialBolus, 0, 0);
-        const plasmaConcentrations = [];
-        
-        let bolusIndex = 0;
-        let infusionIndex = 0;
-        let currentInfusionRate = 0.0;
-        
-        for (let index = 0; index < times.length; index++) {
-            const currentTime = times[index];
-            
-            // Apply bolus doses - exclude t=0 boluses (already in initial condition)
-            while (bolusIndex < bolusEvents.length && 
-                   Math.abs(bolusEvents[bolusIndex].time - currentTime) < timeStep / 2) {
-                if (bolusEvents[bolusIndex].time > 0) { // Only apply non-zero time boluses
-                    state.a1 += bolusEvents[bolusIndex].dose;
-                    console.log(`Applied bolus: ${bolusEvents[bolusIndex].dose}mg at time ${currentTime}`);
-                }
-                bolusIndex++;
-            }
-            
-            // Update infusion rate - handle rate changes including stopping (rate=0)
-            while (infusionIndex < infusionEvents.length && 
-                   currentTime >= infusionEvents[infusionIndex].time) {
-                currentInfusionRate = infusionEvents[infusionIndex].rate;
-                console.log(`Updated infusion rate to ${currentInfusionRate} mg/kg/hr at time ${currentTime}`);
-                infusionIndex++;
-            }
-            
-            // Calculate plasma concentration
-            const plasmaConc = Math.max(0.0, state.a1 / this.patient.pkParams.V1);
-            plasmaConcentrations.push(plasmaConc);
-            
-            // Debug logging for key timepoints
-            if (Math.abs(currentTime - 2.0) < 0.01 || Math.abs(currentTime - 60.0) < 0.01) {
-                console.log(`MonitoringEngine at t=${currentTime}min: a1=${state.a1.toFixed(6)}mg, plasma=${plasmaConc.toFixed(6)} μg/mL, infusion rate=${currentInfusionRate} mg/kg/hr`);
-            }
-            
-            // Update state for next time step using RK4
-            if (index < times.length - 1) {
-                const infusionRateMgMin = (currentInfusionRate * this.patient.weight) / 60.0;
-                state = this.updateSystemStateRK4(state, infusionRateMgMin, timeStep);
-            }
-        }
-        
-        console.log(`MonitoringEngine unified result: ${plasmaConcentrations.length} data points`);
-        console.log(`Sample concentrations:`, plasmaConcentrations.slice(0, 3).map((c, i) => ({ 
-            time: times[i], 
-            plasma: c.toFixed(6)
-        })));
-        console.log(`Final concentration: ${plasmaConcentrations[plasmaConcentrations.length - 1].toFixed(6)} μg/mL`);
-        
+        const result = this.getKernel().simulate(SimulationEvent.fromDoseEvents(this.doseEvents), times[times.length - 1], {
+            method: this.simulationMethod,
+            timeStep: timeStep,
+            denseOutput: false
+        });
+
         return {
-            concentrations: plasmaConcentrations,
-            method: 'RK4'
+            concentrations: result.plasmaConcentrations,
+            method: this.simulationMethod.toUpperCase()
         };
     }
 
     /**
-     * RK4 integration for system state update (added for unified processing)
+     * Simulation kernel for the patient's current PK parameters (prior or MAP posterior)
      */
-    updateSystemStateRK4(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31 } = this.patient.pkParams;
-        
-        const derivatives = (s) => ({
-            da1dt: infusionRateMgMin - (k10 + k12 + k13) * s.a1 + k21 * s.a2 + k31 * s.a3,
-            da2dt: k12 * s.a1 - k21 * s.a2,
-            da3dt: k13 * s.a1 - k31 * s.a3
-        });
-        
-        const k1 = derivatives(state);
-        const k2 = derivatives({
-            a1: state.a1 + 0.5 * dt * k1.da1dt,
-            a2: state.a2 + 0.5 * dt * k1.da2dt,
-            a3: state.a3 + 0.5 * dt * k1.da3dt
-        });
-        const k3 = derivatives({
-            a1: state.a1 + 0.5 * dt * k2.da1dt,
-            a2: state.a2 + 0.5 * dt * k2.da2dt,
-            a3: state.a3 + 0.5 * dt * k2.da3dt
-        });
-        const k4 = derivatives({
-            a1: state.a1 + dt * k3.da1dt,
-            a2: state.a2 + dt * k3.da2dt,
-            a3: state.a3 + dt * k3.da3dt
-        });
-        
-        return {
-            a1: state.a1 + (dt / 6.0) * (k1.da1dt + 2*k2.da1dt + 2*k3.da1dt + k4.da1dt),
-            a2: state.a2 + (dt / 6.0) * (k1.da2dt + 2*k2.da2dt + 2*k3.da2dt + k4.da2dt),
-            a3: state.a3 + (dt / 6.0) * (k1.da3dt + 2*k2.da3dt + 2*k3.da3dt + k4.da3dt)
-        };
+    getKernel() {
+        this.kernel = SimulationKernel.reuse(this.kernel, this.patient.pkParams, this.patient.weight);
+        return this.kernel;
     }
 
     /**
-     * Euler integration for system state update
+     * Refit the patient's PK parameters to the measured concentrations (MAP)
+     * and simulate with both the prior (population) and posterior (individual) parameters
+     * @returns {Object} - {prior: SimulationResult, posterior: SimulationResult, map: MAP estimate}
      */
-    updateSystemStateEuler(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31 } = this.patient.pkParams;
-        
-        const da1dt = infusionRateMgMin - (k10 + k12 + k13) * state.a1 + k21 * state.a2 + k31 * state.a3;
-        const da2dt = k12 * state.a1 - k21 * state.a2;
-        const da3dt = k13 * state.a1 - k31 * state.a3;
-        
+    runIndividualizedSimulation(simulationDurationMin = null) {
+        if (this.measuredConcentrations.length === 0) {
+            throw new Error('At least one measured concentration is required for individualization');
+        }
+
+        const priorResult = this.runSimulation(simulationDurationMin);
+        const mapResult = this.mapEstimator.estimate(this.patient, this.doseEvents, this.measuredConcentrations);
+        console.log('MAP estimate:', mapResult.etas, `(${mapResult.iterations} iterations)`);
+
+        const priorParams = this.patient.pkParams;
+        let posteriorResult;
+        try {
+            this.patient.pkParams = mapResult.posterior;
+            posteriorResult = this.runSimulation(simulationDurationMin);
+        } finally {
+            this.patient.pkParams = priorParams;
+            this.lastSimulationResult = priorResult;
+        }
+
+        this.lastPosteriorResult = posteriorResult;
+        this.lastMAPResult = mapResult;
+
         return {
-            a1: state.a1 + dt * da1dt,
-            a2: state.a2 + dt * da2dt,
-            a3: state.a3 + dt * da3dt
+            prior: priorResult,
+            posterior: posteriorResult,
+            map: mapResult
         };
     }
 
+    getLastMAPResult() {
+        return this.lastMAPResult;
+    }
+
     /**
-     * Calculate plasma concentrations using 3-compartment model with high precision
-     * DEPRECATED: Use calculatePlasmaConcentrationsWithMethod instead
+     * Update the emergence settings used after each simulation
+     * @param {Object} options - {stopTime (minutes, null = last dose event), wakeUpCe (μg/mL)}
      */
-    calculatePlasmaConcentrationsAdvanced(times) {
-        const timeStep = times.length > 1 ? times[1] - times[0] : this.precision;
-        
-        let state = new SystemState();
-        const plasmaConcentrations = [];
-        
-        // Process events into bolus and infusion schedules
-        const bolusEvents = [];
-        const infusionEvents = [];
-        
-        for (const event of this.doseEvents) {
-            const eventTime = event.timeInMinutes;
-            
-            if (event.bolusMg > 0) {
-                bolusEvents.push({ time: eventTime, dose: event.bolusMg });
-            }
-            
-            // Add infusion rate changes (including rate = 0 for stopping infusion)
-            const newRate = event.continuousMgKgHr;
-            if (infusionEvents.length === 0 || 
-                newRate !== infusionEvents[infusionEvents.length - 1].rate) {
-                infusionEvents.push({ time: eventTime, rate: newRate });
-            }
+    setEmergenceOptions(options = {}) {
+        this.emergenceOptions = { ...this.emergenceOptions, ...options };
+    }
+
+    /**
+     * Decrement times and wake-up time if the infusion stops at the configured time
+     * (after an individualized run the posterior parameters are used)
+     */
+    calculateEmergence() {
+        if (!this.patient || !this.patient.pkParams) {
+            throw new Error('Patient and PK parameters must be set before emergence prediction');
         }
-        
-        // Sort events
-        bolusEvents.sort((a, b) => a.time - b.time);
-        infusionEvents.sort((a, b) => a.time - b.time);
-        
-        // Add initial zero infusion if needed
-        if (infusionEvents.length === 0 || infusionEvents[0].time > 0) {
-            infusionEvents.unshift({ time: 0.0, rate: 0.0 });
+        if (!this.doseEvents || this.doseEvents.length === 0) {
+            throw new Error('At least one dose event is required for emergence prediction');
         }
-        
-        let bolusIndex = 0;
-        let infusionIndex = 0;
-        let currentInfusionRate = 0.0;
-        
-        // LSODA implementation has been enhanced with medical error logging and stability improvements
-        // Try LSODA first, fallback to RK4 if needed
-        console.log('Attempting LSODA integration for monitoring simulation with RK4 fallback');
-        console.log('Bolus events to process:', bolusEvents);
-        console.log('Infusion events to process:', infusionEvents);
-        
-        // Try LSODA implementation
-        if (typeof PKLSODASolver !== 'undefined') {
-            try {
-                console.log('Using enhanced LSODA solver for monitoring');
-                return this.calculatePlasmaConcentrationsLSODA(times, bolusEvents, infusionEvents);
-            } catch (lsodaError) {
-                console.warn('LSODA failed, falling back to RK4:', lsodaError.message);
-                if (typeof MedicalErrorLog !== 'undefined') {
-                    MedicalErrorLog.logNumericalError(
-                        ErrorSource.MONITORING_ENGINE,
-                        'LSODA monitoring calculation failed, using RK4 fallback: ' + lsodaError.message,
-                        { algorithm: 'LSODA → RK4', fallbackApplied: true },
-                        { originalError: lsodaError.message }
-                    );
-                }
-                return this.calculatePlasmaConcentrationsRK4(times, bolusEvents, infusionEvents);
-            }
-        } else {
-            console.log('LSODA solver not available, using RK4');
-            return this.calculatePlasmaConcentrationsRK4(times, bolusEvents, infusionEvents);
+
+        const stopTime = this.emergenceOptions.stopTime !== null ?
+            this.emergenceOptions.stopTime :
+            Math.max(...this.doseEvents.map(event => event.timeInMinutes));
+
+        this.lastEmergenceResult = this.emergencePredictor.predict(
+            this.getPredictionParameters(), this.patient, this.doseEvents, stopTime, this.emergenceOptions.wakeUpCe
+        );
+        return this.lastEmergenceResult;
+    }
+
+    /**
+     * PK parameters used for emergence prediction and planning (MAP posterior when available)
+     */
+    getPredictionParameters() {
+        return this.lastMAPResult ? this.lastMAPResult.posterior : this.patient.pkParams;
+    }
+
+    /**
+     * Propose dose events so that Ce reaches the wake-up Ce at the target time
+     * @param {number} targetTime - Planned end of surgery / wake-up (minutes from anesthesia start)
+     * @param {number} wakeUpCe - Wake-up Ce threshold (μg/mL)
+     * @param {Object} options - {strategy: 'stop' | 'taper', taperFraction, earliestTime}
+     * @returns {Object} - Plan from EmergencePredictor.planEmergence (candidateEvents are not yet applied)
+     */
+    planEmergence(targetTime, wakeUpCe, options = {}) {
+        if (!this.patient || !this.patient.pkParams) {
+            throw new Error('Patient and PK parameters must be set before emergence planning');
         }
-        
-        // LSODA implementation commented out temporarily
-        /*
-        if (typeof LSODA !== 'undefined') {
-            return this.calculatePlasmaConcentrationsLSODA(times, bolusEvents, infusionEvents);
-        } else {
-            return this.calculatePlasmaConcentrationsRK4(times, bolusEvents, infusionEvents);
+        if (!this.doseEvents || this.doseEvents.length === 0) {
+            throw new Error('At least one dose event is required for emergence planning');
         }
-        */
+
+        return this.emergencePredictor.planEmergence(
+            this.getPredictionParameters(), this.patient, this.doseEvents, targetTime, wakeUpCe, options
+        );
     }
 
     /**
-     * LSODA-based plasma concentration calculation
+     * Accept a plan into the timeline: events from the plan's change time onward are replaced
+     * @param {Object} plan - Result of planEmergence
+     * @returns {Array} - Updated dose events
      */
-    calculatePlasmaConcentrationsLSODA(times, bolusEvents, infusionEvents) {
-        const solver = new PKLSODASolver();
-        const pkParams = {
-            k10: this.patient.pkParams.k10,
-            k12: this.patient.pkParams.k12,
-            k21: this.patient.pkParams.k21,
-            k13: this.patient.pkParams.k13,
-            k31: this.patient.pkParams.k31
-        };
+    acceptEmergencePlan(plan) {
+        if (!plan || !plan.feasible) {
+            throw new Error('Only a feasible emergence plan can be accepted');
+        }
 
-        // Prepare infusion rates array
-        const infusionRates = times.map(t => {
-            const currentEvent = infusionEvents.slice().reverse().find(event => t >= event.time);
-            const rate = currentEvent ? currentEvent.rate : 0.0;
-            return (rate * this.patient.weight) / 60.0; // Convert to mg/min
-        });
+        this.doseEvents = this.doseEvents.filter(event => event.timeInMinutes < plan.changeTime);
+        plan.candidateEvents.forEach(event => this.addDoseEvent(event));
+        return this.getDoseEvents();
+    }
 
-        try {
-            // Convert bolus events to proper format for LSODA
-            const bolusDoses = bolusEvents.map(event => ({
-                time: event.time,
-                amount: event.dose
-            }));
-            
-            console.log('Debug LSODA inputs:');
-            console.log('Times length:', times.length, 'First/Last:', times[0], times[times.length-1]);
-            console.log('Infusion rates length:', infusionRates.length, 'First few:', infusionRates.slice(0, 3));
-            console.log('Bolus doses:', bolusDoses);
-            console.log('PK params:', pkParams);
-            
-            const result = solver.solve3Compartment(
-                pkParams,
-                times,
-                infusionRates,
-                bolusDoses,
-                [0, 0, 0]
-            );
+    getLastEmergenceResult() {
+        return this.lastEmergenceResult;
+    }
 
-            const concentrations = result.y.map(state => 
-                Math.max(0.0, state[0] / this.patient.pkParams.V1)
-            );
+    /**
+     * Syringe size and dilution used for consumption planning
+     * @param {InfusionPump} pump
+     */
+    setInfusionPump(pump) {
+        this.consumptionPlanner.setPump(pump);
+    }
 
-            console.log('LSODA simulation completed successfully');
-            console.log('LSODA result length:', result.y.length);
-            console.log('First few states:', result.y.slice(0, 3));
-            console.log('First few concentrations:', concentrations.slice(0, 3));
-            console.log('Max concentration:', Math.max(...concentrations));
-            return {
-                concentrations: concentrations,
-                method: 'LSODA'
-            };
-        } catch (error) {
-            console.warn('LSODA failed, falling back to RK4:', error);
-            
-            // Log fallback application for error tracking
-            if (typeof MedicalErrorLog !== 'undefined') {
-                MedicalErrorLog.logNumericalError(
-                    ErrorSource.MONITORING_ENGINE,
-                    'LSODA monitoring failed, RK4 fallback applied: ' + error.message,
-                    { 
-                        algorithm: 'LSODA → RK4', 
-                        fallbackApplied: true,
-                        bolusEvents: bolusEvents.length,
-                        timePoints: times.length
-                    },
-                    { originalError: error.message, resolved: true }
-                );
-            }
-            
-            return this.calculatePlasmaConcentrationsRK4(times, bolusEvents, infusionEvents);
+    /**
+     * Drug use and syringe-empty times of the dose timeline
+     * @param {number|null} endTime - End of the infusion (minutes); null = emergence stop time if set,
+     *   else the last dose event (plus the 120 min simulation window while an infusion is running)
+     * @returns {Object} - Plan from DrugConsumptionPlanner.plan
+     */
+    planDrugConsumption(endTime = null) {
+        if (!this.patient) {
+            throw new Error('Patient must be set before consumption planning');
+        }
+        if (!this.doseEvents || this.doseEvents.length === 0) {
+            throw new Error('At least one dose event is required for consumption planning');
+        }
+
+        if (endTime === null) {
+            const lastEvent = this.doseEvents[this.doseEvents.length - 1];
+            endTime = this.emergenceOptions.stopTime !== null ? this.emergenceOptions.stopTime :
+                lastEvent.timeInMinutes + (lastEvent.continuousMgKgHr > 0 ? 120.0 : 0);
         }
+        return this.consumptionPlanner.plan(this.doseEvents, this.patient.weight, endTime);
     }
 
     /**
-     * RK4-based plasma concentration calculation (fallback)
+     * Next syringe change of a consumption plan after the current time (minutes from anesthesia start)
      */
-    calculatePlasmaConcentrationsRK4(times, bolusEvents, infusionEvents) {
-        const timeStep = times.length > 1 ? times[1] - times[0] : this.precision;
-        let state = new SystemState(0.0, 0.0, 0.0); // Explicit initialization
-        const plasmaConcentrations = [];
-        
-        console.log('RK4 starting with timeStep:', timeStep, 'initial state:', state);
-        
-        let bolusIndex = 0;
-        let infusionIndex = 0;
-        let currentInfusionRate = 0.0;
-        
-        for (let index = 0; index < times.length; index++) {
-            const currentTime = times[index];
-            
-            // Apply bolus doses - same logic as original app
-            while (bolusIndex < bolusEvents.length && 
-                   Math.abs(bolusEvents[bolusIndex].time - currentTime) < timeStep / 2) {
-                console.log(`=== MonitoringEngine BOLUS DEBUG ===`);
-                console.log(`Before bolus: a1=${state.a1}, V1=${this.patient.pkParams.V1}`);
-                console.log(`Before bolus plasma concentration: ${state.a1 / this.patient.pkParams.V1}`);
-                state.a1 += bolusEvents[bolusIndex].dose;
-                console.log(`Applied bolus: ${bolusEvents[bolusIndex].dose}mg at time ${currentTime} (bolus time: ${bolusEvents[bolusIndex].time})`);
-                console.log(`After bolus: a1=${state.a1}`);
-                console.log(`After bolus plasma concentration: ${state.a1 / this.patient.pkParams.V1}`);
-                bolusIndex++;
-            }
-            
-            // Update infusion rate
-            while (infusionIndex < infusionEvents.length && 
-                   currentTime >= infusionEvents[infusionIndex].time) {
-                currentInfusionRate = infusionEvents[infusionIndex].rate;
-                infusionIndex++;
-            }
-            
-            // Calculate plasma concentration
-            const plasmaConc = Math.max(0.0, state.a1 / this.patient.pkParams.V1);
-            plasmaConcentrations.push(plasmaConc);
-            
-            // Update state for next time step using RK4
-            if (index < times.length - 1) {
-                const infusionRateMgMin = (currentInfusionRate * this.patient.weight) / 60.0;
-                state = this.updateStateRK4(state, infusionRateMgMin, timeStep, currentTime);
-            }
+    getNextSyringeChange(plan, currentTime) {
+        return this.consumptionPlanner.nextSyringeChange(plan, currentTime);
+    }
+
+    /**
+     * State and running infusion at a time of the dose timeline (events at that time included)
+     * @param {Array} doseEvents - Events to apply (default: the whole timeline)
+     * @returns {Object} - {state: {a1, a2, a3, ce}, rateMgKgHr}
+     */
+    getStateAt(time, doseEvents = this.doseEvents) {
+        if (!this.patient || !this.patient.pkParams) {
+            throw new Error('Patient and PK parameters must be set before reading the state');
         }
-        
-        console.log('RK4 simulation completed');
-        console.log('RK4 result length:', plasmaConcentrations.length);
-        console.log('First few concentrations:', plasmaConcentrations.slice(0, 5));
-        console.log('Max concentration:', Math.max(...plasmaConcentrations));
-        console.log('Final concentration:', plasmaConcentrations[plasmaConcentrations.length - 1]);
-        
+
+        const [a1, a2, a3, ce] = this.emergencePredictor.stateAtStop(this.patient.pkParams, this.patient, doseEvents, time);
+        const given = doseEvents.filter(event => event.timeInMinutes <= time);
         return {
-            concentrations: plasmaConcentrations,
-            method: 'RK4'
+            state: { a1: a1, a2: a2, a3: a3, ce: ce },
+            rateMgKgHr: given.length > 0 ? given[given.length - 1].continuousMgKgHr : 0
         };
     }
 
     /**
-     * 4th order Runge-Kutta integration for state update
+     * Top-up advisor: bolus at the given time whose Ce peak equals the target while the infusion continues
+     * @param {EnhancedProtocolEngine} bolusSolver - Engine for the same patient (solvePeakBolus)
+     * @param {number} targetCe - New effect-site target (μg/mL)
+     * @param {number} time - Bolus time (minutes from anesthesia start)
+     * @returns {Object} - solvePeakBolus result plus time and peakClockMinutes (peak, minutes from anesthesia start)
      */
-    updateStateRK4(state, infusionRateMgMin, dt, currentTime = 0) {
-        const { k10, k12, k21, k13, k31 } = this.patient.pkParams;
-        
-        // DEBUG: Log key parameters for 2-minute timepoint investigation
-        if (currentTime >= 1.99 && currentTime <= 2.01) {
-            console.log('=== MonitoringEngine DEBUG at t=2min ===');
-            console.log('Current time:', currentTime);
-            console.log('V1:', this.patient.pkParams.V1);
-            console.log('k10:', k10, 'k12:', k12, 'k21:', k21, 'k13:', k13, 'k31:', k31);
-            console.log('Current state a1:', state.a1, 'a2:', state.a2, 'a3:', state.a3);
-            console.log('Infusion rate (mg/min):', infusionRateMgMin);
-            console.log('Plasma concentration:', state.a1 / this.patient.pkParams.V1);
-        }
-        
-        const derivatives = (s) => ({
-            da1dt: infusionRateMgMin - (k10 + k12 + k13) * s.a1 + k21 * s.a2 + k31 * s.a3,
-            da2dt: k12 * s.a1 - k21 * s.a2,
-            da3dt: k13 * s.a1 - k31 * s.a3
-        });
-        
-        // 4th order Runge-Kutta integration
-        const k1 = derivatives(state);
-        const k2 = derivatives({
-            a1: state.a1 + 0.5 * dt * k1.da1dt,
-            a2: state.a2 + 0.5 * dt * k1.da2dt,
-            a3: state.a3 + 0.5 * dt * k1.da3dt
-        });
-        const k3 = derivatives({
-            a1: state.a1 + 0.5 * dt * k2.da1dt,
-            a2: state.a2 + 0.5 * dt * k2.da2dt,
-            a3: state.a3 + 0.5 * dt * k2.da3dt
-        });
-        const k4 = derivatives({
-            a1: state.a1 + dt * k3.da1dt,
-            a2: state.a2 + dt * k3.da2dt,
-            a3: state.a3 + dt * k3.da3dt
+    adviseTopUpBolus(bolusSolver, targetCe, time) {
+        const current = this.getStateAt(time);
+        const advice = bolusSolver.solvePeakBolus(targetCe, { state: current.state, rateMgKgHr: current.rateMgKgHr });
+        return { ...advice, time: time, peakClockMinutes: time + advice.peakTime };
+    }
+
+    /**
+     * Re-plan from the given time: dose events before it give the compartment amounts and running rate,
+     * and the protocol engine's selected strategy runs forward from that state to the new target
+     * @param {EnhancedProtocolEngine} protocolEngine - Engine for the same patient (replanFromState)
+     * @param {number} targetCe - New effect-site target (μg/mL)
+     * @param {number} time - Re-plan time (minutes from anesthesia start)
+     * @returns {Object} - {time, targetCe, state, rateMgKgHr, protocol, strategy, topUp, candidateEvents (not yet applied)}
+     */
+    replanFromTime(protocolEngine, targetCe, time) {
+        const current = this.getStateAt(time, this.doseEvents.filter(event => event.timeInMinutes < time));
+        const result = protocolEngine.replanFromState(current.state, targetCe, { rateMgKgHr: current.rateMgKgHr });
+        const protocol = result.protocol;
+
+        // Protocol times are minutes from the re-plan; dose events are set on whole minutes
+        const candidateEvents = [new DoseEvent(time, Math.round(protocol.bolusDose * 10) / 10, protocol.initialContinuousRate)];
+        protocol.dosageAdjustments.forEach(adj => {
+            candidateEvents.push(new DoseEvent(time + Math.round(adj.time), 0, adj.newRate));
         });
-        
-        return new SystemState(
-            state.a1 + (dt / 6.0) * (k1.da1dt + 2*k2.da1dt + 2*k3.da1dt + k4.da1dt),
-            state.a2 + (dt / 6.0) * (k1.da2dt + 2*k2.da2dt + 2*k3.da2dt + k4.da2dt),
-            state.a3 + (dt / 6.0) * (k1.da3dt + 2*k2.da3dt + 2*k3.da3dt + k4.da3dt)
-        );
+
+        return {
+            time: time,
+            targetCe: targetCe,
+            state: current.state,
+            rateMgKgHr: current.rateMgKgHr,
+            protocol: protocol,
+            strategy: result.strategy,
+            topUp: result.topUp,
+            candidateEvents: candidateEvents
+        };
+    }
+
+    /**
+     * Merge a re-plan into the timeline: events from the re-plan time onward are replaced by its schedule
+     * @param {Object} plan - Result of replanFromTime
+     * @returns {Array} - Updated dose events
+     */
+    acceptReplan(plan) {
+        if (!plan || !plan.candidateEvents || plan.candidateEvents.length === 0) {
+            throw new Error('Only a re-plan with dose events can be accepted');
+        }
+
+        this.doseEvents = this.doseEvents.filter(event => event.timeInMinutes < plan.time);
+        plan.candidateEvents.forEach(event => this.addDoseEvent(event));
+        return this.getDoseEvents();
     }
 
     getLastResult() {
@@ -671,11 +480,18 @@ class MonitoringEngine {
         if (!this.lastSimulationResult) return null;
         
         const timePoints = this.lastSimulationResult.timePoints;
+        const posteriorTimePoints = this.lastPosteriorResult ? this.lastPosteriorResult.timePoints : null;
         
         return {
             labels: timePoints.map(tp => tp.formattedClockTime(this.patient)),
             plasmaData: timePoints.map(tp => tp.plasmaConcentration),
             effectData: timePoints.map(tp => tp.effectSiteConcentration),
+            posteriorPlasmaData: posteriorTimePoints ? posteriorTimePoints.map(tp => tp.plasmaConcentration) : null,
+            posteriorEffectData: posteriorTimePoints ? posteriorTimePoints.map(tp => tp.effectSiteConcentration) : null,
+            measuredData: timePoints.map(tp => {
+                const sample = this.measuredConcentrations.find(m => Math.round(m.timeInMinutes) === tp.timeInMinutes);
+                return sample ? sample.concentration : null;
+            }),
             doseEvents: this.doseEvents.map(event => ({
                 time: event.timeInMinutes,
                 clockTime: event.formattedClockTime(this.patient),
@@ -690,7 +506,11 @@ class MonitoringEngine {
             throw new Error('No simulation result available for export');
         }
         
-        return this.lastSimulationResult.toCSV();
+        const csvContent = this.lastSimulationResult.toCSV();
+        if (!this.lastEmergenceResult) {
+            return csvContent;
+        }
+        return csvContent + '\n\n' + EmergencePredictor.toCSVLines(this.lastEmergenceResult, this.patient).join('\n');
     }
 
     /**
@@ -1057,6 +877,10 @@ class MonitoringEngine {
     reset() {
         this.doseEvents = [];
         this.lastSimulationResult = null;
+        this.measuredConcentrations = [];
+        this.lastPosteriorResult = null;
+        this.lastMAPResult = null;
+        this.lastEmergenceResult = null;
         console.log('Monitoring engine reset');
     }
 
@@ -1067,11 +891,17 @@ class MonitoringEngine {
     setCalculationMethod(method) {
         const methodNames = {
             'euler': 'Euler Method',
-            'rk4': 'VHAC + RK4 Engine',
-            'rk45': 'VHAC + RK45 Engine (Adaptive)'
+            'rk4': 'RK4 Engine',
+            'analytical': 'Exact Analytical Engine',
+            'rk45': 'RK45 Engine (Adaptive)',
+            'lsoda': 'LSODA Engine (Adams/BDF)'
         };
+        if (!SimulationKernel.isSupportedMethod(method)) {
+            throw new Error(`Unknown monitoring calculation method: ${method}`);
+        }
         
-        this.calculationMethod = methodNames[method] || `VHAC + ${method.toUpperCase()} Engine`;
+        this.simulationMethod = method;
+        this.calculationMethod = methodNames[method];
         console.log(`Monitoring calculation method set to: ${this.calculationMethod}`);
     }
 }
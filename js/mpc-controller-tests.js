@@ -0,0 +1,193 @@
+/**
+ * Model-Predictive Controller Tests
+ * Validates the receding-horizon rate choice and the 'mpc' protocol strategy
+ */
+
+class MPCControllerTests {
+    constructor() {
+        this.testResults = [];
+        this.tolerance = 1e-9;
+    }
+
+    createEngine(targetCe = 1.0) {
+        const engine = new EnhancedProtocolEngine();
+        engine.setPatient(new Patient('test-mpc', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2));
+        engine.updateSettings({ strategy: 'mpc', targetCe: targetCe, upperThreshold: targetCe * 1.2 });
+        return engine;
+    }
+
+    /**
+     * MPC holds Ce near the target with few, pump-programmable rate changes
+     */
+    testMPCProtocol() {
+        console.log('=== Testing MPC protocol ===');
+
+        const engine = this.createEngine(1.0);
+        const result = engine.runEnhancedOptimization(1.0, 7, 20);
+        const protocol = result.protocol;
+        const pump = engine.pump;
+        const onGrid = (rate) => {
+            const steps = pump.mgKgHrToMlHr(rate, 70) / pump.rateResolutionMlHr;
+            return Math.abs(steps - Math.round(steps)) < 1e-6;
+        };
+
+        const checks = [
+            result.strategy === 'mpc' && engine.lastResult === protocol,
+            protocol.performance.timeInTarget >= 90,
+            protocol.performance.maxCe <= 1.2,
+            protocol.dosageAdjustments.every(adj => adj.type === 'mpc_adjustment' && adj.newRate !== adj.oldRate),
+            [protocol.initialContinuousRate, ...protocol.dosageAdjustments.map(adj => adj.newRate)].every(onGrid),
+            protocol.dosageAdjustments.every(adj => Math.abs(adj.time / 5 - Math.round(adj.time / 5)) < 1e-9),
+            protocol.pumpProgram.steps.length === protocol.dosageAdjustments.length,
+            protocol.timeSeriesData[protocol.timeSeriesData.length - 1].time === 180
+        ];
+
+        const testResult = {
+            testName: 'MPC Protocol',
+            passed: checks.every(Boolean),
+            details: { performance: protocol.performance, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`MPC: ${protocol.performance.timeInTarget.toFixed(1)}% in ±5%, ${protocol.dosageAdjustments.length} rate changes`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Heuristic vs MPC on the same target; the selected strategy and last result are kept
+     */
+    testStrategyComparison() {
+        console.log('=== Testing strategy comparison ===');
+
+        const engine = this.createEngine(1.0);
+        engine.updateSettings({ strategy: 'heuristic' });
+        const rows = engine.compareStrategies(1.0, 7, 20);
+        const heuristic = rows.find(row => row.strategy === 'heuristic');
+        const mpc = rows.find(row => row.strategy === 'mpc');
+
+        const checks = [
+            rows.length === 2 && heuristic !== undefined && mpc !== undefined,
+            mpc.totalAdjustments < heuristic.totalAdjustments,
+            mpc.timeInTarget >= heuristic.timeInTarget,
+            engine.settings.strategy === 'heuristic' && engine.lastResult === null
+        ];
+
+        const testResult = {
+            testName: 'Strategy Comparison',
+            passed: checks.every(Boolean),
+            details: { rows: rows, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        rows.forEach(row => console.log(`${row.strategy}: ${row.timeInTarget.toFixed(1)}% in ±5%, ${row.totalAdjustments} adjustments`));
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * A scheduled target step triggers an immediate decision and is previewed before it occurs
+     */
+    testTargetSchedule() {
+        console.log('=== Testing MPC with a target schedule ===');
+
+        const engine = this.createEngine(1.0);
+        engine.setTargetSchedule([{ time: 62, targetCe: 1.5 }]);
+        const protocol = engine.buildMPCProtocol();
+        const decisions = protocol.mpc.decisions;
+        const stepDecision = decisions.find(decision => Math.abs(decision.time - 62) < 1e-6);
+        const rateBefore = protocol.timeSeriesData.find(point => point.time === 61).infusionRate;
+        const rateAt50 = protocol.timeSeriesData.find(point => point.time === 50).infusionRate;
+        const finalTarget = protocol.concentrationAtTimePoints.find(point => point.time === 180);
+
+        const checks = [
+            stepDecision !== undefined && stepDecision.targetChanged,
+            decisions.some(decision => Math.abs(decision.time - 67) < 1e-6),
+            rateBefore > rateAt50,
+            finalTarget.targetCe === 1.5 && finalTarget.percentageDeviation < 5,
+            engine.lastResult === null
+        ];
+
+        const testResult = {
+            testName: 'MPC Target Schedule',
+            passed: checks.every(Boolean),
+            details: { decisionTimes: decisions.map(decision => decision.time), checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Invalid controller settings are rejected
+     */
+    testErrors() {
+        console.log('=== Testing MPC controller errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const pkParams = { V1: 3.57, k10: 0.29, k12: 0.31, k21: 0.11, k13: 0.04, k31: 0.02, ke0: 0.22 };
+        const controller = new ModelPredictiveController(pkParams, 70);
+
+        const checks = [
+            expectError(() => new ModelPredictiveController(null, 70)),
+            expectError(() => new ModelPredictiveController(pkParams, 0)),
+            expectError(() => new ModelPredictiveController(pkParams, 70, { controlMoves: 0 })),
+            expectError(() => new ModelPredictiveController(pkParams, 70, { decisionInterval: -5 })),
+            expectError(() => new ModelPredictiveController(pkParams, 70, { changeWeight: -1 })),
+            expectError(() => controller.simulate(0, { targetAt: () => 1, upperAt: () => 1.2 })),
+            expectError(() => new EnhancedProtocolEngine().buildMPCProtocol())
+        ];
+
+        const testResult = {
+            testName: 'MPC Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Model-Predictive Controller Tests');
+        console.log('===============================================');
+
+        this.testMPCProtocol();
+        this.testStrategyComparison();
+        this.testTargetSchedule();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MPCControllerTests = MPCControllerTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MPCControllerTests };
+}
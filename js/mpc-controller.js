@@ -0,0 +1,234 @@
+/**
+ * Model-Predictive Infusion Controller for Remimazolam TCI TIVA
+ * Receding-horizon alternative to the fixed-multiplier step-down logic of the protocol engine
+ *
+ * Features:
+ * - Optimizes the next N rate changes (move blocking on the adjustment interval)
+ * - Cost: squared relative Ce deviation from the target, overshoot above the upper
+ *   threshold, and a fixed penalty per rate change
+ * - Scheduled target changes are previewed over the horizon
+ * - Candidate rates are fractions of the steady-state rate, set on the pump resolution
+ * - Exact prediction with the analytical (zero-order hold) propagators
+ *
+ * At every decision time all sequences of controlMoves candidate rates are searched
+ * depth-first (branch and bound); the last move is then held for tailIntervals more
+ * intervals as terminal cost. Only the first move is applied before re-planning.
+ *   J = Σ dt·[(Ce - T)²/T² + wOver·max(0, Ce - U)²/T²] + wChange·(number of rate changes)
+ */
+
+// Import required modules for Node.js environment
+if (typeof require !== 'undefined') {
+    const { AnalyticalSolver } = require('./numerical-solvers.js');
+    const { InfusionPump } = require('./infusion-pump.js');
+
+    global.AnalyticalSolver = AnalyticalSolver;
+    global.InfusionPump = InfusionPump;
+}
+
+const MPCControllerDefaults = {
+    decisionInterval: 5.0,   // Minutes between rate decisions (one control move)
+    controlMoves: 3,         // Rate changes optimized per decision
+    tailIntervals: 2,        // Intervals the last move is held for the terminal cost
+    sampleInterval: 0.5,     // Cost sampling step (minutes)
+    recordInterval: 0.1,     // Output record step (minutes)
+    overshootWeight: 20.0,   // Weight of Ce above the upper threshold
+    changeWeight: 0.02,      // Cost of one rate change (min · relative deviation²)
+    rateMultipliers: [0, 0.25, 0.5, 0.75, 1.0, 1.25, 1.5, 2.0, 3.0], // × steady-state rate
+    maxRateMgKgHr: 20.0      // Safety ceiling (mg/kg/hr)
+};
+
+class ModelPredictiveController {
+    /**
+     * @param {Object} pkParams - {V1, k10, k12, k21, k13, k31, ke0}
+     * @param {number} weight - Patient weight (kg)
+     * @param {Object} options - MPCControllerDefaults overrides and {pump} (InfusionPump)
+     */
+    constructor(pkParams, weight, options = {}) {
+        if (!pkParams || !(pkParams.V1 > 0) || !(pkParams.k10 > 0) || !(pkParams.ke0 > 0)) {
+            throw new Error('MPC controller requires PK parameters with positive V1, k10 and ke0');
+        }
+        if (!(weight > 0)) {
+            throw new Error('MPC controller requires a positive patient weight');
+        }
+
+        this.pkParams = pkParams;
+        this.weight = weight;
+        const { pump, ...settings } = options;
+        this.options = { ...MPCControllerDefaults, ...settings };
+        this.pump = pump || new InfusionPump();
+
+        const { decisionInterval, controlMoves, tailIntervals, sampleInterval, recordInterval } = this.options;
+        if (!(decisionInterval > 0) || !(sampleInterval > 0) || !(recordInterval > 0)) {
+            throw new Error('MPC intervals must be positive');
+        }
+        if (!Number.isInteger(controlMoves) || controlMoves < 1 || !Number.isInteger(tailIntervals) || tailIntervals < 0) {
+            throw new Error('MPC control moves must be a positive integer and tail intervals a non-negative integer');
+        }
+        if (!(this.options.overshootWeight >= 0) || !(this.options.changeWeight >= 0)) {
+            throw new Error('MPC cost weights must not be negative');
+        }
+
+        this.solver = new AnalyticalSolver();
+        this.solver.preparePropagators(pkParams);
+        this.bolus = { rateMgMin: 0, endTime: 0 };
+    }
+
+    /**
+     * Rate (mg/kg/hr) that holds Cp at the target at steady state
+     */
+    steadyStateRate(targetCe) {
+        return targetCe * this.pkParams.k10 * this.pkParams.V1 * 60.0 / this.weight;
+    }
+
+    /**
+     * Programmable candidate rates: the rate in use first, then fractions of the steady-state rate
+     */
+    candidateRates(currentRate, targetCe) {
+        const reference = this.steadyStateRate(targetCe);
+        const rates = [currentRate, ...this.options.rateMultipliers.map(m => m * reference)]
+            .map(rate => this.pump.constrainMgKgHr(Math.min(rate, this.options.maxRateMgKgHr), this.weight));
+
+        return rates.filter((rate, index) => rates.findIndex(other => Math.abs(other - rate) < 1e-9) === index);
+    }
+
+    /**
+     * Advance the state by dt at a continuous rate, adding the bolus while it is being delivered
+     */
+    advance(state, time, rateMgKgHr, dt) {
+        const rateMgMin = rateMgKgHr * this.weight / 60.0;
+        const bolusTime = Math.min(dt, Math.max(0, this.bolus.endTime - time));
+        if (bolusTime <= 1e-12) {
+            return this.solver.propagate(state, rateMgMin, dt);
+        }
+        const afterBolus = this.solver.propagate(state, rateMgMin + this.bolus.rateMgMin, bolusTime);
+        return this.solver.propagate(afterBolus, rateMgMin, dt - bolusTime);
+    }
+
+    /**
+     * Predicted state and cost of holding a rate for a duration
+     * @param {Object} context - {targetAt(time), upperAt(time)}
+     */
+    predictInterval(state, time, rateMgKgHr, duration, context) {
+        const { sampleInterval, overshootWeight } = this.options;
+        const samples = Math.max(1, Math.round(duration / sampleInterval));
+        const dt = duration / samples;
+        let current = state;
+        let cost = 0;
+
+        for (let i = 1; i <= samples; i++) {
+            current = this.advance(current, time + (i - 1) * dt, rateMgKgHr, dt);
+            const sampleTime = time + i * dt;
+            const target = context.targetAt(sampleTime);
+            const scale = target > 0 ? target : 1;
+            const deviation = (current[3] - target) / scale;
+            const excess = Math.max(0, current[3] - context.upperAt(sampleTime)) / scale;
+            cost += dt * (deviation * deviation + overshootWeight * excess * excess);
+        }
+
+        return { state: current, cost: cost };
+    }
+
+    /**
+     * Best sequence of rate moves from a state
+     * @returns {Object} - {moves: [mg/kg/hr], cost}
+     */
+    optimize(state, time, currentRate, context) {
+        const { decisionInterval, controlMoves, tailIntervals, changeWeight } = this.options;
+        const best = { moves: [currentRate], cost: Infinity };
+
+        const explore = (node, t, lastRate, moves, cost) => {
+            if (cost >= best.cost) return;
+            if (moves.length === controlMoves) {
+                const tail = tailIntervals > 0 ?
+                    this.predictInterval(node, t, lastRate, tailIntervals * decisionInterval, context).cost : 0;
+                if (cost + tail < best.cost) {
+                    best.cost = cost + tail;
+                    best.moves = moves;
+                }
+                return;
+            }
+
+            for (const rate of this.candidateRates(lastRate, context.targetAt(t))) {
+                const step = this.predictInterval(node, t, rate, decisionInterval, context);
+                const changeCost = Math.abs(rate - lastRate) > 1e-9 ? changeWeight : 0;
+                explore(step.state, t + decisionInterval, rate, [...moves, rate], cost + step.cost + changeCost);
+            }
+        };
+
+        explore(state, time, currentRate, [], 0);
+        return best;
+    }
+
+    /**
+     * Run the receding-horizon loop
+     * @param {number} duration - Minutes to simulate
+     * @param {Object} context - {targetAt(time), upperAt(time), bolusMg, bolusDuration (minutes),
+     *   initialState ([a1, a2, a3, ce], default drug-free), initialRate (running rate, mg/kg/hr)}
+     * @returns {Object} - {records: [{time, rateMgKgHr, plasma, ce, targetCe, upperThreshold}], decisions: [{time, oldRate, newRate, ce, targetCe, cost, targetChanged}]}
+     */
+    simulate(duration, context) {
+        if (!(duration > 0)) {
+            throw new Error('Simulation duration must be positive');
+        }
+
+        const bolusMg = context.bolusMg || 0;
+        const bolusDuration = bolusMg > 0 ? Math.max(context.bolusDuration || 0, 1e-6) : 0;
+        this.bolus = { rateMgMin: bolusMg > 0 ? bolusMg / bolusDuration : 0, endTime: bolusDuration };
+
+        const { recordInterval, decisionInterval } = this.options;
+        const steps = Math.round(duration / recordInterval);
+        const records = [];
+        const decisions = [];
+        let state = context.initialState ? [...context.initialState] : [0, 0, 0, 0];
+        let rate = context.initialRate || 0;
+        let nextDecision = 0;
+        let previousTarget = context.targetAt(0);
+
+        for (let i = 0; i <= steps; i++) {
+            const time = i * recordInterval;
+            const target = context.targetAt(time);
+            const targetChanged = Math.abs(target - previousTarget) > 1e-9;
+            previousTarget = target;
+
+            if (i < steps && (targetChanged || time >= nextDecision - 1e-9)) {
+                const plan = this.optimize(state, time, rate, context);
+                decisions.push({
+                    time: time,
+                    oldRate: rate,
+                    newRate: plan.moves[0],
+                    ce: Math.max(0, state[3]),
+                    targetCe: target,
+                    cost: plan.cost,
+                    targetChanged: targetChanged
+                });
+                rate = plan.moves[0];
+                nextDecision = time + decisionInterval;
+            }
+
+            records.push({
+                time: time,
+                rateMgKgHr: i < steps ? rate : 0,
+                plasma: Math.max(0, state[0] / this.pkParams.V1),
+                ce: Math.max(0, state[3]),
+                targetCe: target,
+                upperThreshold: context.upperAt(time)
+            });
+
+            if (i < steps) {
+                state = this.advance(state, time, rate, recordInterval);
+            }
+        }
+
+        return { records: records, decisions: decisions };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ModelPredictiveController = ModelPredictiveController;
+    window.MPCControllerDefaults = MPCControllerDefaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelPredictiveController, MPCControllerDefaults };
+}
@@ -7,6 +7,8 @@
  * - Performance comparison between methods
  * - Accuracy validation against known solutions
  * - Integration with PK/PD system
+ * - Mass balance of boluses as state jumps for every solver
+ * - Eliminated-drug accounting and the solver mass-balance self-check
  */
 
 class NumericalMethodsIntegrationTest {
@@ -373,6 +375,244 @@ class NumericalMethodsIntegrationTest {
         return results;
     }
 
+    /**
+     * Test 6: Exact analytical solver against tri-exponential closed form
+     */
+    async testAnalyticalReference() {
+        if (!this.initialized) this.initialize();
+        
+        console.log('\n--- Test 6: Exact Analytical Reference ---');
+        
+        // Bolus-only plasma curve: Cp(t) = Dose/V1 * (A e^-alpha t + B e^-beta t + C e^-gamma t)
+        const testDose = 10.0; // mg
+        const coefficients = MasuiKe0Calculator.calculatePlasmaCoefficients(this.pkParams);
+        const triExponential = (t) => (testDose / this.pkParams.V1) * (
+            coefficients.A * Math.exp(-coefficients.alpha * t) +
+            coefficients.B * Math.exp(-coefficients.beta * t) +
+            coefficients.C * Math.exp(-coefficients.gamma * t)
+        );
+        
+        const solvers = new NumericalSolvers();
+        solvers.setMethod('analytical');
+        const result = solvers.solve(
+            createPKPDSystem(this.pkParams),
+            calculateBolusInitialState(testDose, this.pkParams),
+            [0, 60],
+            { timeStep: 0.5, infusionRateFunc: () => 0 }
+        );
+        
+        let maxRelativeError = 0;
+        for (let i = 1; i < result.times.length; i++) {
+            const exact = triExponential(result.times[i]);
+            const solved = result.states[i][0] / this.pkParams.V1;
+            maxRelativeError = Math.max(maxRelativeError, Math.abs(solved - exact) / exact);
+        }
+        
+        // Same DoseEvent list as MonitoringEngine: bolus at 0, rate change at 30 min, second bolus at 45 min
+        const doseEvents = [
+            new DoseEvent(0, 10.0, 1.0),
+            new DoseEvent(30, 0, 0.5),
+            new DoseEvent(45, 3.0, 0.5)
+        ];
+        const adapter = new PKPDIntegrationAdapter(this.pkParams);
+        adapter.setMethod('analytical');
+        const eventResult = adapter.simulate(doseEvents, this.patient, 60, { timeStep: 0.1 });
+        
+        // An exact solution must not depend on the output grid
+        const coarse = adapter.simulate(doseEvents, this.patient, 60, { timeStep: 7 });
+        const gridIndependence = Math.abs(
+            coarse.finalEffectSiteConcentration - eventResult.finalEffectSiteConcentration
+        ) / eventResult.finalEffectSiteConcentration;
+        
+        const results = {
+            maxRelativeError: maxRelativeError,
+            gridIndependence: gridIndependence,
+            bolusesApplied: eventResult.stats.bolusesApplied,
+            accuracy: maxRelativeError < 1e-9 && gridIndependence < 1e-9 &&
+                eventResult.stats.bolusesApplied === 2 ? 'PASS' : 'FAIL'
+        };
+        
+        console.log(`analytical: max Cp error vs tri-exponential=${maxRelativeError.toExponential(2)}, ` +
+                   `grid dependence=${gridIndependence.toExponential(2)} [${results.accuracy}]`);
+        
+        this.testResults.push({
+            test: 'Analytical Reference',
+            results: results,
+            timestamp: new Date()
+        });
+        
+        return results;
+    }
+
+    /**
+     * Test 7: Mass balance of boluses and infusions for every solver
+     * With elimination switched off the body amount a1 + a2 + a3 must equal the
+     * mass dosed, including boluses between grid points and adaptive steps.
+     */
+    async testBolusMassBalance() {
+        if (!this.initialized) this.initialize();
+        
+        console.log('\n--- Test 7: Bolus Mass Balance ---');
+        
+        // Closed system: k10 ~ 0 keeps every mg dosed in the body
+        const closedPkParams = { ...this.pkParams, k10: 1e-12 };
+        const duration = 45;
+        const doseEvents = [
+            new DoseEvent(0, 10.0, 1.0),
+            new DoseEvent(7.3, 4.0, 0.5),
+            new DoseEvent(15.0025, 2.5, 2.0),
+            new DoseEvent(33.3333, 0, 0)
+        ];
+        
+        let massDosed = 0;
+        doseEvents.forEach((event, i) => {
+            const end = i + 1 < doseEvents.length ? doseEvents[i + 1].timeInMinutes : duration;
+            massDosed += event.bolusMg + event.continuousMgKgHr * this.patient.weight / 60.0 * (end - event.timeInMinutes);
+        });
+        
+        const bodyMass = (state) => state[0] + state[1] + state[2];
+        const results = {};
+        const adapter = new PKPDIntegrationAdapter(closedPkParams);
+        const solved = {};
+        
+        for (const method of ['euler', 'rk4', 'rk45', 'analytical']) {
+            adapter.setMethod(method);
+            solved[method] = adapter.solver.solve(adapter.odeSystem, [0, 0, 0, 0], [0, duration], {
+                timeStep: 0.1, doseEvents: doseEvents, patient: this.patient
+            });
+        }
+        solved.lsoda = new LSODASolver().solve(adapter.odeSystem, [0, 0, 0, 0], 0, duration, {
+            timeStep: 0.1, doseEvents: doseEvents, patient: this.patient
+        });
+        
+        for (const [method, result] of Object.entries(solved)) {
+            const massDelivered = bodyMass(result.states[result.states.length - 1]);
+            const relativeError = Math.abs(massDelivered - massDosed) / massDosed;
+            
+            results[method] = {
+                massDosed: massDosed,
+                massDelivered: massDelivered,
+                relativeError: relativeError,
+                bolusesApplied: result.stats.bolusesApplied,
+                accuracy: relativeError < 1e-9 && result.stats.bolusesApplied === 3 &&
+                    result.times[result.times.length - 1] === duration ? 'PASS' : 'FAIL'
+            };
+            
+            console.log(`${method}: dosed=${massDosed.toFixed(4)} mg, delivered=${massDelivered.toFixed(4)} mg, ` +
+                       `error=${relativeError.toExponential(2)} [${results[method].accuracy}]`);
+        }
+        
+        // Fixed steps run to the end of a segment that is not a multiple of the step
+        results.partialLastStep = {};
+        for (const method of ['euler', 'rk4']) {
+            adapter.setMethod(method);
+            const segment = adapter.solver.solve(adapter.odeSystem, [10, 0, 0, 0], [0, 7.3], { timeStep: 0.1 });
+            results.partialLastStep[method] = segment.times[segment.times.length - 1] === 7.3 && segment.stats.totalSteps === 73;
+        }
+        results.partialLastStep.accuracy = results.partialLastStep.euler && results.partialLastStep.rk4 ? 'PASS' : 'FAIL';
+        
+        console.log(`partial last step: Euler and RK4 end at 7.3 min in 73 steps [${results.partialLastStep.accuracy}]`);
+        
+        // The rate functions report the continuous rate only, also at the bolus times;
+        // a bolus given to createSimpleInfusionRate is rejected instead of dropped
+        adapter.setMethod('analytical');
+        const reported = adapter.simulate(doseEvents, this.patient, duration, { timeStep: 0.1 }).timeSeriesData;
+        const continuousRateAt = (time) => {
+            const inForce = doseEvents.filter(event => event.timeInMinutes <= time + 1e-9).pop();
+            return inForce.continuousMgKgHr * this.patient.weight / 60.0;
+        };
+        let bolusRejected = false;
+        try {
+            createSimpleInfusionRate(2.0, 5, 10);
+        } catch (error) {
+            bolusRejected = true;
+        }
+        const continuousOnly = reported.every(point => Math.abs(point.infusionRate - continuousRateAt(point.time)) < 1e-12);
+        results.rateFunctions = {
+            continuousOnly: continuousOnly,
+            bolusRejected: bolusRejected,
+            accuracy: continuousOnly && bolusRejected && createSimpleInfusionRate(2.0)(0) === 2.0 ? 'PASS' : 'FAIL'
+        };
+        
+        console.log(`rate functions: continuous rate only, bolus argument rejected [${results.rateFunctions.accuracy}]`);
+        
+        this.testResults.push({
+            test: 'Bolus Mass Balance',
+            results: results,
+            timestamp: new Date()
+        });
+        
+        return results;
+    }
+
+    /**
+     * Test 8: Mass-balance accounting and the solver self-check
+     * Drug in V1/V2/V3 plus drug eliminated must track the cumulative dose; an
+     * unstable Euler step (clamped negative amounts) must be flagged and logged.
+     */
+    async testMassBalanceAccounting() {
+        if (!this.initialized) this.initialize();
+        
+        console.log('\n--- Test 8: Mass-Balance Accounting ---');
+        
+        const doseEvents = [
+            new DoseEvent(0, 10.0, 1.0),
+            new DoseEvent(12.5, 3.0, 0.5),
+            new DoseEvent(40, 0, 2.0)
+        ];
+        const expectedDose = 10.0 + 3.0 + this.patient.weight / 60.0 * (1.0 * 12.5 + 0.5 * 27.5 + 2.0 * 20);
+        
+        const adapter = new PKPDIntegrationAdapter(this.pkParams);
+        const results = {};
+        
+        for (const method of ['euler', 'rk4', 'rk45', 'analytical']) {
+            adapter.setMethod(method);
+            const result = adapter.simulate(doseEvents, this.patient, 60, { timeStep: 0.1 });
+            const last = result.timeSeriesData[result.timeSeriesData.length - 1];
+            const { a1, a2, a3 } = last.compartmentAmounts;
+            const eliminatedNonDecreasing = result.timeSeriesData.every((point, i) =>
+                i === 0 || point.eliminatedAmount >= result.timeSeriesData[i - 1].eliminatedAmount - 1e-12);
+            
+            results[method] = {
+                cumulativeDose: last.cumulativeDose,
+                amountInBody: a1 + a2 + a3,
+                eliminatedAmount: last.eliminatedAmount,
+                maxRelativeError: result.massBalance.maxRelativeError,
+                accuracy: result.massBalance.conserved && eliminatedNonDecreasing &&
+                    Math.abs(last.cumulativeDose - expectedDose) < 1e-9 &&
+                    Math.abs(a1 + a2 + a3 + last.eliminatedAmount - expectedDose) < 1e-6 ? 'PASS' : 'FAIL'
+            };
+            
+            console.log(`${method}: body=${(a1 + a2 + a3).toFixed(3)} mg, eliminated=${last.eliminatedAmount.toFixed(3)} mg, ` +
+                       `dosed=${last.cumulativeDose.toFixed(3)} mg [${results[method].accuracy}]`);
+        }
+        
+        // A 3-minute Euler step is unstable for the central compartment: the self-check must catch it
+        const loggedBefore = typeof MedicalErrorLog !== 'undefined' ?
+            MedicalErrorLog.getErrors({ source: ErrorSource.NUMERICAL_SOLVERS }).length : 0;
+        adapter.setMethod('euler');
+        const unstable = adapter.simulate(doseEvents, this.patient, 60, { timeStep: 3 });
+        const loggedAfter = typeof MedicalErrorLog !== 'undefined' ?
+            MedicalErrorLog.getErrors({ source: ErrorSource.NUMERICAL_SOLVERS }).length : 1;
+        
+        results.driftDetection = {
+            maxRelativeError: unstable.massBalance.maxRelativeError,
+            logged: loggedAfter > loggedBefore,
+            accuracy: !unstable.massBalance.conserved && loggedAfter > loggedBefore ? 'PASS' : 'FAIL'
+        };
+        
+        console.log(`euler (3 min step): drift=${(unstable.massBalance.maxRelativeError * 100).toFixed(2)}% ` +
+                   `flagged [${results.driftDetection.accuracy}]`);
+        
+        this.testResults.push({
+            test: 'Mass-Balance Accounting',
+            results: results,
+            timestamp: new Date()
+        });
+        
+        return results;
+    }
+
     /**
      * Run all tests
      */
@@ -388,6 +628,9 @@ class NumericalMethodsIntegrationTest {
             await this.testAccuracyValidation();
             await this.testPerformanceComparison();
             await this.testStiffnessHandling();
+            await this.testAnalyticalReference();
+            await this.testBolusMassBalance();
+            await this.testMassBalanceAccounting();
             
             const endTime = performance.now();
             
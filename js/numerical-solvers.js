@@ -5,10 +5,37 @@
  * Features:
  * - Unified interface for all numerical methods
  * - Euler, RK4, and Dormand-Prince RK45 implementations
+ * - LSODA with Adams/BDF switching, Newton iteration on the analytic Jacobian and tolerance control
+ * - Exact analytical (zero-order hold) reference solution
+ * - Boluses applied as state jumps at their event times, integration segmented between events
+ * - Mass-balance self-check (drug in the body + eliminated vs cumulative dose)
+ * - Dense output (Hermite or exact) for RK45/LSODA: state at any time and threshold crossings
  * - Enable method switching in all simulation modes
  * - Compatible with existing protocol engines
  */
 
+if (typeof require !== 'undefined') {
+    const { LSODA, LSODADefaults } = require('../utils/lsoda.js');
+
+    global.LSODA = LSODA;
+    global.LSODADefaults = LSODADefaults;
+}
+
+// Equal pieces of an exact dense-output segment whose decay rates coincide (no closed-form extrema)
+const EXACT_FALLBACK_PIECES = 64;
+
+// Mass-balance self-check tolerances
+const MassBalanceDefaults = {
+    absoluteTolerance: 1e-6,    // mg
+    relativeTolerance: 1e-6     // Fraction of the total drug given
+};
+
+// Solver statistics that add up over the segments of an event-driven run
+const SegmentCountStats = [
+    'totalSteps', 'acceptedSteps', 'rejectedSteps', 'functionEvaluations',
+    'jacobianEvaluations', 'methodSwitches', 'adamsSteps', 'bdfSteps'
+];
+
 /**
  * Abstract base class for all numerical solvers
  */
@@ -25,13 +52,129 @@ class NumericalSolver {
      * @param {Array} initialState - Initial state [a1, a2, a3, ce]
      * @param {number} tStart - Start time
      * @param {number} tEnd - End time
-     * @param {Object} options - Solver options {timeStep, infusionRateFunc, etc.}
-     * @returns {Object} - {times: Array, states: Array, stats: Object}
+     * @param {Object} options - Solver options {timeStep, infusionRateFunc, doseEvents, patient, etc.}
+     *   doseEvents with patient: boluses as state jumps at their event times (see solveWithEvents)
+     * @returns {Object} - {times: Array, states: Array, stats: Object}; adaptive solvers add denseOutput (DenseOutput)
      */
     solve(odeSystem, initialState, tStart, tEnd, options = {}) {
         throw new Error('Solver.solve() must be implemented by subclasses');
     }
 
+    /**
+     * Solve with a DoseEvent list: each bolus is added to the central compartment
+     * at its event time and the solver integrates every segment between events
+     * with the constant infusion rate in force, so no bolus can be stepped over.
+     * @param {function} odeSystem - Function (t, state, infusionRateFunc) => derivatives
+     * @param {Array} initialState - Initial state [a1, a2, a3, ce]
+     * @param {number} tStart - Start time
+     * @param {number} tEnd - End time
+     * @param {Object} options - Solver options with {doseEvents, patient}, or an eventSchedule
+     *   already in the buildEventSchedule form ([{time, bolusMg, rateMgMin}], sorted by time)
+     * @returns {Object} - {times: Array, states: Array, stats: Object}
+     */
+    solveWithEvents(odeSystem, initialState, tStart, tEnd, options = {}) {
+        const events = options.eventSchedule || this.buildEventSchedule(options.doseEvents, options.patient, tStart);
+        const segmentOptions = { ...options, doseEvents: null, patient: null, eventSchedule: null };
+
+        const times = [tStart];
+        const states = [];
+        let currentState = [...initialState];
+        let currentTime = tStart;
+        let currentRate = 0;
+        let eventIndex = 0;
+        let bolusesApplied = 0;
+        const counts = { totalSteps: 0 };
+        let segments = 0;
+        let segmentStats = {};
+        const denseOutput = new DenseOutput(odeSystem && odeSystem.pkParams);
+        let denseComplete = true;
+
+        while (true) {
+            // Apply every event due now; the recorded state at an event time is the post-bolus state
+            while (eventIndex < events.length && events[eventIndex].time <= currentTime + 1e-9) {
+                const event = events[eventIndex];
+                currentState[0] += event.bolusMg;
+                if (event.bolusMg > 0) bolusesApplied++;
+                currentRate = event.rateMgMin;
+                eventIndex++;
+            }
+            states[times.length - 1] = [...currentState];
+
+            if (currentTime >= tEnd - 1e-9) {
+                break;
+            }
+
+            const segmentEnd = eventIndex < events.length ? Math.min(events[eventIndex].time, tEnd) : tEnd;
+            const rate = currentRate;
+            const segment = this.solve(odeSystem, currentState, currentTime, segmentEnd,
+                { ...segmentOptions, infusionRateFunc: () => rate });
+
+            for (let i = 1; i < segment.times.length; i++) {
+                times.push(segment.times[i]);
+                states.push(segment.states[i]);
+            }
+            times[times.length - 1] = segmentEnd;
+            if (segment.denseOutput) {
+                denseOutput.append(segment.denseOutput);
+            } else {
+                denseComplete = false;
+            }
+            currentState = [...segment.states[segment.states.length - 1]];
+            currentTime = segmentEnd;
+            SegmentCountStats.forEach(key => {
+                if (typeof segment.stats[key] === 'number') counts[key] = (counts[key] || 0) + segment.stats[key];
+            });
+            segmentStats = segment.stats;
+            segments++;
+        }
+
+        return {
+            times: times,
+            states: states,
+            stats: {
+                ...segmentStats,
+                ...counts,
+                segments: segments,
+                bolusesApplied: bolusesApplied,
+                eventDriven: true
+            },
+            denseOutput: denseComplete && segments > 0 ? denseOutput : null
+        };
+    }
+
+    /**
+     * Cubic Hermite dense output through solution points, with the derivatives
+     * evaluated at each point (for solvers that only return values on a grid)
+     * @returns {DenseOutput}
+     */
+    buildHermiteDenseOutput(odeSystem, times, states, infusionRateFunc) {
+        const denseOutput = new DenseOutput(odeSystem && odeSystem.pkParams);
+        let previous = odeSystem(times[0], states[0], infusionRateFunc);
+        for (let i = 1; i < times.length; i++) {
+            const current = odeSystem(times[i], states[i], infusionRateFunc);
+            denseOutput.addHermiteSegment(times[i - 1], times[i], states[i - 1], states[i], previous, current);
+            previous = current;
+        }
+        return denseOutput;
+    }
+
+    /**
+     * Convert DoseEvents into sorted breakpoints with rates in mg/min
+     * @param {Array} doseEvents - DoseEvent list {timeInMinutes, bolusMg, continuousMgKgHr}
+     * @param {Object} patient - Patient object with weight
+     * @param {number} tStart - Start time (earlier boluses are already in the initial state)
+     * @returns {Array} - [{time, bolusMg, rateMgMin}]
+     */
+    buildEventSchedule(doseEvents, patient, tStart) {
+        return [...doseEvents]
+            .sort((a, b) => a.timeInMinutes - b.timeInMinutes)
+            .map(event => ({
+                time: event.timeInMinutes,
+                bolusMg: event.timeInMinutes >= tStart - 1e-9 ? (event.bolusMg || 0) : 0,
+                rateMgMin: (event.continuousMgKgHr || 0) * patient.weight / 60.0
+            }));
+    }
+
     /**
      * Get solver metadata
      */
@@ -59,6 +202,10 @@ class EulerSolver extends NumericalSolver {
     }
 
     solve(odeSystem, initialState, tStart, tEnd, options = {}) {
+        if (options.doseEvents && options.patient) {
+            return this.solveWithEvents(odeSystem, initialState, tStart, tEnd, options);
+        }
+
         const timeStep = options.timeStep || 0.005;
         const infusionRateFunc = options.infusionRateFunc || (() => 0);
 
@@ -71,21 +218,27 @@ class EulerSolver extends NumericalSolver {
         times.push(currentTime);
         states.push([...currentState]);
 
-        const numSteps = Math.floor((tEnd - tStart) / timeStep);
+        // The last step is shortened to end exactly at tEnd. solveWithEvents ends segments at
+        // event times, rarely a multiple of the step (7.3 min at 0.1 min): Math.floor would stop
+        // a step short and drop the drug of that interval
+        const numSteps = Math.ceil((tEnd - tStart) / timeStep - 1e-9);
         let actualSteps = 0;
 
-        for (let i = 0; i < numSteps; i++) {
+        for (let i = 1; i <= numSteps; i++) {
+            const nextTime = Math.min(tStart + i * timeStep, tEnd);
+            const h = nextTime - currentTime;
+
             // Calculate derivatives
             const derivatives = odeSystem(currentTime, currentState, infusionRateFunc);
             
             // Euler step: y_{n+1} = y_n + h * f(t_n, y_n)
             for (let j = 0; j < currentState.length; j++) {
-                currentState[j] += timeStep * derivatives[j];
+                currentState[j] += h * derivatives[j];
                 // Non-negative constraint for PK/PD state variables (amounts and concentrations)
                 currentState[j] = Math.max(0, currentState[j]);
             }
 
-            currentTime += timeStep;
+            currentTime = nextTime;
             actualSteps++;
 
             // Record state
@@ -120,6 +273,10 @@ class RK4Solver extends NumericalSolver {
     }
 
     solve(odeSystem, initialState, tStart, tEnd, options = {}) {
+        if (options.doseEvents && options.patient) {
+            return this.solveWithEvents(odeSystem, initialState, tStart, tEnd, options);
+        }
+
         const timeStep = options.timeStep || 0.005;
         const infusionRateFunc = options.infusionRateFunc || (() => 0);
 
@@ -132,30 +289,36 @@ class RK4Solver extends NumericalSolver {
         times.push(currentTime);
         states.push([...currentState]);
 
-        const numSteps = Math.floor((tEnd - tStart) / timeStep);
+        // The last step is shortened to end exactly at tEnd. solveWithEvents ends segments at
+        // event times, rarely a multiple of the step (7.3 min at 0.1 min): Math.floor would stop
+        // a step short and drop the drug of that interval
+        const numSteps = Math.ceil((tEnd - tStart) / timeStep - 1e-9);
         let actualSteps = 0;
 
-        for (let i = 0; i < numSteps; i++) {
+        for (let i = 1; i <= numSteps; i++) {
+            const nextTime = Math.min(tStart + i * timeStep, tEnd);
+            const h = nextTime - currentTime;
+
             // RK4 method implementation
             const k1 = odeSystem(currentTime, currentState, infusionRateFunc);
             
-            const state2 = this.addStates(currentState, this.scaleState(k1, timeStep / 2));
-            const k2 = odeSystem(currentTime + timeStep / 2, state2, infusionRateFunc);
+            const state2 = this.addStates(currentState, this.scaleState(k1, h / 2));
+            const k2 = odeSystem(currentTime + h / 2, state2, infusionRateFunc);
             
-            const state3 = this.addStates(currentState, this.scaleState(k2, timeStep / 2));
-            const k3 = odeSystem(currentTime + timeStep / 2, state3, infusionRateFunc);
+            const state3 = this.addStates(currentState, this.scaleState(k2, h / 2));
+            const k3 = odeSystem(currentTime + h / 2, state3, infusionRateFunc);
             
-            const state4 = this.addStates(currentState, this.scaleState(k3, timeStep));
-            const k4 = odeSystem(currentTime + timeStep, state4, infusionRateFunc);
+            const state4 = this.addStates(currentState, this.scaleState(k3, h));
+            const k4 = odeSystem(currentTime + h, state4, infusionRateFunc);
 
             // Update state: y_{n+1} = y_n + (h/6)(k1 + 2k2 + 2k3 + k4)
             for (let j = 0; j < currentState.length; j++) {
-                currentState[j] += (timeStep / 6.0) * (k1[j] + 2*k2[j] + 2*k3[j] + k4[j]);
+                currentState[j] += (h / 6.0) * (k1[j] + 2*k2[j] + 2*k3[j] + k4[j]);
                 // Non-negative constraint
                 currentState[j] = Math.max(0, currentState[j]);
             }
 
-            currentTime += timeStep;
+            currentTime = nextTime;
             actualSteps++;
 
             // Record state
@@ -197,34 +360,37 @@ class RK4Solver extends NumericalSolver {
 }
 
 /**
- * LSODA Implementation (replacing problematic RK45)
- * Livermore Solver with automatic stiffness detection
+ * LSODA Solver
+ * Livermore Solver (utils/lsoda.js): Adams while the system is non-stiff, BDF with
+ * Newton iteration on the analytic Jacobian of the PK/PD system once it is stiff
  */
 class LSODASolver extends NumericalSolver {
     constructor() {
-        super('LSODA', 5);
+        super('LSODA', 12);
         this.adaptive = true;
-        
-        // Import LSODA if available
-        if (typeof LSODA !== 'undefined') {
-            this.lsoda = new LSODA();
-        } else {
-            console.warn('LSODA not available, falling back to RK4');
-        }
-        
-        // Always initialize fallback solver for error cases
-        this.fallbackSolver = new RK4Solver();
+        this.lsoda = typeof LSODA !== 'undefined' ? new LSODA() : null;
     }
 
+    /**
+     * @param {Object} options - Adds {rtol, atol, mxstep, hmax, jacobian} (defaults: LSODADefaults);
+     *   jacobian defaults to odeSystem.jacobian, finite differences without either
+     * @returns {Object} - stats report steps, rejected steps, Jacobian evaluations and method switches
+     */
     solve(odeSystem, initialState, tStart, tEnd, options = {}) {
-        const infusionRateFunc = options.infusionRateFunc || (() => 0);
+        if (options.doseEvents && options.patient) {
+            const result = this.solveWithEvents(odeSystem, initialState, tStart, tEnd, options);
+            result.stats.stiffnessDetected = result.stats.bdfSteps > 0;
+            return result;
+        }
 
-        // Fallback to RK4 if LSODA not available
         if (!this.lsoda) {
-            console.warn('Using RK4 fallback for LSODA solver');
-            return this.fallbackSolver.solve(odeSystem, initialState, tStart, tEnd, options);
+            if (typeof LSODA === 'undefined') {
+                throw new Error('LSODA solver requires utils/lsoda.js');
+            }
+            this.lsoda = new LSODA();
         }
 
+        const infusionRateFunc = options.infusionRateFunc || (() => 0);
         const timeStep = options.timeStep || 0.01;
         const numSteps = Math.floor((tEnd - tStart) / timeStep);
         const times = [];
@@ -239,16 +405,17 @@ class LSODASolver extends NumericalSolver {
             times.push(tEnd);
         }
 
-        try {
-            // Adapt ODE system for LSODA interface
-            const lsodaOdeSystem = (t, y) => {
-                return odeSystem(t, y, infusionRateFunc);
-            };
+        const jacobian = options.jacobian || (odeSystem && odeSystem.jacobian) || null;
+        const rtol = options.rtol !== undefined ? options.rtol : LSODADefaults.rtol;
+        const atol = options.atol !== undefined ? options.atol : LSODADefaults.atol;
 
-            const result = this.lsoda.integrate(lsodaOdeSystem, initialState, times, {
-                rtol: options.rtol || 1e-3,  // Very relaxed for PK stability
-                atol: options.atol || 1e-5,  // 10 μg/mL precision
-                mxstep: options.mxstep || 5000  // Many more steps allowed
+        try {
+            const result = this.lsoda.integrate((t, y) => odeSystem(t, y, infusionRateFunc), initialState, times, {
+                rtol: rtol,
+                atol: atol,
+                mxstep: options.mxstep,
+                hmax: options.hmax,
+                jacobian: jacobian
             });
 
             return {
@@ -256,21 +423,30 @@ class LSODASolver extends NumericalSolver {
                 states: result.y,
                 stats: {
                     method: 'LSODA',
-                    totalSteps: result.stats.nsteps || times.length,
-                    functionEvaluations: result.stats.nfe || 0,
-                    adaptiveOrder: 5,
-                    stiffnessDetected: result.stats.method === 2
-                }
+                    totalSteps: result.stats.nsteps,
+                    rejectedSteps: result.stats.rejectedSteps,
+                    functionEvaluations: result.stats.nfe,
+                    jacobianEvaluations: result.stats.nje,
+                    methodSwitches: result.stats.methodSwitches,
+                    adamsSteps: result.stats.adamsSteps,
+                    bdfSteps: result.stats.bdfSteps,
+                    finalMethod: result.stats.method === 2 ? 'BDF' : 'Adams',
+                    adaptiveOrder: result.stats.order,
+                    stiffnessDetected: result.stats.bdfSteps > 0,
+                    analyticJacobian: jacobian !== null,
+                    rtol: rtol,
+                    atol: atol
+                },
+                denseOutput: this.buildHermiteDenseOutput(odeSystem, result.t, result.y, infusionRateFunc)
             };
         } catch (error) {
             console.error(`LSODA failed: ${error.message}`);
-            console.error('LSODA Error Stack:', error.stack);
             throw new Error(`LSODA computation failed: ${error.message}`);
         }
     }
 
     getDescription() {
-        return 'LSODA with automatic stiffness detection (recommended for PK models)';
+        return 'LSODA: automatic Adams/BDF switching with error control (stiff and non-stiff PK/PD)';
     }
 }
 
@@ -317,6 +493,10 @@ class RK45Solver extends NumericalSolver {
     }
 
     solve(odeSystem, initialState, tStart, tEnd, options = {}) {
+        if (options.doseEvents && options.patient) {
+            return this.solveWithEvents(odeSystem, initialState, tStart, tEnd, options);
+        }
+
         const infusionRateFunc = options.infusionRateFunc || (() => 0);
 
         const times = [];
@@ -331,6 +511,7 @@ class RK45Solver extends NumericalSolver {
         let rejectedSteps = 0;
         let minStepSize = h;
         let maxStepSize = h;
+        const denseOutput = new DenseOutput(odeSystem && odeSystem.pkParams);
 
         // Record initial state
         times.push(currentTime);
@@ -359,6 +540,10 @@ class RK45Solver extends NumericalSolver {
                     currentState[i] = Math.max(0, currentState[i]);
                 }
 
+                // Hermite interpolant of the step: k1 is f at the start, k7 (FSAL) f at the end
+                denseOutput.addHermiteSegment(times[times.length - 1], currentTime, states[states.length - 1],
+                    currentState, stepResult.k[0], stepResult.k[6]);
+
                 // Record state
                 times.push(currentTime);
                 states.push([...currentState]);
@@ -398,7 +583,8 @@ class RK45Solver extends NumericalSolver {
                 minStepSize: minStepSize,
                 maxStepSize: maxStepSize,
                 adaptiveOrder: 5
-            }
+            },
+            denseOutput: denseOutput
         };
     }
 
@@ -440,7 +626,7 @@ class RK45Solver extends NumericalSolver {
             error[i] = y5[i] - y4[i];
         }
 
-        return { y4: y4, y5: y5, error: error };
+        return { y4: y4, y5: y5, error: error, k: k };
     }
 
     /**
@@ -478,6 +664,619 @@ class RK45Solver extends NumericalSolver {
     }
 }
 
+/**
+ * Exact Analytical Solver (zero-order hold)
+ * Closed-form propagation of the linear 3-compartment + effect-site system
+ * under piecewise-constant infusion, using the matrix exponential of the
+ * input-augmented system matrix. No truncation error - use as reference.
+ */
+class AnalyticalSolver extends NumericalSolver {
+    constructor() {
+        super('Exact Analytical (ZOH)', Infinity);
+        this.propagatorCache = new Map();
+        this.cachedParamsKey = null;
+    }
+
+    /**
+     * Solve the PK/PD system exactly on the output grid
+     * Infusion is held constant between breakpoints. Breakpoints come from
+     * options.doseEvents (DoseEvent list, boluses applied as state jumps) or,
+     * without dose events, from sampling infusionRateFunc at each grid step.
+     * @param {function} odeSystem - System from createPKPDSystem (carries pkParams)
+     * @param {Array} initialState - Initial state [a1, a2, a3, ce] or [a1, a2, a3, ce, eliminated]
+     * @param {number} tStart - Start time
+     * @param {number} tEnd - End time
+     * @param {Object} options - {timeStep, pkParams, doseEvents, patient, infusionRateFunc}
+     * @returns {Object} - {times: Array, states: Array, stats: Object}
+     */
+    solve(odeSystem, initialState, tStart, tEnd, options = {}) {
+        const pkParams = options.pkParams || (odeSystem && odeSystem.pkParams);
+        if (!pkParams) {
+            throw new Error('Analytical solver requires PK parameters (options.pkParams or a createPKPDSystem ODE system)');
+        }
+
+        const timeStep = options.timeStep || 0.01;
+        const infusionRateFunc = options.infusionRateFunc || (() => 0);
+        const events = options.doseEvents && options.patient ?
+            this.buildEventSchedule(options.doseEvents, options.patient, tStart) : null;
+
+        this.preparePropagators(pkParams);
+
+        const times = [];
+        const states = [];
+        let currentState = [...initialState];
+        let currentTime = tStart;
+        let currentRate = 0;
+        let eventIndex = 0;
+        let propagations = 0;
+        let bolusesApplied = 0;
+
+        // Events at or before tStart set the running rate; only boluses exactly at tStart are applied
+        if (events) {
+            while (eventIndex < events.length && events[eventIndex].time <= tStart + 1e-9) {
+                const event = events[eventIndex];
+                currentRate = event.rateMgMin;
+                if (Math.abs(event.time - tStart) <= 1e-9 && event.bolusMg > 0) {
+                    currentState[0] += event.bolusMg;
+                    bolusesApplied++;
+                }
+                eventIndex++;
+            }
+        }
+
+        times.push(currentTime);
+        states.push([...currentState]);
+
+        const numSteps = Math.ceil((tEnd - tStart) / timeStep - 1e-9);
+
+        for (let i = 1; i <= numSteps; i++) {
+            const targetTime = Math.min(tStart + i * timeStep, tEnd);
+
+            if (events) {
+                // Propagate to each event inside this interval, then jump
+                while (eventIndex < events.length && events[eventIndex].time <= targetTime + 1e-9) {
+                    const event = events[eventIndex];
+                    currentState = this.propagate(currentState, currentRate, event.time - currentTime);
+                    propagations++;
+                    currentTime = event.time;
+                    currentState[0] += event.bolusMg;
+                    if (event.bolusMg > 0) bolusesApplied++;
+                    currentRate = event.rateMgMin;
+                    eventIndex++;
+                }
+            } else {
+                currentRate = infusionRateFunc(currentTime);
+            }
+
+            currentState = this.propagate(currentState, currentRate, targetTime - currentTime);
+            propagations++;
+            currentTime = targetTime;
+
+            times.push(currentTime);
+            states.push([...currentState]);
+        }
+
+        return {
+            times: times,
+            states: states,
+            stats: {
+                method: 'Exact Analytical (ZOH)',
+                totalSteps: propagations,
+                timeStep: timeStep,
+                bolusesApplied: bolusesApplied,
+                eventDriven: events !== null,
+                truncationError: 0
+            }
+        };
+    }
+
+    /**
+     * Exact state transition over dt with constant infusion
+     * x(t+dt) = Phi(dt) x(t) + Gamma(dt) R
+     * @param {Array} state - [a1, a2, a3, ce] or [a1, a2, a3, ce, eliminated]
+     * @param {boolean} cache - Keep the propagator for this dt (false for one-off query times)
+     */
+    propagate(state, rateMgMin, dt, cache = true) {
+        if (dt <= 1e-12) {
+            return [...state];
+        }
+
+        const { phi, gamma } = this.getPropagator(dt, cache);
+        const n = state.length;
+        const next = new Array(n);
+        for (let i = 0; i < n; i++) {
+            next[i] = gamma[i] * rateMgMin;
+            for (let j = 0; j < n; j++) {
+                next[i] += phi[i][j] * state[j];
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Build the augmented system matrix and reset the cache when parameters change
+     */
+    preparePropagators(pkParams) {
+        const { k10, k12, k21, k13, k31, ke0, V1 } = pkParams;
+        const paramsKey = [k10, k12, k21, k13, k31, ke0, V1].join('|');
+        if (paramsKey === this.cachedParamsKey) {
+            return;
+        }
+
+        // Augmented 6x6 matrix [[A, b], [0, 0]] carries the eliminated amount and the constant infusion input
+        this.systemMatrix = [
+            [-(k10 + k12 + k13), k21, k31, 0, 0, 1],
+            [k12, -k21, 0, 0, 0, 0],
+            [k13, 0, -k31, 0, 0, 0],
+            [ke0 / V1, 0, 0, -ke0, 0, 0],
+            [k10, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0]
+        ];
+        this.propagatorCache.clear();
+        this.cachedParamsKey = paramsKey;
+    }
+
+    getPropagator(dt, cache = true) {
+        const key = dt.toPrecision(12);
+        let propagator = this.propagatorCache.get(key);
+        if (!propagator) {
+            const scaled = this.systemMatrix.map(row => row.map(value => value * dt));
+            const expM = matrixExponential(scaled);
+            propagator = {
+                phi: expM.slice(0, 5).map(row => row.slice(0, 5)),
+                gamma: expM.slice(0, 5).map(row => row[5])
+            };
+            if (cache) this.propagatorCache.set(key, propagator);
+        }
+        return propagator;
+    }
+
+    getDescription() {
+        return 'Exact matrix-exponential solution under piecewise-constant infusion (reference)';
+    }
+}
+
+/**
+ * Dense (continuous) output of a simulation
+ * Consecutive segments [t0, t1] under a constant infusion. Hermite segments interpolate
+ * the step end states and derivatives with a cubic (error O(h^4)); exact segments
+ * re-propagate the segment start state with the analytical solver. At a shared
+ * boundary (bolus jump) the later, post-event segment is used.
+ */
+class DenseOutput {
+    /**
+     * @param {Object|null} pkParams - PK parameters (V1 for plasma concentrations; rate constants for exact segments)
+     */
+    constructor(pkParams = null) {
+        this.pkParams = pkParams;
+        this.V1 = pkParams ? (pkParams.V1 !== undefined ? pkParams.V1 : pkParams.v1) : null;
+        this.segments = [];
+        this.exactSolver = null;
+        this.decayRates = undefined;  // Set by getDecayRates (null when two rates coincide)
+    }
+
+    /**
+     * Cubic Hermite segment from the states y and derivatives f at both ends of a step
+     */
+    addHermiteSegment(t0, t1, y0, y1, f0, f1) {
+        if (t1 - t0 > 1e-12) {
+            this.segments.push({ t0: t0, t1: t1, y0: [...y0], y1: [...y1], f0: [...f0], f1: [...f1] });
+        }
+    }
+
+    /**
+     * Exact zero-order-hold segment from its start state and constant infusion (mg/min)
+     */
+    addExactSegment(t0, t1, y0, rateMgMin) {
+        if (!this.pkParams) {
+            throw new Error('Exact dense output requires PK parameters');
+        }
+        if (t1 - t0 > 1e-12) {
+            this.segments.push({ t0: t0, t1: t1, y0: [...y0], rateMgMin: rateMgMin });
+        }
+    }
+
+    /**
+     * Append the segments of a later run (e.g. the next segment between dose events)
+     */
+    append(other) {
+        for (const segment of other.segments) {
+            this.segments.push(segment);
+        }
+    }
+
+    get startTime() {
+        return this.segments.length > 0 ? this.segments[0].t0 : null;
+    }
+
+    get endTime() {
+        return this.segments.length > 0 ? this.segments[this.segments.length - 1].t1 : null;
+    }
+
+    /**
+     * Index of the segment containing a time (binary search; the later segment at a boundary)
+     */
+    segmentIndexAt(time) {
+        if (this.segments.length === 0 || !(time >= this.startTime - 1e-9 && time <= this.endTime + 1e-9)) {
+            throw new Error(`Time ${time} min is outside the simulated range`);
+        }
+
+        let low = 0;
+        let high = this.segments.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.segments[mid].t0 <= time + 1e-9) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * State [a1, a2, a3, ce, ...] at any time within the simulated range
+     */
+    stateAt(time) {
+        return this.evaluateSegment(this.segments[this.segmentIndexAt(time)], time);
+    }
+
+    /**
+     * Plasma ('plasma') or effect-site ('ce') concentration at any time (μg/mL)
+     */
+    valueAt(time, quantity = 'ce') {
+        return this.quantityOf(this.stateAt(time), quantity);
+    }
+
+    evaluateSegment(segment, time) {
+        const t = Math.min(Math.max(time, segment.t0), segment.t1);
+
+        if (segment.rateMgMin !== undefined) {
+            if (!this.exactSolver) {
+                this.exactSolver = new AnalyticalSolver();
+                this.exactSolver.preparePropagators({ ...this.pkParams, V1: this.V1 });
+            }
+            return this.exactSolver.propagate(segment.y0, segment.rateMgMin, t - segment.t0, false);
+        }
+
+        const h = segment.t1 - segment.t0;
+        const s = (t - segment.t0) / h;
+        const h00 = (1 + 2 * s) * (1 - s) * (1 - s);
+        const h10 = s * (1 - s) * (1 - s);
+        const h01 = s * s * (3 - 2 * s);
+        const h11 = s * s * (s - 1);
+        return segment.y0.map((y0, i) =>
+            h00 * y0 + h10 * h * segment.f0[i] + h01 * segment.y1[i] + h11 * h * segment.f1[i]);
+    }
+
+    quantityOf(state, quantity) {
+        if (quantity === 'plasma') {
+            if (!(this.V1 > 0)) {
+                throw new Error('Plasma concentrations require V1');
+            }
+            return Math.max(0, state[0] / this.V1);
+        }
+        if (quantity === 'ce') {
+            return Math.max(0, state[3]);
+        }
+        throw new Error(`Unknown quantity: ${quantity} (available: plasma, ce)`);
+    }
+
+    /**
+     * First time at or after startTime when a concentration crosses a threshold
+     * Each segment is split into monotone pieces at the extrema of its Hermite cubic or
+     * exact solution and the crossing is refined by bisection. A bolus jump across the
+     * threshold crosses at the jump time.
+     * @param {number} threshold - Concentration (μg/mL)
+     * @param {Object} options - {quantity: 'ce'|'plasma', direction: 'rising'|'falling'|'either', startTime, tolerance (min)}
+     * @returns {number|null} - Time (minutes), or null when the threshold is not crossed
+     */
+    findCrossing(threshold, options = {}) {
+        const quantity = options.quantity || 'ce';
+        const direction = options.direction || 'either';
+        const tolerance = options.tolerance || 1e-9;
+        if (!['rising', 'falling', 'either'].includes(direction)) {
+            throw new Error(`Unknown crossing direction: ${direction} (available: rising, falling, either)`);
+        }
+        this.quantityOf([0, 0, 0, 0], quantity);
+
+        const startTime = options.startTime !== undefined ? options.startTime : this.startTime;
+        const distance = (segment, time) => this.quantityOf(this.evaluateSegment(segment, time), quantity) - threshold;
+        const crosses = (before, after) =>
+            (direction !== 'falling' && before < 0 && after >= 0) || (direction !== 'rising' && before > 0 && after <= 0);
+
+        let previous = null;
+        for (let index = this.segmentIndexAt(startTime); index < this.segments.length; index++) {
+            const segment = this.segments[index];
+            const points = this.monotonePoints(segment, quantity, Math.max(segment.t0, startTime));
+
+            for (let k = 0; k < points.length; k++) {
+                const current = distance(segment, points[k]);
+                if (previous !== null && crosses(previous, current)) {
+                    // At k = 0 the value jumped across the threshold at the segment boundary
+                    return k === 0 ? points[0] : this.bisect(segment, distance, points[k - 1], points[k], previous, tolerance);
+                }
+                previous = current;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Times from a segment start that bound monotone pieces of a concentration
+     */
+    monotonePoints(segment, quantity, from) {
+        const points = [from];
+
+        if (segment.rateMgMin !== undefined) {
+            const extrema = this.exactExtrema(segment, quantity, from);
+            if (extrema) {
+                extrema.forEach(time => points.push(time));
+            } else {
+                for (let i = 1; i < EXACT_FALLBACK_PIECES; i++) {
+                    points.push(from + (segment.t1 - from) * i / EXACT_FALLBACK_PIECES);
+                }
+            }
+        } else {
+            // p(s) = a s^3 + b s^2 + c s + d; the extrema are the roots of p'(s) in (0, 1)
+            const i = quantity === 'plasma' ? 0 : 3;
+            const h = segment.t1 - segment.t0;
+            const y0 = segment.y0[i];
+            const y1 = segment.y1[i];
+            const m0 = h * segment.f0[i];
+            const m1 = h * segment.f1[i];
+            const a = 2 * y0 + m0 - 2 * y1 + m1;
+            const b = -3 * y0 - 2 * m0 + 3 * y1 - m1;
+            const roots = [];
+            if (Math.abs(a) > 1e-15) {
+                const discriminant = 4 * b * b - 12 * a * m0;
+                if (discriminant >= 0) {
+                    const sqrt = Math.sqrt(discriminant);
+                    roots.push((-2 * b - sqrt) / (6 * a), (-2 * b + sqrt) / (6 * a));
+                }
+            } else if (Math.abs(b) > 1e-15) {
+                roots.push(-m0 / (2 * b));
+            }
+            roots
+                .map(s => segment.t0 + s * h)
+                .filter(time => time > from && time < segment.t1)
+                .sort((x, y) => x - y)
+                .forEach(time => points.push(time));
+        }
+
+        points.push(segment.t1);
+        return points;
+    }
+
+    /**
+     * Extrema of a concentration on an exact segment, in (from, t1)
+     * The slope is dq/dt = Σ c_i exp(-λ_i s) over the decay rates λ_i of the compartments
+     * and ke0 (s from the segment start); the c_i follow from the first four derivatives
+     * at the segment start, and the extrema are the sign changes of the slope.
+     * @returns {number[]|null} - Sorted times, or null when decay rates coincide
+     */
+    exactExtrema(segment, quantity, from) {
+        const rates = this.getDecayRates();
+        if (!rates) {
+            return null;
+        }
+
+        const { k10, k12, k21, k13, k31, ke0 } = this.pkParams;
+        const A = [
+            [-(k10 + k12 + k13), k21, k31, 0],
+            [k12, -k21, 0, 0],
+            [k13, 0, -k31, 0],
+            [ke0 / this.V1, 0, 0, -ke0]
+        ];
+        const multiply = (vector) => A.map(row => row.reduce((sum, a, j) => sum + a * vector[j], 0));
+        const index = quantity === 'plasma' ? 0 : 3;
+
+        // d^(k+1)y/dt^(k+1) = A^k (A y0 + b R) at the segment start
+        let derivative = multiply(segment.y0).map((value, i) => value + (i === 0 ? segment.rateMgMin : 0));
+        const moments = [];
+        for (let k = 0; k < rates.length; k++) {
+            moments.push([derivative[index]]);
+            derivative = multiply(derivative);
+        }
+        const vandermonde = moments.map((_, k) => rates.map(rate => Math.pow(-rate, k)));
+        const coefficients = solveLinearSystem(vandermonde, moments).map(row => row[0]);
+        if (!coefficients.every(Number.isFinite)) {
+            return null;
+        }
+
+        return exponentialSumSignChanges(coefficients, rates, from - segment.t0, segment.t1 - segment.t0)
+            .map(s => segment.t0 + s)
+            .filter(time => time > from && time < segment.t1);
+    }
+
+    /**
+     * Decay rates (1/min) of the exact solution: the three compartment rates and ke0,
+     * or null when two of them are too close to separate
+     */
+    getDecayRates() {
+        if (this.decayRates === undefined) {
+            const { k10, k12, k21, k13, k31, ke0 } = this.pkParams;
+            // λ³ - (k10 + k12 + k13 + k21 + k31) λ² + ((k10 + k13) k21 + (k10 + k12) k31 + k21 k31) λ - k10 k21 k31 = 0
+            const rates = [...realCubicRoots(
+                -(k10 + k12 + k13 + k21 + k31),
+                (k10 + k13) * k21 + (k10 + k12) * k31 + k21 * k31,
+                -k10 * k21 * k31
+            ), ke0].sort((a, b) => a - b);
+            const separated = rates.every((rate, i) => i === 0 || rate - rates[i - 1] > 1e-6 * rates[rates.length - 1]);
+            this.decayRates = separated ? rates : null;
+        }
+        return this.decayRates;
+    }
+
+    /**
+     * Bisection on a monotone piece whose ends lie on either side of the threshold
+     */
+    bisect(segment, distance, low, high, lowValue, tolerance) {
+        for (let i = 0; i < 200 && high - low > tolerance; i++) {
+            const mid = 0.5 * (low + high);
+            const value = distance(segment, mid);
+            if (value !== 0 && Math.sign(value) === Math.sign(lowValue)) {
+                low = mid;
+                lowValue = value;
+            } else {
+                high = mid;
+            }
+        }
+        return high;
+    }
+}
+
+/**
+ * Matrix exponential by scaling and squaring with a [6/6] Pade approximant
+ * @param {Array} matrix - Square matrix (array of rows)
+ * @returns {Array} - exp(matrix)
+ */
+function matrixExponential(matrix) {
+    const n = matrix.length;
+    const normInf = Math.max(...matrix.map(row => row.reduce((sum, v) => sum + Math.abs(v), 0)));
+    const squarings = Math.max(0, Math.ceil(Math.log2(normInf / 0.5)));
+    const scale = Math.pow(2, -squarings);
+    const X = matrix.map(row => row.map(v => v * scale));
+
+    const identity = () => Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+    const multiply = (P, Q) => P.map((row, i) => Q[0].map((_, j) => {
+        let sum = 0;
+        for (let k = 0; k < n; k++) sum += P[i][k] * Q[k][j];
+        return sum;
+    }));
+
+    // Pade coefficients c_k = c_{k-1} * (q - k + 1) / (k * (2q - k + 1))
+    const q = 6;
+    let c = 1;
+    let power = identity();
+    const N = identity();
+    const D = identity();
+    for (let k = 1; k <= q; k++) {
+        c *= (q - k + 1) / (k * (2 * q - k + 1));
+        power = multiply(power, X);
+        const sign = k % 2 === 0 ? 1 : -1;
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                N[i][j] += c * power[i][j];
+                D[i][j] += sign * c * power[i][j];
+            }
+        }
+    }
+
+    let result = solveLinearSystem(D, N);
+    for (let s = 0; s < squarings; s++) {
+        result = multiply(result, result);
+    }
+    return result;
+}
+
+/**
+ * Roots of x³ + b x² + c x + d with three real roots (trigonometric method, Newton-polished)
+ */
+function realCubicRoots(b, c, d) {
+    const p = c - b * b / 3;
+    const q = 2 * b * b * b / 27 - b * c / 3 + d;
+    if (!(p < 0)) {
+        return [-b / 3, -b / 3, -b / 3];
+    }
+
+    const m = 2 * Math.sqrt(-p / 3);
+    const theta = Math.acos(Math.min(1, Math.max(-1, 3 * q / (p * m)))) / 3;
+    return [0, 1, 2].map(k => {
+        let x = m * Math.cos(theta - 2 * Math.PI * k / 3) - b / 3;
+        for (let i = 0; i < 3; i++) {
+            const slope = (3 * x + 2 * b) * x + c;
+            if (slope === 0) break;
+            x -= (((x + b) * x + c) * x + d) / slope;
+        }
+        return x;
+    });
+}
+
+/**
+ * Sign changes in (from, to) of f(s) = Σ c_i exp(-r_i s)
+ * Between consecutive sign changes of (f(s) exp(r_1 s))', a sum with one term fewer found
+ * recursively, f exp(r_1 s) is monotone: each piece holds at most one, found by bisection.
+ * @param {number[]} coefficients - c_i
+ * @param {number[]} rates - r_i (non-negative)
+ * @returns {number[]} - Sorted s values
+ */
+function exponentialSumSignChanges(coefficients, rates, from, to) {
+    const terms = coefficients
+        .map((c, i) => ({ c: c, r: rates[i] }))
+        .filter(term => term.c !== 0)
+        .sort((x, y) => x.r - y.r);
+    if (terms.length < 2) {
+        return [];
+    }
+
+    const f = (s) => terms.reduce((sum, term) => sum + term.c * Math.exp(-term.r * s), 0);
+    const base = terms[0].r;
+    const rest = terms.slice(1);
+    const critical = exponentialSumSignChanges(rest.map(term => -(term.r - base) * term.c), rest.map(term => term.r - base), from, to);
+
+    const bounds = [from, ...critical, to];
+    const changes = [];
+    for (let k = 1; k < bounds.length; k++) {
+        let low = bounds[k - 1];
+        let high = bounds[k];
+        let lowValue = f(low);
+        if (!(lowValue * f(high) < 0)) {
+            continue;
+        }
+        for (let i = 0; i < 200 && high - low > 1e-13 * Math.max(1, Math.abs(high)); i++) {
+            const mid = 0.5 * (low + high);
+            const value = f(mid);
+            if (Math.sign(value) === Math.sign(lowValue)) {
+                low = mid;
+                lowValue = value;
+            } else {
+                high = mid;
+            }
+        }
+        changes.push(0.5 * (low + high));
+    }
+    return changes;
+}
+
+/**
+ * Solve A X = B by Gaussian elimination with partial pivoting
+ */
+function solveLinearSystem(A, B) {
+    const n = A.length;
+    const a = A.map(row => [...row]);
+    const b = B.map(row => [...row]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-300) {
+            throw new Error('Singular matrix in analytical solver');
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            if (factor === 0) continue;
+            for (let k = col; k < n; k++) a[row][k] -= factor * a[col][k];
+            for (let k = 0; k < b[row].length; k++) b[row][k] -= factor * b[col][k];
+        }
+    }
+
+    const x = b.map(row => new Array(row.length).fill(0));
+    for (let row = n - 1; row >= 0; row--) {
+        for (let k = 0; k < b[row].length; k++) {
+            let sum = b[row][k];
+            for (let j = row + 1; j < n; j++) sum -= a[row][j] * x[j][k];
+            x[row][k] = sum / a[row][row];
+        }
+    }
+    return x;
+}
+
 /**
  * Unified Numerical Solvers Manager
  * Provides interface for all numerical methods
@@ -505,6 +1304,20 @@ class NumericalSolvers {
                 solver: new RK45Solver(),
                 order: 5,
                 adaptive: true
+            },
+            lsoda: {
+                name: "LSODA (Adams/BDF)",
+                description: "Variable-order Adams/BDF with automatic stiffness switching and error control",
+                solver: new LSODASolver(),
+                order: 12,
+                adaptive: true
+            },
+            analytical: {
+                name: "Exact Analytical (ZOH)",
+                description: "Matrix-exponential exact solution under piecewise-constant infusion (reference)",
+                solver: new AnalyticalSolver(),
+                order: Infinity,
+                adaptive: false
             }
         };
 
@@ -513,7 +1326,7 @@ class NumericalSolvers {
 
     /**
      * Set current numerical method
-     * @param {string} methodName - Method name (euler, rk4, rk45)
+     * @param {string} methodName - Method name (euler, rk4, rk45, lsoda, analytical)
      * @returns {boolean} - Success status
      */
     setMethod(methodName) {
@@ -574,9 +1387,82 @@ class NumericalSolvers {
         result.method = this.currentMethod;
         result.methodInfo = this.getMethodInfo();
         
+        // Physics-based self-check when the state carries the eliminated amount
+        if (options.doseEvents && options.patient && initialState.length > 4) {
+            result.massBalance = this.checkMassBalance(result, initialState, tStart, options);
+        }
+        
         return result;
     }
 
+    /**
+     * Mass-balance check: drug in V1/V2/V3 plus drug eliminated must equal the
+     * initial amount plus the cumulative dose at every recorded time. Drift beyond
+     * tolerance is reported through MedicalErrorLog.logNumericalError.
+     * @param {Object} result - Solver result with [a1, a2, a3, ce, eliminated] states
+     * @param {Array} initialState - Initial state [a1, a2, a3, ce, eliminated]
+     * @param {number} tStart - Start time
+     * @param {Object} options - Solver options {doseEvents, patient, massBalanceTolerance}, or an
+     *   eventSchedule in the buildEventSchedule form instead of the dose events
+     * @returns {Object} - {cumulativeDose: Array, maxAbsoluteError, maxRelativeError, tolerance, conserved}
+     */
+    checkMassBalance(result, initialState, tStart, options = {}) {
+        const tolerance = { ...MassBalanceDefaults, ...(options.massBalanceTolerance || {}) };
+        const schedule = options.eventSchedule ||
+            this.methods[this.currentMethod].solver.buildEventSchedule(options.doseEvents, options.patient, tStart);
+        const mass = (state) => state[0] + state[1] + state[2] + state[4];
+        const initialMass = mass(initialState);
+
+        const cumulativeDose = [];
+        let dosed = 0;
+        let rate = 0;
+        let lastTime = tStart;
+        let eventIndex = 0;
+        let maxAbsoluteError = 0;
+
+        for (let i = 0; i < result.times.length; i++) {
+            const time = result.times[i];
+            while (eventIndex < schedule.length && schedule[eventIndex].time <= time + 1e-9) {
+                const event = schedule[eventIndex];
+                const eventTime = Math.max(event.time, tStart);
+                dosed += rate * (eventTime - lastTime) + event.bolusMg;
+                rate = event.rateMgMin;
+                lastTime = eventTime;
+                eventIndex++;
+            }
+            dosed += rate * (time - lastTime);
+            lastTime = time;
+
+            cumulativeDose.push(dosed);
+            maxAbsoluteError = Math.max(maxAbsoluteError, Math.abs(mass(result.states[i]) - initialMass - dosed));
+        }
+
+        const totalMass = initialMass + dosed;
+        const maxRelativeError = totalMass > 0 ? maxAbsoluteError / totalMass : 0;
+        const conserved = maxAbsoluteError <= tolerance.absoluteTolerance + tolerance.relativeTolerance * totalMass;
+
+        if (!conserved && typeof MedicalErrorLog !== 'undefined') {
+            MedicalErrorLog.logNumericalError(
+                ErrorSource.NUMERICAL_SOLVERS,
+                `Mass balance drift of ${maxAbsoluteError.toExponential(2)} mg (${(maxRelativeError * 100).toFixed(4)}%) with ${this.currentMethod}`,
+                {
+                    name: this.methods[this.currentMethod].name,
+                    parameters: { timeStep: options.timeStep, tStart: tStart, tEnd: result.times[result.times.length - 1] },
+                    precision: tolerance
+                },
+                { converged: false, maxAbsoluteError: maxAbsoluteError, maxRelativeError: maxRelativeError, totalDoseMg: dosed }
+            );
+        }
+
+        return {
+            cumulativeDose: cumulativeDose,
+            maxAbsoluteError: maxAbsoluteError,
+            maxRelativeError: maxRelativeError,
+            tolerance: tolerance,
+            conserved: conserved
+        };
+    }
+
     /**
      * Compare multiple methods on the same problem
      * @param {function} odeSystem - ODE system function
@@ -622,21 +1508,29 @@ class NumericalSolvers {
 
 // Export for use in other modules
 if (typeof window !== 'undefined') {
+    window.MassBalanceDefaults = MassBalanceDefaults;
     window.NumericalSolver = NumericalSolver;
     window.EulerSolver = EulerSolver;
     window.RK4Solver = RK4Solver;
     window.LSODASolver = LSODASolver;
     window.RK45Solver = RK45Solver;
+    window.AnalyticalSolver = AnalyticalSolver;
+    window.DenseOutput = DenseOutput;
+    window.matrixExponential = matrixExponential;
     window.NumericalSolvers = NumericalSolvers;
 }
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        MassBalanceDefaults,
         NumericalSolver,
         EulerSolver,
         RK4Solver,
         LSODASolver,
         RK45Solver,
+        AnalyticalSolver,
+        DenseOutput,
+        matrixExponential,
         NumericalSolvers
     };
 }
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * Pareto Front Tests
+ * Validates protocol objectives, dominance and the multi-objective protocol set
+ */
+
+class ParetoFrontTests {
+    constructor() {
+        this.testResults = [];
+        this.tolerance = 1e-9;
+    }
+
+    createEngine() {
+        const engine = new EnhancedProtocolEngine();
+        engine.setPatient(new Patient('test-pareto', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2));
+        engine.updateSettings({ strategy: 'heuristic', targetCe: 1.0, upperThreshold: 1.2 });
+        return engine;
+    }
+
+    /**
+     * Objectives of a protocol and the dominance relation
+     */
+    testObjectives() {
+        console.log('=== Testing protocol objectives and dominance ===');
+
+        const engine = this.createEngine();
+        const protocol = engine.runEnhancedOptimization(1.0, 7, 20).protocol;
+        const objectives = engine.getProtocolObjectives(protocol);
+        const reached = protocol.timeSeriesData.find(point => point.time === objectives.timeToTarget);
+        const base = { totalDoseMg: 100, overshootPercent: 5, timeToTarget: 10, adjustments: 3 };
+
+        const checks = [
+            Math.abs(objectives.totalDoseMg - protocol.pumpProgram.consumption.totalMg) < this.tolerance,
+            objectives.adjustments === protocol.dosageAdjustments.length,
+            reached !== undefined && Math.abs(reached.ce - reached.targetCe) <= reached.targetCe * 0.05,
+            engine.dominates({ ...base, adjustments: 2 }, base),
+            !engine.dominates(base, base),
+            !engine.dominates({ ...base, totalDoseMg: 90, overshootPercent: 8 }, base)
+        ];
+
+        const testResult = {
+            testName: 'Objectives and Dominance',
+            passed: checks.every(Boolean),
+            details: { objectives: objectives, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Candidates come from every strategy; the front is non-dominated, free of duplicates,
+     * sorted by dose and keeps the last result
+     */
+    testParetoFront() {
+        console.log('=== Testing Pareto front ===');
+
+        const engine = this.createEngine();
+        const protocol = engine.runEnhancedOptimization(1.0, 7, 20).protocol;
+        const front = engine.generateParetoFront();
+        const candidates = engine.generateParetoCandidates();
+        const { bolusFactors, changeWeights } = engine.paretoSettings;
+        const candidateCount = 3 + bolusFactors.length * (2 + changeWeights.length);
+        const strategies = new Set(candidates.map(candidate => candidate.strategy));
+        // Every candidate left out is dominated by, or ties with, a member of the front
+        const sameObjectives = (a, b) => Object.keys(a).every(key => Math.abs(a[key] - b[key]) < 1e-9 || a[key] === b[key]);
+        const leftOutExplained = candidates.every(candidate => front.some(member =>
+            engine.dominates(member.objectives, candidate.objectives) || sameObjectives(member.objectives, candidate.objectives)));
+        const nonDominated = front.every(a => front.every(b => !engine.dominates(b.objectives, a.objectives)));
+        const sorted = front.every((candidate, i) => i === 0 || front[i - 1].objectives.totalDoseMg <= candidate.objectives.totalDoseMg);
+        const base = front.find(candidate => candidate.protocol === protocol);
+
+        const checks = [
+            candidates.length === candidateCount && front.length > 1 && front.length <= candidateCount,
+            ['heuristic', 'fixed', 'tci', 'tci-plasma', 'mpc'].every(strategy => strategies.has(strategy)),
+            candidates.filter(candidate => candidate.strategy === 'fixed').every(candidate => candidate.objectives.adjustments === 0),
+            leftOutExplained,
+            nonDominated,
+            sorted,
+            new Set(front.map(candidate => candidate.id)).size === front.length,
+            front.some(candidate => candidate.strategy === 'mpc' && candidate.protocol.mpc !== undefined),
+            base === undefined || base.strategy === 'heuristic',
+            engine.lastResult === protocol
+        ];
+
+        const testResult = {
+            testName: 'Pareto Front',
+            passed: checks.every(Boolean),
+            details: { front: front.map(candidate => ({ label: candidate.label, objectives: candidate.objectives })), checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        front.forEach(candidate => console.log(`${candidate.label}: ${candidate.objectives.totalDoseMg.toFixed(1)} mg, ` +
+            `${candidate.objectives.overshootPercent.toFixed(1)}%, ${candidate.objectives.timeToTarget} min, ${candidate.objectives.adjustments} adj.`));
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Pareto generation needs a patient
+     */
+    testErrors() {
+        console.log('=== Testing Pareto front errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const checks = [
+            expectError(() => new EnhancedProtocolEngine().generateParetoFront())
+        ];
+
+        const testResult = {
+            testName: 'Pareto Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Pareto Front Tests');
+        console.log('===============================================');
+
+        this.testObjectives();
+        this.testParetoFront();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ParetoFrontTests = ParetoFrontTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ParetoFrontTests };
+}
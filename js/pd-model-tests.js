@@ -0,0 +1,190 @@
+/**
+ * Pharmacodynamic Model Tests
+ * Validates the sigmoid-Emax BIS and MOAA/S predictions
+ */
+
+class PDModelTests {
+    constructor() {
+        this.testResults = [];
+        this.tolerance = 1e-12;
+    }
+
+    /**
+     * BIS equals E0 at Ce = 0, E0 - Emax/2 at Ce50, and decreases monotonically
+     */
+    testBISPrediction() {
+        console.log('=== Testing predicted BIS ===');
+
+        const model = new SigmoidEmaxPDModel();
+        const { e0, emax, ce50 } = model.getParameters().bis;
+        const ceValues = [0, 0.1, 0.25, 0.5, 1.0, 2.0, 4.0];
+        const bisValues = ceValues.map(ce => model.predictBIS(ce));
+        const monotonic = bisValues.every((bis, i) => i === 0 || bis < bisValues[i - 1]);
+
+        const checks = [
+            Math.abs(model.predictBIS(0) - e0) < this.tolerance,
+            Math.abs(model.predictBIS(ce50) - (e0 - emax / 2)) < this.tolerance,
+            monotonic,
+            bisValues.every(bis => bis > e0 - emax && bis <= e0)
+        ];
+
+        const testResult = {
+            testName: 'BIS Prediction',
+            passed: checks.every(Boolean),
+            details: { bisValues: bisValues, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * MOAA/S probabilities sum to 1 and shift toward deeper sedation with Ce
+     */
+    testMOAASDistribution() {
+        console.log('=== Testing MOAA/S distribution ===');
+
+        const model = new SigmoidEmaxPDModel();
+        const ceValues = [0, 0.3, 0.6, 1.0, 2.0];
+        let maxSumError = 0;
+        let allNonNegative = true;
+
+        ceValues.forEach(ce => {
+            const distribution = model.predictMOAASDistribution(ce);
+            const sum = MOAASLevels.reduce((total, level) => total + distribution[level], 0);
+            maxSumError = Math.max(maxSumError, Math.abs(sum - 1));
+            allNonNegative = allNonNegative && MOAASLevels.every(level => distribution[level] >= 0);
+        });
+
+        const checks = [
+            maxSumError < 1e-9,
+            allNonNegative,
+            model.mostLikelyMOAAS(0) === 5,
+            model.mostLikelyMOAAS(5.0) === 0,
+            model.probabilityAtOrBelow(1, 1.0) > model.probabilityAtOrBelow(1, 0.5)
+        ];
+
+        const testResult = {
+            testName: 'MOAA/S Distribution',
+            passed: checks.every(Boolean),
+            details: { maxSumError: maxSumError, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Max probability sum error: ${maxSumError.toExponential(2)}`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * P(LOC) is 50% at Ce50 and ceForLOCProbability inverts predictLOCProbability
+     */
+    testLOCProbability() {
+        console.log('=== Testing P(LOC) logistic model ===');
+
+        const model = new SigmoidEmaxPDModel();
+        const { ce50 } = model.getParameters().loc;
+        const probabilities = [0.05, 0.5, 0.95];
+        const maxInverseError = Math.max(...probabilities.map(p =>
+            Math.abs(model.predictLOCProbability(model.ceForLOCProbability(p)) - p)
+        ));
+
+        let rejectsBounds = false;
+        try {
+            model.ceForLOCProbability(1);
+        } catch (error) {
+            rejectsBounds = true;
+        }
+
+        const checks = [
+            Math.abs(model.predictLOCProbability(ce50) - 0.5) < this.tolerance,
+            model.predictLOCProbability(0) === 0,
+            maxInverseError < 1e-9,
+            model.ceForLOCProbability(0.95) > model.ceForLOCProbability(0.5),
+            rejectsBounds
+        ];
+
+        const testResult = {
+            testName: 'LOC Probability',
+            passed: checks.every(Boolean),
+            details: { maxInverseError: maxInverseError, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Partial parameter updates apply; inconsistent sets are rejected
+     */
+    testParameterConfiguration() {
+        console.log('=== Testing PD parameter configuration ===');
+
+        const model = new SigmoidEmaxPDModel({ bis: { ce50: 1.5 } });
+        const rejects = (parameters) => {
+            try {
+                new SigmoidEmaxPDModel(parameters);
+                return false;
+            } catch (error) {
+                return error.message.startsWith('Invalid PD parameters');
+            }
+        };
+
+        const checks = [
+            model.getParameters().bis.ce50 === 1.5,
+            model.getParameters().bis.e0 === PDParameterDefaults.bis.e0,
+            rejects({ bis: { gamma: -1 } }),
+            rejects({ bis: { emax: 200 } }),
+            rejects({ moaas: { ce50: { 0: 0.1 } } }),
+            rejects({ loc: { ce50: 0 } })
+        ];
+
+        const series = model.predictSeries([0, 1.5]);
+        checks.push(series.bis.length === 2 && Math.abs(series.unresponsivePercent[0]) < this.tolerance);
+
+        const testResult = {
+            testName: 'Parameter Configuration',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting PD Model Tests');
+        console.log('===============================================');
+
+        this.testBISPrediction();
+        this.testMOAASDistribution();
+        this.testLOCProbability();
+        this.testParameterConfiguration();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PDModelTests = PDModelTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PDModelTests };
+}
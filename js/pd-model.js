@@ -0,0 +1,231 @@
+/**
+ * Pharmacodynamic Model for Remimazolam TCI TIVA
+ * Sigmoid-Emax PD layer on top of the effect-site concentration
+ *
+ * Features:
+ * - Predicted BIS from Ce (sigmoid Emax, inhibitory) and the Ce for a target BIS
+ * - Probability of each MOAA/S level (0-5) from Ce (proportional-odds sigmoid model)
+ * - Probability of loss of consciousness (LOC) from Ce (logistic model in ln Ce)
+ * - Configurable Ce50/gamma parameters
+ * - Series helpers for chart overlays
+ */
+
+// Default PD parameters (Ce in μg/mL).
+// Typical-value defaults for display; set the published Masui 2022 estimates
+// or locally fitted values through SigmoidEmaxPDModel.setParameters().
+const PDParameterDefaults = {
+    bis: {
+        e0: 93,        // Awake baseline BIS
+        emax: 53,      // Maximum BIS reduction
+        ce50: 0.9,     // Ce at half-maximal BIS reduction (μg/mL)
+        gamma: 2.0     // Steepness
+    },
+    moaas: {
+        // Ce50 for P(MOAA/S <= level); must increase as the level decreases
+        ce50: { 4: 0.35, 3: 0.50, 2: 0.65, 1: 0.80, 0: 1.20 },
+        gamma: 4.5
+    },
+    loc: {
+        ce50: 0.75,    // Ce with 50% probability of LOC (μg/mL)
+        gamma: 5.0     // Logistic slope in ln Ce
+    }
+};
+
+// MOAA/S levels (Modified Observer's Assessment of Alertness/Sedation)
+const MOAASLevels = [5, 4, 3, 2, 1, 0];
+
+/**
+ * Sigmoid-Emax pharmacodynamic model
+ */
+class SigmoidEmaxPDModel {
+    constructor(parameters = {}) {
+        this.parameters = {
+            bis: { ...PDParameterDefaults.bis },
+            moaas: {
+                ce50: { ...PDParameterDefaults.moaas.ce50 },
+                gamma: PDParameterDefaults.moaas.gamma
+            },
+            loc: { ...PDParameterDefaults.loc }
+        };
+        this.setParameters(parameters);
+    }
+
+    /**
+     * Update PD parameters (partial updates allowed)
+     * @param {Object} parameters - {bis: {e0, emax, ce50, gamma}, moaas: {ce50: {level: value}, gamma}, loc: {ce50, gamma}}
+     */
+    setParameters(parameters = {}) {
+        const next = {
+            bis: { ...this.parameters.bis, ...(parameters.bis || {}) },
+            moaas: {
+                ce50: { ...this.parameters.moaas.ce50, ...((parameters.moaas && parameters.moaas.ce50) || {}) },
+                gamma: (parameters.moaas && parameters.moaas.gamma) || this.parameters.moaas.gamma
+            },
+            loc: { ...this.parameters.loc, ...(parameters.loc || {}) }
+        };
+
+        const validation = SigmoidEmaxPDModel.validateParameters(next);
+        if (!validation.isValid) {
+            throw new Error('Invalid PD parameters: ' + validation.errors.join(', '));
+        }
+
+        this.parameters = next;
+        return this.parameters;
+    }
+
+    getParameters() {
+        return {
+            bis: { ...this.parameters.bis },
+            moaas: { ce50: { ...this.parameters.moaas.ce50 }, gamma: this.parameters.moaas.gamma },
+            loc: { ...this.parameters.loc }
+        };
+    }
+
+    /**
+     * Fractional drug effect Ce^γ / (Ce50^γ + Ce^γ)
+     */
+    static effectFraction(ce, ce50, gamma) {
+        if (!(ce > 0)) return 0;
+        const ratio = Math.pow(ce / ce50, gamma);
+        return ratio / (1 + ratio);
+    }
+
+    /**
+     * Predicted BIS
+     * @param {number} ce - Effect-site concentration (μg/mL)
+     * @returns {number} - BIS (0-100)
+     */
+    predictBIS(ce) {
+        const { e0, emax, ce50, gamma } = this.parameters.bis;
+        return e0 - emax * SigmoidEmaxPDModel.effectFraction(ce, ce50, gamma);
+    }
+
+    /**
+     * Effect-site concentration at which the predicted BIS reaches a value (inverse of predictBIS)
+     * @param {number} bis - Target BIS, strictly between e0 - emax and e0
+     * @returns {number} - Ce (μg/mL)
+     */
+    ceForBIS(bis) {
+        const { e0, emax, ce50, gamma } = this.parameters.bis;
+        if (!(bis > e0 - emax && bis < e0)) {
+            throw new Error(`BIS must be between ${e0 - emax} and ${e0} (exclusive)`);
+        }
+        const fraction = (e0 - bis) / emax;
+        return ce50 * Math.pow(fraction / (1 - fraction), 1 / gamma);
+    }
+
+    /**
+     * Probability that MOAA/S is at or below a level
+     * @param {number} level - MOAA/S level (0-5)
+     * @param {number} ce - Effect-site concentration (μg/mL)
+     * @returns {number} - Probability (0-1)
+     */
+    probabilityAtOrBelow(level, ce) {
+        if (level >= 5) return 1;
+        if (level < 0) return 0;
+        const { ce50, gamma } = this.parameters.moaas;
+        return SigmoidEmaxPDModel.effectFraction(ce, ce50[level], gamma);
+    }
+
+    /**
+     * Probability of each MOAA/S level
+     * @param {number} ce - Effect-site concentration (μg/mL)
+     * @returns {Object} - {5: p, 4: p, ..., 0: p} summing to 1
+     */
+    predictMOAASDistribution(ce) {
+        const distribution = {};
+        MOAASLevels.forEach(level => {
+            distribution[level] = this.probabilityAtOrBelow(level, ce) - this.probabilityAtOrBelow(level - 1, ce);
+        });
+        return distribution;
+    }
+
+    /**
+     * Most probable MOAA/S level
+     */
+    mostLikelyMOAAS(ce) {
+        const distribution = this.predictMOAASDistribution(ce);
+        return MOAASLevels.reduce((best, level) => distribution[level] > distribution[best] ? level : best, 5);
+    }
+
+    /**
+     * Probability of loss of consciousness
+     * P(LOC) = 1 / (1 + exp(-γ·(ln Ce - ln Ce50)))
+     * @param {number} ce - Effect-site concentration (μg/mL)
+     * @returns {number} - Probability (0-1)
+     */
+    predictLOCProbability(ce) {
+        const { ce50, gamma } = this.parameters.loc;
+        return SigmoidEmaxPDModel.effectFraction(ce, ce50, gamma);
+    }
+
+    /**
+     * Effect-site concentration at which P(LOC) reaches a probability
+     * @param {number} probability - Target probability (0-1, exclusive)
+     * @returns {number} - Ce (μg/mL)
+     */
+    ceForLOCProbability(probability) {
+        if (!(probability > 0 && probability < 1)) {
+            throw new Error('LOC probability must be between 0 and 1 (exclusive)');
+        }
+        const { ce50, gamma } = this.parameters.loc;
+        return ce50 * Math.pow(probability / (1 - probability), 1 / gamma);
+    }
+
+    /**
+     * PD series for chart overlays
+     * @param {number[]} ceValues - Effect-site concentrations (μg/mL)
+     * @returns {Object} - {bis: [], unresponsivePercent: []} (unresponsive = MOAA/S <= 1)
+     */
+    predictSeries(ceValues) {
+        return {
+            bis: ceValues.map(ce => this.predictBIS(ce)),
+            unresponsivePercent: ceValues.map(ce => this.probabilityAtOrBelow(1, ce) * 100)
+        };
+    }
+
+    /**
+     * Validate a full parameter set
+     */
+    static validateParameters(parameters) {
+        const errors = [];
+        const { bis, moaas } = parameters;
+
+        if (!(bis.e0 > 0 && bis.e0 <= 100)) errors.push('BIS E0 must be in (0, 100]');
+        if (!(bis.emax > 0 && bis.emax <= bis.e0)) errors.push('BIS Emax must be in (0, E0]');
+        if (!(bis.ce50 > 0)) errors.push('BIS Ce50 must be positive');
+        if (!(bis.gamma > 0)) errors.push('BIS gamma must be positive');
+        if (!(moaas.gamma > 0)) errors.push('MOAA/S gamma must be positive');
+        if (!(parameters.loc.ce50 > 0)) errors.push('LOC Ce50 must be positive');
+        if (!(parameters.loc.gamma > 0)) errors.push('LOC gamma must be positive');
+
+        for (let level = 4; level >= 0; level--) {
+            const value = moaas.ce50[level];
+            if (!(value > 0)) {
+                errors.push(`MOAA/S <= ${level} Ce50 must be positive`);
+            } else if (level < 4 && !(value > moaas.ce50[level + 1])) {
+                errors.push(`MOAA/S <= ${level} Ce50 must exceed MOAA/S <= ${level + 1} Ce50`);
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PDParameterDefaults = PDParameterDefaults;
+    window.MOAASLevels = MOAASLevels;
+    window.SigmoidEmaxPDModel = SigmoidEmaxPDModel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PDParameterDefaults,
+        MOAASLevels,
+        SigmoidEmaxPDModel
+    };
+}
@@ -0,0 +1,207 @@
+/**
+ * PK Model Registry Tests
+ * Validates the pluggable PK model interface and per-patient model selection
+ */
+
+class PKModelRegistryTests {
+    constructor() {
+        this.testResults = [];
+        this.tolerance = 1e-12;
+    }
+
+    createPatient(pkModelId = null) {
+        return new Patient('test-pk-model', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2, null, pkModelId);
+    }
+
+    /**
+     * Default model must reproduce MasuiKe0Calculator exactly
+     */
+    testMasuiDefaultEquivalence() {
+        console.log('=== Testing Masui 2022 default model equivalence ===');
+
+        const patient = this.createPatient();
+        const reference = MasuiKe0Calculator.calculateKe0Complete(
+            patient.age, patient.weight, patient.height, patient.sex, patient.asaPS
+        );
+        const pkParams = PKModels.calculatePKParameters(patient);
+
+        const expected = {
+            V1: reference.pkParameters.V1,
+            CL: reference.pkParameters.CL,
+            ke0: reference.ke0_numerical || reference.ke0_regression,
+            k10: reference.rateConstants.k10,
+            k31: reference.rateConstants.k31
+        };
+        const maxError = Math.max(...Object.keys(expected).map(key => Math.abs(pkParams[key] - expected[key])));
+
+        const testResult = {
+            testName: 'Masui Default Equivalence',
+            passed: pkParams.modelId === 'masui2022' && maxError < this.tolerance,
+            details: { modelId: pkParams.modelId, maxError: maxError }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Max parameter difference: ${maxError.toExponential(2)}`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Published reference values for a 50y, 70kg, 170cm male
+     */
+    testPublishedModels() {
+        console.log('=== Testing Schnider / Minto model parameters ===');
+
+        const schnider = PKModels.calculatePKParameters(this.createPatient('schnider1998'));
+        const minto = PKModels.calculatePKParameters(this.createPatient('minto1997'));
+        const lbm = calculateJamesLeanBodyMass(this.createPatient());
+
+        const checks = [
+            Math.abs(schnider.V1 - 4.27) < this.tolerance,
+            Math.abs(schnider.V2 - (18.9 - 0.391 * -3)) < this.tolerance,
+            Math.abs(schnider.ke0 - 0.456) < this.tolerance,
+            Math.abs(minto.V3 - 5.42) < this.tolerance,
+            Math.abs(minto.V1 - (5.1 - 0.0201 * 10 + 0.072 * (lbm - 55))) < this.tolerance,
+            Math.abs(minto.ke0 - (0.595 - 0.007 * 10)) < this.tolerance,
+            Math.abs(schnider.k10 - schnider.CL / schnider.V1) < this.tolerance
+        ];
+
+        const testResult = {
+            testName: 'Published Model Parameters',
+            passed: checks.every(Boolean),
+            details: { schnider: schnider, minto: minto, lbm: lbm }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Checks passed: ${checks.filter(Boolean).length}/${checks.length}`);
+        return testResult;
+    }
+
+    /**
+     * Engines must follow patient.pkModelId without code changes
+     */
+    testEngineModelSelection() {
+        console.log('=== Testing engine model selection ===');
+
+        const patient = this.createPatient('schnider1998');
+        const enhancedEngine = new EnhancedProtocolEngine();
+        enhancedEngine.setPatient(patient);
+        const monitoringEngine = new MonitoringEngine();
+        monitoringEngine.setPatient(patient);
+        const inductionParams = new InductionEngine().calculatePKParameters(patient);
+
+        const testResult = {
+            testName: 'Engine Model Selection',
+            passed: enhancedEngine.pkParams.modelId === 'schnider1998' &&
+                    patient.pkParams.modelId === 'schnider1998' &&
+                    inductionParams.modelId === 'schnider1998',
+            details: {
+                enhanced: enhancedEngine.pkParams.modelId,
+                monitoring: patient.pkParams.modelId,
+                induction: inductionParams.modelId
+            }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Only remimazolam models are offered to patients: the limits, units and PD are set for it
+     */
+    testSelectableModels() {
+        console.log('=== Testing selectable models ===');
+
+        const selectable = PKModels.listSelectable();
+        const checks = [
+            selectable.length > 0 && selectable.every(model => model.drug === ApplicationDrug),
+            selectable.some(model => model.id === PKModels.defaultModelId),
+            PKModels.list().length > selectable.length,
+            PKModels.isSelectable('masui2022'),
+            !PKModels.isSelectable('schnider1998'),
+            !PKModels.isSelectable('minto1997'),
+            !PKModels.isSelectable('does-not-exist')
+        ];
+
+        const testResult = {
+            testName: 'Selectable Models',
+            passed: checks.every(Boolean),
+            details: { selectable: selectable.map(model => model.id), checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Unknown model ids and non-PKModel registrations must be rejected
+     */
+    testRegistryErrors() {
+        console.log('=== Testing registry error handling ===');
+
+        const registry = new PKModelRegistry();
+        let unknownRejected = false;
+        let invalidRejected = false;
+
+        try {
+            registry.get('does-not-exist');
+        } catch (error) {
+            unknownRejected = true;
+        }
+
+        try {
+            registry.register({ id: 'plain-object' });
+        } catch (error) {
+            invalidRejected = true;
+        }
+
+        const testResult = {
+            testName: 'Registry Error Handling',
+            passed: unknownRejected && invalidRejected,
+            details: { unknownRejected: unknownRejected, invalidRejected: invalidRejected }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Run all tests
+     */
+    runAllTests() {
+        console.log('🧪 Starting PK Model Registry Tests');
+        console.log('===============================================');
+
+        this.testMasuiDefaultEquivalence();
+        this.testPublishedModels();
+        this.testEngineModelSelection();
+        this.testSelectableModels();
+        this.testRegistryErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PKModelRegistryTests = PKModelRegistryTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PKModelRegistryTests };
+}
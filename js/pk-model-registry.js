@@ -0,0 +1,384 @@
+/**
+ * Pharmacokinetic Model Registry for Remimazolam TCI TIVA
+ * Pluggable drug/PK-model definitions
+ *
+ * Features:
+ * - Common PKModel interface (compartment volumes/clearances + ke0)
+ * - Registry for selecting a published model per patient (patient.pkModelId)
+ * - Masui 2022 remimazolam model as default (delegates to MasuiKe0Calculator)
+ * - Schnider 1998 propofol and Minto 1997 remifentanil models (engine level only: the
+ *   patient selector offers the remimazolam models the dose limits, units and PD are set for)
+ */
+
+// Import required modules for Node.js environment
+if (typeof require !== 'undefined') {
+    const { MasuiKe0Calculator } = require('../utils/masui-ke0-calculator.js');
+    const { SexType } = require('./models.js');
+
+    global.MasuiKe0Calculator = MasuiKe0Calculator;
+    global.SexType = SexType;
+}
+
+/**
+ * Abstract base class for 3-compartment + effect-site PK models
+ */
+class PKModel {
+    /**
+     * @param {Object} definition - {id, name, drug, reference, concentrationUnit, doseUnit}
+     */
+    constructor(definition) {
+        this.id = definition.id;
+        this.name = definition.name;
+        this.drug = definition.drug;
+        this.reference = definition.reference || '';
+        this.concentrationUnit = definition.concentrationUnit || 'μg/mL';
+        this.doseUnit = definition.doseUnit || 'mg';
+    }
+
+    /**
+     * Compartment volumes (L) and clearances (L/min) for a patient
+     * @param {Object} patient - Patient object
+     * @returns {Object} - {V1, V2, V3, CL, Q2, Q3}
+     */
+    calculateCompartmentParameters(patient) {
+        throw new Error('PKModel.calculateCompartmentParameters() must be implemented by subclasses');
+    }
+
+    /**
+     * Effect-site equilibration rate constant (1/min)
+     * @param {Object} patient - Patient object
+     * @param {Object} compartments - Result of calculateCompartmentParameters
+     * @returns {number} - ke0
+     */
+    calculateKe0(patient, compartments) {
+        throw new Error('PKModel.calculateKe0() must be implemented by subclasses');
+    }
+
+    /**
+     * Model-specific covariate checks
+     * @returns {string|null} - Error message or null when the patient is within the model's range
+     */
+    validatePatient(patient) {
+        return null;
+    }
+
+    /**
+     * Full parameter set in the engine format (uppercase volumes/clearances + rate constants)
+     * @param {Object} patient - Patient object
+     * @returns {Object} - {V1, V2, V3, CL, Q2, Q3, ke0, k10, k12, k21, k13, k31, modelId}
+     */
+    calculatePKParameters(patient) {
+        const validationError = this.validatePatient(patient);
+        if (validationError) {
+            throw new Error(`${this.name}: ${validationError}`);
+        }
+
+        const compartments = this.calculateCompartmentParameters(patient);
+        const ke0 = this.calculateKe0(patient, compartments);
+        return this.assembleParameters(compartments, ke0);
+    }
+
+    /**
+     * Derive micro rate constants and build the engine parameter object
+     */
+    assembleParameters(compartments, ke0) {
+        const { V1, V2, V3, CL, Q2, Q3 } = compartments;
+
+        for (const [name, value] of Object.entries({ V1, V2, V3, CL, Q2, Q3, ke0 })) {
+            if (!isFinite(value) || value <= 0) {
+                throw new Error(`${this.name}: invalid ${name} (${value})`);
+            }
+        }
+
+        return {
+            V1: V1,
+            V2: V2,
+            V3: V3,
+            CL: CL,
+            Q2: Q2,
+            Q3: Q3,
+            ke0: ke0,
+            k10: CL / V1,
+            k12: Q2 / V1,
+            k21: Q2 / V2,
+            k13: Q3 / V1,
+            k31: Q3 / V3,
+            modelId: this.id
+        };
+    }
+
+    getMetadata() {
+        return {
+            id: this.id,
+            name: this.name,
+            drug: this.drug,
+            reference: this.reference,
+            concentrationUnit: this.concentrationUnit,
+            doseUnit: this.doseUnit
+        };
+    }
+}
+
+/**
+ * James lean body mass (kg), used by the Schnider and Minto models
+ */
+function calculateJamesLeanBodyMass(patient) {
+    const ratio = patient.weight / patient.height;
+    return patient.sex === SexType.MALE ?
+        1.1 * patient.weight - 128 * ratio * ratio :
+        1.07 * patient.weight - 148 * ratio * ratio;
+}
+
+/**
+ * Masui 2022 remimazolam model (default)
+ */
+class MasuiRemimazolamModel extends PKModel {
+    constructor() {
+        super({
+            id: 'masui2022',
+            name: 'Masui 2022',
+            drug: 'remimazolam',
+            reference: 'Masui K, et al. J Anesth 2022'
+        });
+    }
+
+    calculateCompartmentParameters(patient) {
+        return MasuiKe0Calculator.calculatePKParameters(
+            patient.age, patient.weight, patient.height, patient.sex, patient.asaPS
+        );
+    }
+
+    calculateKe0(patient, compartments) {
+        const coefficients = MasuiKe0Calculator.calculatePlasmaCoefficients(
+            MasuiKe0Calculator.calculateRateConstants(compartments)
+        );
+        return MasuiKe0Calculator.calculateKe0Numerical(coefficients) ||
+            MasuiKe0Calculator.calculateKe0Regression(
+                patient.age, patient.weight, patient.height, patient.sex, patient.asaPS
+            );
+    }
+
+    /**
+     * Use the complete Masui calculation so validation and error logging stay in one place
+     */
+    calculatePKParameters(patient) {
+        const result = MasuiKe0Calculator.calculateKe0Complete(
+            patient.age,
+            patient.weight,
+            patient.height,
+            patient.sex,
+            patient.asaPS
+        );
+
+        if (!result.success) {
+            throw new Error('Failed to calculate PK parameters: ' + result.error);
+        }
+
+        return this.assembleParameters(
+            result.pkParameters,
+            result.ke0_numerical || result.ke0_regression
+        );
+    }
+}
+
+/**
+ * Schnider 1998/1999 propofol model
+ */
+class SchniderPropofolModel extends PKModel {
+    constructor() {
+        super({
+            id: 'schnider1998',
+            name: 'Schnider 1998',
+            drug: 'propofol',
+            reference: 'Schnider TW, et al. Anesthesiology 1998;88:1170-82 / 1999;90:1502-16'
+        });
+    }
+
+    validatePatient(patient) {
+        if (calculateJamesLeanBodyMass(patient) <= 0) {
+            return 'James lean body mass is not defined for this weight/height (extreme BMI)';
+        }
+        return null;
+    }
+
+    calculateCompartmentParameters(patient) {
+        const lbm = calculateJamesLeanBodyMass(patient);
+        return {
+            V1: 4.27,
+            V2: 18.9 - 0.391 * (patient.age - 53),
+            V3: 238,
+            CL: 1.89 + 0.0456 * (patient.weight - 77) - 0.0681 * (lbm - 59) + 0.0264 * (patient.height - 177),
+            Q2: 1.29 - 0.024 * (patient.age - 53),
+            Q3: 0.836
+        };
+    }
+
+    calculateKe0() {
+        return 0.456;
+    }
+}
+
+/**
+ * Minto 1997 remifentanil model
+ * Doses are entered in mg like every other model, so 0.001 μg/mL = 1 ng/mL
+ */
+class MintoRemifentanilModel extends PKModel {
+    constructor() {
+        super({
+            id: 'minto1997',
+            name: 'Minto 1997',
+            drug: 'remifentanil',
+            reference: 'Minto CF, et al. Anesthesiology 1997;86:10-23'
+        });
+    }
+
+    validatePatient(patient) {
+        if (calculateJamesLeanBodyMass(patient) <= 0) {
+            return 'James lean body mass is not defined for this weight/height (extreme BMI)';
+        }
+        return null;
+    }
+
+    calculateCompartmentParameters(patient) {
+        const lbm = calculateJamesLeanBodyMass(patient);
+        const age = patient.age - 40;
+        return {
+            V1: 5.1 - 0.0201 * age + 0.072 * (lbm - 55),
+            V2: 9.82 - 0.0811 * age + 0.108 * (lbm - 55),
+            V3: 5.42,
+            CL: 2.6 - 0.0162 * age + 0.0191 * (lbm - 55),
+            Q2: 2.05 - 0.0301 * age,
+            Q3: 0.076 - 0.00113 * age
+        };
+    }
+
+    calculateKe0(patient) {
+        return 0.595 - 0.007 * (patient.age - 40);
+    }
+}
+
+/**
+ * Drug the application's dose limits, units and PD models are calibrated for
+ */
+const ApplicationDrug = 'remimazolam';
+
+/**
+ * Registry of available PK models
+ */
+class PKModelRegistry {
+    constructor() {
+        this.models = new Map();
+        this.defaultModelId = null;
+    }
+
+    /**
+     * Register a model (the first registered model becomes the default)
+     * @param {PKModel} model - Model instance
+     */
+    register(model) {
+        if (!(model instanceof PKModel)) {
+            throw new Error('Only PKModel instances can be registered');
+        }
+        this.models.set(model.id, model);
+        if (!this.defaultModelId) {
+            this.defaultModelId = model.id;
+        }
+        return model;
+    }
+
+    has(modelId) {
+        return this.models.has(modelId);
+    }
+
+    /**
+     * Get a model by id
+     * @param {string} modelId - Model id (default model when omitted)
+     * @returns {PKModel}
+     */
+    get(modelId = null) {
+        const id = modelId || this.defaultModelId;
+        const model = this.models.get(id);
+        if (!model) {
+            throw new Error(`Unknown PK model: ${id}`);
+        }
+        return model;
+    }
+
+    setDefault(modelId) {
+        this.get(modelId);
+        this.defaultModelId = modelId;
+    }
+
+    /**
+     * List registered models
+     * @param {string} drug - Only the models of this drug (all when omitted)
+     */
+    list(drug = null) {
+        return Array.from(this.models.values())
+            .filter(model => !drug || model.drug === drug)
+            .map(model => model.getMetadata());
+    }
+
+    /**
+     * Models a patient can be given: those of the application's drug
+     */
+    listSelectable() {
+        return this.list(ApplicationDrug);
+    }
+
+    isSelectable(modelId) {
+        return this.has(modelId) && this.get(modelId).drug === ApplicationDrug;
+    }
+
+    /**
+     * Model selected for a patient (patient.pkModelId, else the default model)
+     */
+    getModelForPatient(patient) {
+        return this.get(patient && patient.pkModelId);
+    }
+
+    /**
+     * Calculate engine-format PK parameters with the patient's selected model
+     * (patient.ke0Factor, when set, scales the model ke0)
+     * @param {Object} patient - Patient object
+     * @returns {Object} - {V1, V2, V3, CL, Q2, Q3, ke0, k10, k12, k21, k13, k31, modelId}
+     */
+    calculatePKParameters(patient) {
+        const pkParams = this.getModelForPatient(patient).calculatePKParameters(patient);
+        if (patient && patient.ke0Factor > 0) {
+            pkParams.ke0 *= patient.ke0Factor;
+        }
+        return pkParams;
+    }
+}
+
+// Global registry instance with the built-in models
+const PKModels = new PKModelRegistry();
+PKModels.register(new MasuiRemimazolamModel());
+PKModels.register(new SchniderPropofolModel());
+PKModels.register(new MintoRemifentanilModel());
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PKModel = PKModel;
+    window.MasuiRemimazolamModel = MasuiRemimazolamModel;
+    window.SchniderPropofolModel = SchniderPropofolModel;
+    window.MintoRemifentanilModel = MintoRemifentanilModel;
+    window.PKModelRegistry = PKModelRegistry;
+    window.PKModels = PKModels;
+    window.ApplicationDrug = ApplicationDrug;
+    window.calculateJamesLeanBodyMass = calculateJamesLeanBodyMass;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PKModel,
+        MasuiRemimazolamModel,
+        SchniderPropofolModel,
+        MintoRemifentanilModel,
+        PKModelRegistry,
+        PKModels,
+        ApplicationDrug,
+        calculateJamesLeanBodyMass
+    };
+}
@@ -6,6 +6,9 @@
  * - 3-compartment pharmacokinetic model
  * - Effect-site pharmacodynamics
  * - Compatible with all numerical solvers
+ * - Boluses applied by the solvers as state jumps at their event times
+ * - Eliminated-drug accumulator and cumulative dose for mass-balance accounting
+ * - Analytic Jacobian for the stiff (BDF) Newton iteration
  * - Masui 2022 model implementation
  */
 
@@ -25,11 +28,11 @@ function createPKPDSystem(pkParams) {
     /**
      * ODE system function
      * @param {number} t - Current time
-     * @param {Array} state - Current state [a1, a2, a3, ce]
+     * @param {Array} state - Current state [a1, a2, a3, ce] or [a1, a2, a3, ce, eliminated]
      * @param {function} infusionRateFunc - Function to get infusion rate at time t
-     * @returns {Array} - Derivatives [da1/dt, da2/dt, da3/dt, dce/dt]
+     * @returns {Array} - Derivatives [da1/dt, da2/dt, da3/dt, dce/dt(, deliminated/dt)]
      */
-    return function(t, state, infusionRateFunc) {
+    const system = function(t, state, infusionRateFunc) {
         const [a1, a2, a3, ce] = state;
         const infusionRate = infusionRateFunc(t);
         
@@ -44,75 +47,87 @@ function createPKPDSystem(pkParams) {
         // Effect-site equation
         const dcedt = ke0 * (plasmaConc - ce);
         
+        // Eliminated amount accumulates k10 * a1 when the state carries it
+        if (state.length > 4) {
+            return [da1dt, da2dt, da3dt, dcedt, k10 * a1];
+        }
+        
         return [da1dt, da2dt, da3dt, dcedt];
     };
+
+    // Expose the linear system coefficients for the exact analytical solver
+    system.pkParams = { k10, k12, k21, k13, k31, ke0, V1 };
+
+    /**
+     * Analytic Jacobian ∂f/∂state (constant: the system is linear in the state)
+     * used by the LSODA Newton iteration
+     * @param {number} t - Current time
+     * @param {Array} state - Current state [a1, a2, a3, ce] or [a1, a2, a3, ce, eliminated]
+     * @returns {Array} - n×n matrix
+     */
+    system.jacobian = function(t, state) {
+        const jacobian = [
+            [-(k10 + k12 + k13), k21, k31, 0],
+            [k12, -k21, 0, 0],
+            [k13, 0, -k31, 0],
+            [ke0 / V1, 0, 0, -ke0]
+        ];
+
+        if (state.length > 4) {
+            jacobian.forEach(row => row.push(0));
+            jacobian.push([k10, 0, 0, 0, 0]);
+        }
+
+        return jacobian;
+    };
+
+    return system;
 }
 
 /**
  * Create infusion rate function from protocol definition
+ * Continuous infusion only: boluses are applied by the solvers as state jumps
+ * (options.doseEvents), never as a rate spike a step could miss.
  * @param {Array} doseEvents - Array of dose events {time, bolusMg, continuousMgKgHr}
  * @param {Object} patient - Patient object with weight
- * @returns {function} - Infusion rate function
+ * @returns {function} - Infusion rate function (mg/min)
  */
 function createInfusionRateFunction(doseEvents, patient) {
     // Sort dose events by time
     const sortedEvents = [...doseEvents].sort((a, b) => a.timeInMinutes - b.timeInMinutes);
     
-    console.log(`=== PKPDIntegrationAdapter createInfusionRateFunction DEBUG ===`);
-    console.log(`Sorted dose events:`, sortedEvents.map(e => ({ time: e.timeInMinutes, bolus: e.bolusMg, continuous: e.continuousMgKgHr })));
-    console.log(`Patient weight: ${patient.weight}kg`);
-    
     return function(t) {
         let currentRate = 0; // mg/min
-        let bolusDose = 0;   // mg (instant)
         
         // Find the most recent dose event
         for (const event of sortedEvents) {
             if (t >= event.timeInMinutes) {
                 // Continuous infusion rate conversion
                 currentRate = (event.continuousMgKgHr * patient.weight) / 60.0; // mg/kg/hr to mg/min
-                
-                // Bolus dose (only at exact time)
-                if (Math.abs(t - event.timeInMinutes) < 0.001) {
-                    bolusDose = event.bolusMg;
-                    console.log(`=== PKPDIntegrationAdapter BOLUS DETECTED ===`);
-                    console.log(`Time t=${t}, event time=${event.timeInMinutes}, bolus dose=${bolusDose}mg`);
-                    console.log(`Delta function rate: ${bolusDose / 0.001} mg/min`);
-                }
             } else {
                 break;
             }
         }
         
-        const totalRate = currentRate + (bolusDose > 0 ? bolusDose / 0.001 : 0);
-        
-        // Log for times around t=0 to see bolus processing
-        if (t >= -0.01 && t <= 0.02) {
-            console.log(`PKPDIntegrationAdapter rate function: t=${t}, continuous=${currentRate}, bolus=${bolusDose}, total=${totalRate}`);
-        }
-        
-        // Return total rate (continuous + bolus delta function approximation)
-        return totalRate;
+        return currentRate;
     };
 }
 
 /**
  * Create simplified infusion rate function for testing
+ * Give boluses as the initial state (calculateBolusInitialState) or as dose events:
+ * a bolus passed here would be a rate spike, so it is rejected rather than dropped.
  * @param {number} continuousRate - Continuous rate in mg/min
- * @param {number} bolusTime - Time of bolus (optional)
- * @param {number} bolusDose - Bolus dose in mg (optional)
+ * @param {number} bolusTime - Time of bolus (optional; rejected when a bolus dose is given)
+ * @param {number} bolusDose - Bolus dose in mg (optional; rejected when positive)
  * @returns {function} - Infusion rate function
  */
 function createSimpleInfusionRate(continuousRate = 0, bolusTime = -1, bolusDose = 0) {
+    if (bolusTime >= 0 && bolusDose > 0) {
+        throw new Error('Boluses are applied as state jumps: give them as dose events or the initial state, not as an infusion rate');
+    }
     return function(t) {
-        let rate = continuousRate;
-        
-        // Add bolus at specific time
-        if (bolusTime >= 0 && Math.abs(t - bolusTime) < 0.001) {
-            rate += bolusDose / 0.001; // Delta function approximation
-        }
-        
-        return rate;
+        return continuousRate;
     };
 }
 
@@ -137,14 +152,16 @@ function calculateBolusInitialState(bolusDoseMg, pkParams) {
  * @param {Object} solverResult - Result from numerical solver
  * @param {Object} pkParams - PK parameters
  * @param {Object} patient - Patient object
- * @returns {Object} - Clinical results with concentrations
+ * @returns {Object} - Clinical results with concentrations, compartment amounts (mg),
+ *   amount eliminated and cumulative dose (mg) when the solver tracked them, and the
+ *   solver's DenseOutput (RK45/LSODA) for concentrations between the output points
  */
 function convertToClinicalResults(solverResult, pkParams, patient, infusionRateFunc = null) {
-    const { times, states, stats } = solverResult;
+    const { times, states, stats, massBalance } = solverResult;
     const timeSeriesData = [];
     
     for (let i = 0; i < times.length; i++) {
-        const [a1, a2, a3, ce] = states[i];
+        const [a1, a2, a3, ce, eliminated = null] = states[i];
         const plasmaConc = a1 / pkParams.V1; // μg/mL
         const currentTime = times[i];
         
@@ -168,13 +185,21 @@ function convertToClinicalResults(solverResult, pkParams, patient, infusionRateF
                 a1: a1,
                 a2: a2,
                 a3: a3
-            }
+            },
+            eliminatedAmount: eliminated,
+            cumulativeDose: massBalance ? massBalance.cumulativeDose[i] : null
         });
     }
     
     return {
         timeSeriesData: timeSeriesData,
         stats: stats,
+        massBalance: massBalance ? {
+            maxAbsoluteError: massBalance.maxAbsoluteError,
+            maxRelativeError: massBalance.maxRelativeError,
+            conserved: massBalance.conserved
+        } : null,
+        denseOutput: solverResult.denseOutput || null,
         maxPlasmaConcentration: Math.max(...timeSeriesData.map(d => d.plasmaConcentration)),
         maxEffectSiteConcentration: Math.max(...timeSeriesData.map(d => d.effectSiteConcentration)),
         finalPlasmaConcentration: timeSeriesData[timeSeriesData.length - 1].plasmaConcentration,
@@ -195,7 +220,7 @@ class PKPDIntegrationAdapter {
 
     /**
      * Set numerical method
-     * @param {string} method - Method name (euler, rk4, rk45)
+     * @param {string} method - Method name (euler, rk4, rk45, lsoda, analytical)
      */
     setMethod(method) {
         return this.solver.setMethod(method);
@@ -236,6 +261,11 @@ class PKPDIntegrationAdapter {
      * @returns {number} - New effect-site concentration
      */
     updateEffectSiteConcentration(plasmaConc, currentCe, ke0, dt) {
+        // Closed form for constant Cp over the step
+        if (this.solver.getCurrentMethod() === 'analytical') {
+            return plasmaConc + (currentCe - plasmaConc) * Math.exp(-ke0 * dt);
+        }
+
         // Simple effect-site ODE: dCe/dt = ke0 * (Cp - Ce)
         const effectSiteODE = (t, state) => [ke0 * (plasmaConc - state[0])];
         
@@ -251,29 +281,29 @@ class PKPDIntegrationAdapter {
 
     /**
      * Full simulation with unified interface
+     * Every solver applies the boluses as state jumps at their event times and
+     * integrates the segments between events. The state carries the eliminated
+     * amount so the solver checks the mass balance of every run.
      * @param {Array} doseEvents - Dose events
      * @param {Object} patient - Patient object
      * @param {number} simulationDuration - Duration in minutes
-     * @param {Object} options - Simulation options
+     * @param {Object} options - Simulation options {timeStep, initialState}
+     *   initialState: [a1, a2, a3, ce] at time 0 to continue from (e.g. the end of a previous segment)
      * @returns {Object} - Clinical results
      */
     simulate(doseEvents, patient, simulationDuration, options = {}) {
         const timeStep = options.timeStep || 0.005;
-        const initialState = calculateBolusInitialState(
-            doseEvents[0]?.bolusMg || 0, 
-            this.pkParams
-        );
-        
-        const infusionRateFunc = createInfusionRateFunction(doseEvents, patient);
+        const initialState = options.initialState ? options.initialState.slice(0, 4) : [0, 0, 0, 0];
+        initialState.push(0); // Eliminated since the start of this simulation
         
         const result = this.solver.solve(
             this.odeSystem,
             initialState,
             [0, simulationDuration],
-            { timeStep: timeStep, infusionRateFunc: infusionRateFunc }
+            { timeStep: timeStep, doseEvents: doseEvents, patient: patient }
         );
         
-        return convertToClinicalResults(result, this.pkParams, patient, infusionRateFunc);
+        return convertToClinicalResults(result, this.pkParams, patient, createInfusionRateFunction(doseEvents, patient));
     }
 
     /**
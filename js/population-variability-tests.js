@@ -0,0 +1,161 @@
+/**
+ * Population Variability Tests
+ * Validates the Monte Carlo IIV simulator and its prediction bands
+ */
+
+class PopulationVariabilityTests {
+    constructor() {
+        this.testResults = [];
+        this.tolerance = 1e-9;
+        this.doseEvents = [new DoseEvent(0, 7, 1.0), new DoseEvent(30, 0, 0.5)];
+    }
+
+    createPatient(pkModelId = null) {
+        return new Patient('test-population', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2, null, pkModelId);
+    }
+
+    /**
+     * With all ω² = 0 every percentile equals the typical-value analytical solution
+     */
+    testZeroVariabilityMatchesTypical() {
+        console.log('=== Testing zero-variability collapse ===');
+
+        const patient = this.createPatient();
+        const zeroOmegas = {};
+        Object.keys(PopulationVariabilityDefaults.omega2).forEach(name => { zeroOmegas[name] = 0; });
+        const simulator = new PopulationVariabilitySimulator({ numSubjects: 5, omega2: zeroOmegas });
+        const bands = simulator.simulate(patient, this.doseEvents, 60, 1.0);
+
+        const pkParams = PKModels.calculatePKParameters(patient);
+        const reference = new AnalyticalSolver().solve(null, [0, 0, 0, 0], 0, 60, {
+            timeStep: 1.0, pkParams: pkParams, doseEvents: this.doseEvents, patient: patient
+        });
+
+        let maxError = 0;
+        reference.states.forEach((state, i) => {
+            [5, 50, 95].forEach(p => {
+                maxError = Math.max(maxError,
+                    Math.abs(bands.plasma[p][i] - state[0] / pkParams.V1),
+                    Math.abs(bands.effect[p][i] - state[3]));
+            });
+        });
+
+        const testResult = {
+            testName: 'Zero Variability Matches Typical',
+            passed: maxError < this.tolerance,
+            details: { maxError: maxError }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Max difference from typical: ${maxError.toExponential(2)}`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Bands are ordered, widen with variability and are reproducible for a seed
+     */
+    testBandProperties() {
+        console.log('=== Testing prediction band properties ===');
+
+        const patient = this.createPatient();
+        const first = new PopulationVariabilitySimulator({ numSubjects: 100 }).simulate(patient, this.doseEvents, 60, 1.0);
+        const second = new PopulationVariabilitySimulator({ numSubjects: 100 }).simulate(patient, this.doseEvents, 60, 1.0);
+
+        const ordered = first.effect[5].every((low, i) =>
+            low <= first.effect[50][i] && first.effect[50][i] <= first.effect[95][i]);
+        const widthAt10 = first.effect[95][10] - first.effect[5][10];
+        const reproducible = first.effect[50].every((value, i) => value === second.effect[50][i]);
+
+        const resampled = new PopulationVariabilitySimulator().resample(first, [0.5, 10]);
+        const interpolated = Math.abs(resampled.effect[50][0] - (first.effect[50][0] + first.effect[50][1]) / 2) < this.tolerance &&
+            Math.abs(resampled.effect[50][1] - first.effect[50][10]) < this.tolerance;
+
+        // Default ω² are flagged as assumed; any setOmegas update marks them custom
+        const labelled = first.omega2Source === 'assumed' && resampled.omega2Source === 'assumed' &&
+            new PopulationVariabilitySimulator({ omega2: { CL: 0.05 } }).omega2Source === 'custom';
+
+        const checks = [ordered, widthAt10 > 0.05, reproducible, interpolated, labelled];
+
+        const testResult = {
+            testName: 'Band Properties',
+            passed: checks.every(Boolean),
+            details: { widthAt10: widthAt10, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Ce 5-95% width at 10 min: ${widthAt10.toFixed(3)} μg/mL`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Non-Masui models, invalid omegas and invalid numbers of virtual patients are rejected
+     */
+    testErrors() {
+        console.log('=== Testing population simulator errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const checks = [
+            expectError(() => new PopulationVariabilitySimulator().simulate(
+                this.createPatient('schnider1998'), this.doseEvents, 60)),
+            expectError(() => new PopulationVariabilitySimulator({ omega2: { CL: -0.1 } })),
+            expectError(() => new PopulationVariabilitySimulator().simulate(this.createPatient(), [], 60)),
+            expectError(() => new PopulationVariabilitySimulator({ numSubjects: 0 })),
+            expectError(() => new PopulationVariabilitySimulator().setNumSubjects(2.5)),
+            expectError(() => new PopulationVariabilitySimulator().setNumSubjects(PopulationVariabilityDefaults.maxSubjects + 1)),
+            new PopulationVariabilitySimulator().setNumSubjects(20) === 20 &&
+                new PopulationVariabilitySimulator({ numSubjects: 20 }).simulate(this.createPatient(), this.doseEvents, 10).numSubjects === 20
+        ];
+
+        const testResult = {
+            testName: 'Simulator Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Population Variability Tests');
+        console.log('===============================================');
+
+        this.testZeroVariabilityMatchesTypical();
+        this.testBandProperties();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PopulationVariabilityTests = PopulationVariabilityTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PopulationVariabilityTests };
+}
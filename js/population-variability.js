@@ -0,0 +1,260 @@
+/**
+ * Population Variability Simulator for Remimazolam TCI TIVA
+ * Monte Carlo prediction bands from inter-individual variability (IIV)
+ *
+ * Features:
+ * - Log-normal IIV (ω²) around the Masui 2022 typical patient
+ * - Default ω² are assumed values, not the published Masui 2022 IIV estimates (bands are illustrative)
+ * - N virtual patients through the same dose events (exact analytical solver), N set from the UI
+ * - 5/50/95th percentile Cp/Ce bands
+ * - Seeded random numbers for reproducible bands
+ */
+
+// Import required modules for Node.js environment
+if (typeof require !== 'undefined') {
+    const { MasuiKe0Calculator } = require('../utils/masui-ke0-calculator.js');
+    const { PKModels } = require('./pk-model-registry.js');
+    const { AnalyticalSolver } = require('./numerical-solvers.js');
+
+    global.MasuiKe0Calculator = MasuiKe0Calculator;
+    global.PKModels = PKModels;
+    global.AnalyticalSolver = AnalyticalSolver;
+}
+
+// Default IIV as ω² (variance of η, P_i = P_typical · exp(η_i)).
+// These are assumed placeholder values, NOT the IIV estimates of Masui et al.
+// (J Anesth 2022;36:493-505): bands from them only illustrate variability.
+// Set the published estimates or locally fitted values through
+// PopulationVariabilitySimulator.setOmegas().
+const PopulationVariabilityDefaults = {
+    omega2: {
+        V1: 0.0961,
+        V2: 0.0784,
+        V3: 0.0841,
+        CL: 0.0400,
+        Q2: 0.1296,
+        Q3: 0.1089,
+        ke0: 0.0900
+    },
+    omega2Source: 'assumed',  // 'assumed' (defaults above) or 'custom' (any value set through setOmegas)
+    numSubjects: 200,
+    maxSubjects: 2000,  // Upper limit for N (run time grows linearly with N)
+    percentiles: [5, 50, 95],
+    seed: 20220101
+};
+
+/**
+ * Seeded uniform random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function} - Returns uniform values in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function sampleStandardNormal(random) {
+    const u1 = Math.max(random(), Number.MIN_VALUE);
+    const u2 = random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Percentile with linear interpolation of a sorted array
+ */
+function percentileOfSorted(sorted, percentile) {
+    const position = (sorted.length - 1) * percentile / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+class PopulationVariabilitySimulator {
+    constructor(options = {}) {
+        this.omega2 = { ...PopulationVariabilityDefaults.omega2 };
+        this.omega2Source = PopulationVariabilityDefaults.omega2Source;
+        this.setNumSubjects(options.numSubjects !== undefined ? options.numSubjects : PopulationVariabilityDefaults.numSubjects);
+        this.percentiles = options.percentiles || PopulationVariabilityDefaults.percentiles;
+        this.seed = options.seed !== undefined ? options.seed : PopulationVariabilityDefaults.seed;
+        this.solver = new AnalyticalSolver();
+        this.setOmegas(options.omega2 || {});
+    }
+
+    /**
+     * Update IIV variances (partial updates allowed); any update marks omega2Source 'custom'
+     * @param {Object} omega2 - {V1, V2, V3, CL, Q2, Q3, ke0}
+     */
+    setOmegas(omega2 = {}) {
+        const next = { ...this.omega2, ...omega2 };
+        for (const [name, value] of Object.entries(next)) {
+            if (!isFinite(value) || value < 0) {
+                throw new Error(`Invalid omega² for ${name}: ${value}`);
+            }
+        }
+        this.omega2 = next;
+        if (Object.keys(omega2).length > 0) {
+            this.omega2Source = 'custom';
+        }
+        return this.omega2;
+    }
+
+    /**
+     * Set the number of virtual patients
+     * @param {number} numSubjects - Integer from 1 to PopulationVariabilityDefaults.maxSubjects
+     */
+    setNumSubjects(numSubjects) {
+        if (!Number.isInteger(numSubjects) || numSubjects < 1 || numSubjects > PopulationVariabilityDefaults.maxSubjects) {
+            throw new Error(`Number of virtual patients must be an integer from 1 to ${PopulationVariabilityDefaults.maxSubjects}: ${numSubjects}`);
+        }
+        this.numSubjects = numSubjects;
+        return this.numSubjects;
+    }
+
+    /**
+     * Typical-value parameters for the patient (Masui 2022)
+     * @param {Object} patient - Patient object
+     * @returns {Object} - {V1, V2, V3, CL, Q2, Q3, ke0}
+     */
+    getTypicalParameters(patient) {
+        if (patient.pkModelId && patient.pkModelId !== 'masui2022') {
+            throw new Error('Population variability is only available for the Masui 2022 model');
+        }
+
+        const compartments = MasuiKe0Calculator.calculatePKParameters(
+            patient.age, patient.weight, patient.height, patient.sex, patient.asaPS
+        );
+        const ke0 = PKModels.get('masui2022').calculateKe0(patient, compartments) * (patient.ke0Factor > 0 ? patient.ke0Factor : 1);
+        return { ...compartments, ke0: ke0 };
+    }
+
+    /**
+     * Sample one virtual patient in the engine parameter format
+     * @param {Object} typical - Result of getTypicalParameters
+     * @param {function} random - Uniform random number generator
+     */
+    sampleIndividual(typical, random) {
+        const individual = {};
+        for (const name of Object.keys(this.omega2)) {
+            const eta = Math.sqrt(this.omega2[name]) * sampleStandardNormal(random);
+            individual[name] = typical[name] * Math.exp(eta);
+        }
+        const { ke0, ...compartments } = individual;
+        return PKModels.get('masui2022').assembleParameters(compartments, ke0);
+    }
+
+    /**
+     * Run N virtual patients through the dose events
+     * @param {Object} patient - Patient object (typical covariates)
+     * @param {Array} doseEvents - DoseEvent list
+     * @param {number} durationMin - Simulation duration (minutes)
+     * @param {number} timeStep - Output grid step (minutes)
+     * @returns {Object} - {times, plasma: {5: [], 50: [], 95: []}, effect: {...}, numSubjects, omega2Source}
+     */
+    simulate(patient, doseEvents, durationMin, timeStep = 1.0) {
+        if (!doseEvents || doseEvents.length === 0) {
+            throw new Error('At least one dose event is required for population simulation');
+        }
+
+        const typical = this.getTypicalParameters(patient);
+        const random = createSeededRandom(this.seed);
+        const plasmaRuns = [];
+        const effectRuns = [];
+        let times = [];
+
+        for (let subject = 0; subject < this.numSubjects; subject++) {
+            const pkParams = this.sampleIndividual(typical, random);
+            const result = this.solver.solve(null, [0, 0, 0, 0], 0, durationMin, {
+                timeStep: timeStep,
+                pkParams: pkParams,
+                doseEvents: doseEvents,
+                patient: patient
+            });
+            times = result.times;
+            plasmaRuns.push(result.states.map(state => Math.max(0, state[0] / pkParams.V1)));
+            effectRuns.push(result.states.map(state => Math.max(0, state[3])));
+        }
+
+        return {
+            times: times,
+            plasma: this.calculatePercentiles(plasmaRuns),
+            effect: this.calculatePercentiles(effectRuns),
+            numSubjects: this.numSubjects,
+            percentiles: [...this.percentiles],
+            omega2Source: this.omega2Source
+        };
+    }
+
+    /**
+     * Linearly interpolate a simulate() result onto another time grid
+     * @param {Object} result - Result of simulate()
+     * @param {number[]} times - Target times (minutes)
+     * @returns {Object} - Same shape as result on the target times
+     */
+    resample(result, times) {
+        const step = result.times[1] - result.times[0];
+        const last = result.times.length - 1;
+        const interpolate = (series) => times.map(t => {
+            const position = Math.min(Math.max(t / step, 0), last);
+            const lower = Math.floor(position);
+            const upper = Math.min(lower + 1, last);
+            return series[lower] + (series[upper] - series[lower]) * (position - lower);
+        });
+
+        const resampleBands = (bands) => {
+            const resampled = {};
+            Object.keys(bands).forEach(p => { resampled[p] = interpolate(bands[p]); });
+            return resampled;
+        };
+
+        return {
+            ...result,
+            times: [...times],
+            plasma: resampleBands(result.plasma),
+            effect: resampleBands(result.effect)
+        };
+    }
+
+    /**
+     * Percentiles across subjects at each time point
+     * @param {Array} runs - One concentration array per subject
+     * @returns {Object} - {percentile: []}
+     */
+    calculatePercentiles(runs) {
+        const bands = {};
+        this.percentiles.forEach(p => { bands[p] = []; });
+
+        const column = new Float64Array(runs.length);
+        for (let i = 0; i < runs[0].length; i++) {
+            for (let s = 0; s < runs.length; s++) {
+                column[s] = runs[s][i];
+            }
+            column.sort();
+            this.percentiles.forEach(p => bands[p].push(percentileOfSorted(column, p)));
+        }
+        return bands;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PopulationVariabilityDefaults = PopulationVariabilityDefaults;
+    window.PopulationVariabilitySimulator = PopulationVariabilitySimulator;
+    window.createSeededRandom = createSeededRandom;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PopulationVariabilityDefaults,
+        PopulationVariabilitySimulator,
+        createSeededRandom
+    };
+}
@@ -6,7 +6,8 @@
  * - Bolus + continuous infusion optimization
  * - Target concentration-based protocol generation
  * - Step-down protocol with threshold management
- * - Runge-Kutta integration for accurate simulation
+ * - Runge-Kutta integration through the shared event-driven simulation kernel
+ * - Rate optimization with the shared bounded optimizer (Brent)
  */
 
 class ProtocolEngine {
@@ -23,6 +24,7 @@ class ProtocolEngine {
             adjustmentInterval: 5.0
         };
         this.lastResult = null;
+        this.kernel = null; // SimulationKernel for the current PK parameters
     }
 
     setPatient(patient) {
@@ -37,20 +39,15 @@ class ProtocolEngine {
     calculatePKParameters(patient) {
         console.log('Calculating PK parameters for protocol optimization');
         
-        // Use the exact Masui Ke0 calculator
-        const result = MasuiKe0Calculator.calculateKe0Complete(
-            patient.age,
-            patient.weight,
-            patient.height,
-            patient.sex,
-            patient.asaPS
-        );
-        
-        if (!result.success) {
+        // Use the model selected for this patient (Masui 2022 by default)
+        let pkParams;
+        try {
+            pkParams = PKModels.calculatePKParameters(patient);
+        } catch (error) {
             if (typeof MedicalErrorLog !== 'undefined') {
                 MedicalErrorLog.logPKError(
                     ErrorSource.PROTOCOL_ENGINE,
-                    'Failed to calculate PK parameters: ' + result.error,
+                    'Failed to calculate PK parameters: ' + error.message,
                     {
                         id: patient.id,
                         age: patient.age,
@@ -61,17 +58,15 @@ class ProtocolEngine {
                     },
                     {
                         calculationType: 'PK parameter calculation',
-                        engineType: 'Protocol Engine'
-                    }
+                        engineType: 'Protocol Engine',
+                        pkModel: patient.pkModelId
+                    },
+                    error
                 );
             }
-            throw new Error('Failed to calculate PK parameters: ' + result.error);
+            throw error;
         }
         
-        const pkParams = result.pkParameters;
-        const rateConstants = result.rateConstants;
-        const ke0 = result.ke0_numerical || result.ke0_regression;
-        
         return {
             v1: pkParams.V1,
             v2: pkParams.V2,
@@ -79,12 +74,12 @@ class ProtocolEngine {
             cl: pkParams.CL,
             q2: pkParams.Q2,
             q3: pkParams.Q3,
-            ke0: ke0,
-            k10: rateConstants.k10,
-            k12: rateConstants.k12,
-            k21: rateConstants.k21,
-            k13: rateConstants.k13,
-            k31: rateConstants.k31
+            ke0: pkParams.ke0,
+            k10: pkParams.k10,
+            k12: pkParams.k12,
+            k21: pkParams.k21,
+            k13: pkParams.k13,
+            k31: pkParams.k31
         };
     }
 
@@ -103,50 +98,34 @@ class ProtocolEngine {
         console.log(`Target concentration: ${targetCe} μg/mL`);
         console.log(`Target time: ${timeToTarget} minutes`);
 
-        // Test range of continuous infusion rates
-        const testRates = [];
-        for (let rate = 0.1; rate <= 6.0; rate += 0.05) {
-            testRates.push(rate);
-        }
-
-        let bestRate = 1.0;
-        let bestError = Infinity;
-        const results = [];
-
-        for (const testRate of testRates) {
-            const ceAtTarget = this.simulateBolusAndContinuous(bolusDoseMg, testRate, timeToTarget);
-            const error = Math.abs(ceAtTarget - targetCe);
-
-            results.push({
-                rate: testRate,
-                ceAtTarget: ceAtTarget,
-                error: error,
-                relativeError: (error / targetCe) * 100
-            });
-
-            if (error < bestError) {
-                bestError = error;
-                bestRate = testRate;
-            }
-        }
-
+        // Bounded 1-D minimization of the squared Ce error at the target time
+        const optimizer = BoundedOptimizer.minimizeScalar(
+            rate => (this.simulateBolusAndContinuous(bolusDoseMg, rate, timeToTarget) - targetCe) ** 2,
+            0.1, 6.0, { tolerance: 1e-4 }
+        );
+        const bestRate = optimizer.x;
         const predictedCe = this.simulateBolusAndContinuous(bolusDoseMg, bestRate, timeToTarget);
+        const bestError = Math.abs(predictedCe - targetCe);
         
         console.log(`Optimal continuous rate: ${bestRate.toFixed(2)} mg/kg/hr`);
         console.log(`Predicted concentration: ${predictedCe.toFixed(3)} μg/mL`);
         console.log(`Error: ${bestError.toFixed(4)} μg/mL (${(bestError/targetCe*100).toFixed(2)}%)`);
+        console.log(`Optimizer: ${optimizer.method}, ${optimizer.evaluations} evaluations, converged=${optimizer.converged}`);
 
-        return new ProtocolResult(
+        const result = new ProtocolResult(
             bestRate,
             predictedCe,
             this.generateProtocolSchedule(bolusDoseMg, bestRate),
             targetCe,
             timeToTarget
         );
+        result.optimizer = optimizer;
+        return result;
     }
 
     /**
-     * Generate complete protocol schedule with step-down adjustments using LSODA
+     * Generate complete protocol schedule with step-down adjustments
+     * The simulation kernel advances the state between the threshold checks.
      */
     generateCompleteProtocol(bolusDoseMg, initialContinuousRate) {
         if (!this.patient || !this.pkParams) {
@@ -155,187 +134,9 @@ class ProtocolEngine {
 
         console.log(`=== Complete Protocol Generation ===`);
         
-        // Enhanced LSODA implementation with medical error logging - try LSODA first
-        console.log('Attempting LSODA integration for protocol generation with RK4 fallback');
-        
-        if (typeof PKLSODASolver !== 'undefined') {
-            try {
-                console.log('Using enhanced LSODA solver for protocol generation');
-                return this.generateCompleteProtocolLSODA(bolusDoseMg, initialContinuousRate);
-            } catch (lsodaError) {
-                console.warn('LSODA protocol generation failed, falling back to RK4:', lsodaError.message);
-                if (typeof MedicalErrorLog !== 'undefined') {
-                    MedicalErrorLog.logNumericalError(
-                        ErrorSource.PROTOCOL_ENGINE,
-                        'LSODA protocol generation failed, using RK4 fallback: ' + lsodaError.message,
-                        { algorithm: 'LSODA → RK4', fallbackApplied: true },
-                        { originalError: lsodaError.message }
-                    );
-                }
-                return this.generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate);
-            }
-        } else {
-            console.log('LSODA solver not available, using RK4');
-            return this.generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate);
-        }
-        
-        // LSODA implementation commented out temporarily
-        /*
-        if (typeof PKLSODASolver !== 'undefined') {
-            try {
-                return this.generateCompleteProtocolLSODA(bolusDoseMg, initialContinuousRate);
-            } catch (error) {
-                console.warn('LSODA protocol generation failed, falling back to RK4:', error);
-                return this.generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate);
-            }
-        } else {
-            console.warn('LSODA solver not available, using RK4');
-            return this.generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate);
-        }
-        */
-    }
-
-    /**
-     * Generate complete protocol using LSODA solver with step-down adjustments
-     */
-    generateCompleteProtocolLSODA(bolusDoseMg, initialContinuousRate) {
-        const solver = new PKLSODASolver();
-        
-        // Create simulation timeline
-        const timeStep = this.settings.timeStep;
-        const numSteps = Math.round(this.settings.simulationDuration / timeStep);
-        const times = [];
-        for (let i = 0; i <= numSteps; i++) {
-            times.push(i * timeStep);
-        }
-        
-        // Start with bolus and initial continuous rate
-        const events = [];
-        const rateChanges = [{ time: 0, rate: initialContinuousRate }];
-        let currentRate = initialContinuousRate;
-        
-        const bolusEvents = bolusDoseMg > 0 ? [{ time: 0, amount: bolusDoseMg }] : [];
-        
-        let iteration = 0;
-        const maxIterations = 10; // Prevent infinite loops
-        let protocolComplete = false;
-        let lastAdjustmentTime = -5;
-        let adjustmentCount = 0;
-        const dosageAdjustments = [];
-        
-        while (!protocolComplete && iteration < maxIterations) {
-            iteration++;
-            
-            // Create infusion rate array for current protocol
-            const infusionRates = times.map(t => {
-                let rate = 0;
-                for (const change of rateChanges) {
-                    if (t >= change.time) {
-                        rate = (change.rate * this.patient.weight) / 60.0; // mg/min
-                    }
-                }
-                return rate;
-            });
-            
-            // Solve using LSODA
-            const solution = solver.solve3Compartment(
-                this.pkParams,
-                times,
-                infusionRates,
-                bolusEvents,
-                [0, 0, 0] // Initial conditions
-            );
-            
-            // Calculate effect site concentrations
-            const plasmaConcentrations = solution.y.map(state => state[0] / this.pkParams.v1);
-            const effectSiteConcentrations = calculateEffectSiteHybrid(
-                plasmaConcentrations,
-                times,
-                this.pkParams.ke0
-            );
-            
-            // Check for threshold violations and add adjustments
-            protocolComplete = true;
-            
-            for (let i = 1; i < times.length; i++) {
-                const currentTime = times[i];
-                const currentCe = effectSiteConcentrations[i];
-                
-                // Check threshold and adjust dosage
-                if (currentCe >= this.settings.upperThreshold && 
-                    currentTime - lastAdjustmentTime >= this.settings.adjustmentInterval && 
-                    currentRate > 0.1) {
-                    
-                    const oldRate = currentRate;
-                    currentRate = Math.max(0.1, currentRate * this.settings.reductionFactor);
-                    
-                    // Add new rate change
-                    rateChanges.push({ time: currentTime, rate: currentRate });
-                    
-                    dosageAdjustments.push({
-                        time: currentTime,
-                        type: 'threshold_reduction',
-                        oldRate: oldRate,
-                        newRate: currentRate,
-                        ceAtEvent: currentCe,
-                        adjustmentNumber: ++adjustmentCount
-                    });
-                    
-                    lastAdjustmentTime = currentTime;
-                    protocolComplete = false;
-                    
-                    console.log(`${currentTime.toFixed(1)}min: Threshold reached Ce=${currentCe.toFixed(3)} → Rate ${oldRate.toFixed(2)} → ${currentRate.toFixed(2)} mg/kg/hr`);
-                    break; // Restart simulation with new protocol
-                }
-            }
-            
-            // If no more adjustments needed, prepare final data
-            if (protocolComplete) {
-                const timeSeriesData = times.map((time, index) => ({
-                    time: parseFloat(time.toFixed(1)),
-                    ce: effectSiteConcentrations[index],
-                    plasma: plasmaConcentrations[index],
-                    infusionRate: infusionRates[index] * 60.0 / this.patient.weight, // Convert back to mg/kg/hr
-                    targetCe: this.settings.targetCe,
-                    upperThreshold: this.settings.upperThreshold,
-                    adjustmentNumber: adjustmentCount,
-                    isBolus: index === 0
-                }));
-                
-                // Evaluate performance
-                const performance = this.evaluateProtocolPerformance(timeSeriesData, dosageAdjustments);
-                
-                console.log("");
-                console.log("=== Performance Evaluation (LSODA) ===");
-                console.log(`Final effect site concentration: ${performance.finalCe.toFixed(3)} μg/mL`);
-                console.log(`Average deviation: ${performance.avgDeviation.toFixed(4)} μg/mL`);
-                console.log(`Target accuracy: ${performance.targetAccuracy.toFixed(1)}%`);
-                console.log(`Total adjustments: ${performance.totalAdjustments}`);
-                console.log(`Maximum concentration: ${performance.maxCe.toFixed(3)} μg/mL`);
-                
-                return {
-                    timeSeriesData: timeSeriesData,
-                    dosageAdjustments: dosageAdjustments,
-                    performance: performance,
-                    bolusDose: bolusDoseMg,
-                    initialContinuousRate: initialContinuousRate,
-                    calculationMethod: 'LSODA + VHAC'
-                };
-            }
-        }
-        
-        // If we reached max iterations, fall back to RK4
-        console.warn('Maximum iterations reached in LSODA protocol generation, falling back to RK4');
-        return this.generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate);
-    }
-
-    /**
-     * Generate complete protocol using RK4 (fallback method)
-     */
-    generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate) {
+        const kernel = this.getKernel();
         const bolusState = this.calculateBolusInitialConcentration(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
+        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3, ce: bolusState.effectSiteConc };
         let currentRate = initialContinuousRate;
         
         const timeSeriesData = [];
@@ -349,14 +150,9 @@ class ProtocolEngine {
             const currentTime = i * this.settings.timeStep;
             const infusionRateMgMin = (currentRate * this.patient.weight) / 60.0;
             
-            // Calculate plasma concentration
-            const plasmaConc = state.a1 / this.pkParams.v1;
-            
-            // Update effect site concentration
-            if (i > 0) {
-                const dCedt = this.pkParams.ke0 * (plasmaConc - currentCe);
-                currentCe = currentCe + this.settings.timeStep * dCedt;
-            }
+            // Concentrations of the current state
+            const plasmaConc = kernel.plasmaConcentration(state);
+            const currentCe = state.ce;
             
             // Check threshold and adjust dosage
             if (currentCe >= this.settings.upperThreshold && 
@@ -393,7 +189,7 @@ class ProtocolEngine {
             
             // Update system state
             if (i < numSteps - 1) {
-                state = this.updateSystemStateRK4(state, infusionRateMgMin, this.settings.timeStep);
+                state = kernel.step(state, infusionRateMgMin, this.settings.timeStep);
             }
         }
         
@@ -419,117 +215,13 @@ class ProtocolEngine {
     }
 
     /**
-     * Simulate bolus + continuous infusion for specific time using LSODA
+     * Simulate bolus + continuous infusion for specific time
+     * @returns {number} - Ce at the target time
      */
     simulateBolusAndContinuous(bolusDoseMg, continuousRate, targetTime) {
-        // Enhanced LSODA implementation - try LSODA first with RK4 fallback
-        console.log('Attempting LSODA integration for protocol optimization with RK4 fallback');
-        
-        if (typeof PKLSODASolver !== 'undefined') {
-            try {
-                console.log('Using enhanced LSODA solver for protocol optimization');
-                return this.simulateBolusAndContinuousLSODA(bolusDoseMg, continuousRate, targetTime);
-            } catch (lsodaError) {
-                console.warn('LSODA optimization failed, falling back to RK4:', lsodaError.message);
-                if (typeof MedicalErrorLog !== 'undefined') {
-                    MedicalErrorLog.logNumericalError(
-                        ErrorSource.PROTOCOL_ENGINE,
-                        'LSODA protocol optimization failed, using RK4 fallback: ' + lsodaError.message,
-                        { algorithm: 'LSODA → RK4', fallbackApplied: true },
-                        { originalError: lsodaError.message }
-                    );
-                }
-                return this.simulateBolusAndContinuousRK4(bolusDoseMg, continuousRate, targetTime);
-            }
-        } else {
-            console.log('LSODA solver not available, using RK4');
-            return this.simulateBolusAndContinuousRK4(bolusDoseMg, continuousRate, targetTime);
-        }
-        
-        // LSODA implementation commented out temporarily
-        /*
-        if (typeof PKLSODASolver !== 'undefined') {
-            try {
-                return this.simulateBolusAndContinuousLSODA(bolusDoseMg, continuousRate, targetTime);
-            } catch (error) {
-                console.warn('LSODA simulation failed, falling back to RK4:', error);
-                return this.simulateBolusAndContinuousRK4(bolusDoseMg, continuousRate, targetTime);
-            }
-        } else {
-            console.warn('LSODA solver not available, using RK4');
-            return this.simulateBolusAndContinuousRK4(bolusDoseMg, continuousRate, targetTime);
-        }
-        */
-    }
-
-    /**
-     * Simulate bolus + continuous infusion using LSODA solver
-     */
-    simulateBolusAndContinuousLSODA(bolusDoseMg, continuousRate, targetTime) {
-        const solver = new PKLSODASolver();
-        
-        // Create time points
-        const timeStep = this.settings.timeStep;
-        const numSteps = Math.round(targetTime / timeStep);
-        const times = [];
-        for (let i = 0; i <= numSteps; i++) {
-            times.push(i * timeStep);
-        }
-        
-        // Create infusion rate array
-        const infusionRateMgMin = (continuousRate * this.patient.weight) / 60.0;
-        const infusionRates = times.map(() => infusionRateMgMin);
-        
-        // Create bolus events
-        const bolusEvents = bolusDoseMg > 0 ? [{ time: 0, amount: bolusDoseMg }] : [];
-        
-        // Solve using LSODA
-        const solution = solver.solve3Compartment(
-            this.pkParams,
-            times,
-            infusionRates,
-            bolusEvents,
-            [0, 0, 0] // Initial conditions
-        );
-        
-        // Extract final state
-        const finalState = solution.y[solution.y.length - 1];
-        const finalPlasmaConc = finalState[0] / this.pkParams.v1;
-        
-        // Calculate final effect site concentration using VHAC
-        const plasmaConcentrations = solution.y.map(state => state[0] / this.pkParams.v1);
-        const effectSiteConcentrations = calculateEffectSiteHybrid(
-            plasmaConcentrations,
-            times,
-            this.pkParams.ke0
-        );
-        
-        return effectSiteConcentrations[effectSiteConcentrations.length - 1];
-    }
-
-    /**
-     * Simulate bolus + continuous infusion using RK4 (fallback method)
-     */
-    simulateBolusAndContinuousRK4(bolusDoseMg, continuousRate, targetTime) {
-        const bolusState = this.calculateBolusInitialConcentration(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
-        
-        const infusionRateMgMin = (continuousRate * this.patient.weight) / 60.0;
-        const numSteps = Math.floor(targetTime / this.settings.timeStep);
-        
-        for (let i = 0; i < numSteps; i++) {
-            const plasmaConc = state.a1 / this.pkParams.v1;
-            
-            // Update effect site concentration
-            const dCedt = this.pkParams.ke0 * (plasmaConc - currentCe);
-            currentCe = currentCe + this.settings.timeStep * dCedt;
-            
-            // Update system state
-            state = this.updateSystemStateRK4(state, infusionRateMgMin, this.settings.timeStep);
-        }
-        
-        return currentCe;
+        const events = [SimulationEvent.bolus(0, bolusDoseMg), SimulationEvent.rate(0, continuousRate)];
+        const result = this.getKernel().simulate(events, targetTime, { timeStep: this.settings.timeStep, denseOutput: false });
+        return result.finalState.ce;
     }
 
     /**
@@ -548,40 +240,11 @@ class ProtocolEngine {
     }
 
     /**
-     * 4th order Runge-Kutta integration for system state update
+     * Simulation kernel for the current patient and PK parameters
      */
-    updateSystemStateRK4(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31 } = this.pkParams;
-        
-        const derivatives = (s) => ({
-            da1dt: infusionRateMgMin - (k10 + k12 + k13) * s.a1 + k21 * s.a2 + k31 * s.a3,
-            da2dt: k12 * s.a1 - k21 * s.a2,
-            da3dt: k13 * s.a1 - k31 * s.a3
-        });
-        
-        // 4th order Runge-Kutta integration
-        const k1 = derivatives(state);
-        const k2 = derivatives({
-            a1: state.a1 + 0.5 * dt * k1.da1dt,
-            a2: state.a2 + 0.5 * dt * k1.da2dt,
-            a3: state.a3 + 0.5 * dt * k1.da3dt
-        });
-        const k3 = derivatives({
-            a1: state.a1 + 0.5 * dt * k2.da1dt,
-            a2: state.a2 + 0.5 * dt * k2.da2dt,
-            a3: state.a3 + 0.5 * dt * k2.da3dt
-        });
-        const k4 = derivatives({
-            a1: state.a1 + dt * k3.da1dt,
-            a2: state.a2 + dt * k3.da2dt,
-            a3: state.a3 + dt * k3.da3dt
-        });
-        
-        return {
-            a1: state.a1 + (dt / 6.0) * (k1.da1dt + 2*k2.da1dt + 2*k3.da1dt + k4.da1dt),
-            a2: state.a2 + (dt / 6.0) * (k1.da2dt + 2*k2.da2dt + 2*k3.da2dt + k4.da2dt),
-            a3: state.a3 + (dt / 6.0) * (k1.da3dt + 2*k2.da3dt + 2*k3.da3dt + k4.da3dt)
-        };
+    getKernel() {
+        this.kernel = SimulationKernel.reuse(this.kernel, this.pkParams, this.patient.weight);
+        return this.kernel;
     }
 
     /**
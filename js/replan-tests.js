@@ -0,0 +1,218 @@
+/**
+ * Re-plan Tests
+ * Validates re-planning from the intraoperative state and merging the schedule into the monitoring timeline
+ */
+
+class ReplanTests {
+    constructor() {
+        this.testResults = [];
+        this.tolerance = 1e-9;
+    }
+
+    createPatient() {
+        return new Patient('test-replan', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2);
+    }
+
+    createEngine(strategy) {
+        const engine = new EnhancedProtocolEngine();
+        engine.setPatient(this.createPatient());
+        engine.updateSettings({ strategy: strategy, targetCe: 1.0, upperThreshold: 1.2 });
+        return engine;
+    }
+
+    /**
+     * Timeline given so far: induction bolus + 1.0 mg/kg/hr, a planned change at 60 min
+     */
+    createMonitoring() {
+        const monitoring = new MonitoringEngine();
+        monitoring.setPatient(this.createPatient());
+        monitoring.addDoseEvent(new DoseEvent(0, 12, 1.0));
+        monitoring.addDoseEvent(new DoseEvent(40, 0, 1.2));
+        monitoring.addDoseEvent(new DoseEvent(60, 0, 2.0));
+        return monitoring;
+    }
+
+    /**
+     * The state comes from the doses given before the re-plan time
+     */
+    testStateFromTimeline() {
+        console.log('=== Testing re-plan state ===');
+
+        const engine = this.createEngine('mpc');
+        const monitoring = this.createMonitoring();
+        const plan = monitoring.replanFromTime(engine, 1.5, 40);
+        const before = monitoring.getStateAt(40, monitoring.getDoseEvents().filter(event => event.timeInMinutes < 40));
+        const first = plan.protocol.timeSeriesData[0];
+
+        const checks = [
+            ['a1', 'a2', 'a3', 'ce'].every(key => Math.abs(plan.state[key] - before.state[key]) < this.tolerance),
+            plan.rateMgKgHr === 1.0,
+            plan.state.ce > 0 && Math.abs(first.ce - plan.state.ce) < this.tolerance,
+            Math.abs(first.plasma - plan.state.a1 / engine.pkParams.V1) < this.tolerance,
+            plan.protocol.replan.targetCe === 1.5 && plan.protocol.mpc.decisions[0].oldRate === 1.0
+        ];
+
+        const testResult = {
+            testName: 'State from Timeline',
+            passed: checks.every(Boolean),
+            details: { state: plan.state, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Ce ${plan.state.ce.toFixed(3)} μg/mL at 40 min on ${plan.rateMgKgHr} mg/kg/hr`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Each strategy runs forward from the state; engine settings and last result are kept
+     */
+    testStrategies() {
+        console.log('=== Testing re-plan strategies ===');
+
+        const state = this.createMonitoring().getStateAt(40, [new DoseEvent(0, 12, 1.0)]).state;
+        const heuristicEngine = this.createEngine('heuristic');
+        const heuristic = heuristicEngine.replanFromState(state, 1.5, { rateMgKgHr: 1.0 });
+        const topUp = heuristicEngine.solvePeakBolus(1.5, { state: state, rateMgKgHr: 1.0 });
+        const mpcEngine = this.createEngine('mpc');
+        const down = mpcEngine.replanFromState(state, 0.6, { rateMgKgHr: 1.0 });
+        const tci = this.createEngine('tci').replanFromState(state, 1.5, { rateMgKgHr: 1.0 });
+        const plain = this.createEngine('heuristic').replanFromState(state, 1.5, { rateMgKgHr: 1.0, topUpBolus: false });
+
+        const checks = [
+            heuristic.strategy === 'heuristic' && Math.abs(heuristic.protocol.bolusDose - topUp.bolusMg) < this.tolerance,
+            heuristic.protocol.timeSeriesData[0].ce === state.ce,
+            down.topUp.alreadyAtTarget && down.protocol.bolusDose === 0,
+            down.protocol.performance.timeInTarget >= 90,
+            tci.topUp === null && tci.protocol.tci !== undefined && tci.protocol.performance.timeInTarget >= 90,
+            Math.abs(tci.protocol.timeSeriesData[0].ce - state.ce) < this.tolerance,
+            plain.topUp === null && plain.protocol.bolusDose === 0,
+            heuristicEngine.settings.targetCe === 1.0 && heuristicEngine.settings.upperThreshold === 1.2,
+            heuristicEngine.settings.targetSchedule.length === 0 && heuristicEngine.lastResult === null
+        ];
+
+        const testResult = {
+            testName: 'Re-plan Strategies',
+            passed: checks.every(Boolean),
+            details: {
+                heuristic: heuristic.protocol.performance,
+                down: down.protocol.performance,
+                tci: tci.protocol.performance,
+                checks: checks
+            }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Heuristic top-up ${heuristic.protocol.bolusDose.toFixed(2)} mg; MPC down ${down.protocol.performance.timeInTarget.toFixed(1)}%; ` +
+            `TCI ${tci.protocol.performance.timeInTarget.toFixed(1)}% within ±5%`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * The schedule replaces the timeline from the re-plan time and the simulation follows the new target
+     */
+    testMergeIntoTimeline() {
+        console.log('=== Testing re-plan merge ===');
+
+        const engine = this.createEngine('mpc');
+        const monitoring = this.createMonitoring();
+        const plan = monitoring.replanFromTime(engine, 1.5, 40);
+        const events = monitoring.acceptReplan(plan);
+
+        const result = monitoring.runSimulation(40 + 180);
+        const ceAt = (time) => result.effectSiteConcentrations[result.timeVector.findIndex(t => Math.abs(t - time) < 1e-6)];
+
+        const checks = [
+            events[0].timeInMinutes === 0 && events[0].bolusMg === 12,
+            events.filter(event => event.timeInMinutes < 40).length === 1,
+            events[1].timeInMinutes === 40 && Math.abs(events[1].bolusMg - Math.round(plan.protocol.bolusDose * 10) / 10) < this.tolerance,
+            events.length === 1 + plan.candidateEvents.length,
+            !events.some(event => event.timeInMinutes === 60 && event.continuousMgKgHr === 2.0),
+            events.slice(1).every(event => Number.isInteger(event.timeInMinutes)),
+            [70, 120, 200].every(time => Math.abs(ceAt(time) - 1.5) / 1.5 < 0.05)
+        ];
+
+        const testResult = {
+            testName: 'Merge into Timeline',
+            passed: checks.every(Boolean),
+            details: { events: events.length, ce: [70, 120, 200].map(ceAt), checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Ce after merge: ${[70, 120, 200].map(time => ceAt(time).toFixed(3)).join(', ')} μg/mL`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Missing patient, invalid targets and states, and empty plans are rejected
+     */
+    testErrors() {
+        console.log('=== Testing re-plan errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const engine = this.createEngine('heuristic');
+        const state = { a1: 1, a2: 1, a3: 1, ce: 0.5 };
+
+        const checks = [
+            expectError(() => new EnhancedProtocolEngine().replanFromState(state, 1.0)),
+            expectError(() => engine.replanFromState(state, 0)),
+            expectError(() => engine.replanFromState(null, 1.0)),
+            expectError(() => engine.replanFromState({ ...state, ce: NaN }, 1.0)),
+            expectError(() => this.createMonitoring().acceptReplan(null)),
+            expectError(() => new MonitoringEngine().replanFromTime(engine, 1.0, 10))
+        ];
+
+        const testResult = {
+            testName: 'Re-plan Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Re-plan Tests');
+        console.log('===============================================');
+
+        this.testStateFromTimeline();
+        this.testStrategies();
+        this.testMergeIntoTimeline();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ReplanTests = ReplanTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReplanTests };
+}
@@ -0,0 +1,325 @@
+/**
+ * Simulation Kernel Tests
+ * Validates the event-driven kernel against the exact solution and its use by every engine
+ */
+
+class SimulationKernelTests {
+    constructor() {
+        this.testResults = [];
+        this.tolerance = 1e-9;
+    }
+
+    createPatient() {
+        return new Patient('test-kernel', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2);
+    }
+
+    createKernel() {
+        const patient = this.createPatient();
+        return new SimulationKernel(PKModels.calculatePKParameters(patient), patient.weight);
+    }
+
+    /**
+     * Induction bolus, infusion and a rate change between grid points
+     */
+    createEvents() {
+        return [
+            SimulationEvent.bolus(0, 12),
+            SimulationEvent.rate(0, 1.0),
+            SimulationEvent.rate(20.05, 0.5),
+            SimulationEvent.bolus(40, 3),
+            SimulationEvent.target(40, 1.2)
+        ];
+    }
+
+    /**
+     * RK4, adaptive (RK45, LSODA) and exact analytical runs agree with the analytical solver's reference solution
+     */
+    testAgainstExactSolution() {
+        console.log('=== Testing kernel against the exact solution ===');
+
+        const patient = this.createPatient();
+        const pkParams = PKModels.calculatePKParameters(patient);
+        const kernel = new SimulationKernel(pkParams, patient.weight);
+        const doseEvents = [new DoseEvent(0, 12, 1.0), new DoseEvent(30, 3, 0.5)];
+        const events = SimulationEvent.fromDoseEvents(doseEvents);
+
+        const reference = new AnalyticalSolver().solve(null, [0, 0, 0, 0], 0, 60, {
+            timeStep: 0.1, pkParams: pkParams, doseEvents: doseEvents, patient: patient
+        });
+        const analytical = kernel.simulate(events, 60, { method: 'analytical' });
+        const rk4 = kernel.simulate(events, 60, { method: 'rk4' });
+        const euler = kernel.simulate(events, 60, { method: 'euler', timeStep: 0.01 });
+        const rk45 = kernel.simulate(events, 60, { method: 'rk45' });
+        const lsoda = kernel.simulate(events, 60, { method: 'lsoda' });
+
+        // Largest deviation from the reference on its 0.1 min grid for one state component
+        const maxError = (result, key, index) => Math.max(...reference.times.map((time, i) => {
+            const k = result.timeVector.findIndex(t => Math.abs(t - time) < 1e-6);
+            return Math.abs(result.states[k][key] - reference.states[i][index]);
+        }));
+        const ceError = (result) => maxError(result, 'ce', 3);
+
+        const checks = [
+            analytical.timeVector.length === 601 && analytical.timePoints.length === 61,
+            maxError(analytical, 'a1', 0) < 1e-9,
+            ceError(analytical) < 1e-9,
+            ceError(rk4) < 1e-6,
+            ceError(euler) < 5e-3,
+            ceError(rk45) < 1e-3 && rk45.solverStats.segments === 2,
+            ceError(lsoda) < 1e-5 && lsoda.solverStats.method === 'LSODA' && lsoda.solverStats.bolusesApplied === 2,
+            Math.abs(lsoda.denseOutput.valueAt(30.05) - analytical.denseOutput.valueAt(30.05)) < 1e-5,
+            rk4.finalState.a1 === rk4.states[rk4.states.length - 1].a1 && rk4.finalState instanceof SystemState
+        ];
+
+        const testResult = {
+            testName: 'Exact Solution Agreement',
+            passed: checks.every(Boolean),
+            details: { rk4CeError: ceError(rk4), eulerCeError: ceError(euler), rk45CeError: ceError(rk45), lsodaCeError: ceError(lsoda), checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Max Ce error: RK4 ${ceError(rk4).toExponential(2)}, Euler (0.01 min) ${ceError(euler).toExponential(2)}, ` +
+            `RK45 ${ceError(rk45).toExponential(2)}, LSODA ${ceError(lsoda).toExponential(2)} μg/mL`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Bolus jumps, rate changes between grid points, boluses at pump speed and target records
+     */
+    testEvents() {
+        console.log('=== Testing kernel events ===');
+
+        const kernel = this.createKernel();
+        const result = kernel.simulate(this.createEvents(), 60, { method: 'analytical' });
+        const indexAt = (time) => result.timeVector.findIndex(t => Math.abs(t - time) < 1e-6);
+        const beforeBolus = kernel.simulate(this.createEvents().slice(0, 3), 40, { method: 'analytical' }).finalState;
+
+        // The rate change at 20.05 min splits the step from 20.0 to 20.1
+        const split = kernel.step(kernel.step(result.states[indexAt(20)], kernel.toMgMin(1.0), 0.05, 'analytical'),
+            kernel.toMgMin(0.5), 0.05, 'analytical');
+
+        // A bolus at pump speed is the same as an infusion over its duration
+        const pumpBolus = kernel.simulate([SimulationEvent.bolus(0, 10, 0.5)], 5);
+        const asInfusion = kernel.simulate([
+            SimulationEvent.rate(0, 10 / 0.5 * 60 / kernel.weight), SimulationEvent.rate(0.5, 0)
+        ], 5);
+
+        const checks = [
+            Math.abs(result.states[0].a1 - 12) < this.tolerance && result.plasmaConcentrations[0] === 12 / kernel.pk.V1,
+            Math.abs(result.states[indexAt(40)].a1 - (beforeBolus.a1 + 3)) < 1e-9,
+            Math.abs(split.a1 - result.states[indexAt(20.1)].a1) < 1e-9 && Math.abs(split.ce - result.states[indexAt(20.1)].ce) < 1e-12,
+            result.infusionRates[indexAt(20)] === 1.0 && result.infusionRates[indexAt(20.1)] === 0.5,
+            result.targetConcentrations[0] === null && result.targetConcentrations[indexAt(40)] === 1.2,
+            Math.abs(pumpBolus.finalState.ce - asInfusion.finalState.ce) < 1e-12 && pumpBolus.states[0].a1 === 0,
+            kernel.simulate([], 10, { initialState: { a1: 5, a2: 0, a3: 0, ce: 0.5 } }).states[0].ce === 0.5
+        ];
+
+        const testResult = {
+            testName: 'Kernel Events',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Induction, protocol and monitoring engines all integrate through the kernel
+     */
+    testEngineDelegation() {
+        console.log('=== Testing engine delegation ===');
+
+        const patient = this.createPatient();
+        const kernel = this.createKernel();
+
+        const induction = new InductionEngine();
+        induction.pkParams = induction.calculatePKParameters(patient);
+        const state = { a1: 12, a2: 1, a3: 0.5, ce: 0.2 };
+        const inductionStep = induction.rk4Step(state, 0.01, 1.5);
+        const kernelStep = kernel.step(state, 1.5, 0.01, 'rk4');
+
+        // Instantaneous bolus + infusion: Ce at 20 min from the lower-case (v1) engines and the exact kernel
+        const exact = kernel.simulate([SimulationEvent.bolus(0, 6), SimulationEvent.rate(0, 1.0)], 20, { method: 'analytical' }).finalState.ce;
+        const protocol = new ProtocolEngine();
+        protocol.setPatient(patient);
+        const advanced = new AdvancedProtocolEngine();
+        advanced.setPatient(patient);
+        const enhanced = new EnhancedProtocolEngine();
+        enhanced.setPatient(patient);
+
+        const monitoring = new MonitoringEngine();
+        monitoring.setPatient(patient);
+        monitoring.addDoseEvent(new DoseEvent(0, 12, 1.0));
+        monitoring.addDoseEvent(new DoseEvent(30.05, 3, 0.5));
+        const simulation = monitoring.runSimulation(90);
+        const direct = kernel.simulate(SimulationEvent.fromDoseEvents(monitoring.getDoseEvents()), 90);
+        const exactMonitoring = kernel.simulate(SimulationEvent.fromDoseEvents(monitoring.getDoseEvents()), 90, { method: 'analytical' });
+        monitoring.setCalculationMethod('analytical');
+        const analyticalMonitoring = monitoring.runSimulation(90);
+        monitoring.setCalculationMethod('lsoda');
+        const lsodaMonitoring = monitoring.runSimulation(90);
+
+        const checks = [
+            ['a1', 'a2', 'a3', 'ce'].every(key => inductionStep[key] === kernelStep[key]),
+            Math.abs(protocol.simulateBolusAndContinuous(6, 1.0, 20) - exact) < 1e-5,
+            Math.abs(advanced.simulateBolusAndContinuous(6, 1.0, 20) - exact) < 1e-9,
+            Math.abs(enhanced.simulateBolusAndContinuous(6, 1.0, 20) - exact) < 1e-3,
+            simulation.effectSiteConcentrations.every((ce, i) => ce === direct.effectSiteConcentrations[i]),
+            simulation.timePoints.length === 91 && simulation.timePoints[30].doseEvent.bolusMg === 3,
+            Math.abs(simulation.finalState.a1 - exactMonitoring.finalState.a1) < 1e-6,
+            analyticalMonitoring.effectSiteConcentrations.every((ce, i) => Math.abs(ce - exactMonitoring.effectSiteConcentrations[i]) < 1e-12),
+            lsodaMonitoring.effectSiteConcentrations.every((ce, i) => Math.abs(ce - exactMonitoring.effectSiteConcentrations[i]) < 1e-5)
+        ];
+
+        const testResult = {
+            testName: 'Engine Delegation',
+            passed: checks.every(Boolean),
+            details: { exactCeAt20: exact, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Ce at 20 min: exact ${exact.toFixed(5)}, protocol ${protocol.simulateBolusAndContinuous(6, 1.0, 20).toFixed(5)} μg/mL`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Drug in V1/V2/V3 plus drug eliminated equals the cumulative dose for every method
+     */
+    testMassBalance() {
+        console.log('=== Testing kernel mass balance ===');
+
+        const kernel = this.createKernel();
+        // Bolus, infusion, a bolus at pump speed and a rate change between grid points
+        const events = [
+            SimulationEvent.bolus(0, 12),
+            SimulationEvent.rate(0, 1.0),
+            SimulationEvent.bolus(15, 5, 0.75),
+            SimulationEvent.rate(30.05, 0.5)
+        ];
+        const totalDose = 12 + kernel.toMgMin(1.0) * 30.05 + 5 + kernel.toMgMin(0.5) * (60 - 30.05);
+
+        const balances = SimulationKernelMethods.map(method => {
+            const result = kernel.simulate(events, 60, { method: method });
+            const last = result.states.length - 1;
+            const body = result.states[last].a1 + result.states[last].a2 + result.states[last].a3;
+            return {
+                method: method,
+                maxAbsoluteError: result.massBalance.maxAbsoluteError,
+                conserved: result.massBalance.conserved,
+                finalDose: result.cumulativeDoses[last],
+                finalError: Math.abs(body + result.eliminatedAmounts[last] - totalDose)
+            };
+        });
+
+        const monitoring = new MonitoringEngine();
+        monitoring.setPatient(this.createPatient());
+        monitoring.addDoseEvent(new DoseEvent(0, 12, 1.0));
+        const monitored = monitoring.runSimulation(60);
+
+        const checks = [
+            ...balances.map(balance => balance.conserved && balance.maxAbsoluteError < 1e-6 && balance.finalError < 1e-6),
+            balances.every(balance => Math.abs(balance.finalDose - totalDose) < 1e-9),
+            monitored.massBalance.conserved && monitored.eliminatedAmounts[0] === 0 && monitored.eliminatedAmounts[600] > 0,
+            Math.abs(monitored.cumulativeDoses[600] - (12 + kernel.toMgMin(1.0) * 60)) < 1e-9
+        ];
+
+        const testResult = {
+            testName: 'Kernel Mass Balance',
+            passed: checks.every(Boolean),
+            details: { balances: balances, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        balances.forEach(balance => console.log(`${balance.method}: max drift ${balance.maxAbsoluteError.toExponential(2)} mg`));
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Invalid parameters, events and methods are rejected
+     */
+    testErrors() {
+        console.log('=== Testing kernel errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const kernel = this.createKernel();
+        const pkParams = PKModels.calculatePKParameters(this.createPatient());
+        // An adaptive run without dense output cannot be recorded between its own points
+        const withoutDenseOutput = this.createKernel();
+        const solveAdaptive = withoutDenseOutput.solveAdaptive.bind(withoutDenseOutput);
+        withoutDenseOutput.solveAdaptive = (...args) => ({ ...solveAdaptive(...args), denseOutput: null });
+
+        const checks = [
+            expectError(() => new SimulationKernel(null)),
+            expectError(() => new SimulationKernel({ ...pkParams, V1: undefined })),
+            expectError(() => new SimulationKernel({ ...pkParams, ke0: 0 })),
+            expectError(() => new SimulationKernel(pkParams).simulate([SimulationEvent.rate(0, 1.0)], 10)),
+            expectError(() => kernel.simulate([SimulationEvent.bolus(-1, 5)], 10)),
+            expectError(() => kernel.simulate([SimulationEvent.target(0, 0)], 10)),
+            expectError(() => kernel.simulate([new SimulationEvent(0, 'infusion', 1)], 10)),
+            !expectError(() => kernel.simulate([], 10, { method: 'rk45' })),
+            expectError(() => withoutDenseOutput.simulate(this.createEvents(), 60, { method: 'rk45' })),
+            !expectError(() => withoutDenseOutput.simulate(this.createEvents(), 0, { method: 'rk45' })),
+            expectError(() => kernel.simulate([], 10, { method: 'midpoint' })),
+            expectError(() => kernel.step({ a1: 1, a2: 0, a3: 0, ce: 0 }, 0, 0.1, 'midpoint')),
+            !expectError(() => new MonitoringEngine().setCalculationMethod('lsoda')),
+            expectError(() => new MonitoringEngine().setCalculationMethod('midpoint'))
+        ];
+
+        const testResult = {
+            testName: 'Kernel Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Simulation Kernel Tests');
+        console.log('===============================================');
+
+        this.testAgainstExactSolution();
+        this.testEvents();
+        this.testEngineDelegation();
+        this.testMassBalance();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SimulationKernelTests = SimulationKernelTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationKernelTests };
+}
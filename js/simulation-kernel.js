@@ -0,0 +1,573 @@
+/**
+ * Simulation Kernel for Remimazolam TCI TIVA
+ * Event-driven PK/PD simulation shared by the induction, protocol and monitoring engines
+ *
+ * Features:
+ * - Typed event list: bolus (instantaneous or at pump speed), rate change, target change
+ * - One 3-compartment + effect-site model (Ce integrated together with the compartments)
+ * - Eliminated drug carried in the state; every run is checked for mass balance
+ * - Euler, RK4 and exact analytical (zero-order hold) steps
+ * - Adaptive RK45 and LSODA delegated to NumericalSolvers (solveWithEvents over the event schedule)
+ * - Discontinuities handled by restarting the integration at every event time
+ * - PK parameters accepted with upper- (V1) or lower-case (v1) volume keys
+ * - Results as SimulationResult with the state, rate and target at every step
+ * - Dense output on the result (exact or Hermite) for concentration queries at any time
+ */
+
+// Import required modules for Node.js environment
+if (typeof require !== 'undefined') {
+    const { SystemState, TimePoint, SimulationResult } = require('./models.js');
+    const { AnalyticalSolver, DenseOutput, NumericalSolvers } = require('./numerical-solvers.js');
+
+    global.SystemState = SystemState;
+    global.TimePoint = TimePoint;
+    global.SimulationResult = SimulationResult;
+    global.AnalyticalSolver = AnalyticalSolver;
+    global.DenseOutput = DenseOutput;
+    global.NumericalSolvers = NumericalSolvers;
+}
+
+const SimulationEventType = {
+    BOLUS: 'bolus',   // value: mg into the central compartment (durationMin > 0: delivered at pump speed)
+    RATE: 'rate',     // value: continuous infusion (mg/kg/hr) from the event time on
+    TARGET: 'target'  // value: target Ce (μg/mL) recorded from the event time on
+};
+
+const SimulationKernelDefaults = {
+    method: 'rk4',        // 'euler', 'rk4', 'analytical', 'rk45' or 'lsoda'
+    timeStep: 0.1,        // Output and integration step (minutes)
+    recordInterval: 1.0,  // TimePoint spacing of the SimulationResult (minutes)
+    denseOutput: true     // Attach a DenseOutput to the result (off for repeated internal runs)
+};
+
+const SimulationKernelMethods = ['euler', 'rk4', 'analytical', 'rk45', 'lsoda'];
+
+// Error-controlled methods run by the NumericalSolvers solver of the same name
+const SimulationKernelAdaptiveMethods = ['rk45', 'lsoda'];
+
+// Events closer than this to a step boundary are applied at the boundary
+const EVENT_TIME_EPSILON = 1e-9;
+
+/**
+ * Typed simulation event
+ */
+class SimulationEvent {
+    constructor(time, type, value, durationMin = 0) {
+        this.time = time;
+        this.type = type;
+        this.value = value;
+        this.durationMin = durationMin;
+    }
+
+    static bolus(time, bolusMg, durationMin = 0) {
+        return new SimulationEvent(time, SimulationEventType.BOLUS, bolusMg, durationMin);
+    }
+
+    static rate(time, rateMgKgHr) {
+        return new SimulationEvent(time, SimulationEventType.RATE, rateMgKgHr);
+    }
+
+    static target(time, targetCe) {
+        return new SimulationEvent(time, SimulationEventType.TARGET, targetCe);
+    }
+
+    /**
+     * Events of a DoseEvent timeline: the bolus (if any) and the rate set by each event
+     * @param {Array} doseEvents - DoseEvent list {timeInMinutes, bolusMg, continuousMgKgHr}
+     */
+    static fromDoseEvents(doseEvents) {
+        const events = [];
+        doseEvents.forEach(event => {
+            if (event.bolusMg > 0) {
+                events.push(SimulationEvent.bolus(event.timeInMinutes, event.bolusMg));
+            }
+            events.push(SimulationEvent.rate(event.timeInMinutes, event.continuousMgKgHr || 0));
+        });
+        return events;
+    }
+
+    validate() {
+        const errors = [];
+
+        if (!Object.values(SimulationEventType).includes(this.type)) {
+            errors.push(`Unknown event type: ${this.type}`);
+        }
+        if (!Number.isFinite(this.time) || this.time < 0) {
+            errors.push('Event time must be a non-negative number');
+        }
+        if (!Number.isFinite(this.value) || this.value < 0) {
+            errors.push('Event value must be a non-negative number');
+        }
+        if (this.type === SimulationEventType.TARGET && !(this.value > 0)) {
+            errors.push('Target concentration must be positive');
+        }
+        if (!Number.isFinite(this.durationMin) || this.durationMin < 0) {
+            errors.push('Bolus duration must be a non-negative number');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+}
+
+/**
+ * PK/PD simulation kernel for one parameter set
+ */
+class SimulationKernel {
+    /**
+     * @param {Object} pkParams - {V1 or v1, k10, k12, k21, k13, k31, ke0}
+     * @param {number|null} weight - Patient weight (kg); required for rate events in mg/kg/hr
+     */
+    constructor(pkParams, weight = null) {
+        this.source = pkParams;
+        this.weight = weight;
+        this.pk = SimulationKernel.normalizeParameters(pkParams);
+        this.analytical = null;
+        this.solvers = null;
+        this.odeSystem = null;
+    }
+
+    /**
+     * Rate constants and V1 from either key casing used by the engines
+     */
+    static normalizeParameters(pkParams) {
+        if (!pkParams) {
+            throw new Error('Simulation kernel requires PK parameters');
+        }
+
+        const pk = {
+            V1: pkParams.V1 !== undefined ? pkParams.V1 : pkParams.v1,
+            k10: pkParams.k10,
+            k12: pkParams.k12,
+            k21: pkParams.k21,
+            k13: pkParams.k13,
+            k31: pkParams.k31,
+            ke0: pkParams.ke0
+        };
+        if (!(pk.V1 > 0)) {
+            throw new Error('Simulation kernel requires a positive V1');
+        }
+        if (!(pk.ke0 > 0)) {
+            throw new Error('Simulation kernel requires a positive ke0');
+        }
+        if (['k10', 'k12', 'k21', 'k13', 'k31'].some(key => !(pk[key] >= 0))) {
+            throw new Error('Simulation kernel requires non-negative rate constants');
+        }
+        return pk;
+    }
+
+    /**
+     * Kernel for the parameters and weight, reusing the previous one when they have not changed
+     */
+    static reuse(kernel, pkParams, weight = null) {
+        if (kernel && kernel.source === pkParams && kernel.weight === weight) {
+            return kernel;
+        }
+        return new SimulationKernel(pkParams, weight);
+    }
+
+    static isSupportedMethod(method) {
+        return SimulationKernelMethods.includes(method);
+    }
+
+    static isAdaptiveMethod(method) {
+        return SimulationKernelAdaptiveMethods.includes(method);
+    }
+
+    /**
+     * Continuous rate in mg/min
+     */
+    toMgMin(rateMgKgHr) {
+        if (!(this.weight > 0)) {
+            throw new Error('Rate events require the patient weight');
+        }
+        return rateMgKgHr * this.weight / 60.0;
+    }
+
+    plasmaConcentration(state) {
+        return Math.max(0.0, state.a1 / this.pk.V1);
+    }
+
+    derivatives(state, rateMgMin) {
+        const { V1, k10, k12, k21, k13, k31, ke0 } = this.pk;
+        return {
+            a1: rateMgMin - (k10 + k12 + k13) * state.a1 + k21 * state.a2 + k31 * state.a3,
+            a2: k12 * state.a1 - k21 * state.a2,
+            a3: k13 * state.a1 - k31 * state.a3,
+            ce: ke0 * (state.a1 / V1 - state.ce),
+            eliminated: k10 * state.a1
+        };
+    }
+
+    /**
+     * The kernel's model as a NumericalSolvers ODE system [a1, a2, a3, ce, eliminated], with its Jacobian for LSODA
+     */
+    getOdeSystem() {
+        if (!this.odeSystem) {
+            const { V1, k10, k12, k21, k13, k31, ke0 } = this.pk;
+            const odeSystem = (t, y, infusionRateFunc) => {
+                const d = this.derivatives({ a1: y[0], a2: y[1], a3: y[2], ce: y[3] }, infusionRateFunc(t));
+                return [d.a1, d.a2, d.a3, d.ce, d.eliminated];
+            };
+            odeSystem.jacobian = () => [
+                [-(k10 + k12 + k13), k21, k31, 0, 0],
+                [k12, -k21, 0, 0, 0],
+                [k13, 0, -k31, 0, 0],
+                [ke0 / V1, 0, 0, -ke0, 0],
+                [k10, 0, 0, 0, 0]
+            ];
+            odeSystem.pkParams = this.pk;
+            this.odeSystem = odeSystem;
+        }
+        return this.odeSystem;
+    }
+
+    getSolvers() {
+        if (!this.solvers) {
+            this.solvers = new NumericalSolvers();
+        }
+        return this.solvers;
+    }
+
+    /**
+     * NumericalSolvers solver for an adaptive method
+     */
+    getAdaptiveSolver(method) {
+        return this.getSolvers().methods[method].solver;
+    }
+
+    /**
+     * One integration step under a constant infusion
+     * @param {Object} state - {a1, a2, a3, ce, eliminated (mg, optional)}
+     * @param {number} rateMgMin - Infusion rate (mg/min)
+     * @param {number} dt - Step (minutes)
+     * @param {string} method - 'euler', 'rk4', 'analytical', 'rk45' or 'lsoda' (error-controlled substeps)
+     * @returns {Object} - New state {a1, a2, a3, ce, eliminated} (non-negative)
+     */
+    step(state, rateMgMin, dt, method = SimulationKernelDefaults.method) {
+        state = { ...state, eliminated: state.eliminated || 0 };
+        let next;
+        if (method === 'analytical') {
+            if (!this.analytical) {
+                this.analytical = new AnalyticalSolver();
+                this.analytical.preparePropagators(this.pk);
+            }
+            const [a1, a2, a3, ce, eliminated] = this.analytical.propagate(this.stateVector(state), rateMgMin, dt);
+            next = { a1, a2, a3, ce, eliminated };
+        } else if (method === 'euler') {
+            const d = this.derivatives(state, rateMgMin);
+            next = {
+                a1: state.a1 + dt * d.a1,
+                a2: state.a2 + dt * d.a2,
+                a3: state.a3 + dt * d.a3,
+                ce: state.ce + dt * d.ce,
+                eliminated: state.eliminated + dt * d.eliminated
+            };
+        } else if (method === 'rk4') {
+            const shifted = (d, h) => ({
+                a1: state.a1 + h * d.a1,
+                a2: state.a2 + h * d.a2,
+                a3: state.a3 + h * d.a3,
+                ce: state.ce + h * d.ce
+            });
+            const k1 = this.derivatives(state, rateMgMin);
+            const k2 = this.derivatives(shifted(k1, 0.5 * dt), rateMgMin);
+            const k3 = this.derivatives(shifted(k2, 0.5 * dt), rateMgMin);
+            const k4 = this.derivatives(shifted(k3, dt), rateMgMin);
+            const combine = (key) => state[key] + (dt / 6.0) * (k1[key] + 2 * k2[key] + 2 * k3[key] + k4[key]);
+            next = { a1: combine('a1'), a2: combine('a2'), a3: combine('a3'), ce: combine('ce'), eliminated: combine('eliminated') };
+        } else if (SimulationKernel.isAdaptiveMethod(method)) {
+            const result = this.getAdaptiveSolver(method).solve(this.getOdeSystem(),
+                this.stateVector(state), 0, dt, { timeStep: dt, infusionRateFunc: () => rateMgMin });
+            const [a1, a2, a3, ce, eliminated] = result.states[result.states.length - 1];
+            next = { a1, a2, a3, ce, eliminated };
+        } else {
+            throw new Error(`Unknown simulation method: ${method} (available: ${SimulationKernelMethods.join(', ')})`);
+        }
+
+        return {
+            a1: Math.max(0, next.a1),
+            a2: Math.max(0, next.a2),
+            a3: Math.max(0, next.a3),
+            ce: Math.max(0, next.ce),
+            eliminated: Math.max(0, next.eliminated)
+        };
+    }
+
+    /**
+     * State object as the solvers' vector [a1, a2, a3, ce, eliminated]
+     */
+    stateVector(state) {
+        return [state.a1, state.a2, state.a3, state.ce, state.eliminated || 0];
+    }
+
+    /**
+     * Sorted breakpoints of an event list; a bolus at pump speed becomes a start and an end breakpoint
+     * @returns {Array} - [{time, bolusMg, rateMgKgHr (null: unchanged), bolusRateMgMin (added to the running bolus rate), targetCe (null: unchanged)}]
+     */
+    buildSchedule(events) {
+        const breakpoints = [];
+        const at = (time, changes) => breakpoints.push({
+            time: time, bolusMg: 0, rateMgKgHr: null, bolusRateMgMin: 0, targetCe: null, ...changes
+        });
+
+        events.forEach(event => {
+            const validation = event instanceof SimulationEvent ? event.validate() :
+                new SimulationEvent(event.time, event.type, event.value, event.durationMin || 0).validate();
+            if (!validation.isValid) {
+                throw new Error('Invalid simulation event: ' + validation.errors.join(', '));
+            }
+
+            if (event.type === SimulationEventType.BOLUS) {
+                if (event.durationMin > 0) {
+                    const bolusRate = event.value / event.durationMin;
+                    at(event.time, { bolusRateMgMin: bolusRate });
+                    at(event.time + event.durationMin, { bolusRateMgMin: -bolusRate });
+                } else {
+                    at(event.time, { bolusMg: event.value });
+                }
+            } else if (event.type === SimulationEventType.RATE) {
+                if (!(this.weight > 0)) {
+                    throw new Error('Rate events require the patient weight');
+                }
+                at(event.time, { rateMgKgHr: event.value });
+            } else {
+                at(event.time, { targetCe: event.value });
+            }
+        });
+
+        // Stable sort keeps the given order of events at the same time
+        return breakpoints
+            .map((breakpoint, index) => ({ breakpoint, index }))
+            .sort((a, b) => a.breakpoint.time - b.breakpoint.time || a.index - b.index)
+            .map(entry => entry.breakpoint);
+    }
+
+    /**
+     * Simulate an event list
+     * Between events the infusion is constant; at each event the integration stops, the bolus
+     * jump or rate change is applied and it restarts, so no step straddles a discontinuity.
+     * Events at a recorded time are applied before that time is recorded.
+     * Adaptive methods (rk45, lsoda) integrate the whole schedule in one NumericalSolvers
+     * solveWithEvents run and are read off its dense output at the recorded times.
+     * The run is checked with NumericalSolvers.checkMassBalance (drift is logged, not thrown).
+     * @param {Array} events - SimulationEvent list (any order)
+     * @param {number} duration - Minutes
+     * @param {Object} options - {method, timeStep, recordInterval, initialState {a1, a2, a3, ce, eliminated},
+     *   initialRateMgKgHr, initialTargetCe, patient, doseEvents, calculationMethod (result label), denseOutput,
+     *   massBalanceTolerance}
+     * @returns {SimulationResult} - Also carries states, infusionRates (mg/kg/hr), targetConcentrations and finalState;
+     *   eliminatedAmounts and cumulativeDoses (mg) at every step and the massBalance check;
+     *   denseOutput is exact for 'analytical' and a cubic Hermite interpolant of the steps otherwise;
+     *   solverStats holds the NumericalSolvers statistics of an adaptive run (null otherwise)
+     */
+    simulate(events, duration, options = {}) {
+        const settings = { ...SimulationKernelDefaults, ...options };
+        if (!SimulationKernel.isSupportedMethod(settings.method)) {
+            throw new Error(`Unknown simulation method: ${settings.method} (available: ${SimulationKernelMethods.join(', ')})`);
+        }
+        if (!(duration >= 0)) {
+            throw new Error('Simulation duration must be non-negative');
+        }
+        if (!(settings.timeStep > 0)) {
+            throw new Error('Simulation time step must be positive');
+        }
+
+        const schedule = this.buildSchedule(events || []);
+        const initial = settings.initialState || {};
+        let state = { a1: initial.a1 || 0, a2: initial.a2 || 0, a3: initial.a3 || 0, ce: initial.ce || 0, eliminated: initial.eliminated || 0 };
+        const initialVector = this.stateVector(state);
+        let rateMgKgHr = settings.initialRateMgKgHr || 0;
+        let bolusRateMgMin = 0;
+        let targetCe = settings.initialTargetCe !== undefined ? settings.initialTargetCe : null;
+        let eventIndex = 0;
+
+        const applyEvent = (breakpoint) => {
+            state = { ...state, a1: state.a1 + breakpoint.bolusMg };
+            bolusRateMgMin += breakpoint.bolusRateMgMin;
+            if (breakpoint.rateMgKgHr !== null) rateMgKgHr = breakpoint.rateMgKgHr;
+            if (breakpoint.targetCe !== null) targetCe = breakpoint.targetCe;
+        };
+        const currentRateMgMin = () => (rateMgKgHr > 0 ? this.toMgMin(rateMgKgHr) : 0) + Math.max(0, bolusRateMgMin);
+
+        const rateSchedule = this.buildRateSchedule(schedule, rateMgKgHr);
+        const trajectory = SimulationKernel.isAdaptiveMethod(settings.method) ?
+            this.solveAdaptive(rateSchedule, state, duration, settings.method, settings.timeStep) : null;
+        // Recorded states are read from the adaptive run's dense output; the solver's own points
+        // hold only the post-event state at event times, so they cannot stand in for it
+        if (trajectory && duration > EVENT_TIME_EPSILON && !trajectory.denseOutput) {
+            throw new Error(`The ${settings.method.toUpperCase()} run returned no dense output to record the simulation from`);
+        }
+        // State of the adaptive run at a recorded time (after the events at that time)
+        const trajectoryState = (time) => {
+            const y = time >= duration - EVENT_TIME_EPSILON ?
+                trajectory.states[trajectory.states.length - 1] : trajectory.denseOutput.stateAt(time);
+            return { a1: Math.max(0, y[0]), a2: Math.max(0, y[1]), a3: Math.max(0, y[2]), ce: Math.max(0, y[3]), eliminated: Math.max(0, y[4]) };
+        };
+
+        const denseOutput = settings.denseOutput && !trajectory ? new DenseOutput(this.pk) : null;
+        const vector = (s) => this.stateVector(s);
+        // Integrate to a time under the current infusion, recording the step in the dense output
+        const advance = (toTime) => {
+            if (trajectory) {
+                currentTime = toTime;
+                return;
+            }
+            const rate = currentRateMgMin();
+            const next = this.step(state, rate, toTime - currentTime, settings.method);
+            if (denseOutput && settings.method === 'analytical') {
+                denseOutput.addExactSegment(currentTime, toTime, vector(state), rate);
+            } else if (denseOutput) {
+                denseOutput.addHermiteSegment(currentTime, toTime, vector(state), vector(next),
+                    vector(this.derivatives(state, rate)), vector(this.derivatives(next, rate)));
+            }
+            state = next;
+            currentTime = toTime;
+        };
+
+        const numSteps = Math.round(duration / settings.timeStep);
+        const times = [];
+        const states = [];
+        const plasma = [];
+        const effectSite = [];
+        const rates = [];
+        const targets = [];
+        const vectors = [];
+        const record = (time) => {
+            if (trajectory) {
+                state = trajectoryState(time);
+            }
+            times.push(time);
+            states.push(new SystemState(state.a1, state.a2, state.a3, state.ce));
+            vectors.push(this.stateVector(state));
+            plasma.push(this.plasmaConcentration(state));
+            effectSite.push(state.ce);
+            rates.push(rateMgKgHr);
+            targets.push(targetCe);
+        };
+
+        let currentTime = 0;
+        for (let i = 0; i <= numSteps; i++) {
+            const stepEnd = i === numSteps ? duration : i * settings.timeStep;
+
+            while (eventIndex < schedule.length && schedule[eventIndex].time <= stepEnd + EVENT_TIME_EPSILON) {
+                const breakpoint = schedule[eventIndex];
+                if (breakpoint.time - currentTime > EVENT_TIME_EPSILON) {
+                    advance(breakpoint.time);
+                }
+                applyEvent(breakpoint);
+                eventIndex++;
+            }
+            if (stepEnd - currentTime > EVENT_TIME_EPSILON) {
+                advance(stepEnd);
+            }
+            currentTime = stepEnd;
+            record(stepEnd);
+        }
+
+        const result = new SimulationResult(
+            this.buildTimePoints(times, plasma, effectSite, settings),
+            settings.patient || null,
+            settings.doseEvents || null,
+            settings.calculationMethod || `Simulation kernel (${settings.method.toUpperCase()})`,
+            new Date(),
+            plasma,
+            effectSite,
+            times
+        );
+        result.states = states;
+        result.infusionRates = rates;
+        result.targetConcentrations = targets;
+        result.finalState = states[states.length - 1];
+
+        const solvers = this.getSolvers();
+        solvers.setMethod(settings.method);
+        const massBalance = solvers.checkMassBalance({ times: times, states: vectors }, initialVector, 0, {
+            eventSchedule: rateSchedule,
+            timeStep: settings.timeStep,
+            massBalanceTolerance: settings.massBalanceTolerance
+        });
+        result.eliminatedAmounts = vectors.map(vector => vector[4]);
+        result.cumulativeDoses = massBalance.cumulativeDose;
+        result.massBalance = {
+            maxAbsoluteError: massBalance.maxAbsoluteError,
+            maxRelativeError: massBalance.maxRelativeError,
+            conserved: massBalance.conserved
+        };
+        result.denseOutput = denseOutput && denseOutput.segments.length > 0 ? denseOutput : null;
+        if (trajectory && settings.denseOutput) {
+            result.denseOutput = trajectory.denseOutput;
+        }
+        result.solverStats = trajectory ? trajectory.stats : null;
+        return result;
+    }
+
+    /**
+     * Breakpoints as a NumericalSolvers event schedule of bolus jumps and total infusion rates (mg/min)
+     * @param {Array} schedule - Breakpoints from buildSchedule
+     * @param {number} initialRateMgKgHr - Infusion before the first rate event
+     * @returns {Array} - [{time, bolusMg, rateMgMin}], starting with the rate at time 0
+     */
+    buildRateSchedule(schedule, initialRateMgKgHr) {
+        let rateMgKgHr = initialRateMgKgHr;
+        let bolusRateMgMin = 0;
+        const totalRateMgMin = () => (rateMgKgHr > 0 ? this.toMgMin(rateMgKgHr) : 0) + Math.max(0, bolusRateMgMin);
+
+        const rateSchedule = [{ time: 0, bolusMg: 0, rateMgMin: totalRateMgMin() }];
+        schedule.forEach(breakpoint => {
+            bolusRateMgMin += breakpoint.bolusRateMgMin;
+            if (breakpoint.rateMgKgHr !== null) rateMgKgHr = breakpoint.rateMgKgHr;
+            rateSchedule.push({ time: breakpoint.time, bolusMg: breakpoint.bolusMg, rateMgMin: totalRateMgMin() });
+        });
+        return rateSchedule;
+    }
+
+    /**
+     * Run a rate schedule with an adaptive NumericalSolvers method in one solveWithEvents run
+     * @param {Array} rateSchedule - Event schedule from buildRateSchedule
+     * @param {Object} initialState - {a1, a2, a3, ce, eliminated}
+     * @returns {Object} - Solver result {times, states, stats, denseOutput}
+     */
+    solveAdaptive(rateSchedule, initialState, duration, method, timeStep) {
+        return this.getAdaptiveSolver(method).solveWithEvents(this.getOdeSystem(),
+            this.stateVector(initialState), 0, duration, { timeStep: timeStep, eventSchedule: rateSchedule });
+    }
+
+    /**
+     * Display time points every recordInterval minutes, each with the dose event at that time (if any)
+     */
+    buildTimePoints(times, plasma, effectSite, settings) {
+        const stride = Math.max(1, Math.round(settings.recordInterval / settings.timeStep));
+        const doseEvents = settings.doseEvents || [];
+        const timePoints = [];
+
+        for (let i = 0; i < times.length; i += stride) {
+            const doseEvent = doseEvents.find(event =>
+                Math.abs(event.timeInMinutes - times[i]) < settings.recordInterval / 2);
+            timePoints.push(new TimePoint(Math.round(times[i] / settings.recordInterval) * settings.recordInterval,
+                doseEvent || null, plasma[i], effectSite[i]));
+        }
+        return timePoints;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SimulationEventType = SimulationEventType;
+    window.SimulationKernelDefaults = SimulationKernelDefaults;
+    window.SimulationKernelMethods = SimulationKernelMethods;
+    window.SimulationEvent = SimulationEvent;
+    window.SimulationKernel = SimulationKernel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SimulationEventType,
+        SimulationKernelDefaults,
+        SimulationKernelMethods,
+        SimulationEvent,
+        SimulationKernel
+    };
+}
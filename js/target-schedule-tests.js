@@ -0,0 +1,174 @@
+/**
+ * Target Schedule Tests
+ * Validates time-varying target Ce in the enhanced protocol engine
+ */
+
+class TargetScheduleTests {
+    constructor() {
+        this.testResults = [];
+        this.schedule = [{ time: 150, targetCe: 0.6 }, { time: 30, targetCe: 1.4 }];
+    }
+
+    createEngine(strategy) {
+        const engine = new EnhancedProtocolEngine();
+        engine.setPatient(new Patient('test-schedule', 50, 70.0, 170.0, SexType.MALE, AsapsType.CLASS_1_2));
+        engine.updateSettings({ strategy: strategy, targetCe: 1.0, upperThreshold: 1.2 });
+        engine.setTargetSchedule(this.schedule);
+        return engine;
+    }
+
+    /**
+     * Steps are sorted, apply from their time on, and scale the upper threshold
+     */
+    testScheduleLookup() {
+        console.log('=== Testing target schedule lookup ===');
+
+        const engine = this.createEngine('heuristic');
+
+        const checks = [
+            engine.settings.targetSchedule[0].time === 30,
+            engine.getTargetAt(0) === 1.0 && engine.getTargetAt(29.99) === 1.0,
+            engine.getTargetAt(30) === 1.4 && engine.getTargetAt(149) === 1.4,
+            engine.getTargetAt(180) === 0.6,
+            Math.abs(engine.getUpperThresholdAt(60) - 1.4 * 1.2) < 1e-12
+        ];
+
+        const testResult = {
+            testName: 'Schedule Lookup',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Predictive protocol: the step triggers an adjustment and every output carries the scheduled target
+     */
+    testPredictiveProtocol() {
+        console.log('=== Testing predictive protocol with a target schedule ===');
+
+        const engine = this.createEngine('heuristic');
+        const result = engine.runEnhancedOptimization(1.0, 7, 20);
+        const chartData = engine.getEnhancedChartData();
+        const evaluation = result.protocol.concentrationAtTimePoints;
+        const at = (time) => result.protocol.timeSeriesData[Math.round(time / engine.settings.timeStep)];
+
+        const checks = [
+            result.protocol.dosageAdjustments.some(adj => adj.time === 30 && adj.newRate > adj.oldRate),
+            at(10).targetCe === 1.0 && at(60).targetCe === 1.4 && at(170).targetCe === 0.6,
+            chartData.targetLine.length === chartData.times.length && chartData.targetLine[chartData.targetLine.length - 1] === 0.6,
+            evaluation.find(point => point.time === 90).targetCe === 1.4,
+            at(120).ce > at(20).ce && at(180).ce < at(120).ce
+        ];
+
+        const testResult = {
+            testName: 'Predictive Protocol Schedule',
+            passed: checks.every(Boolean),
+            details: { ceAt20: at(20).ce, ceAt120: at(120).ce, ceAt180: at(180).ce, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Ce at 20 / 120 / 180 min: ${at(20).ce.toFixed(3)} / ${at(120).ce.toFixed(3)} / ${at(180).ce.toFixed(3)}`);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * TCI strategy reaches each scheduled target; a lowered target is not counted as overshoot
+     */
+    testTCISchedule() {
+        console.log('=== Testing TCI protocol with a target schedule ===');
+
+        const engine = this.createEngine('tci');
+        const result = engine.runEnhancedOptimization(1.0, 7, 20);
+        const evaluation = result.protocol.concentrationAtTimePoints;
+
+        const checks = [
+            [60, 90, 120, 180].every(time => evaluation.find(point => point.time === time).percentageDeviation < 1),
+            result.protocol.performance.overshootPercent < 1,
+            result.protocol.tci.targetHistory.map(step => step.targetCe).join(',') === '1,1.4,0.6'
+        ];
+
+        const testResult = {
+            testName: 'TCI Protocol Schedule',
+            passed: checks.every(Boolean),
+            details: { evaluation: evaluation, checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    /**
+     * Out-of-range steps are rejected
+     */
+    testErrors() {
+        console.log('=== Testing target schedule errors ===');
+
+        const expectError = (fn) => {
+            try {
+                fn();
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        const engine = this.createEngine('heuristic');
+
+        const checks = [
+            expectError(() => engine.setTargetSchedule([{ time: -1, targetCe: 1.0 }])),
+            expectError(() => engine.setTargetSchedule([{ time: 200, targetCe: 1.0 }])),
+            expectError(() => engine.setTargetSchedule([{ time: 30, targetCe: 0 }])),
+            expectError(() => engine.setTargetSchedule([{ time: 30, targetCe: NaN }])),
+            engine.settings.targetSchedule.length === 2
+        ];
+
+        const testResult = {
+            testName: 'Schedule Errors',
+            passed: checks.every(Boolean),
+            details: { checks: checks }
+        };
+
+        this.testResults.push(testResult);
+        console.log(`Test passed: ${testResult.passed}`);
+        return testResult;
+    }
+
+    runAllTests() {
+        console.log('🧪 Starting Target Schedule Tests');
+        console.log('===============================================');
+
+        this.testScheduleLookup();
+        this.testPredictiveProtocol();
+        this.testTCISchedule();
+        this.testErrors();
+
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter(r => r.passed).length;
+
+        console.log('===============================================');
+        console.log(`Passed: ${passedTests}/${totalTests}`);
+
+        return {
+            totalTests: totalTests,
+            passedTests: passedTests,
+            successRate: passedTests/totalTests*100,
+            allPassed: passedTests === totalTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TargetScheduleTests = TargetScheduleTests;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TargetScheduleTests };
+}
@@ -0,0 +1,295 @@
+/**
+ * Effect-site Targeted TCI Controller for Remimazolam TCI TIVA
+ * STANPUMP-style controller: the pump rate is recomputed every few seconds
+ *
+ * Features:
+ * - Loading dose that brings the Ce peak exactly to the target (pump runs at its maximum rate)
+ * - Maintenance rate recomputed every update interval (10 s by default)
+ * - Pump maximum-rate constraint from pump speed (mL/h) and drug concentration (mg/mL)
+ * - Explicit target-change API with target history
+ * - Target decreases stop the pump until the predicted Ce falls to the new target
+ * - Conversion of the pump record into bolus + mg/kg/hr dose events
+ * - Plasma-targeted mode (targetSite 'plasma'): Cp held at the target, no Cp overshoot
+ * - Optional pump rate resolution (rates rounded to the nearest programmable mL/h step)
+ *
+ * Each update picks the largest rate, held for one interval, whose predicted Ce
+ * over the following horizon never exceeds the target:
+ *   rate = min over t of (target - Ce_free(t)) / Ce_unit(t)
+ * where Ce_free is the drug-free decay of the current state and Ce_unit the Ce
+ * response to 1 mg/min for one interval (Shafer & Gregg 1992).
+ * Once Ce has reached the target the rate is also capped so Cp returns to the target
+ * by the end of the interval, which keeps the maintenance rate from oscillating.
+ * In plasma-targeted mode only that Cp rule applies (Ce approaches the target from below).
+ */
+
+// Import required modules for Node.js environment
+if (typeof require !== 'undefined') {
+    const { AnalyticalSolver } = require('./numerical-solvers.js');
+
+    global.AnalyticalSolver = AnalyticalSolver;
+}
+
+const TCIControllerDefaults = {
+    updateInterval: 10 / 60,    // Pump rate update interval (minutes)
+    maxPumpRateMlHr: 1200,      // Pump maximum speed (mL/h)
+    drugConcentrationMgMl: 1.0, // Remimazolam 50 mg / 50 mL
+    horizon: 20,                // Ce peak search horizon (minutes)
+    targetTolerance: 0.005,     // Ce within this fraction below the target counts as reached
+    rateChangeThreshold: 0.05,  // Smallest recorded rate change when summarizing (mg/kg/hr)
+    rateResolutionMlHr: 0,      // Pump rate step (mL/h), 0 for a continuous rate
+    targetSite: 'effect'        // 'effect' (Ce target) or 'plasma' (Cp target)
+};
+
+class EffectSiteTCIController {
+    /**
+     * @param {Object} pkParams - {V1, k10, k12, k21, k13, k31, ke0}
+     * @param {number} weight - Patient weight (kg)
+     * @param {Object} options - {updateInterval, maxPumpRateMlHr, drugConcentrationMgMl, rateResolutionMlHr, horizon, targetSite}
+     */
+    constructor(pkParams, weight, options = {}) {
+        if (!pkParams || !(pkParams.V1 > 0) || !(pkParams.ke0 > 0)) {
+            throw new Error('TCI controller requires PK parameters with positive V1 and ke0');
+        }
+        if (!(weight > 0)) {
+            throw new Error('TCI controller requires a positive patient weight');
+        }
+
+        this.pkParams = pkParams;
+        this.weight = weight;
+        this.updateInterval = options.updateInterval || TCIControllerDefaults.updateInterval;
+        this.maxPumpRateMlHr = options.maxPumpRateMlHr || TCIControllerDefaults.maxPumpRateMlHr;
+        this.drugConcentrationMgMl = options.drugConcentrationMgMl || TCIControllerDefaults.drugConcentrationMgMl;
+        this.rateResolutionMlHr = options.rateResolutionMlHr || TCIControllerDefaults.rateResolutionMlHr;
+        this.horizon = options.horizon || TCIControllerDefaults.horizon;
+        this.targetSite = options.targetSite || TCIControllerDefaults.targetSite;
+
+        if (!(this.maxPumpRateMlHr > 0) || !(this.drugConcentrationMgMl > 0)) {
+            throw new Error('Pump maximum rate and drug concentration must be positive');
+        }
+        if (!(this.rateResolutionMlHr >= 0)) {
+            throw new Error('Pump rate resolution must not be negative');
+        }
+        if (this.targetSite !== 'effect' && this.targetSite !== 'plasma') {
+            throw new Error(`Unknown TCI target site: ${this.targetSite}`);
+        }
+
+        this.targetCe = 0;
+        this.targetHistory = [];
+
+        this.solver = new AnalyticalSolver();
+        this.solver.preparePropagators(pkParams);
+        this.unitInfusionResponse = this.projectEffectSite([0, 0, 0, 0], 1.0);
+        this.unitBolusResponse = this.projectEffectSite([1, 0, 0, 0], 0);
+        this.unitPlasmaAmount = this.solver.propagate([0, 0, 0, 0], 1.0, this.updateInterval)[0];
+    }
+
+    /**
+     * Pump maximum delivery (mg/min)
+     */
+    get maxRateMgMin() {
+        return this.maxPumpRateMlHr * this.drugConcentrationMgMl / 60.0;
+    }
+
+    /**
+     * Change the target (Ce, or Cp in plasma-targeted mode)
+     * @param {number} targetCe - New target (μg/mL), 0 stops the pump
+     * @param {number|null} time - Time of the change (minutes), kept in the target history
+     */
+    setTarget(targetCe, time = null) {
+        if (!Number.isFinite(targetCe) || targetCe < 0) {
+            throw new Error('Target Ce must be a non-negative number');
+        }
+        this.targetCe = targetCe;
+        this.targetHistory.push({ time: time, targetCe: targetCe });
+    }
+
+    getTarget() {
+        return this.targetCe;
+    }
+
+    getTargetHistory() {
+        return [...this.targetHistory];
+    }
+
+    /**
+     * Ce on the update grid over the horizon: rate held for the first interval, then no drug
+     * @returns {Array} - Ce at 1..N update intervals ahead
+     */
+    projectEffectSite(state, rateMgMin) {
+        const steps = Math.round(this.horizon / this.updateInterval);
+        const values = [];
+        let current = this.solver.propagate(state, rateMgMin, this.updateInterval);
+        values.push(current[3]);
+        for (let i = 1; i < steps; i++) {
+            current = this.solver.propagate(current, 0, this.updateInterval);
+            values.push(current[3]);
+        }
+        return values;
+    }
+
+    /**
+     * Largest dose scale whose predicted Ce never exceeds the target (unclamped)
+     */
+    largestScale(freeResponse, unitResponse) {
+        let scale = Infinity;
+        for (let i = 0; i < unitResponse.length; i++) {
+            if (unitResponse[i] > 1e-12) {
+                scale = Math.min(scale, (this.targetCe - freeResponse[i]) / unitResponse[i]);
+            }
+        }
+        return scale;
+    }
+
+    /**
+     * Rate that brings a1/V1 to the target at the end of the interval (unclamped)
+     */
+    plasmaRate(state) {
+        const freeAmount = this.solver.propagate(state, 0, this.updateInterval)[0];
+        return (this.targetCe * this.pkParams.V1 - freeAmount) / this.unitPlasmaAmount;
+    }
+
+    /**
+     * Pump rate for the next interval
+     * @param {Array} state - Current state [a1, a2, a3, ce]
+     * @returns {number} - Rate (mg/min) within [0, pump maximum], on the pump resolution grid
+     */
+    calculateRate(state) {
+        if (this.targetCe <= 0) {
+            return 0;
+        }
+
+        let rate;
+        if (this.targetSite === 'plasma') {
+            rate = this.plasmaRate(state);
+        } else {
+            rate = this.largestScale(this.projectEffectSite(state, 0), this.unitInfusionResponse);
+            if (state[3] >= this.targetCe * (1 - TCIControllerDefaults.targetTolerance)) {
+                rate = Math.min(rate, this.plasmaRate(state));
+            }
+        }
+        rate = Math.max(0, Math.min(rate, this.maxRateMgMin));
+
+        if (this.rateResolutionMlHr > 0) {
+            const stepMgMin = this.rateResolutionMlHr * this.drugConcentrationMgMl / 60.0;
+            rate = Math.min(Math.round(rate / stepMgMin) * stepMgMin, this.maxRateMgMin);
+        }
+        return rate;
+    }
+
+    /**
+     * Instantaneous bolus whose Ce peak reaches the target from the current state
+     * @returns {number} - Bolus (mg), 0 when Ce is already heading above the target
+     */
+    calculatePeakBolus(state) {
+        if (this.targetCe <= 0) {
+            return 0;
+        }
+        return Math.max(0, this.largestScale(this.projectEffectSite(state, 0), this.unitBolusResponse));
+    }
+
+    /**
+     * Run the controller from an initial state
+     * @param {number} duration - Minutes to simulate
+     * @param {Array} initialState - [a1, a2, a3, ce]
+     * @param {Array} targetSchedule - [{time, targetCe}] changes applied when reached
+     * @returns {Array} - Pump records [{time, rateMgMin, rateMgKgHr, plasma, ce, targetCe, saturated}]
+     */
+    simulate(duration, initialState = [0, 0, 0, 0], targetSchedule = []) {
+        if (!(duration > 0)) {
+            throw new Error('Simulation duration must be positive');
+        }
+
+        const schedule = [...targetSchedule].sort((a, b) => a.time - b.time);
+        const steps = Math.round(duration / this.updateInterval);
+        const records = [];
+        let state = [...initialState];
+        let scheduleIndex = 0;
+
+        for (let i = 0; i <= steps; i++) {
+            const time = i * this.updateInterval;
+            while (scheduleIndex < schedule.length && schedule[scheduleIndex].time <= time + 1e-9) {
+                this.setTarget(schedule[scheduleIndex].targetCe, schedule[scheduleIndex].time);
+                scheduleIndex++;
+            }
+
+            const rate = i < steps ? this.calculateRate(state) : 0;
+            records.push({
+                time: time,
+                rateMgMin: rate,
+                rateMgKgHr: rate * 60.0 / this.weight,
+                plasma: Math.max(0, state[0] / this.pkParams.V1),
+                ce: Math.max(0, state[3]),
+                targetCe: this.targetCe,
+                saturated: rate >= this.maxRateMgMin - 1e-9
+            });
+
+            if (i < steps) {
+                state = this.solver.propagate(state, rate, this.updateInterval);
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * The rates of a pump record as segments: each rate holds until the next segment
+     * (replaying them reproduces the record exactly)
+     * @returns {Array} - [{time, rateMgMin, rateMgKgHr}]
+     */
+    rateSegments(records) {
+        const segments = [];
+        records.forEach(record => {
+            if (segments.length === 0 || record.rateMgMin !== segments[segments.length - 1].rateMgMin) {
+                segments.push({ time: record.time, rateMgMin: record.rateMgMin, rateMgKgHr: record.rateMgKgHr });
+            }
+        });
+        return segments;
+    }
+
+    /**
+     * Express a pump record as a bolus plus per-minute continuous rates for manual pump programming
+     * The opening run at the pump maximum becomes the bolus; the rest is averaged per minute
+     * and a new rate is kept only when it differs by at least the threshold.
+     * This is an approximation of the record: rateSegments gives the rates actually run.
+     * @returns {Object} - {bolusMg, events: [{time, continuousMgKgHr}]}
+     */
+    summarizeDoseEvents(records, threshold = TCIControllerDefaults.rateChangeThreshold) {
+        let bolusMg = 0;
+        let first = 0;
+        while (first < records.length - 1 && records[first].saturated) {
+            bolusMg += records[first].rateMgMin * this.updateInterval;
+            first++;
+        }
+
+        const minuteMg = [];
+        for (let i = first; i < records.length - 1; i++) {
+            const minute = Math.floor(records[i].time + 1e-9);
+            minuteMg[minute] = (minuteMg[minute] || 0) + records[i].rateMgMin * this.updateInterval;
+        }
+
+        const events = [];
+        let lastRate = null;
+        for (let minute = 0; minute < minuteMg.length; minute++) {
+            const rate = (minuteMg[minute] || 0) * 60.0 / this.weight;
+            if (lastRate === null || Math.abs(rate - lastRate) >= threshold) {
+                events.push({ time: minute, continuousMgKgHr: rate });
+                lastRate = rate;
+            }
+        }
+        if (events.length === 0) {
+            events.push({ time: 0, continuousMgKgHr: 0 });
+        }
+
+        return { bolusMg: bolusMg, events: events };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.EffectSiteTCIController = EffectSiteTCIController;
+    window.TCIControllerDefaults = TCIControllerDefaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EffectSiteTCIController, TCIControllerDefaults };
+}
@@ -1,8 +1,10 @@
 // Service Worker for Remimazolam TCI TIVA V2.3.0
 // PWA offline functionality and caching
 
-const CACHE_NAME = 'remimazolam-tci-v2.3.0';
 const VERSION = '2.3.0';
+// Bump CACHE_REVISION whenever urlsToCache changes, so installed clients drop the old cache
+const CACHE_REVISION = 13;
+const CACHE_NAME = `remimazolam-tci-v${VERSION}-r${CACHE_REVISION}`;
 
 // Files to cache for offline use
 const urlsToCache = [
@@ -12,8 +14,21 @@ const urlsToCache = [
   './css/main.css',
   './js/error-logger.js',
   './js/models.js',
+  './js/pk-model-registry.js',
+  './js/pd-model.js',
   './js/pk-pd-system.js',
   './js/numerical-solvers.js',
+  './js/population-variability.js',
+  './js/bayesian-estimator.js',
+  './js/loc-individualization.js',
+  './js/emergence-predictor.js',
+  './js/tci-controller.js',
+  './js/infusion-pump.js',
+  './js/drug-consumption-planner.js',
+  './js/mpc-controller.js',
+  './js/bounded-optimizer.js',
+  './js/closed-loop-simulator.js',
+  './js/simulation-kernel.js',
   './js/induction-engine.js',
   './js/protocol-engine.js',
   './js/advanced-protocol-engine.js',
@@ -22,6 +22,8 @@ class LSODAValidationTest {
 
     /**
      * Standard patient models from Masui 2022 paper
+     * Expected PK values follow the Masui 2022 covariate equations; expected concentrations
+     * are a fine-step (dt = 1e-4 min) RK4 reference solution of the same model
      */
     setupTestCases() {
         // Test Case 1: Standard Reference Patient (Paper baseline)
@@ -36,18 +38,18 @@ class LSODAValidationTest {
                 asaPS: 0 // ASA I-II
             },
             expectedPK: {
-                V1: 2.84,    // L - calculated from Masui formula
-                V2: 9.46,    // L
-                V3: 21.50,   // L
-                CL: 0.357,   // L/min
-                Q2: 0.286,   // L/min
-                Q3: 0.107,   // L/min
-                k10: 0.1258, // min⁻¹
-                k12: 0.1007, // min⁻¹
-                k21: 0.0302, // min⁻¹
-                k13: 0.0377, // min⁻¹
-                k31: 0.0050, // min⁻¹
-                ke0: 0.191   // min⁻¹ - from Masui regression model
+                V1: 3.08,    // L - calculated from Masui formula
+                V2: 9.74,    // L
+                V3: 19.72,   // L
+                CL: 0.921,   // L/min
+                Q2: 0.984,   // L/min
+                Q3: 0.359,   // L/min
+                k10: 0.2994, // min⁻¹
+                k12: 0.3198, // min⁻¹
+                k21: 0.1010, // min⁻¹
+                k13: 0.1166, // min⁻¹
+                k31: 0.0182, // min⁻¹
+                ke0: 0.1865  // min⁻¹ - from Masui regression model
             },
             dosing: {
                 bolus: 6.0,  // mg (0.1 mg/kg)
@@ -55,23 +57,23 @@ class LSODAValidationTest {
             },
             expectedConcentrations: {
                 // Time points (min) -> Expected plasma concentration (μg/mL)
-                1: 1.845,    // Peak after bolus
-                2: 1.234,    // Distribution phase
-                5: 0.891,    // Early maintenance
-                10: 0.756,   // Steady approach
-                20: 0.698,   // Near steady state
-                30: 0.685,   // Steady state
-                60: 0.679    // Full steady state
+                1: 1.093,    // Peak after bolus
+                2: 0.706,    // Distribution phase
+                5: 0.426,    // Early maintenance
+                10: 0.422,   // Post-distribution nadir
+                20: 0.462,   // Accumulation
+                30: 0.492,   // Accumulation
+                60: 0.548    // Accumulation (steady state not yet reached)
             },
             expectedEffectSite: {
                 // Time points (min) -> Expected effect-site concentration (μg/mL)
-                1: 0.245,    // Effect-site lag
-                2: 0.456,    // Rising phase
-                5: 0.712,    // Approaching equilibrium
-                10: 0.744,   // Near equilibrium
-                20: 0.695,   // Equilibrium
-                30: 0.684,   // Steady state
-                60: 0.679    // Full equilibrium
+                1: 0.247,    // Effect-site lag
+                2: 0.353,    // Rising phase
+                5: 0.416,    // Approaching equilibrium
+                10: 0.416,   // Following the plasma nadir
+                20: 0.444,   // Tracking plasma accumulation
+                30: 0.476,   // Tracking plasma accumulation
+                60: 0.540    // Tracking plasma accumulation
             }
         });
 
@@ -87,40 +89,40 @@ class LSODAValidationTest {
                 asaPS: 1 // ASA III-IV
             },
             expectedPK: {
-                V1: 2.13,    // L - reduced for lower weight, age effect
-                V2: 6.95,    // L - age-related reduction
-                V3: 15.85,   // L - weight scaling
-                CL: 0.229,   // L/min - reduced for ASA III-IV
-                Q2: 0.183,   // L/min
-                Q3: 0.069,   // L/min
-                k10: 0.1075, // min⁻¹
-                k12: 0.0859, // min⁻¹
-                k21: 0.0263, // min⁻¹
-                k13: 0.0324, // min⁻¹
-                k31: 0.0044, // min⁻¹
-                ke0: 0.167   // min⁻¹ - adjusted for demographics
+                V1: 2.47,    // L - reduced for lower weight, age effect
+                V2: 7.83,    // L - age-related reduction
+                V3: 23.33,   // L - weight scaling
+                CL: 0.753,   // L/min - reduced for ASA III-IV
+                Q2: 0.835,   // L/min
+                Q3: 0.305,   // L/min
+                k10: 0.3046, // min⁻¹
+                k12: 0.3377, // min⁻¹
+                k21: 0.1067, // min⁻¹
+                k13: 0.1231, // min⁻¹
+                k31: 0.0131, // min⁻¹
+                ke0: 0.1778  // min⁻¹ - adjusted for demographics
             },
             dosing: {
                 bolus: 4.5,  // mg (0.1 mg/kg)
                 continuous: 0.45 // mg/kg/hr
             },
             expectedConcentrations: {
-                1: 2.058,    // Higher peak due to smaller V1
-                2: 1.389,    // Distribution
-                5: 1.012,    // Maintenance
-                10: 0.876,   // Steady approach
-                20: 0.821,   // Near steady
-                30: 0.814,   // Steady state
-                60: 0.811    // Full steady
+                1: 0.962,    // Peak after bolus
+                2: 0.586,    // Distribution
+                5: 0.320,    // Maintenance
+                10: 0.306,   // Post-distribution nadir
+                20: 0.324,   // Accumulation
+                30: 0.338,   // Accumulation
+                60: 0.367    // Accumulation (steady state not yet reached)
             },
             expectedEffectSite: {
-                1: 0.267,    // Effect lag
-                2: 0.501,    // Rising
-                5: 0.798,    // Approaching
-                10: 0.860,   // Near equilibrium
-                20: 0.819,   // Equilibrium
-                30: 0.813,   // Steady
-                60: 0.811    // Full equilibrium
+                1: 0.215,    // Effect lag
+                2: 0.301,    // Rising
+                5: 0.338,    // Approaching
+                10: 0.319,   // Following the plasma nadir
+                20: 0.318,   // Tracking plasma accumulation
+                30: 0.330,   // Tracking plasma accumulation
+                60: 0.362    // Tracking plasma accumulation
             }
         });
 
@@ -136,40 +138,40 @@ class LSODAValidationTest {
                 asaPS: 0 // ASA I-II
             },
             expectedPK: {
-                V1: 3.89,    // L - increased for higher weight
-                V2: 13.45,   // L - young age advantage
-                V3: 30.67,   // L - weight scaling
-                CL: 0.489,   // L/min - higher clearance
-                Q2: 0.391,   // L/min
-                Q3: 0.147,   // L/min
-                k10: 0.1257, // min⁻¹
-                k12: 0.1005, // min⁻¹
-                k21: 0.0291, // min⁻¹
-                k13: 0.0378, // min⁻¹
-                k31: 0.0048, // min⁻¹
-                ke0: 0.203   // min⁻¹ - demographics adjusted
+                V1: 4.42,    // L - increased for higher weight
+                V2: 13.99,   // L - young age advantage
+                V3: 22.62,   // L - weight scaling
+                CL: 1.209,   // L/min - higher clearance
+                Q2: 1.291,   // L/min
+                Q3: 0.471,   // L/min
+                k10: 0.2735, // min⁻¹
+                k12: 0.2921, // min⁻¹
+                k21: 0.0923, // min⁻¹
+                k13: 0.1065, // min⁻¹
+                k31: 0.0208, // min⁻¹
+                ke0: 0.2098  // min⁻¹ - demographics adjusted
             },
             dosing: {
                 bolus: 9.0,  // mg (0.1 mg/kg)
                 continuous: 0.9 // mg/kg/hr
             },
             expectedConcentrations: {
-                1: 2.256,    // Peak
-                2: 1.501,    // Distribution
-                5: 1.089,    // Maintenance
-                10: 0.924,   // Steady approach
-                20: 0.855,   // Near steady
-                30: 0.843,   // Steady state
-                60: 0.838    // Full steady
+                1: 1.282,    // Peak
+                2: 0.921,    // Distribution
+                5: 0.645,    // Maintenance
+                10: 0.662,   // Post-distribution nadir
+                20: 0.749,   // Accumulation
+                30: 0.814,   // Accumulation
+                60: 0.933    // Accumulation (steady state not yet reached)
             },
             expectedEffectSite: {
-                1: 0.301,    // Effect lag
-                2: 0.559,    // Rising
-                5: 0.872,    // Approaching
-                10: 0.910,   // Near equilibrium
-                20: 0.853,   // Equilibrium
-                30: 0.842,   // Steady
-                60: 0.838    // Full equilibrium
+                1: 0.303,    // Effect lag
+                2: 0.448,    // Rising
+                5: 0.574,    // Approaching
+                10: 0.621,   // Following the plasma nadir
+                20: 0.710,   // Tracking plasma accumulation
+                30: 0.784,   // Tracking plasma accumulation
+                60: 0.918    // Tracking plasma accumulation
             }
         });
     }
@@ -354,16 +356,17 @@ class LSODAValidationTest {
                     k31: calculatorResult.rateConstants.k31
                 };
 
-                // Create test scenario: bolus + continuous infusion
+                // Create test scenario: bolus at t=0 + continuous infusion
                 const testTimes = Object.keys(testCase.expectedConcentrations).map(t => parseFloat(t));
                 testTimes.sort((a, b) => a - b);
+                const outputTimes = [0, ...testTimes];
                 
                 const bolusEvents = [{
                     time: 0,
-                    amount: testCase.dosing.bolus / testCase.patient.weight // mg/kg to mg conversion
+                    amount: testCase.dosing.bolus // mg
                 }];
                 
-                const infusionRates = testTimes.map(() => 
+                const infusionRates = outputTimes.map(() => 
                     testCase.dosing.continuous * testCase.patient.weight / 60 // mg/kg/hr to mg/min
                 );
 
@@ -371,7 +374,7 @@ class LSODAValidationTest {
                     // Test LSODA calculation
                     const lsodaResult = pkSolver.solve3Compartment(
                         pkParams, 
-                        testTimes, 
+                        outputTimes, 
                         infusionRates, 
                         bolusEvents, 
                         [0, 0, 0]
@@ -379,8 +382,8 @@ class LSODAValidationTest {
 
                     // Validate results against expected values
                     testTimes.forEach((time, index) => {
-                        if (lsodaResult.y && lsodaResult.y[index]) {
-                            const calculated = lsodaResult.y[index][0] / testCase.patient.weight; // Convert back to μg/mL
+                        if (lsodaResult.y && lsodaResult.y[index + 1]) {
+                            const calculated = lsodaResult.y[index + 1][0] / calculatorResult.pkParameters.V1; // mg/L = μg/mL
                             const expected = testCase.expectedConcentrations[time];
                             const relativeError = Math.abs((calculated - expected) / expected);
                             
@@ -497,10 +500,11 @@ class LSODAValidationTest {
             });
         }
 
-        console.log('\n📝 Next steps:');
-        console.log('1. Fix LSODA implementation issues');
-        console.log('2. Re-run concentration validation tests');
-        console.log('3. Verify against Masui paper reference values');
+        if (failedTests > 0) {
+            console.log('\n📝 Next steps:');
+            console.log('1. Check the PK parameter calculation against the Masui equations');
+            console.log('2. Re-run concentration validation tests');
+        }
     }
 
     /**
@@ -1,280 +1,775 @@
 // LSODA (Livermore Solver for Ordinary Differential Equations with Automatic method switching)
 // JavaScript implementation for pharmacokinetic calculations
-// Based on the FORTRAN LSODA by Hindmarsh & Petzold
+// Based on the FORTRAN LSODA by Hindmarsh & Petzold:
+// - Nordsieck history array with variable step size and order
+// - Adams-Moulton (orders 1-12, functional iteration) while the problem is non-stiff
+// - BDF (orders 1-5, chord Newton iteration on an analytic or finite-difference Jacobian) once it is stiff
+// - Local error control on rtol/atol and automatic switching between the two methods
+
+// Integration defaults
+const LSODADefaults = {
+    rtol: 1e-6,         // Relative tolerance
+    atol: 1e-9,         // Absolute tolerance (state units)
+    mxstep: 5000,       // Maximum steps between two output times
+    hmin: 0,            // Minimum step size
+    hmax: Infinity,     // Maximum step size
+    h0: null,           // First step size (null: estimated from f and the tolerances)
+    jacobian: null      // (t, y) => n×n Jacobian matrix (null: finite differences)
+};
+
+const LSODA_UROUND = Number.EPSILON;
+const LSODA_MAXORD = { 1: 12, 2: 5 };   // Maximum order per method (1 = Adams, 2 = BDF)
+const LSODA_MAXCOR = 3;                 // Corrector iterations per step attempt
+const LSODA_MXNCF = 10;                 // Convergence failures allowed per step
+const LSODA_CCMAX = 0.3;                // Relative change in h·el0 that forces a new iteration matrix
+const LSODA_MSBP = 20;                  // Steps between iteration matrix updates
+const LSODA_SWITCH_RATIO = 5.0;         // Step size gain required to switch to BDF
+// Adams stability limits on |h|·||J|| for orders 1-12
+const LSODA_SM1 = [0.5, 0.575, 0.55, 0.45, 0.35, 0.25, 0.20, 0.15, 0.10, 0.075, 0.050, 0.025];
 
 class LSODA {
     constructor() {
-        // LSODA parameters
-        this.mxstep = 500;  // Maximum number of steps
-        this.mxhnil = 10;   // Maximum number of messages for t + h = t
-        this.mxordn = 12;   // Maximum order for non-stiff methods
-        this.mxords = 5;    // Maximum order for stiff methods
-        
-        // Tolerances
-        this.rtol = 1e-6;   // Relative tolerance
-        this.atol = 1e-12;  // Absolute tolerance
-        
-        // Current state
-        this.method = 1;    // 1 = non-stiff (Adams), 2 = stiff (BDF)
-        this.order = 1;     // Current order
-        this.h = 0.0;      // Current step size
-        this.tn = 0.0;     // Current time
-        this.jstart = 0;   // Start indicator
-        
-        // Coefficients for Adams methods
-        this.elco = this.initElco();
-        this.tesco = this.initTesco();
-    }
-    
-    initElco() {
-        const elco = Array(13).fill(null).map(() => Array(14).fill(0));
-        
-        // Adams-Bashforth coefficients
-        elco[1][1] = 1.0;
-        elco[1][2] = 1.0;
-        
-        elco[2][1] = 2.0/3.0;
-        elco[2][2] = 3.0/2.0;
-        elco[2][3] = -1.0/2.0;
-        
-        elco[3][1] = 3.0/4.0;
-        elco[3][2] = 23.0/12.0;
-        elco[3][3] = -4.0/3.0;
-        elco[3][4] = 5.0/12.0;
-        
-        // Additional orders can be computed dynamically
-        for (let i = 4; i <= 12; i++) {
-            this.computeElcoRow(elco, i);
-        }
-        
-        return elco;
-    }
-    
-    computeElcoRow(elco, nq) {
-        const agamq = this.computeGamma(nq);
-        const fnq = nq;
-        const pint = 1.0;
-        
-        elco[nq][1] = pint / agamq;
-        
-        for (let i = 2; i <= nq; i++) {
-            elco[nq][i] = elco[nq-1][i-1] * fnq / (fnq - i + 1);
-        }
-        
-        elco[nq][nq+1] = -elco[nq-1][nq] * fnq / (fnq + 1);
+        // Nordsieck method coefficients for Adams (1) and BDF (2)
+        this.coefficients = { 1: LSODA.computeCoefficients(1), 2: LSODA.computeCoefficients(2) };
+
+        // Leading error coefficient per method and order, compared by the method switch test
+        this.cm = { 1: [], 2: [] };
+        [1, 2].forEach(meth => {
+            const { elco, tesco } = this.coefficients[meth];
+            for (let nq = 1; nq <= LSODA_MAXORD[meth]; nq++) {
+                this.cm[meth][nq] = tesco[nq][1] * elco[nq][nq];
+            }
+        });
     }
-    
-    computeGamma(n) {
-        let gamma = 1.0;
-        for (let i = 2; i <= n; i++) {
-            gamma *= i;
+
+    /**
+     * Method coefficients (cfode): elco[nq] is the Nordsieck l-vector of order nq and
+     * tesco[nq] the error test constants for orders nq-1, nq and nq+1
+     * @param {number} meth - 1 = Adams, 2 = BDF
+     */
+    static computeCoefficients(meth) {
+        const maxord = LSODA_MAXORD[meth];
+        const elco = [];
+        const tesco = Array.from({ length: maxord + 2 }, () => [0, 0, 0]);
+        const pc = new Array(maxord + 2).fill(0);
+
+        if (meth === 1) {
+            elco[1] = [1, 1];
+            tesco[1][1] = 2;
+            tesco[2][0] = 1;
+            pc[0] = 1;
+            let rqfac = 1;
+
+            for (let nq = 2; nq <= maxord; nq++) {
+                const rq1fac = rqfac;
+                rqfac /= nq;
+                const nqm1 = nq - 1;
+
+                // Coefficients of the polynomial x(x+1)...(x+nq-2)
+                pc[nq - 1] = 0;
+                for (let i = nq - 1; i >= 1; i--) {
+                    pc[i] = pc[i - 1] + nqm1 * pc[i];
+                }
+                pc[0] = nqm1 * pc[0];
+
+                // Integrals of the polynomial over [-1, 0]
+                let pint = pc[0];
+                let xpin = pc[0] / 2;
+                let tsign = 1;
+                for (let i = 2; i <= nq; i++) {
+                    tsign = -tsign;
+                    pint += tsign * pc[i - 1] / i;
+                    xpin += tsign * pc[i - 1] / (i + 1);
+                }
+
+                const el = new Array(nq + 1);
+                el[0] = pint * rq1fac;
+                el[1] = 1;
+                for (let i = 2; i <= nq; i++) {
+                    el[i] = rq1fac * pc[i - 1] / i;
+                }
+                elco[nq] = el;
+
+                const ragq = 1 / (rqfac * xpin);
+                tesco[nq][1] = ragq;
+                if (nq < maxord) tesco[nq + 1][0] = ragq * rqfac / (nq + 1);
+                tesco[nq - 1][2] = ragq;
+            }
+        } else {
+            pc[0] = 1;
+            let rq1fac = 1;
+
+            for (let nq = 1; nq <= maxord; nq++) {
+                // Coefficients of the polynomial x(x+1)...(x+nq-1)
+                pc[nq] = 0;
+                for (let i = nq; i >= 1; i--) {
+                    pc[i] = pc[i - 1] + nq * pc[i];
+                }
+                pc[0] = nq * pc[0];
+
+                const el = pc.slice(0, nq + 1).map(value => value / pc[1]);
+                el[1] = 1;
+                elco[nq] = el;
+
+                tesco[nq] = [rq1fac, (nq + 1) / el[0], (nq + 2) / el[0]];
+                rq1fac /= nq;
+            }
         }
-        return gamma;
-    }
-    
-    initTesco() {
-        const tesco = Array(13).fill(null).map(() => Array(4).fill(0));
-        
-        // Error coefficients
-        tesco[1][1] = 0.0;
-        tesco[1][2] = 2.0;
-        tesco[2][1] = -1.0/2.0;
-        tesco[2][2] = -1.0/12.0;
-        tesco[3][1] = -1.0/12.0;
-        tesco[3][2] = -1.0/24.0;
-        
-        return tesco;
+
+        return { elco: elco, tesco: tesco };
     }
-    
+
     /**
-     * Main LSODA integration function
-     * @param {Function} f - Derivative function f(t, y) returns dy/dt
-     * @param {Array} y0 - Initial conditions
-     * @param {Array} t - Time points
-     * @param {Object} options - Integration options
+     * Integrate dy/dt = f(t, y) and report the solution at the requested times
+     * @param {function} f - (t, y) => dy/dt
+     * @param {Array} y0 - State at t[0]
+     * @param {Array} t - Increasing output times; the integration never steps past the last one
+     * @param {Object} options - Overrides of LSODADefaults
+     * @returns {Object} - {t, y, stats}
      */
     integrate(f, y0, t, options = {}) {
-        const neq = y0.length;
-        const ntout = t.length;
-        
-        // Initialize - Very relaxed tolerances for PK models stability
-        this.rtol = options.rtol || 1e-3;  // 0.1% relative error
-        this.atol = options.atol || 1e-6;  // 1 μg/mL absolute error (clinically relevant)
-        this.mxstep = options.mxstep || 500;
-        
-        let y = [...y0];
-        const solution = [y0.slice()];
-        
-        this.tn = t[0];
-        // Very conservative initial step size for PK models
-        const dt_max = Math.abs(t[1] - t[0]);
-        this.h = Math.min(dt_max * 0.01, 0.01); // Extra conservative for PK stability
-        this.jstart = 0;
-        this.method = 1; // Start with non-stiff
-        this.order = 1;
-        
-        // Nordsieck history array
-        const yh = Array(neq).fill(null).map(() => Array(14).fill(0));
-        for (let i = 0; i < neq; i++) {
-            yh[i][1] = y[i];
-        }
-        
-        // Main integration loop
-        for (let iout = 1; iout < ntout; iout++) {
-            const tout = t[iout];
-            
-            while (this.tn < tout - 1e-12) { // Add small tolerance to avoid numerical issues
-                // Check if we can reach tout in one step
-                const remaining = tout - this.tn;
-                if (Math.abs(this.h) > remaining) {
-                    this.h = remaining;
-                }
-                
-                // Attempt a step
-                const result = this.step(f, y, yh, neq);
-                
-                if (!result.success) {
-                    throw new Error(`LSODA failed at t = ${this.tn}: ${result.message}`);
+        const settings = { ...LSODADefaults };
+        Object.keys(LSODADefaults).forEach(key => {
+            if (options[key] !== undefined && options[key] !== null) settings[key] = options[key];
+        });
+        this.validate(y0, t, settings);
+
+        this.settings = settings;
+        this.n = y0.length;
+        this.stats = {
+            nsteps: 0,
+            nfe: 0,
+            nje: 0,
+            nlu: 0,
+            errorTestFailures: 0,
+            convergenceFailures: 0,
+            methodSwitches: 0,
+            adamsSteps: 0,
+            bdfSteps: 0
+        };
+        this.f = (time, y) => {
+            this.stats.nfe++;
+            const dydt = f(time, [...y]);
+            if (!dydt || dydt.length !== this.n || dydt.some(value => !Number.isFinite(value))) {
+                throw new Error(`LSODA failed at t = ${time}: Invalid derivatives`);
+            }
+            return dydt;
+        };
+
+        this.initialize(y0, t);
+
+        const tcrit = t[t.length - 1];
+        const solution = [[...y0]];
+
+        for (let i = 1; i < t.length; i++) {
+            const tout = t[i];
+            let steps = 0;
+
+            while (this.tn < tout - 100 * LSODA_UROUND * Math.max(Math.abs(this.tn), Math.abs(tout))) {
+                if (steps >= settings.mxstep) {
+                    throw new Error(`LSODA failed at t = ${this.tn}: Maximum steps (${settings.mxstep}) exceeded before t = ${tout}`);
                 }
-                
-                y = result.y;
+                this.limitStepTo(tcrit);
+                this.step();
+                steps++;
             }
-            
-            // Ensure we're exactly at tout
-            this.tn = tout;
-            solution.push(y.slice());
+
+            solution.push(this.interpolate(tout));
         }
-        
+
         return {
-            t: t.slice(),
+            t: [...t],
             y: solution,
             stats: {
-                nsteps: this.nsteps || 0,
-                nfe: this.nfe || 0,
-                method: this.method
+                ...this.stats,
+                rejectedSteps: this.stats.errorTestFailures + this.stats.convergenceFailures,
+                method: this.meth,
+                order: this.nqu,
+                lastStepSize: this.hu
             }
         };
     }
-    
+
+    validate(y0, t, settings) {
+        if (!Array.isArray(y0) || y0.length === 0 || y0.some(value => !Number.isFinite(value))) {
+            throw new Error('LSODA requires a finite initial state');
+        }
+        if (!Array.isArray(t) || t.length < 2 || t.some((time, i) => !Number.isFinite(time) || (i > 0 && time <= t[i - 1]))) {
+            throw new Error('LSODA requires at least two strictly increasing output times');
+        }
+        if (!(settings.rtol >= 0) || !(settings.atol >= 0) || settings.rtol + settings.atol === 0) {
+            throw new Error('LSODA tolerances must be non-negative and not both zero');
+        }
+        if (!(settings.mxstep >= 1) || !(settings.hmin >= 0) || !(settings.hmax > settings.hmin)) {
+            throw new Error('LSODA requires mxstep >= 1 and 0 <= hmin < hmax');
+        }
+        if (settings.jacobian !== null && typeof settings.jacobian !== 'function') {
+            throw new Error('LSODA jacobian must be a function (t, y) => matrix');
+        }
+    }
+
     /**
-     * Single integration step
+     * Nordsieck array at t[0] (order 1 Adams) and the first step size
      */
-    step(f, y, yh, neq) {
-        const hmin = 1e-8; // Much larger minimum step size for PK stability
-        let nsteps = 0;
-        const maxsteps = this.mxstep;
-        
-        while (nsteps < maxsteps) {
-            nsteps++;
-            
-            // Predict
-            this.predict(yh, neq);
-            
-            // Evaluate derivative
-            const t_pred = this.tn + this.h;
-            const y_pred = yh.map(row => row[1]);
-            
-            // Add safety check for y_pred values
-            const y_safe = y_pred.map(val => isFinite(val) ? Math.max(0, val) : 0);
-            
-            const dydt = f(t_pred, y_safe);
-            
-            // Safety check for derivatives
-            if (!dydt || dydt.some(val => !isFinite(val))) {
-                this.h *= 0.5;
-                if (Math.abs(this.h) < hmin) {
-                    return {
-                        success: false,
-                        message: `Invalid derivatives at t = ${t_pred}`
-                    };
+    initialize(y0, t) {
+        const { rtol, atol, hmax } = this.settings;
+        const n = this.n;
+        const f0 = this.f(t[0], y0);
+
+        let h = this.settings.h0;
+        if (!h) {
+            const tdist = t[1] - t[0];
+            const w0 = Math.max(Math.abs(t[0]), Math.abs(t[1]));
+            const tol = Math.min(Math.max(rtol, 100 * LSODA_UROUND), 0.001);
+            const fnorm = Math.max(...f0.map((value, i) => Math.abs(value) / (tol * Math.abs(y0[i]) + atol)));
+            h = 1 / Math.sqrt(1 / (tol * w0 * w0) + tol * fnorm * fnorm);
+            h = Math.min(h, tdist);
+        }
+        this.h = Math.min(h, hmax);
+
+        this.yh = Array.from({ length: LSODA_MAXORD[1] + 1 }, () => new Array(n).fill(0));
+        this.yh[0] = [...y0];
+        this.yh[1] = f0.map(value => value * this.h);
+        this.acor = new Array(n).fill(0);
+        this.savedAcor = null;
+
+        this.tn = t[0];
+        this.hu = 0;
+        this.nqu = 0;
+        this.meth = 1;
+        this.el0 = null;
+        this.rc = 1;
+        this.setOrder(1);
+
+        this.crate = 0.7;
+        this.pdest = 0;
+        this.pdlast = 0;
+        this.pdnorm = 0;
+        this.ialth = 2;
+        this.icount = 20;
+        this.rmax = 1e4;
+        this.irflag = false;
+        this.ipup = true;
+        this.jcur = false;
+        this.nslp = 0;
+        this.lu = null;
+    }
+
+    /**
+     * Select order nq of the current method (el, tesco and the convergence constant)
+     */
+    setOrder(nq) {
+        const { elco, tesco } = this.coefficients[this.meth];
+        this.nq = nq;
+        this.el = elco[nq];
+        this.tq = tesco[nq];
+        if (this.el0) this.rc *= this.el[0] / this.el0;
+        this.el0 = this.el[0];
+        this.conit = 0.5 / (nq + 2);
+    }
+
+    /**
+     * Take one successful step from tn, retrying with smaller steps or lower order as needed
+     */
+    step() {
+        const told = this.tn;
+        const { hmin } = this.settings;
+        let kflag = 0;
+        let ncf = 0;
+
+        this.updateWeights(this.yh[0]);
+
+        while (true) {
+            if (this.tn + this.h === this.tn) {
+                throw new Error(`LSODA failed at t = ${this.tn}: Step size too small (${this.h})`);
+            }
+            this.tn = told + this.h;
+            this.predict();
+
+            if (!this.correct()) {
+                ncf++;
+                this.stats.convergenceFailures++;
+                this.retract(told);
+                if (Math.abs(this.h) <= hmin * 1.00001) {
+                    throw new Error(`LSODA failed at t = ${this.tn}: Corrector failed to converge with |h| = hmin`);
                 }
+                if (ncf === LSODA_MXNCF) {
+                    throw new Error(`LSODA failed at t = ${this.tn}: Repeated corrector convergence failures`);
+                }
+                this.ipup = this.meth === 2;
+                this.rescale(0.25);
                 continue;
             }
-            
-            // Correct
-            const corrResult = this.correct(yh, dydt, neq);
-            
-            if (corrResult.success) {
-                // Accept step
-                this.tn += this.h;
-                
-                // Update solution
-                for (let i = 0; i < neq; i++) {
-                    y[i] = Math.max(0, yh[i][1]); // Ensure non-negative values
+
+            const dsm = this.vmnorm(this.acor) / this.tq[1];
+
+            if (dsm > 1) {
+                kflag--;
+                this.stats.errorTestFailures++;
+                this.retract(told);
+                if (Math.abs(this.h) <= hmin * 1.00001) {
+                    throw new Error(`LSODA failed at t = ${this.tn}: Error test failed with |h| = hmin`);
                 }
-                
-                // Choose next step size and order
-                this.selectStepAndOrder(corrResult.error);
-                
-                return {
-                    success: true,
-                    y: y.slice(),
-                    h: this.h
-                };
-            } else {
-                // Reduce step size and retry
-                this.h *= 0.5; // Less aggressive reduction
-                if (Math.abs(this.h) < hmin) {
-                    return {
-                        success: false,
-                        message: `Step size too small: ${this.h}`
-                    };
+                if (kflag === -10) {
+                    throw new Error(`LSODA failed at t = ${this.tn}: Repeated error test failures`);
                 }
+
+                if (kflag <= -3) {
+                    // Derivatives in the history are unreliable: restart at order 1 from the current value
+                    this.h *= Math.max(0.1, hmin / Math.abs(this.h));
+                    const f0 = this.f(this.tn, this.yh[0]);
+                    this.yh[1] = f0.map(value => value * this.h);
+                    this.ipup = this.meth === 2;
+                    this.ialth = 5;
+                    if (this.nq !== 1) this.setOrder(1);
+                    continue;
+                }
+
+                this.selectStepAndOrder(dsm, kflag);
+                continue;
             }
+
+            // Step accepted: apply the correction to the whole history
+            this.stats.nsteps++;
+            this.stats[this.meth === 1 ? 'adamsSteps' : 'bdfSteps']++;
+            this.hu = this.h;
+            this.nqu = this.nq;
+            this.jcur = false;
+            for (let j = 0; j <= this.nq; j++) {
+                for (let i = 0; i < this.n; i++) {
+                    this.yh[j][i] += this.el[j] * this.acor[i];
+                }
+            }
+
+            this.icount--;
+            if (this.icount < 0 && this.switchMethod(dsm)) {
+                this.rmax = 10;
+                return;
+            }
+
+            this.ialth--;
+            if (this.ialth === 0) {
+                this.selectStepAndOrder(dsm, 0);
+                this.rmax = 10;
+            } else if (this.ialth === 1 && this.nq < LSODA_MAXORD[this.meth]) {
+                this.savedAcor = [...this.acor];
+            }
+            return;
         }
-        
-        return {
-            success: false,
-            message: `Maximum steps (${maxsteps}) exceeded`
-        };
     }
-    
-    predict(yh, neq) {
-        for (let j = this.order; j >= 1; j--) {
-            for (let i = 0; i < neq; i++) {
-                yh[i][j] += yh[i][j+1];
+
+    /**
+     * Predict yh at tn: multiply the history by the Pascal triangle matrix
+     */
+    predict() {
+        for (let k = 1; k <= this.nq; k++) {
+            for (let j = this.nq - k; j < this.nq; j++) {
+                for (let i = 0; i < this.n; i++) {
+                    this.yh[j][i] += this.yh[j + 1][i];
+                }
             }
         }
     }
-    
-    correct(yh, dydt, neq) {
-        const el = this.elco[this.order];
-        const el0 = el[1];
-        
-        let errmax = 0.0;
-        
-        for (let i = 0; i < neq; i++) {
-            const acor = this.h * dydt[i] - yh[i][2];
-            yh[i][1] += el0 * acor;
-            yh[i][2] = acor;
-            
-            // Estimate error
-            const err = Math.abs(acor) / (this.atol + this.rtol * Math.abs(yh[i][1]));
-            errmax = Math.max(errmax, err);
+
+    /**
+     * Undo the prediction after a failed step
+     */
+    retract(told) {
+        for (let k = 1; k <= this.nq; k++) {
+            for (let j = this.nq - k; j < this.nq; j++) {
+                for (let i = 0; i < this.n; i++) {
+                    this.yh[j][i] -= this.yh[j + 1][i];
+                }
+            }
         }
-        
-        const success = errmax <= 1.0;
-        
-        return {
-            success,
-            error: errmax,
-            dydt
-        };
+        this.tn = told;
+        this.rmax = 2;
     }
-    
-    selectStepAndOrder(errmax) {
-        const factor = Math.max(0.1, Math.min(5.0, Math.pow(2.0 / errmax, 1.0 / (this.order + 1))));
-        this.h *= 0.9 * factor;
-        
-        // Order selection logic (simplified)
-        if (errmax < 0.1 && this.order < this.mxordn) {
-            this.order++;
-        } else if (errmax > 0.5 && this.order > 1) {
-            this.order--;
+
+    /**
+     * Corrector: functional iteration (Adams) or chord Newton iteration on I - h·el0·J (BDF)
+     * @returns {boolean} - Whether the iteration converged; the correction is left in acor
+     */
+    correct() {
+        const n = this.n;
+
+        while (true) {
+            const y = [...this.yh[0]];
+            let savf = this.f(this.tn, y);
+
+            if (this.meth === 2 && (this.ipup || Math.abs(this.rc - 1) > LSODA_CCMAX || this.stats.nsteps >= this.nslp + LSODA_MSBP)) {
+                this.prepareIterationMatrix(y, savf);
+            }
+
+            this.acor.fill(0);
+            let m = 0;
+            let del = 0;
+            let delp = 0;
+            let rate = 0;
+
+            while (true) {
+                if (this.meth === 1) {
+                    const correction = savf.map((value, i) => this.h * value - this.yh[1][i]);
+                    del = this.vmnorm(correction.map((value, i) => value - this.acor[i]));
+                    for (let i = 0; i < n; i++) {
+                        y[i] = this.yh[0][i] + this.el[0] * correction[i];
+                        this.acor[i] = correction[i];
+                    }
+                } else {
+                    if (!this.lu) break;
+                    const residual = savf.map((value, i) => this.h * value - (this.yh[1][i] + this.acor[i]));
+                    const delta = LSODA.luSolve(this.lu, residual);
+                    del = this.vmnorm(delta);
+                    for (let i = 0; i < n; i++) {
+                        this.acor[i] += delta[i];
+                        y[i] = this.yh[0][i] + this.el[0] * this.acor[i];
+                    }
+                }
+
+                // Convergence test on the estimated contraction rate
+                if (m > 0) {
+                    const rm = del <= 1024 * delp ? del / delp : 1024;
+                    rate = Math.max(rate, rm);
+                    this.crate = Math.max(0.2 * this.crate, rm);
+                }
+                // Adams always takes a second evaluation (PECE): the stability limits sm1 are those of that scheme
+                const dcon = del * Math.min(1, 1.5 * this.crate) / (this.tq[1] * this.conit);
+                if (dcon <= 1 && (m > 0 || this.meth === 2)) {
+                    if (this.meth === 1) {
+                        // Lipschitz constant estimate for the Adams stability limit
+                        this.pdest = Math.max(this.pdest, rate / Math.abs(this.h * this.el0));
+                        if (this.pdest !== 0) this.pdlast = this.pdest;
+                    }
+                    return true;
+                }
+
+                m++;
+                if (m === LSODA_MAXCOR || (m >= 2 && del > 2 * delp)) break;
+                delp = del;
+                savf = this.f(this.tn, y);
+            }
+
+            // Retry once with a fresh Jacobian before reducing the step
+            if (this.meth === 2 && !this.jcur) {
+                this.ipup = true;
+                continue;
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Evaluate the Jacobian at the predicted state and factor P = I - h·el0·J
+     */
+    prepareIterationMatrix(y, f0) {
+        const n = this.n;
+        let jacobian;
+
+        if (this.settings.jacobian) {
+            jacobian = this.settings.jacobian(this.tn, [...y]);
+            if (!Array.isArray(jacobian) || jacobian.length !== n || jacobian.some(row => !row || row.length !== n)) {
+                throw new Error(`LSODA jacobian must return a ${n}×${n} matrix`);
+            }
+        } else {
+            jacobian = this.finiteDifferenceJacobian(y, f0);
+        }
+        this.stats.nje++;
+
+        // Weighted norm of J (pdnorm), used when switching back to Adams
+        this.pdnorm = Math.max(...jacobian.map((row, i) =>
+            row.reduce((sum, value, j) => sum + Math.abs(value) / this.w[j], 0) * this.w[i]));
+
+        const hl0 = this.h * this.el0;
+        const matrix = jacobian.map((row, i) => row.map((value, j) => (i === j ? 1 : 0) - hl0 * value));
+        this.lu = LSODA.luFactor(matrix);
+        this.stats.nlu++;
+
+        this.rc = 1;
+        this.nslp = this.stats.nsteps;
+        this.crate = 0.7;
+        this.jcur = true;
+        this.ipup = false;
+    }
+
+    finiteDifferenceJacobian(y, f0) {
+        const n = this.n;
+        const srur = Math.sqrt(LSODA_UROUND);
+        const jacobian = Array.from({ length: n }, () => new Array(n).fill(0));
+
+        for (let j = 0; j < n; j++) {
+            const r = Math.max(srur * Math.abs(y[j]), srur / this.w[j]);
+            const shifted = [...y];
+            shifted[j] += r;
+            const fj = this.f(this.tn, shifted);
+            for (let i = 0; i < n; i++) {
+                jacobian[i][j] = (fj[i] - f0[i]) / r;
+            }
+        }
+
+        return jacobian;
+    }
+
+    /**
+     * Choose the next step size and order from the error estimates at orders nq-1, nq and nq+1
+     * @param {number} dsm - Weighted local error of the last attempt relative to the tolerance
+     * @param {number} kflag - 0 after a successful step, negative after error test failures
+     */
+    selectStepAndOrder(dsm, kflag) {
+        const nq = this.nq;
+        const l = nq + 1;
+        const maxord = LSODA_MAXORD[this.meth];
+
+        let rhup = 0;
+        if (kflag === 0 && nq < maxord && this.savedAcor) {
+            const dup = this.vmnorm(this.acor.map((value, i) => value - this.savedAcor[i])) / this.tq[2];
+            rhup = 1 / (1.4 * Math.pow(dup, 1 / (l + 1)) + 1.4e-6);
+        }
+        let rhsm = 1 / (1.2 * Math.pow(dsm, 1 / l) + 1.2e-6);
+        let rhdn = 0;
+        if (nq > 1) {
+            const ddn = this.vmnorm(this.yh[nq]) / this.tq[0];
+            rhdn = 1 / (1.3 * Math.pow(ddn, 1 / nq) + 1.3e-6);
+        }
+
+        // Adams step sizes are also bounded by the stability region
+        let unstable = false;
+        if (this.meth === 1) {
+            const pdh = Math.max(Math.abs(this.h) * this.pdlast, 1e-6);
+            unstable = pdh > LSODA_SM1[nq - 1];
+            if (nq < maxord) rhup = Math.min(rhup, LSODA_SM1[nq] / pdh);
+            rhsm = Math.min(rhsm, LSODA_SM1[nq - 1] / pdh);
+            if (nq > 1) rhdn = Math.min(rhdn, LSODA_SM1[nq - 2] / pdh);
+            this.pdest = 0;
+        }
+
+        // Keep small changes for a few steps, unless the step lies outside the Adams stability region
+        const keepStep = (rh) => kflag === 0 && rh < 1.1 && !(unstable && rh < 1);
+
+        let newq;
+        let rh;
+        if (rhsm >= rhup && rhsm >= rhdn) {
+            newq = nq;
+            rh = rhsm;
+        } else if (rhsm < rhup && rhup > rhdn) {
+            if (keepStep(rhup)) {
+                this.ialth = 3;
+                return;
+            }
+            // Raise the order: the saved correction difference estimates the new history column
+            const r = this.el[nq] / l;
+            this.yh[l] = this.acor.map(value => value * r);
+            this.setOrder(l);
+            this.rescale(rhup);
+            return;
+        } else {
+            newq = nq - 1;
+            rh = rhdn;
+            if (kflag < 0 && rh > 1) rh = 1;
+        }
+
+        if (keepStep(rh)) {
+            this.ialth = 3;
+            return;
+        }
+        if (kflag <= -2) rh = Math.min(rh, 0.2);
+        if (newq !== nq) this.setOrder(newq);
+        this.rescale(rh);
+    }
+
+    /**
+     * Stiffness test (every 20 steps): switch when the other method could take a
+     * sufficiently larger step at the same accuracy
+     * @returns {boolean} - Whether the method was switched
+     */
+    switchMethod(dsm) {
+        const nq = this.nq;
+        const exsm = 1 / (nq + 1);
+        const pnorm = this.vmnorm(this.yh[0]);
+
+        if (this.meth === 1) {
+            if (nq > LSODA_MAXORD[2]) return false;
+
+            let rh2;
+            if (dsm > 100 * pnorm * LSODA_UROUND && this.pdest !== 0) {
+                // Adams step limited by both accuracy and stability, against the BDF accuracy limit
+                let rh1 = 1 / (1.2 * Math.pow(dsm, exsm) + 1.2e-6);
+                const pdh = this.pdlast * Math.abs(this.h);
+                const rh1it = pdh * rh1 > 0.00001 ? LSODA_SM1[nq - 1] / pdh : 2 * rh1;
+                rh1 = Math.min(rh1, rh1it);
+                const dm2 = dsm * (this.cm[1][nq] / this.cm[2][nq]);
+                rh2 = 1 / (1.2 * Math.pow(dm2, exsm) + 1.2e-6);
+                if (rh2 < LSODA_SWITCH_RATIO * rh1) return false;
+            } else {
+                // Error too small to compare: switch only if stability restricted the last step
+                if (!this.irflag) return false;
+                rh2 = 2;
+            }
+
+            this.meth = 2;
+            this.ipup = true;
+            this.setOrder(nq);
+            this.startMethod(rh2);
+            return true;
+        }
+
+        const dm1 = dsm * (this.cm[2][nq] / this.cm[1][nq]);
+        let rh1 = 1 / (1.2 * Math.pow(dm1, exsm) + 1.2e-6);
+        const pdh = this.pdnorm * Math.abs(this.h);
+        const rh1it = pdh * rh1 > 0.00001 ? LSODA_SM1[nq - 1] / pdh : 2 * rh1;
+        rh1 = Math.min(rh1, rh1it);
+        const rh2 = 1 / (1.2 * Math.pow(dsm, exsm) + 1.2e-6);
+        if (rh1 * LSODA_SWITCH_RATIO < 5 * rh2) return false;
+        if (Math.pow(Math.max(0.001, rh1), exsm) * dm1 <= 1000 * LSODA_UROUND * pnorm) return false;
+
+        this.meth = 1;
+        this.setOrder(nq);
+        this.startMethod(rh1);
+        return true;
+    }
+
+    startMethod(rh) {
+        this.stats.methodSwitches++;
+        this.icount = 20;
+        this.pdlast = 0;
+        this.savedAcor = null;
+        this.rescale(rh);
+    }
+
+    /**
+     * Change the step size by rh within [hmin, hmax], rmax and the Adams stability limit
+     */
+    rescale(rh) {
+        const { hmin, hmax } = this.settings;
+        const absh = Math.abs(this.h);
+
+        rh = Math.max(rh, hmin / absh);
+        rh = Math.min(rh, this.rmax);
+        rh /= Math.max(1, absh * rh / hmax);
+
+        this.irflag = false;
+        if (this.meth === 1) {
+            const pdh = Math.max(absh * this.pdlast, 1e-6);
+            if (rh * pdh * 1.00001 >= LSODA_SM1[this.nq - 1]) {
+                rh = LSODA_SM1[this.nq - 1] / pdh;
+                this.irflag = true;
+            }
+        }
+
+        this.scaleHistory(rh);
+        this.ialth = this.nq + 1;
+    }
+
+    /**
+     * Shorten the next step so that it ends exactly at tcrit
+     */
+    limitStepTo(tcrit) {
+        const remaining = tcrit - this.tn;
+        if (this.h > remaining) {
+            this.scaleHistory(remaining / this.h);
+        }
+    }
+
+    scaleHistory(rh) {
+        let r = 1;
+        for (let j = 1; j <= this.nq; j++) {
+            r *= rh;
+            for (let i = 0; i < this.n; i++) {
+                this.yh[j][i] *= r;
+            }
+        }
+        this.h *= rh;
+        this.rc *= rh;
+    }
+
+    /**
+     * Nordsieck interpolation within the last step
+     */
+    interpolate(time) {
+        const s = (time - this.tn) / this.h;
+        const y = [...this.yh[this.nq]];
+        for (let j = this.nq - 1; j >= 0; j--) {
+            for (let i = 0; i < this.n; i++) {
+                y[i] = this.yh[j][i] + s * y[i];
+            }
+        }
+        return y;
+    }
+
+    /**
+     * Inverse error weights 1 / (rtol·|y| + atol)
+     */
+    updateWeights(y) {
+        const { rtol, atol } = this.settings;
+        this.w = y.map(value => 1 / (rtol * Math.abs(value) + atol));
+        if (this.w.some(value => !Number.isFinite(value))) {
+            throw new Error(`LSODA failed at t = ${this.tn}: Error weight became zero (set atol > 0)`);
+        }
+    }
+
+    /**
+     * Weighted max-norm of a vector
+     */
+    vmnorm(v) {
+        let norm = 0;
+        for (let i = 0; i < v.length; i++) {
+            norm = Math.max(norm, Math.abs(v[i]) * this.w[i]);
+        }
+        return norm;
+    }
+
+    /**
+     * LU factorization with partial pivoting (null if the matrix is singular)
+     */
+    static luFactor(matrix) {
+        const n = matrix.length;
+        const lu = matrix.map(row => [...row]);
+        const pivots = new Array(n);
+
+        for (let k = 0; k < n; k++) {
+            let p = k;
+            for (let i = k + 1; i < n; i++) {
+                if (Math.abs(lu[i][k]) > Math.abs(lu[p][k])) p = i;
+            }
+            if (lu[p][k] === 0) return null;
+            pivots[k] = p;
+            if (p !== k) [lu[p], lu[k]] = [lu[k], lu[p]];
+
+            for (let i = k + 1; i < n; i++) {
+                lu[i][k] /= lu[k][k];
+                for (let j = k + 1; j < n; j++) {
+                    lu[i][j] -= lu[i][k] * lu[k][j];
+                }
+            }
+        }
+
+        return { lu: lu, pivots: pivots };
+    }
+
+    static luSolve({ lu, pivots }, b) {
+        const n = lu.length;
+        const x = [...b];
+
+        for (let k = 0; k < n; k++) {
+            const p = pivots[k];
+            if (p !== k) [x[p], x[k]] = [x[k], x[p]];
+        }
+        for (let i = 1; i < n; i++) {
+            for (let j = 0; j < i; j++) {
+                x[i] -= lu[i][j] * x[j];
+            }
+        }
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = i + 1; j < n; j++) {
+                x[i] -= lu[i][j] * x[j];
+            }
+            x[i] /= lu[i][i];
         }
+
+        return x;
     }
 }
 
+
 // Specialized LSODA for pharmacokinetic systems
 class PKLSODASolver {
     constructor() {
@@ -282,32 +777,22 @@ class PKLSODASolver {
     }
     
     /**
-     * Solve 3-compartment PK model with continuous infusion
+     * Solve 3-compartment PK model with piecewise-constant infusion and bolus doses
      * @param {Object} pkParams - PK parameters {k10, k12, k21, k13, k31}
-     * @param {Array} times - Time points
-     * @param {Array} infusionRates - Infusion rates at each time point
-     * @param {Array} bolusEvents - Bolus events [{time, amount}]
+     * @param {Array} times - Increasing output times (min)
+     * @param {Array} infusionRates - Infusion rate (mg/min) from each time point to the next
+     * @param {Array} bolusEvents - Bolus events [{time, amount}]; boluses at or before times[0]
+     *   are applied to the initial state, later ones as state jumps at their time
      * @param {Array} y0 - Initial conditions [a1, a2, a3]
+     * @param {Object} options - Overrides of LSODADefaults (rtol, atol, mxstep, ...)
+     * @returns {Object} - {t, y} at the output times; a bolus given at an output time is included
      */
-    solve3Compartment(pkParams, times, infusionRates, bolusEvents = [], y0 = [0, 0, 0]) {
+    solve3Compartment(pkParams, times, infusionRates, bolusEvents = [], y0 = [0, 0, 0], options = {}) {
         const {k10, k12, k21, k13, k31} = pkParams;
         
-        // Create interpolation function for infusion rates
-        const getInfusionRate = (t) => {
-            const index = Math.min(Math.floor(t / (times[1] - times[0])), infusionRates.length - 1);
-            return infusionRates[index] || 0;
-        };
-        
-        // Check for bolus events
-        const getBolus = (t) => {
-            const bolus = bolusEvents.find(event => Math.abs(event.time - t) < 1e-6);
-            return bolus ? bolus.amount : 0;
-        };
-        
-        // Define the ODE system
-        const odeSystem = (t, y) => {
+        // Define the ODE system for a constant infusion rate
+        const createOdeSystem = (infusionRate) => (t, y) => {
             const [a1, a2, a3] = y;
-            const infusionRate = getInfusionRate(t);
             
             const da1dt = infusionRate - k10 * a1 - k12 * a1 + k21 * a2 - k13 * a1 + k31 * a3;
             const da2dt = k12 * a1 - k21 * a2;
@@ -316,64 +801,35 @@ class PKLSODASolver {
             return [da1dt, da2dt, da3dt];
         };
         
-        // Handle bolus events by splitting integration
-        const solution = {t: [], y: []};
+        const applyBoluses = (state, events) => {
+            events.forEach(event => { state[0] += event.amount; });
+        };
+        
+        // Boluses at the start time are an initial-state jump
         let currentY = [...y0];
-        let startTime = times[0];
+        applyBoluses(currentY, bolusEvents.filter(event => event.time <= times[0]));
+        
+        const solution = {t: [times[0]], y: [[...currentY]]};
         
         for (let i = 1; i < times.length; i++) {
-            const endTime = times[i];
-            const timeSpan = [startTime, endTime];
-            
-            // Check for bolus events in this interval
-            const bolusInInterval = bolusEvents.filter(event => 
-                event.time > startTime && event.time <= endTime
-            );
+            const odeSystem = createOdeSystem(infusionRates[i - 1] || 0);
             
-            if (bolusInInterval.length > 0) {
-                // Split integration at bolus events
-                for (const bolus of bolusInInterval) {
-                    if (bolus.time > startTime) {
-                        // Integrate to bolus time
-                        const partialSpan = [startTime, bolus.time];
-                        const partialResult = this.lsoda.integrate(odeSystem, currentY, partialSpan, {
-                            rtol: 1e-4,  // Much more relaxed for PK stability
-                            atol: 1e-6   // Clinically adequate precision
-                        });
-                        
-                        // Add results (excluding last point to avoid duplication)
-                        for (let j = solution.t.length === 0 ? 0 : 1; j < partialResult.t.length - 1; j++) {
-                            solution.t.push(partialResult.t[j]);
-                            solution.y.push(partialResult.y[j]);
-                        }
-                        
-                        currentY = partialResult.y[partialResult.y.length - 1];
-                    }
-                    
-                    // Apply bolus
-                    currentY[0] += bolus.amount;
-                    startTime = bolus.time;
-                }
-            }
+            // Split integration at bolus events in this interval
+            const bolusTimes = bolusEvents
+                .filter(event => event.time > times[i - 1] && event.time <= times[i])
+                .map(event => event.time);
+            const stops = [...new Set([...bolusTimes, times[i]])].sort((x, y) => x - y);
             
-            // Integrate remaining interval
-            if (startTime < endTime) {
-                const finalSpan = [startTime, endTime];
-                const finalResult = this.lsoda.integrate(odeSystem, currentY, finalSpan, {
-                    rtol: 1e-4,  // Much more relaxed for PK stability
-                    atol: 1e-6   // Clinically adequate precision
-                });
-                
-                // Add results
-                for (let j = solution.t.length === 0 ? 0 : 1; j < finalResult.t.length; j++) {
-                    solution.t.push(finalResult.t[j]);
-                    solution.y.push(finalResult.y[j]);
-                }
-                
-                currentY = finalResult.y[finalResult.y.length - 1];
+            let startTime = times[i - 1];
+            for (const stopTime of stops) {
+                const result = this.lsoda.integrate(odeSystem, currentY, [startTime, stopTime], options);
+                currentY = [...result.y[result.y.length - 1]];
+                applyBoluses(currentY, bolusEvents.filter(event => event.time === stopTime));
+                startTime = stopTime;
             }
             
-            startTime = endTime;
+            solution.t.push(times[i]);
+            solution.y.push([...currentY]);
         }
         
         return solution;
@@ -382,11 +838,12 @@ class PKLSODASolver {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { LSODA, PKLSODASolver };
+    module.exports = { LSODA, LSODADefaults, PKLSODASolver };
 }
 
 // Make available globally for browser use
 if (typeof window !== 'undefined') {
     window.LSODA = LSODA;
+    window.LSODADefaults = LSODADefaults;
     window.PKLSODASolver = PKLSODASolver;
 }
\ No newline at end of file